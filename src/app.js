@@ -144,11 +144,24 @@ class DataServiceApp {
                     'POST /analytics/user/:id/generate': 'Gerar analytics para um usuário',
                     'POST /analytics/affiliate/:id/generate': 'Gerar analytics para um afiliado',
                     'GET /analytics/user/:id': 'Buscar analytics de um usuário',
+                    'POST /analytics/user/:id/cpa/evaluate': 'Simular qualificação CPA do usuário (regras atuais ou candidatas)',
                     'GET /analytics/affiliate/:id': 'Buscar analytics de um afiliado',
+                    'GET /analytics/cohorts': 'Matrizes de retenção (atividade e receita) por coorte de cadastro ou FTD (basis, period, unit, affiliateId)',
+                    'POST /analytics/cohorts/refresh': 'Recalcular em background a matriz de um escopo de coorte',
+                    'GET /analytics/affiliate/:id/funnel': 'Funil cadastro -> FTD -> CPA do afiliado (periodType/specificDate ou periodStart/periodEnd)',
+                    'POST /analytics/jobs': 'Enfileirar geração de analytics em lote (entityType, periodType, specificDate, scope ALL/TOUCHED)',
+                    'GET /analytics/jobs': 'Buscar jobs de analytics (status, entityType, periodType)',
+                    'GET /analytics/jobs/:id': 'Status e progresso de um job de analytics',
+                    'POST /analytics/jobs/:id/cancel': 'Cancelar job de analytics pendente ou em processamento',
+                    'POST /analytics/jobs/:id/resume': 'Retomar job de analytics falho ou cancelado a partir do checkpoint',
+                    'POST /analytics/rollups': 'Reconstruir analytics WEEKLY/MONTHLY/YEARLY a partir dos registros DAILY (entityType, periodType, specificDate)',
+                    'GET /affiliates/:id/network': 'Rede de indicações do afiliado (depth = 1 a 5 níveis)',
                     'GET /external/:tableName': 'Buscar dados externos de uma tabela',
                     'POST /export': 'Criar nova exportação de dados',
                     'GET /export': 'Buscar todas as exportações',
                     'GET /export/:id': 'Buscar exportação específica',
+                    'GET /export/:id/download': 'Baixar arquivo da exportação (suporta Range; 410 se expirada)',
+                    'DELETE /export/expired': 'Remover arquivos de exportações expiradas',
                     'GET /config': 'Buscar configurações atuais',
                     'DELETE /cache/expired': 'Limpar cache expirado',
                     'GET /stats': 'Estatísticas do serviço'
@@ -253,6 +266,30 @@ class DataServiceApp {
                 });
                 // Continuar sem ETL se houver erro
             }
+
+            // Inicializar worker de exportação
+            if (process.env.ENABLE_EXPORT_WORKER !== 'false') {
+                const { exportService } = require('./services/exportService');
+                try {
+                    await exportService.start();
+                } catch (exportError) {
+                    logger.warn('⚠️ Worker de exportação não pôde ser iniciado', {
+                        error: exportError.message
+                    });
+                }
+            }
+
+            // Inicializar worker de jobs de analytics (agendamentos com ENABLE_CRON_JOBS)
+            if (process.env.ENABLE_ANALYTICS_WORKER !== 'false') {
+                const { analyticsJobService } = require('./services/analyticsJobService');
+                try {
+                    await analyticsJobService.start();
+                } catch (analyticsError) {
+                    logger.warn('⚠️ Worker de jobs de analytics não pôde ser iniciado', {
+                        error: analyticsError.message
+                    });
+                }
+            }
             
             this.server = this.app.listen(this.port, this.host, () => {
                 logger.info(`🚀 Data Service V2 iniciado em http://${this.host}:${this.port}`);
@@ -285,6 +322,14 @@ class DataServiceApp {
             logger.error('❌ Erro ao parar sistema ETL:', error);
         }
 
+        // Parar worker de exportação
+        const { exportService } = require('./services/exportService');
+        exportService.stop();
+
+        // Parar worker de jobs de analytics (job em andamento volta para a fila no próximo checkpoint)
+        const { analyticsJobService } = require('./services/analyticsJobService');
+        analyticsJobService.stop();
+
         // Fechar servidor HTTP
         if (this.server) {
             this.server.close(() => {
@@ -1,4 +1,6 @@
 const DataService = require('../services/dataService');
+const { exportService } = require('../services/exportService');
+const { analyticsJobService } = require('../services/analyticsJobService');
 const logger = require('../utils/logger');
 
 class DataController {
@@ -227,6 +229,325 @@ class DataController {
         }
     }
 
+    // Funil de conversão do afiliado (cadastro -> FTD -> CPA)
+    async getAffiliateFunnel(req, res) {
+        try {
+            const { affiliateId } = req.params;
+            const { periodType, specificDate, periodStart, periodEnd } = req.query;
+
+            if ((periodStart && !periodEnd) || (!periodStart && periodEnd)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'periodStart e periodEnd devem ser informados juntos'
+                });
+            }
+
+            if (specificDate && isNaN(Date.parse(specificDate))) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'specificDate deve ser uma data válida'
+                });
+            }
+
+            const funnel = await this.dataService.getAffiliateFunnel(parseInt(affiliateId), {
+                periodType: periodType || 'MONTHLY',
+                specificDate: specificDate ? new Date(specificDate) : null,
+                periodStart: periodStart ? new Date(periodStart) : null,
+                periodEnd: periodEnd ? new Date(periodEnd) : null
+            });
+
+            res.status(200).json({
+                success: true,
+                data: funnel
+            });
+
+        } catch (error) {
+            logger.error('Erro ao calcular funil de conversão do afiliado:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao calcular funil de conversão do afiliado',
+                error: error.message
+            });
+        }
+    }
+
+    // Matrizes de retenção por coorte (materializadas; refresh=true força o recálculo)
+    async getCohorts(req, res) {
+        try {
+            const { basis, period, unit, affiliateId, from, to, maxOffset } = req.query;
+
+            const matrix = await this.dataService.cohortService.getCohorts({
+                basis,
+                period,
+                unit,
+                affiliateId: affiliateId !== undefined ? affiliateId : null,
+                from: from || null,
+                to: to || null,
+                maxOffset: maxOffset !== undefined ? maxOffset : null
+            });
+
+            res.status(200).json({
+                success: true,
+                data: matrix
+            });
+
+        } catch (error) {
+            logger.error('Erro ao buscar matriz de coortes:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao buscar matriz de coortes',
+                error: error.message
+            });
+        }
+    }
+
+    // Disparar o recálculo da matriz de um escopo de coorte (processado em background)
+    async refreshCohorts(req, res) {
+        try {
+            const { basis, period, unit, affiliateId } = req.body;
+
+            const scope = this.dataService.cohortService.scheduleRefresh({
+                basis,
+                period,
+                unit,
+                affiliateId: affiliateId !== undefined ? affiliateId : null
+            });
+
+            res.status(202).json({
+                success: true,
+                message: 'Recálculo da matriz de coortes iniciado',
+                data: scope
+            });
+
+        } catch (error) {
+            logger.error('Erro ao iniciar recálculo de coortes:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao iniciar recálculo de coortes',
+                error: error.message
+            });
+        }
+    }
+
+    // Rede de indicações (MLM) do afiliado
+    async getAffiliateNetwork(req, res) {
+        try {
+            const { affiliateId } = req.params;
+            const { depth } = req.query;
+
+            if (depth !== undefined && (isNaN(parseInt(depth)) || parseInt(depth) < 1 || parseInt(depth) > 5)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'depth deve ser um número inteiro entre 1 e 5'
+                });
+            }
+
+            const network = await this.dataService.referralService.getNetworkTree(
+                parseInt(affiliateId),
+                depth !== undefined ? parseInt(depth) : undefined
+            );
+
+            res.status(200).json({
+                success: true,
+                data: network
+            });
+
+        } catch (error) {
+            logger.error('Erro ao buscar rede de indicações do afiliado:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao buscar rede de indicações do afiliado',
+                error: error.message
+            });
+        }
+    }
+
+    // Simular qualificação CPA do usuário (regras atuais ou candidatas)
+    async evaluateUserCpa(req, res) {
+        try {
+            const { userId } = req.params;
+            const { rules, until } = req.body;
+
+            const evaluation = await this.dataService.evaluateCpaRules(parseInt(userId), rules, until);
+
+            res.status(200).json({
+                success: true,
+                message: evaluation.qualified ? 'Usuário qualificado para CPA' : 'Usuário não qualificado para CPA',
+                data: evaluation
+            });
+
+        } catch (error) {
+            logger.error('Erro ao avaliar regras CPA do usuário:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao avaliar regras CPA do usuário',
+                error: error.message
+            });
+        }
+    }
+
+    // Enfileirar jobs de geração de analytics em lote
+    async createAnalyticsJob(req, res) {
+        try {
+            const { entityType, periodType, specificDate, scope, batchSize } = req.body;
+
+            // Processados em background pelo worker de jobs de analytics;
+            // acompanhar via GET /analytics/jobs/:jobId (status e progress_percentage)
+            const jobs = await analyticsJobService.createJobs({
+                entityType,
+                periodType,
+                specificDate,
+                scope,
+                batchSize,
+                requestedBy: req.user?.username || 'api_user'
+            });
+
+            res.status(202).json({
+                success: true,
+                message: 'Jobs de analytics enfileirados com sucesso',
+                data: { jobs }
+            });
+
+        } catch (error) {
+            logger.error('Erro ao criar job de analytics:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao criar job de analytics',
+                error: error.message
+            });
+        }
+    }
+
+    // Buscar jobs de analytics
+    async getAnalyticsJobs(req, res) {
+        try {
+            const { status, entityType, periodType, limit } = req.query;
+
+            const filters = {};
+            if (status) filters.status = status;
+            if (entityType) filters.entity_type = entityType;
+            if (periodType) filters.period_type = periodType;
+            if (limit) filters.limit = parseInt(limit);
+
+            const jobs = await this.dataService.dataModel.getAnalyticsJobs(filters);
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    jobs,
+                    totalJobs: jobs.length,
+                    filters
+                }
+            });
+
+        } catch (error) {
+            logger.error('Erro ao buscar jobs de analytics:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao buscar jobs de analytics',
+                error: error.message
+            });
+        }
+    }
+
+    // Buscar job de analytics específico
+    async getAnalyticsJob(req, res) {
+        try {
+            const job = await this.dataService.dataModel.getAnalyticsJob(req.params.jobId);
+
+            if (!job) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Job de analytics não encontrado'
+                });
+            }
+
+            res.status(200).json({
+                success: true,
+                data: job
+            });
+
+        } catch (error) {
+            logger.error('Erro ao buscar job de analytics:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao buscar job de analytics',
+                error: error.message
+            });
+        }
+    }
+
+    // Cancelar job de analytics (o worker para no próximo checkpoint)
+    async cancelAnalyticsJob(req, res) {
+        await this.changeAnalyticsJobStatus(req, res, 'cancelJob', {
+            success: 'Job de analytics cancelado com sucesso',
+            conflict: 'Apenas jobs pendentes ou em processamento podem ser cancelados',
+            error: 'Erro ao cancelar job de analytics'
+        });
+    }
+
+    // Retomar job de analytics a partir do checkpoint
+    async resumeAnalyticsJob(req, res) {
+        await this.changeAnalyticsJobStatus(req, res, 'resumeJob', {
+            success: 'Job de analytics retomado com sucesso',
+            conflict: 'Apenas jobs falhos ou cancelados podem ser retomados',
+            error: 'Erro ao retomar job de analytics'
+        });
+    }
+
+    async changeAnalyticsJobStatus(req, res, action, messages) {
+        try {
+            const { jobId } = req.params;
+            const job = await analyticsJobService[action](jobId);
+
+            if (!job) {
+                const existing = await this.dataService.dataModel.getAnalyticsJob(jobId);
+                return res.status(existing ? 409 : 404).json({
+                    success: false,
+                    message: existing ? messages.conflict : 'Job de analytics não encontrado',
+                    data: existing ? { status: existing.status } : undefined
+                });
+            }
+
+            res.status(200).json({
+                success: true,
+                message: messages.success,
+                data: job
+            });
+
+        } catch (error) {
+            logger.error(`${messages.error}:`, error);
+            res.status(500).json({
+                success: false,
+                message: messages.error,
+                error: error.message
+            });
+        }
+    }
+
+    // Reconstruir analytics WEEKLY/MONTHLY/YEARLY a partir dos registros DAILY já gravados
+    async rollupAnalytics(req, res) {
+        try {
+            const { entityType, periodType, specificDate } = req.body;
+
+            const result = await this.dataService.rollupAnalytics(periodType, specificDate || null, entityType);
+
+            res.status(200).json({
+                success: true,
+                message: `Rollup ${periodType} gerado com sucesso`,
+                data: result
+            });
+
+        } catch (error) {
+            logger.error('Erro ao gerar rollup de analytics:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao gerar rollup de analytics',
+                error: error.message
+            });
+        }
+    }
+
     // Buscar dados externos
     async getExternalData(req, res) {
         try {
@@ -275,7 +596,7 @@ class DataController {
     // Criar exportação de dados
     async createDataExport(req, res) {
         try {
-            const { exportType, format, filters, dateRangeStart, dateRangeEnd } = req.body;
+            const { exportType, format, filters, dateRangeStart, dateRangeEnd, retentionDays } = req.body;
 
             if (!exportType || !format) {
                 return res.status(400).json({
@@ -285,6 +606,9 @@ class DataController {
             }
 
             const filename = `export_${exportType}_${Date.now()}.${format.toLowerCase()}`;
+
+            // Retenção: valor da requisição ou padrão do Config Service
+            const exportSettings = await this.dataService.getExportSettings();
             
             const exportData = {
                 export_type: exportType,
@@ -293,13 +617,15 @@ class DataController {
                 filters: filters || {},
                 date_range_start: dateRangeStart ? new Date(dateRangeStart) : null,
                 date_range_end: dateRangeEnd ? new Date(dateRangeEnd) : null,
-                requested_by: req.user?.username || 'api_user'
+                requested_by: req.user?.username || 'api_user',
+                retention_days: retentionDays || exportSettings.retention_days
             };
 
             const result = await this.dataService.dataModel.createDataExport(exportData);
 
-            // Aqui seria iniciado o processo de exportação em background
-            // Por enquanto, apenas retornamos o registro criado
+            // O arquivo é gerado em background pelo worker de exportação;
+            // acompanhar via GET /export/:exportId (status e progress_percentage)
+            exportService.processPending();
 
             res.status(201).json({
                 success: true,
@@ -385,6 +711,102 @@ class DataController {
         }
     }
 
+    // Download do arquivo de uma exportação concluída
+    // res.download trata requisições com Range (206/416) a partir do arquivo em disco
+    async downloadDataExport(req, res) {
+        try {
+            const { exportId } = req.params;
+
+            const exportData = await this.dataService.dataModel.getDataExport(exportId);
+
+            if (!exportData) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Exportação não encontrada'
+                });
+            }
+
+            if (exportData.status === 'EXPIRED' || (exportData.expires_at && new Date(exportData.expires_at) < new Date())) {
+                return res.status(410).json({
+                    success: false,
+                    message: 'Exportação expirada',
+                    data: { expiresAt: exportData.expires_at }
+                });
+            }
+
+            if (exportData.status !== 'COMPLETED' || !exportData.file_path) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Exportação ainda não está disponível para download',
+                    data: {
+                        status: exportData.status,
+                        progressPercentage: exportData.progress_percentage
+                    }
+                });
+            }
+
+            // Requisições parciais de continuação não contam como novo download
+            const rangeHeader = req.headers.range;
+            const isNewDownload = !rangeHeader || /^bytes=0-/.test(rangeHeader);
+
+            res.download(exportData.file_path, exportData.filename, async (error) => {
+                if (error) {
+                    if (!res.headersSent) {
+                        const missing = error.code === 'ENOENT';
+                        res.status(missing ? 404 : 500).json({
+                            success: false,
+                            message: missing ? 'Arquivo da exportação não encontrado' : 'Erro ao enviar arquivo',
+                            error: error.message
+                        });
+                    }
+                    logger.error(`Erro no download da exportação ${exportId}:`, error);
+                    return;
+                }
+
+                if (isNewDownload) {
+                    try {
+                        await this.dataService.dataModel.recordDataExportDownload(exportId);
+                    } catch (countError) {
+                        logger.error('Erro ao registrar download:', countError);
+                    }
+                }
+            });
+
+        } catch (error) {
+            logger.error('Erro no download da exportação:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro no download da exportação',
+                error: error.message
+            });
+        }
+    }
+
+    // Remover arquivos de exportações vencidas
+    async clearExpiredExports(req, res) {
+        try {
+            const result = await exportService.sweepExpiredExports();
+
+            res.status(200).json({
+                success: true,
+                message: 'Exportações expiradas removidas com sucesso',
+                data: {
+                    expiredExports: result.expired,
+                    filesDeleted: result.filesDeleted,
+                    timestamp: new Date().toISOString()
+                }
+            });
+
+        } catch (error) {
+            logger.error('Erro ao remover exportações expiradas:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao remover exportações expiradas',
+                error: error.message
+            });
+        }
+    }
+
     // Buscar configurações atuais
     async getDataConfig(req, res) {
         try {
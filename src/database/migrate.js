@@ -1,5 +1,6 @@
 const { Pool } = require('pg');
 require('dotenv').config();
+const MappingStore = require('../etl/state/mappingStore');
 
 const pool = new Pool({
     connectionString: process.env.DATABASE_URL,
@@ -158,6 +159,90 @@ async function createTables() {
             );
         `);
 
+        // Matrizes de retenção por coorte (materializadas por CohortService)
+        // affiliate_id 0 = todos os usuários; cada linha é uma célula (coorte x deslocamento)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS cohort_retention (
+                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                affiliate_id INTEGER NOT NULL DEFAULT 0,
+                cohort_basis VARCHAR(20) NOT NULL,
+                cohort_period VARCHAR(10) NOT NULL,
+                offset_unit VARCHAR(10) NOT NULL,
+                cohort_start TIMESTAMP NOT NULL,
+                offset_value INTEGER NOT NULL,
+                
+                -- Usuários da coorte e os que já alcançaram o deslocamento (elegíveis)
+                cohort_size INTEGER DEFAULT 0,
+                eligible_users INTEGER DEFAULT 0,
+                active_users INTEGER DEFAULT 0,
+                
+                -- Valores no deslocamento (depósitos confirmados e apostas)
+                deposit_amount DECIMAL(15,2) DEFAULT 0,
+                bet_amount DECIMAL(15,2) DEFAULT 0,
+                
+                activity_retention DECIMAL(5,4),
+                revenue_retention DECIMAL(12,4),
+                
+                computed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                
+                CONSTRAINT valid_cohort_basis CHECK (cohort_basis IN ('REGISTRATION', 'FTD')),
+                CONSTRAINT valid_cohort_period CHECK (cohort_period IN ('WEEK', 'MONTH')),
+                CONSTRAINT valid_offset_unit CHECK (offset_unit IN ('DAY', 'WEEK', 'MONTH')),
+                CONSTRAINT positive_counts CHECK (
+                    offset_value >= 0 AND cohort_size >= 0 AND
+                    eligible_users >= 0 AND active_users >= 0
+                ),
+                UNIQUE(affiliate_id, cohort_basis, cohort_period, offset_unit, cohort_start, offset_value)
+            );
+        `);
+
+        // Jobs de geração de analytics em lote (processados por AnalyticsJobService)
+        // last_entity_id é o checkpoint: o job retomado continua a partir da próxima entidade
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS analytics_jobs (
+                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                entity_type VARCHAR(20) NOT NULL,
+                period_type VARCHAR(20) NOT NULL,
+                period_start TIMESTAMP NOT NULL,
+                period_end TIMESTAMP NOT NULL,
+                
+                -- Escopo: todas as entidades ou só as tocadas desde touched_since
+                scope VARCHAR(20) NOT NULL DEFAULT 'ALL',
+                touched_since TIMESTAMP,
+                trigger_type VARCHAR(20) NOT NULL DEFAULT 'MANUAL',
+                batch_size INTEGER DEFAULT 500,
+                
+                -- Status e progresso
+                status VARCHAR(20) DEFAULT 'PENDING',
+                last_entity_id BIGINT,
+                entities_total INTEGER DEFAULT 0,
+                entities_processed INTEGER DEFAULT 0,
+                entities_failed INTEGER DEFAULT 0,
+                progress_percentage INTEGER DEFAULT 0,
+                
+                -- Timing
+                started_at TIMESTAMP,
+                heartbeat_at TIMESTAMP,
+                completed_at TIMESTAMP,
+                
+                -- Metadados
+                requested_by VARCHAR(100),
+                error_message TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                
+                CONSTRAINT valid_job_entity_type CHECK (entity_type IN ('USER', 'AFFILIATE')),
+                CONSTRAINT valid_job_period_type CHECK (period_type IN ('DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY')),
+                CONSTRAINT valid_job_scope CHECK (scope IN ('ALL', 'TOUCHED')),
+                CONSTRAINT valid_job_trigger CHECK (trigger_type IN ('MANUAL', 'SCHEDULE')),
+                CONSTRAINT valid_job_status CHECK (status IN ('PENDING', 'PROCESSING', 'COMPLETED', 'FAILED', 'CANCELLED')),
+                CONSTRAINT valid_job_progress CHECK (progress_percentage >= 0 AND progress_percentage <= 100),
+                CONSTRAINT positive_job_counts CHECK (
+                    batch_size > 0 AND entities_total >= 0 AND
+                    entities_processed >= 0 AND entities_failed >= 0
+                )
+            );
+        `);
+
         // Tabela de exportações
         await client.query(`
             CREATE TABLE IF NOT EXISTS data_exports (
@@ -234,9 +319,32 @@ async function createTables() {
                 max_retries INTEGER DEFAULT 3,
                 timeout_seconds INTEGER DEFAULT 300,
                 
-                -- Mapeamento de campos
+                -- Mapeamento de campos (documento de mapeamento do ETL)
+                source_table VARCHAR(100),
+                target_table VARCHAR(100),
+                primary_key VARCHAR(100) DEFAULT 'id',
+                natural_key VARCHAR(100),
+                incremental_field VARCHAR(100),
                 field_mapping JSONB DEFAULT '{}',
+                transforms JSONB,
                 filters JSONB DEFAULT '{}',
+                validations JSONB DEFAULT '{}',
+                amount_fields JSONB,
+                history_columns JSONB,
+                
+                -- Mapeamentos que precisam ser carregados antes deste (ordem do DAG de sincronização)
+                depends_on JSONB,
+                
+                -- Drift de schema da tabela de origem
+                drift_policy VARCHAR(10) DEFAULT 'warn',
+                schema_snapshot JSONB,
+                schema_snapshot_at TIMESTAMP,
+                
+                -- Modo de sincronização: polling (incremental agendado) ou cdc (replicação lógica)
+                sync_mode VARCHAR(10) DEFAULT 'polling',
+                
+                -- Propagação de exclusões da origem: ignore, soft (deleted_at) ou hard (NULL = padrão do modo)
+                delete_mode VARCHAR(10),
                 
                 -- Status
                 status VARCHAR(20) DEFAULT 'ACTIVE',
@@ -256,6 +364,29 @@ async function createTables() {
             );
         `);
 
+        // Colunas do mapeamento ETL em bancos criados antes delas
+        const syncConfigurationColumns = [
+            'source_table VARCHAR(100)',
+            'target_table VARCHAR(100)',
+            "primary_key VARCHAR(100) DEFAULT 'id'",
+            'natural_key VARCHAR(100)',
+            'incremental_field VARCHAR(100)',
+            "validations JSONB DEFAULT '{}'",
+            'transforms JSONB',
+            "drift_policy VARCHAR(10) DEFAULT 'warn'",
+            'schema_snapshot JSONB',
+            'schema_snapshot_at TIMESTAMP',
+            'amount_fields JSONB',
+            "sync_mode VARCHAR(10) DEFAULT 'polling'",
+            'delete_mode VARCHAR(10)',
+            'history_columns JSONB',
+            'depends_on JSONB'
+        ];
+
+        for (const column of syncConfigurationColumns) {
+            await client.query(`ALTER TABLE sync_configurations ADD COLUMN IF NOT EXISTS ${column}`);
+        }
+
         // Criar índices para performance
         const indexes = [
             'CREATE INDEX IF NOT EXISTS idx_data_sync_logs_type ON data_sync_logs(sync_type)',
@@ -273,6 +404,11 @@ async function createTables() {
             'CREATE INDEX IF NOT EXISTS idx_affiliate_analytics_period ON affiliate_analytics(period_type, period_start)',
             'CREATE INDEX IF NOT EXISTS idx_affiliate_analytics_updated ON affiliate_analytics(last_updated)',
             
+            'CREATE INDEX IF NOT EXISTS idx_cohort_retention_computed ON cohort_retention(computed_at)',
+
+            'CREATE INDEX IF NOT EXISTS idx_analytics_jobs_status ON analytics_jobs(status, created_at)',
+            'CREATE INDEX IF NOT EXISTS idx_analytics_jobs_scope ON analytics_jobs(entity_type, period_type, period_start)',
+            
             'CREATE INDEX IF NOT EXISTS idx_data_exports_type ON data_exports(export_type)',
             'CREATE INDEX IF NOT EXISTS idx_data_exports_status ON data_exports(status)',
             'CREATE INDEX IF NOT EXISTS idx_data_exports_created ON data_exports(created_at)',
@@ -287,7 +423,13 @@ async function createTables() {
             'CREATE INDEX IF NOT EXISTS idx_sync_configurations_table ON sync_configurations(table_name)',
             'CREATE INDEX IF NOT EXISTS idx_sync_configurations_enabled ON sync_configurations(sync_enabled)',
             'CREATE INDEX IF NOT EXISTS idx_sync_configurations_next_sync ON sync_configurations(next_sync_at)',
-            'CREATE INDEX IF NOT EXISTS idx_sync_configurations_status ON sync_configurations(status)'
+            'CREATE INDEX IF NOT EXISTS idx_sync_configurations_status ON sync_configurations(status)',
+
+            // Chaves naturais dos mapeamentos padrão do ETL: o upsert usa ON CONFLICT (chave natural)
+            // (deposit_activities é criada pelo ETL já com UNIQUE em external_deposit_id)
+            'CREATE UNIQUE INDEX IF NOT EXISTS affiliates_external_user_id_etl_key ON affiliates(external_user_id)',
+            'CREATE UNIQUE INDEX IF NOT EXISTS referrals_external_transaction_id_etl_key ON referrals(external_transaction_id)',
+            'CREATE UNIQUE INDEX IF NOT EXISTS bet_activities_external_bet_id_etl_key ON bet_activities(external_bet_id)'
         ];
 
         for (const indexQuery of indexes) {
@@ -308,91 +450,20 @@ async function createTables() {
 }
 
 async function insertTestData(client) {
-    console.log('📋 Verificando dados de teste...');
+    console.log('📋 Verificando configurações de sincronização...');
 
     try {
-        // Verificar se já existem dados
-        const existingData = await client.query('SELECT COUNT(*) FROM sync_configurations');
-        const count = parseInt(existingData.rows[0].count);
-
-        if (count === 0) {
-            console.log('📝 Inserindo configurações de sincronização padrão...');
-
-            // Configurações padrão de sincronização
-            const defaultConfigs = [
-                {
-                    table_name: 'users',
-                    sync_interval_minutes: 30,
-                    batch_size: 1000,
-                    field_mapping: {
-                        'id': 'user_id',
-                        'affiliate_id': 'affiliate_id',
-                        'created_at': 'registration_date',
-                        'email': 'email',
-                        'status': 'status'
-                    }
-                },
-                {
-                    table_name: 'transactions',
-                    sync_interval_minutes: 15,
-                    batch_size: 500,
-                    field_mapping: {
-                        'id': 'transaction_id',
-                        'user_id': 'user_id',
-                        'amount': 'amount',
-                        'type': 'transaction_type',
-                        'created_at': 'transaction_date'
-                    }
-                },
-                {
-                    table_name: 'bets',
-                    sync_interval_minutes: 10,
-                    batch_size: 2000,
-                    field_mapping: {
-                        'id': 'bet_id',
-                        'user_id': 'user_id',
-                        'amount': 'bet_amount',
-                        'result': 'bet_result',
-                        'created_at': 'bet_date'
-                    }
-                },
-                {
-                    table_name: 'deposits',
-                    sync_interval_minutes: 5,
-                    batch_size: 200,
-                    field_mapping: {
-                        'id': 'deposit_id',
-                        'user_id': 'user_id',
-                        'amount': 'deposit_amount',
-                        'status': 'deposit_status',
-                        'created_at': 'deposit_date'
-                    }
-                }
-            ];
-
-            for (const config of defaultConfigs) {
-                const nextSync = new Date();
-                nextSync.setMinutes(nextSync.getMinutes() + config.sync_interval_minutes);
-
-                await client.query(`
-                    INSERT INTO sync_configurations 
-                    (table_name, sync_interval_minutes, batch_size, field_mapping, next_sync_at)
-                    VALUES ($1, $2, $3, $4, $5)
-                `, [
-                    config.table_name,
-                    config.sync_interval_minutes,
-                    config.batch_size,
-                    JSON.stringify(config.field_mapping),
-                    nextSync
-                ]);
-            }
+        // Mapeamentos padrão do ETL (src/etl/config.js); linhas já existentes são preservadas
+        console.log('📝 Inserindo configurações de sincronização padrão...');
+        const seeded = await new MappingStore(client).seedDefaults();
 
-            console.log('✅ Configurações padrão inseridas!');
+        if (seeded > 0) {
+            console.log(`✅ ${seeded} configurações padrão inseridas!`);
         } else {
-            console.log('⚠️  Dados já existem, pulando inserção de teste');
+            console.log('⚠️  Configurações já existem, pulando inserção');
         }
     } catch (error) {
-        console.error('❌ Erro ao inserir dados de teste:', error);
+        console.error('❌ Erro ao inserir configurações padrão:', error);
         // Não propagar erro para não quebrar a migração
     }
 }
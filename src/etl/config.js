@@ -7,7 +7,10 @@ const ETLConfig = {
     batchSize: parseInt(process.env.ETL_BATCH_SIZE) || 1000,
     maxRetries: parseInt(process.env.ETL_MAX_RETRIES) || 3,
     retryDelay: parseInt(process.env.ETL_RETRY_DELAY) || 5000,
+    // Tabelas sincronizadas ao mesmo tempo nas sincronizações completa e incremental
     parallelJobs: parseInt(process.env.ETL_PARALLEL_JOBS) || 3,
+    // Política padrão de drift de schema na origem: 'warn' (apenas registra) ou 'block' (interrompe a sincronização)
+    driftPolicy: process.env.ETL_DRIFT_POLICY || 'warn',
     logLevel: process.env.ETL_LOG_LEVEL || 'info'
   },
 
@@ -52,9 +55,10 @@ const ETLConfig = {
       timeout: parseInt(process.env.ETL_FULL_SYNC_TIMEOUT) || 3600000 // 1 hora
     },
 
-    // Sincronização incremental (a cada 15 minutos)
+    // Sincronização incremental: verifica a cada minuto as tabelas cujo next_sync_at venceu
+    // (cada tabela segue o próprio sync_interval_minutes)
     incrementalSync: {
-      cron: process.env.ETL_INCREMENTAL_SYNC_CRON || '*/15 * * * *',
+      cron: process.env.ETL_INCREMENTAL_SYNC_CRON || '* * * * *',
       enabled: process.env.ETL_INCREMENTAL_SYNC_ENABLED !== 'false',
       timeout: parseInt(process.env.ETL_INCREMENTAL_SYNC_TIMEOUT) || 300000 // 5 minutos
     },
@@ -64,18 +68,30 @@ const ETLConfig = {
       cron: process.env.ETL_CLEANUP_CRON || '0 3 * * 0',
       enabled: process.env.ETL_CLEANUP_ENABLED !== 'false',
       retentionDays: parseInt(process.env.ETL_LOG_RETENTION_DAYS) || 30
+    },
+
+    // Detecção de exclusões na origem (diária às 04:00), apenas mapeamentos com deleteMode soft/hard
+    deletionSync: {
+      cron: process.env.ETL_DELETION_SYNC_CRON || '0 4 * * *',
+      enabled: process.env.ETL_DELETION_SYNC_ENABLED !== 'false'
     }
   },
 
   // Mapeamento de tabelas e transformações
+  // Valores iniciais: em execução os mapeamentos são carregados de sync_configurations
+  // (MappingStore). `transforms` usa a DSL declarativa (gravável no banco); transformações
+  // em função (`transformations`, não serializáveis) só podem ser definidas aqui
   mappings: {
     // Usuários -> Afiliados
     users: {
       sourceTable: 'users',
       targetTable: 'affiliates',
       primaryKey: 'id',
+      // Chave natural no destino (coluna com índice único usada no upsert)
+      naturalKey: 'external_user_id',
       incrementalField: 'updated_at',
       enabled: process.env.ETL_SYNC_USERS !== 'false',
+      syncIntervalMinutes: 30,
       
       // Campos mapeados
       fieldMapping: {
@@ -93,27 +109,24 @@ const ETLConfig = {
         'referrer_id': 'referrer_id'
       },
 
-      // Transformações específicas
-      transformations: {
-        status: (value) => {
-          const statusMap = {
+      // Histórico (SCD tipo 2) em affiliates_history: base para disputas de comissão
+      historyColumns: ['status', 'referrer_id'],
+
+      // Transformações específicas (DSL declarativa, ver transformers/transformDsl.js)
+      transforms: {
+        status: {
+          map: {
             'active': 'ACTIVE',
             'inactive': 'INACTIVE',
             'suspended': 'SUSPENDED',
             'banned': 'BANNED'
-          };
-          return statusMap[value] || 'INACTIVE';
-        },
-        
-        document: (value) => {
-          // Limpar formatação do documento
-          return value ? value.replace(/[^\d]/g, '') : null;
+          },
+          default: 'INACTIVE'
         },
 
-        phone: (value) => {
-          // Limpar formatação do telefone
-          return value ? value.replace(/[^\d]/g, '') : null;
-        }
+        // Limpar formatação do documento e do telefone
+        document: 'digitsOnly',
+        phone: 'digitsOnly'
       },
 
       // Validações
@@ -129,8 +142,13 @@ const ETLConfig = {
       sourceTable: 'transactions',
       targetTable: 'referrals',
       primaryKey: 'id',
+      naturalKey: 'external_transaction_id',
       incrementalField: 'created_at',
       enabled: process.env.ETL_SYNC_TRANSACTIONS !== 'false',
+      syncIntervalMinutes: 15,
+
+      // referred_user_id referencia affiliates: usuários carregados antes (cleanupOrphanRecords)
+      dependsOn: ['users'],
       
       // Filtros para considerar apenas transações relevantes
       filters: {
@@ -149,25 +167,32 @@ const ETLConfig = {
         'updated_at': 'updated_at'
       },
 
-      transformations: {
-        validation_status: (value, row) => {
-          // Lógica para determinar se a transação valida o referral
-          if (value === 'completed' && parseFloat(row.amount) >= 50) {
-            return 'VALIDATED';
-          }
-          return 'PENDING';
+      transforms: {
+        // Transação valida o referral quando concluída e com valor mínimo de 50
+        validation_status: {
+          if: {
+            all: [
+              { field: 'status', eq: 'completed' },
+              { field: 'amount', gte: 50 }
+            ]
+          },
+          then: 'VALIDATED',
+          else: 'PENDING'
         },
 
-        transaction_type: (value) => {
-          const typeMap = {
+        transaction_type: {
+          map: {
             'deposit': 'DEPOSIT',
             'bet': 'BET',
             'withdrawal': 'WITHDRAWAL'
-          };
-          return typeMap[value] || 'OTHER';
+          },
+          default: 'OTHER'
         }
       },
 
+      // Colunas de valor somadas na reconciliação origem x destino
+      amountFields: ['amount'],
+
       validations: {
         required: ['external_transaction_id', 'referred_user_id', 'transaction_amount'],
         numeric: ['transaction_amount'],
@@ -180,8 +205,11 @@ const ETLConfig = {
       sourceTable: 'bets',
       targetTable: 'bet_activities',
       primaryKey: 'id',
+      naturalKey: 'external_bet_id',
       incrementalField: 'created_at',
       enabled: process.env.ETL_SYNC_BETS !== 'false',
+      syncIntervalMinutes: 10,
+      dependsOn: ['users'],
 
       fieldMapping: {
         'id': 'external_bet_id',
@@ -195,31 +223,144 @@ const ETLConfig = {
         'updated_at': 'updated_at'
       },
 
-      transformations: {
-        bet_status: (value) => {
-          const statusMap = {
+      transforms: {
+        bet_status: {
+          map: {
             'pending': 'PENDING',
             'won': 'WON',
             'lost': 'LOST',
             'cancelled': 'CANCELLED',
             'void': 'VOID'
-          };
-          return statusMap[value] || 'PENDING';
+          },
+          default: 'PENDING'
         },
 
-        bet_result: (value) => {
-          return value === 'won' ? 'WIN' : value === 'lost' ? 'LOSS' : 'PENDING';
+        bet_result: {
+          map: { 'won': 'WIN', 'lost': 'LOSS' },
+          default: 'PENDING'
         }
       },
 
+      amountFields: ['amount', 'payout'],
+
       validations: {
         required: ['external_bet_id', 'user_id', 'bet_amount'],
         numeric: ['bet_amount', 'odds', 'payout_amount'],
         positive: ['bet_amount']
       }
+    },
+
+    // Depósitos -> deposit_activities; o primeiro depósito confirmado de cada usuário é
+    // marcado como FTD (is_ftd) pelo DataLoader após o upsert (ver loaders/firstDepositTracker.js)
+    // incrementalField é updated_at porque o status muda depois da criação (pending -> approved)
+    deposits: {
+      sourceTable: 'deposits',
+      targetTable: 'deposit_activities',
+      primaryKey: 'id',
+      naturalKey: 'external_deposit_id',
+      incrementalField: 'updated_at',
+      enabled: process.env.ETL_SYNC_DEPOSITS !== 'false',
+      syncIntervalMinutes: 10,
+      dependsOn: ['users'],
+
+      fieldMapping: {
+        'id': 'external_deposit_id',
+        'user_id': 'user_id',
+        'amount': 'deposit_amount',
+        'currency': 'currency',
+        'payment_method': 'payment_method',
+        'status': 'deposit_status',
+        'created_at': 'deposit_date',
+        'updated_at': 'updated_at'
+      },
+
+      transforms: {
+        currency: [{ coalesce: ['$value', 'BRL'] }, 'trim', 'uppercase'],
+
+        payment_method: [
+          'trim',
+          'lowercase',
+          {
+            map: {
+              'pix': 'PIX',
+              'boleto': 'BOLETO',
+              'credit_card': 'CREDIT_CARD',
+              'card': 'CREDIT_CARD',
+              'debit_card': 'DEBIT_CARD',
+              'bank_transfer': 'BANK_TRANSFER',
+              'ted': 'BANK_TRANSFER',
+              'crypto': 'CRYPTO',
+              'ewallet': 'EWALLET'
+            },
+            default: 'OTHER'
+          }
+        ],
+
+        deposit_status: [
+          'trim',
+          'lowercase',
+          {
+            map: {
+              'pending': 'PENDING',
+              'processing': 'PENDING',
+              'approved': 'CONFIRMED',
+              'completed': 'CONFIRMED',
+              'paid': 'CONFIRMED',
+              'confirmed': 'CONFIRMED',
+              'failed': 'FAILED',
+              'rejected': 'FAILED',
+              'expired': 'FAILED',
+              'cancelled': 'CANCELLED',
+              'refunded': 'REFUNDED',
+              'chargeback': 'CHARGEBACK'
+            },
+            default: 'PENDING'
+          }
+        ]
+      },
+
+      amountFields: ['amount'],
+
+      validations: {
+        required: ['external_deposit_id', 'user_id', 'deposit_amount', 'deposit_date'],
+        numeric: ['deposit_amount'],
+        positive: ['deposit_amount']
+      }
     }
   },
 
+  // Reconciliação origem x destino (contagens, somas e hashes por faixa de chave primária)
+  reconciliation: {
+    chunkSize: parseInt(process.env.ETL_RECONCILIATION_CHUNK_SIZE) || 10000,
+    // Máximo de chaves listadas por categoria no detalhamento de uma faixa
+    drillDownLimit: parseInt(process.env.ETL_RECONCILIATION_DRILLDOWN_LIMIT) || 100
+  },
+
+  // Backfill histórico: recarga de um intervalo de datas em janelas (chunkSize: <n>h ou <n>d)
+  // com checkpoint por janela; throttleMs é a pausa entre consultas à origem
+  backfill: {
+    chunkSize: process.env.ETL_BACKFILL_CHUNK_SIZE || '1d',
+    throttleMs: parseInt(process.env.ETL_BACKFILL_THROTTLE_MS) || 500,
+    maxChunks: parseInt(process.env.ETL_BACKFILL_MAX_CHUNKS) || 5000
+  },
+
+  // Detecção de exclusões (anti-join das chaves do destino contra a origem, em faixas)
+  deletion: {
+    chunkSize: parseInt(process.env.ETL_DELETION_CHUNK_SIZE) || 5000
+  },
+
+  // Captura de alterações (CDC) por decodificação lógica de um slot de replicação na origem
+  // Mapeamentos com syncMode 'cdc' são atualizados pelo consumo do slot e saem do polling incremental
+  cdc: {
+    enabled: process.env.ETL_CDC_ENABLED === 'true',
+    plugin: process.env.ETL_CDC_PLUGIN || 'pgoutput', // pgoutput | wal2json
+    slotName: process.env.ETL_CDC_SLOT || 'fature_etl',
+    publication: process.env.ETL_CDC_PUBLICATION || 'fature_etl_pub', // apenas pgoutput
+    createSlot: process.env.ETL_CDC_CREATE_SLOT !== 'false',
+    pollInterval: parseInt(process.env.ETL_CDC_POLL_INTERVAL_MS) || 5000,
+    maxChanges: parseInt(process.env.ETL_CDC_MAX_CHANGES) || 5000
+  },
+
   // Configurações de monitoramento
   monitoring: {
     enabled: process.env.ETL_MONITORING_ENABLED !== 'false',
@@ -0,0 +1,189 @@
+const ETLConfig = require('../config');
+const { decodePgoutput } = require('./pgoutputDecoder');
+const logger = require('../../utils/logger');
+
+const PLUGINS = ['pgoutput', 'wal2json'];
+const NAME_REGEX = /^[a-z_][a-z0-9_]*$/;
+
+const WAL2JSON_ACTIONS = { I: 'insert', U: 'update', D: 'delete', T: 'truncate' };
+
+// Extração por decodificação lógica (CDC) de um slot de replicação no banco de origem
+//
+// As alterações são lidas com pg_logical_slot_peek_*_changes (sem consumir o slot) e o slot só
+// avança (advance) depois que o lote foi carregado; em caso de falha o mesmo lote é relido.
+// As funções de decodificação devolvem transações completas, então o último LSN do lote é
+// sempre o fim de um commit
+class CdcExtractor {
+  constructor(extractor) {
+    this.extractor = extractor;
+  }
+
+  get config() {
+    return ETLConfig.cdc;
+  }
+
+  // Criar publicação (pgoutput) e slot quando não existirem
+  async ensureSlot(sourceTables) {
+    const { plugin, slotName, publication, createSlot } = this.config;
+
+    if (!PLUGINS.includes(plugin)) {
+      throw new Error(`Plugin de decodificação inválido: ${plugin} (aceitos: ${PLUGINS.join(', ')})`);
+    }
+    if (!NAME_REGEX.test(slotName) || !NAME_REGEX.test(publication)) {
+      throw new Error('Nome de slot ou publicação inválido (use apenas letras minúsculas, números e _)');
+    }
+
+    const pool = await this.extractor.connect();
+
+    if (plugin === 'pgoutput') {
+      await this.ensurePublication(pool, sourceTables);
+    }
+
+    const slot = await this.getSlot();
+    if (slot) {
+      if (slot.plugin !== plugin) {
+        throw new Error(`Slot ${slotName} usa o plugin ${slot.plugin}, configurado: ${plugin}`);
+      }
+      return slot;
+    }
+
+    if (!createSlot) {
+      throw new Error(`Slot de replicação ${slotName} não existe (ETL_CDC_CREATE_SLOT=false)`);
+    }
+
+    await pool.query('SELECT pg_create_logical_replication_slot($1, $2)', [slotName, plugin]);
+    logger.info(`🛰️ ETL CDC: Slot de replicação ${slotName} criado`, { plugin });
+
+    return await this.getSlot();
+  }
+
+  // Publicação com as tabelas de origem em modo CDC; tabelas novas são acrescentadas
+  async ensurePublication(pool, sourceTables) {
+    const { publication } = this.config;
+
+    const existing = await pool.query(
+      'SELECT schemaname, tablename FROM pg_publication_tables WHERE pubname = $1',
+      [publication]
+    );
+    const exists = (await pool.query('SELECT 1 FROM pg_publication WHERE pubname = $1', [publication])).rows.length > 0;
+
+    if (!exists) {
+      await pool.query(`CREATE PUBLICATION ${publication} FOR TABLE ${sourceTables.join(', ')}`);
+      logger.info(`🛰️ ETL CDC: Publicação ${publication} criada`, { tables: sourceTables });
+      return;
+    }
+
+    const published = existing.rows.map(row => [`${row.schemaname}.${row.tablename}`, row.tablename]).flat();
+    const missing = sourceTables.filter(table => !published.includes(table));
+
+    for (const table of missing) {
+      try {
+        await pool.query(`ALTER PUBLICATION ${publication} ADD TABLE ${table}`);
+        logger.info(`🛰️ ETL CDC: Tabela ${table} adicionada à publicação ${publication}`);
+      } catch (error) {
+        logger.error(`❌ ETL CDC: Não foi possível adicionar ${table} à publicação ${publication}`, {
+          error: error.message
+        });
+      }
+    }
+  }
+
+  async getSlot() {
+    const pool = await this.extractor.connect();
+
+    const result = await pool.query(`
+      SELECT
+        slot_name,
+        plugin,
+        active,
+        confirmed_flush_lsn::text AS confirmed_flush_lsn,
+        pg_wal_lsn_diff(pg_current_wal_lsn(), confirmed_flush_lsn) AS lag_bytes
+      FROM pg_replication_slots
+      WHERE slot_name = $1 AND slot_type = 'logical'
+    `, [this.config.slotName]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const row = result.rows[0];
+    return {
+      slotName: row.slot_name,
+      plugin: row.plugin,
+      active: row.active,
+      confirmedFlushLsn: row.confirmed_flush_lsn,
+      lagBytes: parseInt(row.lag_bytes) || 0
+    };
+  }
+
+  // Posicionar o slot no checkpoint gravado, caso o avanço anterior não tenha sido persistido
+  // (pg_replication_slot_advance só é gravado em disco no próximo checkpoint do PostgreSQL)
+  async restorePosition(lsn) {
+    const pool = await this.extractor.connect();
+
+    const result = await pool.query(`
+      SELECT pg_replication_slot_advance(slot_name, $2::pg_lsn)
+      FROM pg_replication_slots
+      WHERE slot_name = $1 AND confirmed_flush_lsn < $2::pg_lsn
+    `, [this.config.slotName, lsn]);
+
+    if (result.rows.length > 0) {
+      logger.info(`🛰️ ETL CDC: Slot ${this.config.slotName} reposicionado no checkpoint`, { lsn });
+    }
+  }
+
+  // Ler o próximo lote de alterações sem consumir o slot
+  // Retorna os eventos decodificados e o LSN a ser confirmado após a carga
+  async peekChanges(sourceTables) {
+    const { plugin, slotName, publication, maxChanges } = this.config;
+    const pool = await this.extractor.connect();
+
+    const result = plugin === 'pgoutput'
+      ? await pool.query(`
+          SELECT lsn::text AS lsn, data
+          FROM pg_logical_slot_peek_binary_changes($1, NULL, $2, 'proto_version', '1', 'publication_names', $3)
+        `, [slotName, maxChanges, publication])
+      : await pool.query(`
+          SELECT lsn::text AS lsn, data
+          FROM pg_logical_slot_peek_changes($1, NULL, $2, 'format-version', '2', 'add-tables', $3)
+        `, [slotName, maxChanges, sourceTables.map(table => table.includes('.') ? table : `*.${table}`).join(',')]);
+
+    const rows = result.rows;
+
+    return {
+      rowCount: rows.length,
+      lastLsn: rows.length > 0 ? rows[rows.length - 1].lsn : null,
+      events: plugin === 'pgoutput' ? decodePgoutput(rows) : this.decodeWal2json(rows)
+    };
+  }
+
+  // Confirmar o lote: alterações até o LSN não são mais devolvidas pelo slot
+  async advance(lsn) {
+    const pool = await this.extractor.connect();
+    await pool.query('SELECT pg_replication_slot_advance($1, $2::pg_lsn)', [this.config.slotName, lsn]);
+  }
+
+  // wal2json format-version 2: uma linha JSON por alteração (B/C delimitam transações)
+  decodeWal2json(rows) {
+    const toRecord = (columns) => columns
+      ? Object.fromEntries(columns.map(column => [column.name, column.value]))
+      : null;
+
+    return rows
+      .map(row => ({ lsn: row.lsn, change: JSON.parse(row.data) }))
+      .filter(({ change }) => WAL2JSON_ACTIONS[change.action])
+      .map(({ lsn, change }) => ({
+        action: WAL2JSON_ACTIONS[change.action],
+        schema: change.schema,
+        table: change.table,
+        record: change.action === 'D' ? null : toRecord(change.columns),
+        identity: toRecord(change.identity),
+        partial: false,
+        lsn
+      }));
+  }
+}
+
+CdcExtractor.PLUGINS = PLUGINS;
+
+module.exports = CdcExtractor;
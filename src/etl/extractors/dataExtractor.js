@@ -2,6 +2,10 @@ const { Pool } = require('pg');
 const ETLConfig = require('../config');
 const logger = require('../../utils/logger');
 
+// Coluna auxiliar com o campo incremental em texto: o pg converte timestamps em Date, que
+// guarda só milissegundos, e o cursor precisa da precisão de microssegundos da origem
+const CURSOR_COLUMN = '_etl_cursor_value';
+
 class DataExtractor {
   constructor() {
     this.sourcePool = null;
@@ -70,6 +74,8 @@ class DataExtractor {
       offset = 0,
       incrementalField = null,
       lastSyncTime = null,
+      seekAfter = null,
+      dateRange = null,
       filters = {},
       orderBy = null
     } = options;
@@ -88,6 +94,8 @@ class DataExtractor {
         offset,
         incrementalField,
         lastSyncTime,
+        seekAfter,
+        dateRange,
         filters,
         orderBy
       });
@@ -96,7 +104,9 @@ class DataExtractor {
         batchSize,
         offset,
         incrementalField,
-        lastSyncTime
+        lastSyncTime,
+        seekAfter: seekAfter ? seekAfter.values : null,
+        dateRange
       });
 
       const startTime = Date.now();
@@ -109,6 +119,12 @@ class DataExtractor {
         extractTime: `${extractTime}ms`
       });
 
+      const lastRow = result.rows[result.rows.length - 1];
+      const lastCursorValue = lastRow && mapping.incrementalField ? lastRow[CURSOR_COLUMN] : null;
+      if (mapping.incrementalField) {
+        result.rows.forEach(row => delete row[CURSOR_COLUMN]);
+      }
+
       return {
         success: true,
         data: result.rows,
@@ -118,7 +134,14 @@ class DataExtractor {
           extractTime,
           batchSize,
           offset,
-          hasMore: result.rows.length === batchSize
+          hasMore: result.rows.length === batchSize,
+          // Posição do último registro lido, usada como cursor do próximo lote
+          lastRow: lastRow
+            ? {
+                primaryKey: lastRow[mapping.primaryKey],
+                incrementalValue: lastCursorValue
+              }
+            : null
         }
       };
 
@@ -141,68 +164,142 @@ class DataExtractor {
   }
 
   // Extrair dados incrementais
-  async extractIncremental(tableName, lastSyncTime) {
+  // O cursor pode ser um timestamp simples ou um par { value, primaryKey } (watermark)
+  // Com o par, a paginação usa (incrementalField, primaryKey) e registros com o mesmo
+  // timestamp na fronteira entre lotes não são perdidos
+  async extractIncremental(tableName, cursor = null, options = {}) {
     const mapping = ETLConfig.mappings[tableName];
     if (!mapping || !mapping.incrementalField) {
       throw new Error(`Tabela ${tableName} não suporta extração incremental`);
     }
 
-    return this.extractTable(tableName, {
-      incrementalField: mapping.incrementalField,
-      lastSyncTime,
-      orderBy: mapping.incrementalField
+    const { value = null, primaryKey = null } = this.normalizeCursor(cursor);
+    let seekAfter = null;
+
+    if (value !== null && primaryKey !== null) {
+      seekAfter = {
+        columns: [mapping.incrementalField, mapping.primaryKey],
+        values: [value, primaryKey]
+      };
+    } else if (value !== null) {
+      seekAfter = {
+        columns: [mapping.incrementalField],
+        values: [value]
+      };
+    }
+
+    const result = await this.extractTable(tableName, {
+      batchSize: mapping.batchSize || ETLConfig.general.batchSize,
+      ...options,
+      seekAfter,
+      orderBy: [mapping.incrementalField, mapping.primaryKey]
     });
+
+    if (result.success) {
+      const { lastRow } = result.metadata;
+      result.metadata.nextCursor = lastRow
+        ? { value: lastRow.incrementalValue, primaryKey: lastRow.primaryKey }
+        : { value, primaryKey };
+    }
+
+    return result;
   }
 
   // Extrair dados completos em lotes
-  async extractFull(tableName, onBatch = null) {
+  // Paginação por chave (keyset): WHERE pk > último_pk ORDER BY pk LIMIT n
+  // Cada lote custa o mesmo, e inserções durante a varredura não deslocam as páginas
+  // options.shouldStop (async) é consultado antes de cada lote para cancelamento
+  async extractFull(tableName, onBatch = null, options = {}) {
+    const { shouldStop = null } = options;
     const mapping = ETLConfig.mappings[tableName];
     if (!mapping) {
       throw new Error(`Tabela ${tableName} não configurada`);
     }
 
-    let offset = 0;
+    let lastKey = null;
+    let batch = 0;
     let hasMore = true;
+    let cancelled = false;
     let totalRecords = 0;
-    const batchSize = ETLConfig.general.batchSize;
+    const batchSize = mapping.batchSize || ETLConfig.general.batchSize;
 
     logger.info(`📤 ETL Extractor: Iniciando extração completa de ${mapping.sourceTable}`);
 
-    while (hasMore) {
-      const result = await this.extractTable(tableName, {
-        batchSize,
-        offset,
-        orderBy: mapping.primaryKey
-      });
+    const fetchBatch = (afterKey) => this.extractTable(tableName, {
+      batchSize,
+      seekAfter: afterKey !== null
+        ? { columns: [mapping.primaryKey], values: [afterKey] }
+        : null,
+      orderBy: mapping.primaryKey
+    });
+
+    // Pipeline: o lote N+1 é lido da origem enquanto o lote N é transformado e carregado
+    // (onBatch). No máximo um lote fica pré-carregado, o que limita a memória a dois lotes
+    let pending = null;
+    if (!(shouldStop && await shouldStop())) {
+      pending = fetchBatch(null);
+    } else {
+      cancelled = true;
+    }
+
+    while (pending) {
+      const result = await pending;
+      pending = null;
 
       if (!result.success) {
         throw new Error(`Erro na extração: ${result.error}`);
       }
 
+      batch++;
       totalRecords += result.data.length;
       hasMore = result.metadata.hasMore;
 
-      // Callback para processar lote
-      if (onBatch && typeof onBatch === 'function') {
-        await onBatch(result.data, {
-          batch: Math.floor(offset / batchSize) + 1,
-          offset,
-          totalRecords
-        });
+      if (result.metadata.lastRow) {
+        lastKey = result.metadata.lastRow.primaryKey;
       }
 
-      offset += batchSize;
+      if (hasMore) {
+        if (shouldStop && await shouldStop()) {
+          cancelled = true;
+        } else {
+          pending = fetchBatch(lastKey);
+        }
+      }
+
+      // Callback para processar lote
+      if (onBatch && typeof onBatch === 'function' && result.data.length > 0) {
+        try {
+          await onBatch(result.data, {
+            batch,
+            lastKey,
+            totalRecords
+          });
+        } catch (error) {
+          // A leitura antecipada é descartada junto com a extração
+          if (pending) {
+            pending.catch(() => {});
+          }
+          throw error;
+        }
+      }
 
       // Log de progresso
-      if (offset % (batchSize * 10) === 0) {
+      if (batch % 10 === 0) {
         logger.info(`📊 ETL Extractor: Progresso da extração`, {
           table: mapping.sourceTable,
           recordsProcessed: totalRecords,
-          currentOffset: offset
+          lastKey
         });
       }
     }
 
+    if (cancelled) {
+      logger.warn(`🛑 ETL Extractor: Extração de ${mapping.sourceTable} interrompida por cancelamento`, {
+        recordsProcessed: totalRecords,
+        lastKey
+      });
+    }
+
     logger.info(`✅ ETL Extractor: Extração completa finalizada`, {
       table: mapping.sourceTable,
       totalRecords
@@ -210,11 +307,75 @@ class DataExtractor {
 
     return {
       success: true,
+      cancelled,
       totalRecords,
-      batches: Math.ceil(totalRecords / batchSize)
+      batches: batch,
+      lastKey
     };
   }
 
+  // Maior par (incrementalField, primaryKey) atual da origem, com o valor em texto
+  // (precisão completa); null quando a tabela não tem registros com o campo preenchido
+  async getHighWatermark(tableName) {
+    const mapping = ETLConfig.mappings[tableName];
+    if (!mapping || !mapping.incrementalField) {
+      return null;
+    }
+
+    await this.connect();
+
+    const values = [];
+    const conditions = this.buildFilterConditions(mapping, values);
+    conditions.push(`${mapping.incrementalField} IS NOT NULL`);
+
+    const result = await this.sourcePool.query(`
+      SELECT ${mapping.incrementalField}::text AS value, ${mapping.primaryKey} AS primary_key
+      FROM ${mapping.sourceTable}
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY ${mapping.incrementalField} DESC, ${mapping.primaryKey} DESC
+      LIMIT 1
+    `, values);
+
+    return result.rows.length > 0
+      ? { value: result.rows[0].value, primaryKey: result.rows[0].primary_key }
+      : null;
+  }
+
+  // Extrair registros específicos pela chave primária (ex.: reprocessamento da quarentena)
+  async extractByPrimaryKeys(tableName, primaryKeys) {
+    const mapping = ETLConfig.mappings[tableName];
+    if (!mapping) {
+      throw new Error(`Tabela ${tableName} não configurada`);
+    }
+
+    if (!primaryKeys || primaryKeys.length === 0) {
+      return { success: true, data: [] };
+    }
+
+    try {
+      await this.connect();
+
+      // Comparação textual: as chaves vêm da quarentena como texto, independente do tipo da coluna
+      const result = await this.sourcePool.query(
+        `SELECT * FROM ${mapping.sourceTable} WHERE ${mapping.primaryKey}::text = ANY($1::text[])`,
+        [primaryKeys.map(String)]
+      );
+
+      logger.info(`📤 ETL Extractor: ${result.rows.length}/${primaryKeys.length} registros obtidos por chave`, {
+        table: mapping.sourceTable
+      });
+
+      return { success: true, data: result.rows };
+
+    } catch (error) {
+      logger.error(`❌ ETL Extractor: Erro ao extrair registros por chave de ${tableName}`, {
+        error: error.message
+      });
+
+      return { success: false, error: error.message, data: [] };
+    }
+  }
+
   // Construir query de extração
   buildExtractQuery(mapping, options) {
     const {
@@ -222,33 +383,20 @@ class DataExtractor {
       offset,
       incrementalField,
       lastSyncTime,
+      seekAfter,
+      dateRange,
       filters,
       orderBy
     } = options;
 
-    let query = `SELECT * FROM ${mapping.sourceTable}`;
+    let query = mapping.incrementalField
+      ? `SELECT *, ${mapping.incrementalField}::text AS ${CURSOR_COLUMN} FROM ${mapping.sourceTable}`
+      : `SELECT * FROM ${mapping.sourceTable}`;
     const values = [];
-    const conditions = [];
-    let paramIndex = 1;
 
     // Filtros de configuração
-    if (mapping.filters) {
-      Object.entries(mapping.filters).forEach(([field, condition]) => {
-        if (Array.isArray(condition)) {
-          const placeholders = condition.map(() => `$${paramIndex++}`).join(', ');
-          conditions.push(`${field} IN (${placeholders})`);
-          values.push(...condition);
-        } else if (typeof condition === 'object') {
-          Object.entries(condition).forEach(([operator, value]) => {
-            conditions.push(`${field} ${operator} $${paramIndex++}`);
-            values.push(value);
-          });
-        } else {
-          conditions.push(`${field} = $${paramIndex++}`);
-          values.push(condition);
-        }
-      });
-    }
+    const conditions = this.buildFilterConditions(mapping, values);
+    let paramIndex = values.length + 1;
 
     // Filtros adicionais
     if (filters && Object.keys(filters).length > 0) {
@@ -264,6 +412,20 @@ class DataExtractor {
       values.push(lastSyncTime);
     }
 
+    // Intervalo de datas (backfill): início inclusivo, fim exclusivo
+    if (dateRange) {
+      conditions.push(`${dateRange.field} >= $${paramIndex++}`);
+      conditions.push(`${dateRange.field} < $${paramIndex++}`);
+      values.push(dateRange.from, dateRange.to);
+    }
+
+    // Cursor de paginação por chave (comparação de tupla)
+    if (seekAfter && seekAfter.columns.length > 0) {
+      const placeholders = seekAfter.values.map(() => `$${paramIndex++}`).join(', ');
+      conditions.push(`(${seekAfter.columns.join(', ')}) > (${placeholders})`);
+      values.push(...seekAfter.values);
+    }
+
     // Adicionar condições WHERE
     if (conditions.length > 0) {
       query += ` WHERE ${conditions.join(' AND ')}`;
@@ -271,7 +433,7 @@ class DataExtractor {
 
     // Ordenação
     if (orderBy) {
-      query += ` ORDER BY ${orderBy}`;
+      query += ` ORDER BY ${[].concat(orderBy).join(', ')}`;
     }
 
     // Paginação
@@ -288,6 +450,80 @@ class DataExtractor {
     return { text: query, values };
   }
 
+  // Condições SQL dos filtros do mapeamento; os valores são acrescentados em `values`
+  // (os placeholders continuam a numeração a partir de values.length)
+  buildFilterConditions(mapping, values) {
+    const conditions = [];
+
+    Object.entries(mapping.filters || {}).forEach(([field, condition]) => {
+      if (Array.isArray(condition)) {
+        const placeholders = condition.map(value => {
+          values.push(value);
+          return `$${values.length}`;
+        }).join(', ');
+        conditions.push(`${field} IN (${placeholders})`);
+      } else if (typeof condition === 'object') {
+        Object.entries(condition).forEach(([operator, value]) => {
+          values.push(value);
+          conditions.push(`${field} ${operator} $${values.length}`);
+        });
+      } else {
+        values.push(condition);
+        conditions.push(`${field} = $${values.length}`);
+      }
+    });
+
+    return conditions;
+  }
+
+  // Extrair os registros de um intervalo de chaves (lowerKey exclusivo, upperKey inclusivo;
+  // null = sem limite), respeitando os filtros do mapeamento
+  // keyExpression permite comparar a chave com conversão de tipo (ex.: id::numeric)
+  async extractKeyRange(tableName, { lowerKey = null, upperKey = null, keyExpression = null } = {}) {
+    const mapping = ETLConfig.mappings[tableName];
+    if (!mapping) {
+      throw new Error(`Tabela ${tableName} não configurada`);
+    }
+
+    try {
+      await this.connect();
+
+      const key = keyExpression || mapping.primaryKey;
+      const values = [];
+      const conditions = this.buildFilterConditions(mapping, values);
+
+      if (lowerKey !== null) {
+        values.push(lowerKey);
+        conditions.push(`${key} > $${values.length}`);
+      }
+      if (upperKey !== null) {
+        values.push(upperKey);
+        conditions.push(`${key} <= $${values.length}`);
+      }
+
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+      const result = await this.sourcePool.query(
+        `SELECT * FROM ${mapping.sourceTable} ${where} ORDER BY ${key}`,
+        values
+      );
+
+      logger.info(`📤 ETL Extractor: ${result.rows.length} registros extraídos do intervalo de chaves`, {
+        table: mapping.sourceTable,
+        lowerKey,
+        upperKey
+      });
+
+      return { success: true, data: result.rows };
+
+    } catch (error) {
+      logger.error(`❌ ETL Extractor: Erro ao extrair intervalo de chaves de ${tableName}`, {
+        error: error.message
+      });
+
+      return { success: false, error: error.message, data: [] };
+    }
+  }
+
   // Obter metadados da tabela
   async getTableMetadata(tableName) {
     try {
@@ -298,19 +534,8 @@ class DataExtractor {
         throw new Error(`Tabela ${tableName} não configurada`);
       }
 
-      // Query para obter informações da tabela
-      const metadataQuery = `
-        SELECT 
-          column_name,
-          data_type,
-          is_nullable,
-          column_default
-        FROM information_schema.columns 
-        WHERE table_name = $1 
-        ORDER BY ordinal_position
-      `;
-
-      const result = await this.sourcePool.query(metadataQuery, [mapping.sourceTable]);
+      // Informações das colunas
+      const columns = await this.getSourceColumns(mapping.sourceTable);
 
       // Query para obter contagem total
       const countQuery = `SELECT COUNT(*) as total FROM ${mapping.sourceTable}`;
@@ -318,7 +543,7 @@ class DataExtractor {
 
       return {
         tableName: mapping.sourceTable,
-        columns: result.rows,
+        columns,
         totalRecords: parseInt(countResult.rows[0].total),
         primaryKey: mapping.primaryKey,
         incrementalField: mapping.incrementalField
@@ -332,6 +557,46 @@ class DataExtractor {
     }
   }
 
+  // Colunas de uma tabela de origem (information_schema), em ordem de posição
+  // sourceTable pode ser qualificado com schema (schema.tabela); sem schema, usa o current_schema()
+  async getSourceColumns(sourceTable) {
+    await this.connect();
+
+    const [schema, table] = sourceTable.includes('.')
+      ? sourceTable.split('.')
+      : [null, sourceTable];
+
+    const result = await this.sourcePool.query(`
+      SELECT 
+        column_name,
+        data_type,
+        is_nullable,
+        column_default
+      FROM information_schema.columns 
+      WHERE table_name = $1 
+        AND table_schema = COALESCE($2, current_schema())
+      ORDER BY ordinal_position
+    `, [table, schema]);
+
+    return result.rows;
+  }
+
+  // Normalizar cursor incremental (timestamp simples ou watermark)
+  normalizeCursor(cursor) {
+    if (cursor === null || cursor === undefined) {
+      return { value: null, primaryKey: null };
+    }
+
+    if (typeof cursor === 'object' && !(cursor instanceof Date)) {
+      return {
+        value: cursor.value ?? cursor.lastValue ?? null,
+        primaryKey: cursor.primaryKey ?? cursor.lastPrimaryKey ?? null
+      };
+    }
+
+    return { value: cursor, primaryKey: null };
+  }
+
   // Verificar última sincronização
   async getLastSyncTime(tableName) {
     try {
@@ -0,0 +1,107 @@
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const ETLConfig = require('../config');
+const DataExtractor = require('./dataExtractor');
+
+const mapping = {
+  sourceTable: 'events',
+  targetTable: 'events',
+  primaryKey: 'id',
+  incrementalField: 'updated_at',
+  enabled: true
+};
+
+describe('DataExtractor', () => {
+  let extractor;
+
+  beforeEach(() => {
+    ETLConfig.mappings.test_events = mapping;
+    extractor = new DataExtractor();
+  });
+
+  afterEach(() => {
+    delete ETLConfig.mappings.test_events;
+  });
+
+  describe('buildExtractQuery', () => {
+    test('cursor composto vira comparação de tupla, com ordenação e limite parametrizados', () => {
+      const query = extractor.buildExtractQuery({ sourceTable: 'events', filters: { status: ['paid', 'approved'] } }, {
+        batchSize: 500,
+        seekAfter: { columns: ['updated_at', 'id'], values: ['2024-03-01 10:00:00', 42] },
+        orderBy: ['updated_at', 'id']
+      });
+
+      expect(query.text).toContain('WHERE status IN ($1, $2) AND (updated_at, id) > ($3, $4)');
+      expect(query.text).toContain('ORDER BY updated_at, id LIMIT $5');
+      expect(query.values).toEqual(['paid', 'approved', '2024-03-01 10:00:00', 42, 500]);
+    });
+
+    test('sem cursor não há condição de paginação', () => {
+      const query = extractor.buildExtractQuery({ sourceTable: 'events' }, { batchSize: 100, orderBy: 'id' });
+
+      expect(query.text).not.toContain('WHERE');
+      expect(query.text).toContain('ORDER BY id LIMIT $1');
+      expect(query.values).toEqual([100]);
+    });
+  });
+
+  describe('normalizeCursor', () => {
+    test('aceita timestamp simples, par { value, primaryKey } ou watermark persistido', () => {
+      expect(extractor.normalizeCursor(null)).toEqual({ value: null, primaryKey: null });
+      expect(extractor.normalizeCursor('2024-03-01')).toEqual({ value: '2024-03-01', primaryKey: null });
+      expect(extractor.normalizeCursor({ value: 'a', primaryKey: 7 })).toEqual({ value: 'a', primaryKey: 7 });
+      expect(extractor.normalizeCursor({ lastValue: 'b', lastPrimaryKey: '9' })).toEqual({ value: 'b', primaryKey: '9' });
+    });
+  });
+
+  describe('extractIncremental', () => {
+    test('pagina por (campo incremental, chave primária) e devolve o próximo cursor', async () => {
+      const extractTable = jest.spyOn(extractor, 'extractTable').mockResolvedValue({
+        success: true,
+        data: [{ id: 43 }],
+        metadata: { hasMore: false, lastRow: { primaryKey: 43, incrementalValue: '2024-03-01 11:00:00' } }
+      });
+
+      const result = await extractor.extractIncremental('test_events', { value: '2024-03-01 10:00:00', primaryKey: 42 });
+
+      expect(extractTable).toHaveBeenCalledWith('test_events', expect.objectContaining({
+        seekAfter: { columns: ['updated_at', 'id'], values: ['2024-03-01 10:00:00', 42] },
+        orderBy: ['updated_at', 'id']
+      }));
+      expect(result.metadata.nextCursor).toEqual({ value: '2024-03-01 11:00:00', primaryKey: 43 });
+    });
+
+    test('lote vazio mantém o cursor atual', async () => {
+      jest.spyOn(extractor, 'extractTable').mockResolvedValue({
+        success: true,
+        data: [],
+        metadata: { hasMore: false, lastRow: null }
+      });
+
+      const result = await extractor.extractIncremental('test_events', { value: '2024-03-01 10:00:00', primaryKey: 42 });
+
+      expect(result.metadata.nextCursor).toEqual({ value: '2024-03-01 10:00:00', primaryKey: 42 });
+    });
+  });
+
+  describe('extractFull', () => {
+    test('avança pela chave primária do último registro de cada lote', async () => {
+      const pages = [
+        { data: [{ id: 1 }, { id: 2 }], hasMore: true, last: 2 },
+        { data: [{ id: 3 }], hasMore: false, last: 3 }
+      ];
+      const extractTable = jest.spyOn(extractor, 'extractTable').mockImplementation(async () => {
+        const page = pages.shift();
+        return { success: true, data: page.data, metadata: { hasMore: page.hasMore, lastRow: { primaryKey: page.last } } };
+      });
+      const onBatch = jest.fn();
+
+      const result = await extractor.extractFull('test_events', onBatch);
+
+      expect(extractTable.mock.calls[0][1].seekAfter).toBeNull();
+      expect(extractTable.mock.calls[1][1].seekAfter).toEqual({ columns: ['id'], values: [2] });
+      expect(onBatch).toHaveBeenCalledTimes(2);
+      expect(result).toEqual(expect.objectContaining({ success: true, totalRecords: 3, batches: 2 }));
+    });
+  });
+});
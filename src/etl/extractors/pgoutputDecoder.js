@@ -0,0 +1,191 @@
+// Decodificação das mensagens do plugin pgoutput (protocolo versão 1)
+// obtidas por pg_logical_slot_peek_binary_changes
+//
+// Cada chamada às funções de decodificação reenvia as mensagens Relation ('R') antes da primeira
+// alteração de cada tabela, por isso o cache de relações vale apenas para um lote
+//
+// Valores das colunas chegam em formato texto; inteiros e booleanos são convertidos,
+// demais tipos ficam como texto (mesma representação aceita pelo PostgreSQL no destino)
+
+const INTEGER_OIDS = [20, 21, 23];
+const BOOLEAN_OID = 16;
+
+class BufferReader {
+  constructor(buffer) {
+    this.buffer = buffer;
+    this.offset = 0;
+  }
+
+  byte() {
+    return this.buffer.readUInt8(this.offset++);
+  }
+
+  char() {
+    return String.fromCharCode(this.byte());
+  }
+
+  int16() {
+    const value = this.buffer.readInt16BE(this.offset);
+    this.offset += 2;
+    return value;
+  }
+
+  int32() {
+    const value = this.buffer.readInt32BE(this.offset);
+    this.offset += 4;
+    return value;
+  }
+
+  uint32() {
+    const value = this.buffer.readUInt32BE(this.offset);
+    this.offset += 4;
+    return value;
+  }
+
+  // LSN (Int64) no formato textual do PostgreSQL: XXXXXXXX/XXXXXXXX
+  lsn() {
+    const high = this.uint32();
+    const low = this.uint32();
+    return `${high.toString(16).toUpperCase()}/${low.toString(16).toUpperCase()}`;
+  }
+
+  skip(bytes) {
+    this.offset += bytes;
+  }
+
+  // String terminada em \0
+  string() {
+    const end = this.buffer.indexOf(0, this.offset);
+    const value = this.buffer.toString('utf8', this.offset, end);
+    this.offset = end + 1;
+    return value;
+  }
+
+  bytes(length) {
+    const value = this.buffer.toString('utf8', this.offset, this.offset + length);
+    this.offset += length;
+    return value;
+  }
+}
+
+// Converter as linhas (lsn, xid, data) em eventos { action, schema, table, record, identity, lsn }
+// action: insert | update | delete | truncate; begin/commit não geram eventos
+// record/identity trazem apenas as colunas recebidas; partial = colunas TOAST não alteradas omitidas
+const decodePgoutput = (rows) => {
+  const relations = new Map();
+  const events = [];
+
+  rows.forEach(row => {
+    const reader = new BufferReader(row.data);
+    const type = reader.char();
+
+    switch (type) {
+      case 'R': {
+        const id = reader.uint32();
+        const schema = reader.string();
+        const table = reader.string();
+        reader.skip(1); // replica identity
+        const columnCount = reader.int16();
+        const columns = [];
+        for (let i = 0; i < columnCount; i++) {
+          const flags = reader.byte();
+          const name = reader.string();
+          const typeOid = reader.uint32();
+          reader.skip(4); // typmod
+          columns.push({ name, typeOid, isKey: (flags & 1) === 1 });
+        }
+        relations.set(id, { schema, table, columns });
+        break;
+      }
+
+      case 'I': {
+        const relation = getRelation(relations, reader.uint32());
+        reader.char(); // 'N'
+        const { record, partial } = readTuple(reader, relation);
+        events.push({ action: 'insert', schema: relation.schema, table: relation.table, record, identity: null, partial, lsn: row.lsn });
+        break;
+      }
+
+      case 'U': {
+        const relation = getRelation(relations, reader.uint32());
+        let identity = null;
+        let marker = reader.char();
+        if (marker === 'K' || marker === 'O') {
+          identity = readTuple(reader, relation).record;
+          marker = reader.char();
+        }
+        const { record, partial } = readTuple(reader, relation);
+        events.push({ action: 'update', schema: relation.schema, table: relation.table, record, identity, partial, lsn: row.lsn });
+        break;
+      }
+
+      case 'D': {
+        const relation = getRelation(relations, reader.uint32());
+        reader.char(); // 'K' ou 'O'
+        const identity = readTuple(reader, relation).record;
+        events.push({ action: 'delete', schema: relation.schema, table: relation.table, record: null, identity, partial: false, lsn: row.lsn });
+        break;
+      }
+
+      case 'T': {
+        const relationCount = reader.int32();
+        reader.skip(1); // opções
+        for (let i = 0; i < relationCount; i++) {
+          const relation = getRelation(relations, reader.uint32());
+          events.push({ action: 'truncate', schema: relation.schema, table: relation.table, record: null, identity: null, partial: false, lsn: row.lsn });
+        }
+        break;
+      }
+
+      // B (begin), C (commit), O (origin), Y (type), M (message): sem dados de tabela
+      default:
+        break;
+    }
+  });
+
+  return events;
+};
+
+const getRelation = (relations, id) => {
+  const relation = relations.get(id);
+  if (!relation) {
+    throw new Error(`pgoutput: relação ${id} recebida sem mensagem Relation no lote`);
+  }
+  return relation;
+};
+
+const readTuple = (reader, relation) => {
+  const columnCount = reader.int16();
+  const record = {};
+  let partial = false;
+
+  for (let i = 0; i < columnCount; i++) {
+    const column = relation.columns[i];
+    const kind = reader.char();
+
+    if (kind === 'n') {
+      record[column.name] = null;
+    } else if (kind === 'u') {
+      partial = true;
+    } else {
+      record[column.name] = parseValue(reader.bytes(reader.int32()), column.typeOid);
+    }
+  }
+
+  return { record, partial };
+};
+
+const parseValue = (text, typeOid) => {
+  if (typeOid === BOOLEAN_OID) {
+    return text === 't';
+  }
+  if (INTEGER_OIDS.includes(typeOid)) {
+    const number = Number(text);
+    return Number.isSafeInteger(number) ? number : text;
+  }
+  return text;
+};
+
+module.exports = {
+  decodePgoutput
+};
@@ -0,0 +1,76 @@
+const { decodePgoutput } = require('./pgoutputDecoder');
+
+// Montagem de mensagens pgoutput (protocolo versão 1) para os testes
+const int16 = (value) => {
+  const buffer = Buffer.alloc(2);
+  buffer.writeInt16BE(value);
+  return buffer;
+};
+const int32 = (value) => {
+  const buffer = Buffer.alloc(4);
+  buffer.writeInt32BE(value);
+  return buffer;
+};
+const char = (value) => Buffer.from(value);
+const cstring = (value) => Buffer.concat([Buffer.from(value), Buffer.from([0])]);
+
+const relation = (id, schema, table, columns) => Buffer.concat([
+  char('R'), int32(id), cstring(schema), cstring(table), char('d'), int16(columns.length),
+  ...columns.map(([name, typeOid, isKey]) => Buffer.concat([Buffer.from([isKey ? 1 : 0]), cstring(name), int32(typeOid), int32(-1)]))
+]);
+
+// Valores: null -> 'n', undefined -> 'u' (TOAST não alterado), demais -> 't' com o texto
+const tuple = (values) => Buffer.concat([
+  int16(values.length),
+  ...values.map(value => {
+    if (value === null) return char('n');
+    if (value === undefined) return char('u');
+    const text = Buffer.from(String(value));
+    return Buffer.concat([char('t'), int32(text.length), text]);
+  })
+]);
+
+const USERS = relation(16384, 'public', 'users', [['id', 20, true], ['email', 25, false], ['active', 16, false]]);
+
+describe('decodePgoutput', () => {
+  test('converte insert, update e delete em eventos com tipos básicos', () => {
+    const events = decodePgoutput([
+      { lsn: '0/1', data: Buffer.concat([char('B'), Buffer.alloc(20)]) },
+      { lsn: '0/2', data: USERS },
+      { lsn: '0/3', data: Buffer.concat([char('I'), int32(16384), char('N'), tuple(['42', 'a@b.com', 't'])]) },
+      { lsn: '0/4', data: Buffer.concat([char('U'), int32(16384), char('K'), tuple(['41', null, null]), char('N'), tuple(['42', undefined, 'f'])]) },
+      { lsn: '0/5', data: Buffer.concat([char('D'), int32(16384), char('K'), tuple(['42', null, null])]) }
+    ]);
+
+    expect(events).toEqual([
+      { action: 'insert', schema: 'public', table: 'users', record: { id: 42, email: 'a@b.com', active: true }, identity: null, partial: false, lsn: '0/3' },
+      { action: 'update', schema: 'public', table: 'users', record: { id: 42, active: false }, identity: { id: 41, email: null, active: null }, partial: true, lsn: '0/4' },
+      { action: 'delete', schema: 'public', table: 'users', record: null, identity: { id: 42, email: null, active: null }, partial: false, lsn: '0/5' }
+    ]);
+  });
+
+  test('inteiros fora da faixa segura permanecem como texto', () => {
+    const [event] = decodePgoutput([
+      { lsn: '0/1', data: USERS },
+      { lsn: '0/2', data: Buffer.concat([char('I'), int32(16384), char('N'), tuple(['9007199254740993', 'x', 't'])]) }
+    ]);
+
+    expect(event.record.id).toBe('9007199254740993');
+  });
+
+  test('truncate gera um evento por tabela', () => {
+    const events = decodePgoutput([
+      { lsn: '0/1', data: USERS },
+      { lsn: '0/2', data: relation(16390, 'public', 'bets', [['id', 23, true]]) },
+      { lsn: '0/3', data: Buffer.concat([char('T'), int32(2), Buffer.from([0]), int32(16384), int32(16390)]) }
+    ]);
+
+    expect(events.map(event => `${event.action}:${event.table}`)).toEqual(['truncate:users', 'truncate:bets']);
+  });
+
+  test('alteração sem a mensagem Relation no lote gera erro', () => {
+    expect(() => decodePgoutput([
+      { lsn: '0/1', data: Buffer.concat([char('I'), int32(99), char('N'), tuple(['1'])]) }
+    ])).toThrow('pgoutput: relação 99 recebida sem mensagem Relation no lote');
+  });
+});
@@ -0,0 +1,161 @@
+const ETLConfig = require('../config');
+const logger = require('../../utils/logger');
+
+// Detecção de drift entre a tabela de origem (information_schema) e o mapeamento
+//
+// - missingColumns: colunas usadas pelo mapeamento (fieldMapping, primaryKey, incrementalField,
+//   filters) que não existem mais na origem; mapFields as descartaria silenciosamente
+// - newColumns: colunas não mapeadas que surgiram desde o último snapshot aceito
+// - typeChanges: colunas cujo data_type mudou em relação ao último snapshot aceito
+//
+// Drift em colunas usadas (ausentes ou com tipo alterado) bloqueia a sincronização quando
+// a política da tabela (driftPolicy) é 'block'; com 'warn' apenas é registrado
+class SchemaDriftDetector {
+  constructor(extractor, mappingStore) {
+    this.extractor = extractor;
+    this.mappingStore = mappingStore;
+  }
+
+  // Comparar a estrutura atual da origem com o mapeamento e o snapshot
+  // updateSnapshot: grava a estrutura atual como nova base quando não houver bloqueio
+  async checkTable(tableName, { updateSnapshot = false } = {}) {
+    const mapping = ETLConfig.mappings[tableName];
+    if (!mapping) {
+      throw new Error(`Mapeamento não encontrado para tabela: ${tableName}`);
+    }
+
+    const policy = mapping.driftPolicy || ETLConfig.general.driftPolicy;
+    const columns = await this.extractor.getSourceColumns(mapping.sourceTable);
+    const current = Object.fromEntries(columns.map(column => [column.column_name, column.data_type]));
+    const snapshot = await this.mappingStore.getSchemaSnapshot(tableName);
+    const usage = this.getUsedColumns(mapping);
+
+    const report = {
+      tableName,
+      sourceTable: mapping.sourceTable,
+      policy,
+      sourceExists: columns.length > 0,
+      baselineCapturedAt: snapshot ? snapshot.capturedAt : null,
+      missingColumns: Object.entries(usage)
+        .filter(([column]) => !(column in current))
+        .map(([column, usedBy]) => ({
+          column,
+          mappedTo: mapping.fieldMapping[column] || null,
+          usedBy
+        })),
+      unmappedColumns: Object.keys(current).filter(column => !(column in usage)),
+      newColumns: [],
+      typeChanges: [],
+      checkedAt: new Date()
+    };
+
+    if (snapshot) {
+      report.newColumns = report.unmappedColumns.filter(column => !(column in snapshot.columns));
+      report.typeChanges = Object.entries(current)
+        .filter(([column, dataType]) => column in snapshot.columns && snapshot.columns[column] !== dataType)
+        .map(([column, dataType]) => ({
+          column,
+          previousType: snapshot.columns[column],
+          currentType: dataType,
+          mapped: column in usage
+        }));
+    }
+
+    // Colunas novas e mudanças de tipo em colunas não usadas não afetam a carga
+    report.breaking = report.missingColumns.length > 0 || report.typeChanges.some(change => change.mapped);
+    report.hasDrift = report.breaking || report.newColumns.length > 0 || report.typeChanges.length > 0;
+    report.blocked = report.breaking && policy === 'block';
+
+    // Com bloqueio, o snapshot antigo é mantido até a mudança ser aceita (acceptSchema)
+    if (updateSnapshot && report.sourceExists && !report.blocked && (!snapshot || report.hasDrift)) {
+      await this.mappingStore.saveSchemaSnapshot(tableName, current);
+    }
+
+    return report;
+  }
+
+  // Verificação executada antes de cada sincronização
+  // Lança erro quando o drift bloqueia a tabela; falhas da própria verificação não impedem a sincronização
+  async assertSyncAllowed(tableName) {
+    let report;
+    try {
+      report = await this.checkTable(tableName, { updateSnapshot: true });
+    } catch (error) {
+      logger.warn(`⚠️ ETL Schema: Não foi possível verificar drift de schema de ${tableName}`, {
+        error: error.message
+      });
+      return null;
+    }
+
+    if (report.hasDrift) {
+      const details = {
+        policy: report.policy,
+        missingColumns: report.missingColumns.map(item => item.column),
+        newColumns: report.newColumns,
+        typeChanges: report.typeChanges.map(change => `${change.column}: ${change.previousType} -> ${change.currentType}`)
+      };
+
+      if (report.blocked) {
+        logger.error(`❌ ETL Schema: Drift de schema em ${tableName}, sincronização bloqueada`, details);
+        throw new Error(`Sincronização bloqueada por drift de schema em ${report.sourceTable}: ${this.describe(report)}`);
+      }
+
+      logger.warn(`⚠️ ETL Schema: Drift de schema detectado em ${tableName}`, details);
+    }
+
+    return report;
+  }
+
+  // Aceitar a estrutura atual da origem como nova base (libera mudanças de tipo bloqueadas)
+  async acceptSchema(tableName) {
+    const mapping = ETLConfig.mappings[tableName];
+    if (!mapping) {
+      throw new Error(`Mapeamento não encontrado para tabela: ${tableName}`);
+    }
+
+    const columns = await this.extractor.getSourceColumns(mapping.sourceTable);
+    if (columns.length === 0) {
+      throw new Error(`Tabela de origem não encontrada: ${mapping.sourceTable}`);
+    }
+
+    await this.mappingStore.saveSchemaSnapshot(
+      tableName,
+      Object.fromEntries(columns.map(column => [column.column_name, column.data_type]))
+    );
+
+    logger.info(`🧬 ETL Schema: Estrutura atual de ${mapping.sourceTable} aceita como base para ${tableName}`);
+
+    return await this.checkTable(tableName);
+  }
+
+  // Colunas de origem usadas pelo mapeamento -> onde são usadas
+  getUsedColumns(mapping) {
+    const usage = {};
+    const use = (column, usedBy) => {
+      if (column) {
+        usage[column] = [...(usage[column] || []), usedBy];
+      }
+    };
+
+    Object.keys(mapping.fieldMapping || {}).forEach(column => use(column, 'fieldMapping'));
+    use(mapping.primaryKey || 'id', 'primaryKey');
+    use(mapping.incrementalField, 'incrementalField');
+    Object.keys(mapping.filters || {}).forEach(column => use(column, 'filters'));
+
+    return usage;
+  }
+
+  describe(report) {
+    const parts = [];
+    if (report.missingColumns.length > 0) {
+      parts.push(`colunas ausentes: ${report.missingColumns.map(item => item.column).join(', ')}`);
+    }
+    const mappedChanges = report.typeChanges.filter(change => change.mapped);
+    if (mappedChanges.length > 0) {
+      parts.push(`tipos alterados: ${mappedChanges.map(change => `${change.column} (${change.previousType} -> ${change.currentType})`).join(', ')}`);
+    }
+    return parts.join('; ');
+  }
+}
+
+module.exports = SchemaDriftDetector;
@@ -0,0 +1,92 @@
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const ETLConfig = require('../config');
+const SchemaDriftDetector = require('./schemaDriftDetector');
+
+const sourceColumns = (columns) => Object.entries(columns).map(([column_name, data_type]) => ({ column_name, data_type }));
+
+describe('SchemaDriftDetector', () => {
+  let extractor;
+  let mappingStore;
+  let detector;
+
+  beforeEach(() => {
+    ETLConfig.mappings.test_events = {
+      sourceTable: 'events',
+      targetTable: 'events',
+      primaryKey: 'id',
+      incrementalField: 'updated_at',
+      fieldMapping: { id: 'external_id', amount: 'amount' },
+      filters: { status: 'paid' },
+      driftPolicy: 'block'
+    };
+    extractor = { getSourceColumns: jest.fn() };
+    mappingStore = { getSchemaSnapshot: jest.fn().mockResolvedValue(null), saveSchemaSnapshot: jest.fn() };
+    detector = new SchemaDriftDetector(extractor, mappingStore);
+  });
+
+  afterEach(() => {
+    delete ETLConfig.mappings.test_events;
+  });
+
+  test('getUsedColumns indica onde cada coluna de origem é usada', () => {
+    expect(detector.getUsedColumns(ETLConfig.mappings.test_events)).toEqual({
+      id: ['fieldMapping', 'primaryKey'],
+      amount: ['fieldMapping'],
+      updated_at: ['incrementalField'],
+      status: ['filters']
+    });
+  });
+
+  test('sem snapshot grava a estrutura atual como base', async () => {
+    const columns = { id: 'integer', amount: 'numeric', updated_at: 'timestamp', status: 'text', note: 'text' };
+    extractor.getSourceColumns.mockResolvedValue(sourceColumns(columns));
+
+    const report = await detector.checkTable('test_events', { updateSnapshot: true });
+
+    expect(report).toEqual(expect.objectContaining({
+      hasDrift: false,
+      blocked: false,
+      unmappedColumns: ['note'],
+      newColumns: []
+    }));
+    expect(mappingStore.saveSchemaSnapshot).toHaveBeenCalledWith('test_events', columns);
+  });
+
+  test('coluna usada ausente ou com tipo alterado bloqueia e mantém o snapshot', async () => {
+    extractor.getSourceColumns.mockResolvedValue(sourceColumns({ id: 'bigint', updated_at: 'timestamp', status: 'text', note: 'varchar' }));
+    mappingStore.getSchemaSnapshot.mockResolvedValue({
+      capturedAt: new Date('2024-03-01T00:00:00Z'),
+      columns: { id: 'integer', amount: 'numeric', updated_at: 'timestamp', status: 'text' }
+    });
+
+    const report = await detector.checkTable('test_events', { updateSnapshot: true });
+
+    expect(report.missingColumns).toEqual([{ column: 'amount', mappedTo: 'amount', usedBy: ['fieldMapping'] }]);
+    expect(report.newColumns).toEqual(['note']);
+    expect(report.typeChanges).toEqual([{ column: 'id', previousType: 'integer', currentType: 'bigint', mapped: true }]);
+    expect(report.blocked).toBe(true);
+    expect(mappingStore.saveSchemaSnapshot).not.toHaveBeenCalled();
+    await expect(detector.assertSyncAllowed('test_events'))
+      .rejects.toThrow('Sincronização bloqueada por drift de schema em events: colunas ausentes: amount; tipos alterados: id (integer -> bigint)');
+  });
+
+  test('política warn registra o drift sem bloquear e atualiza o snapshot', async () => {
+    ETLConfig.mappings.test_events.driftPolicy = 'warn';
+    extractor.getSourceColumns.mockResolvedValue(sourceColumns({ id: 'integer', updated_at: 'timestamp', status: 'text' }));
+    mappingStore.getSchemaSnapshot.mockResolvedValue({
+      columns: { id: 'integer', amount: 'numeric', updated_at: 'timestamp', status: 'text' }
+    });
+
+    const report = await detector.assertSyncAllowed('test_events');
+
+    expect(report).toEqual(expect.objectContaining({ breaking: true, blocked: false }));
+    expect(mappingStore.saveSchemaSnapshot).toHaveBeenCalled();
+  });
+
+  test('falha ao consultar a origem não impede a sincronização', async () => {
+    extractor.getSourceColumns.mockRejectedValue(new Error('permission denied'));
+
+    await expect(detector.assertSyncAllowed('test_events')).resolves.toBeNull();
+  });
+});
@@ -3,14 +3,53 @@ const DataExtractor = require('./extractors/dataExtractor');
 const DataTransformer = require('./transformers/dataTransformer');
 const DataLoader = require('./loaders/dataLoader');
 const ETLScheduler = require('./schedulers/etlScheduler');
+const SyncStateStore = require('./state/syncStateStore');
+const JobRegistry = require('./state/jobRegistry');
+const RejectionStore = require('./state/rejectionStore');
+const MappingStore = require('./state/mappingStore');
+const SchemaDriftDetector = require('./extractors/schemaDriftDetector');
+const ReconciliationStore = require('./state/reconciliationStore');
+const DataReconciler = require('./reconcilers/dataReconciler');
+const CdcCheckpointStore = require('./state/cdcCheckpointStore');
+const CdcExtractor = require('./extractors/cdcExtractor');
+const CdcConsumer = require('./schedulers/cdcConsumer');
+const DeletionDetector = require('./reconcilers/deletionDetector');
+const BackfillStore = require('./state/backfillStore');
+const BackfillRunner = require('./schedulers/backfillRunner');
+const { runWorkerPool } = require('./schedulers/workerPool');
+const { buildExecutionPlan } = require('./schedulers/dependencyGraph');
 const logger = require('../utils/logger');
+const _ = require('lodash');
 
 class ETLManager {
   constructor() {
     this.extractor = new DataExtractor();
     this.transformer = new DataTransformer();
     this.loader = new DataLoader();
-    this.scheduler = new ETLScheduler();
+    this.mappingStore = new MappingStore();
+    this.scheduler = new ETLScheduler(
+      this.mappingStore,
+      (tableName, syncType, options) => this.syncTableData(tableName, syncType, options)
+    );
+    this.syncState = new SyncStateStore(this.loader);
+    this.jobRegistry = new JobRegistry(this.loader);
+    this.rejections = new RejectionStore(this.loader);
+    this.schemaDrift = new SchemaDriftDetector(this.extractor, this.mappingStore);
+    this.reconciliations = new ReconciliationStore(this.loader);
+    this.reconciler = new DataReconciler(this.extractor, this.loader, this.rejections, this.reconciliations);
+    this.cdcCheckpoints = new CdcCheckpointStore(this.loader);
+    this.cdcConsumer = new CdcConsumer(
+      this.extractor,
+      this.loader,
+      this.cdcCheckpoints,
+      (tableName, records) => this.processBatch(tableName, records)
+    );
+    this.backfills = new BackfillStore(this.loader);
+    this.backfillRunner = new BackfillRunner(
+      this.extractor,
+      this.backfills,
+      (tableName, records, options) => this.processBatch(tableName, records, false, options)
+    );
     
     this.isInitialized = false;
     this.isRunning = false;
@@ -43,11 +82,29 @@ class ETLManager {
       // Testar conexões
       await this.testConnections();
 
+      // Mapeamentos das tabelas (sync_configurations)
+      await this.mappingStore.loadMappings();
+
+      // Garantir tabelas de controle no banco de destino
+      await this.syncState.ensureSchema();
+      await this.jobRegistry.ensureSchema();
+      await this.jobRegistry.failInterruptedJobs();
+      await this.rejections.ensureSchema();
+      await this.reconciliations.ensureSchema();
+      await this.reconciliations.failInterruptedReports();
+      await this.backfills.ensureSchema();
+      await this.backfills.failInterruptedBackfills();
+
       // Inicializar agendador se habilitado
       if (ETLConfig.schedule.enabled) {
         await this.scheduler.initialize();
       }
 
+      // Consumo CDC: falhas (ex.: wal_level diferente de logical) não impedem o restante do ETL
+      if (ETLConfig.cdc.enabled) {
+        await this.startCdc();
+      }
+
       this.isInitialized = true;
       this.isRunning = true;
       this.stats.startTime = new Date().toISOString();
@@ -67,6 +124,17 @@ class ETLManager {
     }
   }
 
+  async startCdc() {
+    try {
+      await this.cdcCheckpoints.ensureSchema();
+      await this.cdcConsumer.start();
+    } catch (error) {
+      logger.error('❌ ETL Manager: Erro ao iniciar consumo CDC', {
+        error: error.message
+      });
+    }
+  }
+
   // Testar conexões com bancos de dados
   async testConnections() {
     logger.info('🔍 ETL Manager: Testando conexões');
@@ -89,38 +157,51 @@ class ETLManager {
   }
 
   // Executar sincronização completa
+  // options.job permite reaproveitar um job já registrado (ex.: criado pela API antes de responder)
   async runFullSync(options = {}) {
     const { 
       tables = null, 
       skipValidation = false,
-      onProgress = null 
+      onProgress = null,
+      requestedBy = 'system'
     } = options;
 
-    const syncId = `full_${Date.now()}`;
+    let job = options.job || null;
     this.stats.totalSyncs++;
 
-    logger.info('🚀 ETL Manager: Iniciando sincronização completa', {
-      syncId,
-      tables: tables || 'todas'
-    });
-
     try {
+      if (!job) {
+        job = await this.jobRegistry.createJob('FULL', { tables, skipValidation }, requestedBy);
+      }
+      if (!await this.jobRegistry.startJob(job.id)) {
+        return this.notStartedResult(job);
+      }
+
+      logger.info('🚀 ETL Manager: Iniciando sincronização completa', {
+        syncId: job.id,
+        tables: tables || 'todas'
+      });
+
       const startTime = Date.now();
       const results = {};
+      let cancelled = false;
 
-      // Determinar tabelas a sincronizar
-      const tablesToSync = tables || Object.keys(ETLConfig.mappings).filter(
+      // Determinar tabelas a sincronizar, em ordem topológica de dependsOn
+      const plan = buildExecutionPlan(tables || Object.keys(ETLConfig.mappings).filter(
         table => ETLConfig.mappings[table].enabled
-      );
+      ));
+      const tablesToSync = plan.order;
 
       let processedTables = 0;
+      let startedTables = 0;
 
-      for (const tableName of tablesToSync) {
+      // Até ETL_PARALLEL_JOBS tabelas sincronizadas ao mesmo tempo, respeitando as dependências
+      const pool = await runWorkerPool(tablesToSync, ETLConfig.general.parallelJobs, async (tableName) => {
         logger.info(`📊 ETL Manager: Sincronizando ${tableName}`, {
-          progress: `${processedTables + 1}/${tablesToSync.length}`
+          progress: `${++startedTables}/${tablesToSync.length}`
         });
 
-        const tableResult = await this.syncTable(tableName, 'full', { skipValidation });
+        const tableResult = await this.syncTable(tableName, 'full', { skipValidation, job });
         results[tableName] = tableResult;
 
         processedTables++;
@@ -134,26 +215,41 @@ class ETLManager {
           });
         }
 
-        // Delay entre tabelas
-        await this.delay(3000);
-      }
+        if (tableResult.cancelled) {
+          cancelled = true;
+        }
+
+        return tableResult;
+      }, {
+        dependsOn: plan.dependsOn,
+        shouldStop: async () => cancelled || await this.jobRegistry.isCancelRequested(job.id)
+      });
+      cancelled = cancelled || pool.cancelled;
+      await this.recordSkippedTables(job, results, pool.skipped);
 
       const totalTime = Date.now() - startTime;
       const summary = this.summarizeResults(results);
 
+      await this.jobRegistry.finishJob(job.id, {
+        status: cancelled ? 'CANCELLED' : 'COMPLETED',
+        summary: { ...summary, totalTime }
+      });
+
       this.stats.successfulSyncs++;
       this.stats.lastSync = new Date().toISOString();
 
-      logger.info('✅ ETL Manager: Sincronização completa concluída', {
-        syncId,
+      logger.info(`✅ ETL Manager: Sincronização completa ${cancelled ? 'cancelada' : 'concluída'}`, {
+        syncId: job.id,
         totalTime: `${totalTime}ms`,
         summary
       });
 
       return {
         success: true,
-        syncId,
+        syncId: job.id,
+        jobId: job.id,
         type: 'full',
+        cancelled,
         results,
         summary,
         totalTime
@@ -162,13 +258,16 @@ class ETLManager {
     } catch (error) {
       this.stats.failedSyncs++;
       logger.error('❌ ETL Manager: Erro na sincronização completa', {
-        syncId,
+        syncId: job?.id,
         error: error.message
       });
 
+      await this.failJob(job, error);
+
       return {
         success: false,
-        syncId,
+        syncId: job?.id || null,
+        jobId: job?.id || null,
         type: 'full',
         error: error.message
       };
@@ -180,36 +279,46 @@ class ETLManager {
     const { 
       tables = null,
       since = null,
-      onProgress = null 
+      onProgress = null,
+      requestedBy = 'system'
     } = options;
 
-    const syncId = `incremental_${Date.now()}`;
+    let job = options.job || null;
     this.stats.totalSyncs++;
 
-    logger.info('🚀 ETL Manager: Iniciando sincronização incremental', {
-      syncId,
-      tables: tables || 'todas',
-      since
-    });
-
     try {
+      if (!job) {
+        job = await this.jobRegistry.createJob('INCREMENTAL', { tables, since }, requestedBy);
+      }
+      if (!await this.jobRegistry.startJob(job.id)) {
+        return this.notStartedResult(job);
+      }
+
+      logger.info('🚀 ETL Manager: Iniciando sincronização incremental', {
+        syncId: job.id,
+        tables: tables || 'todas',
+        since
+      });
+
       const startTime = Date.now();
       const results = {};
+      let cancelled = false;
 
       // Determinar tabelas a sincronizar (apenas com suporte incremental)
-      const tablesToSync = (tables || Object.keys(ETLConfig.mappings)).filter(
+      // Sem lista explícita, tabelas mantidas pelo consumo CDC ficam de fora
+      const plan = buildExecutionPlan((tables || Object.keys(ETLConfig.mappings)).filter(
         table => ETLConfig.mappings[table].enabled && 
-                ETLConfig.mappings[table].incrementalField
-      );
+                ETLConfig.mappings[table].incrementalField &&
+                (tables || !(ETLConfig.cdc.enabled && ETLConfig.mappings[table].syncMode === 'cdc'))
+      ));
+      const tablesToSync = plan.order;
 
       let processedTables = 0;
 
-      for (const tableName of tablesToSync) {
-        logger.info(`📊 ETL Manager: Sincronização incremental de ${tableName}`, {
-          progress: `${processedTables + 1}/${tablesToSync.length}`
-        });
+      const pool = await runWorkerPool(tablesToSync, ETLConfig.general.parallelJobs, async (tableName) => {
+        logger.info(`📊 ETL Manager: Sincronização incremental de ${tableName}`);
 
-        const tableResult = await this.syncTable(tableName, 'incremental', { since });
+        const tableResult = await this.syncTable(tableName, 'incremental', { since, job });
         results[tableName] = tableResult;
 
         processedTables++;
@@ -223,26 +332,37 @@ class ETLManager {
           });
         }
 
-        // Delay menor para sincronização incremental
-        await this.delay(1000);
-      }
+        return tableResult;
+      }, {
+        dependsOn: plan.dependsOn,
+        shouldStop: () => this.jobRegistry.isCancelRequested(job.id)
+      });
+      cancelled = pool.cancelled;
+      await this.recordSkippedTables(job, results, pool.skipped);
 
       const totalTime = Date.now() - startTime;
       const summary = this.summarizeResults(results);
 
+      await this.jobRegistry.finishJob(job.id, {
+        status: cancelled ? 'CANCELLED' : 'COMPLETED',
+        summary: { ...summary, totalTime }
+      });
+
       this.stats.successfulSyncs++;
       this.stats.lastSync = new Date().toISOString();
 
-      logger.info('✅ ETL Manager: Sincronização incremental concluída', {
-        syncId,
+      logger.info(`✅ ETL Manager: Sincronização incremental ${cancelled ? 'cancelada' : 'concluída'}`, {
+        syncId: job.id,
         totalTime: `${totalTime}ms`,
         summary
       });
 
       return {
         success: true,
-        syncId,
+        syncId: job.id,
+        jobId: job.id,
         type: 'incremental',
+        cancelled,
         results,
         summary,
         totalTime
@@ -251,97 +371,575 @@ class ETLManager {
     } catch (error) {
       this.stats.failedSyncs++;
       logger.error('❌ ETL Manager: Erro na sincronização incremental', {
-        syncId,
+        syncId: job?.id,
         error: error.message
       });
 
+      await this.failJob(job, error);
+
       return {
         success: false,
-        syncId,
+        syncId: job?.id || null,
+        jobId: job?.id || null,
         type: 'incremental',
         error: error.message
       };
     }
   }
 
-  // Sincronizar uma tabela específica
+  // Executar sincronização de uma única tabela como job registrado
+  async runTableSync(tableName, syncType = 'incremental', options = {}) {
+    const { skipValidation = false, since = null, requestedBy = 'system' } = options;
+    let job = options.job || null;
+
+    try {
+      if (!job) {
+        job = await this.jobRegistry.createJob('TABLE', { tableName, syncType, skipValidation, since }, requestedBy);
+      }
+      if (!await this.jobRegistry.startJob(job.id)) {
+        return this.notStartedResult(job);
+      }
+
+      const result = await this.syncTable(tableName, syncType, { skipValidation, since, job });
+
+      await this.jobRegistry.finishJob(job.id, {
+        status: result.cancelled ? 'CANCELLED' : result.success ? 'COMPLETED' : 'FAILED',
+        summary: this.summarizeResults({ [tableName]: result }),
+        error: result.success ? null : result.error
+      });
+
+      return { ...result, jobId: job.id };
+
+    } catch (error) {
+      logger.error(`❌ ETL Manager: Erro no job de sincronização de ${tableName}`, {
+        error: error.message
+      });
+
+      await this.failJob(job, error);
+
+      return {
+        success: false,
+        jobId: job?.id || null,
+        syncType,
+        error: error.message
+      };
+    }
+  }
+
+  // Reconciliar origem x destino das tabelas (job RECONCILE, um relatório por tabela)
+  // Com resync, as faixas divergentes de cada relatório são ressincronizadas em seguida
+  async runReconciliation(options = {}) {
+    const {
+      tables = null,
+      chunkSize = ETLConfig.reconciliation.chunkSize,
+      resync = false,
+      requestedBy = 'system'
+    } = options;
+
+    let job = options.job || null;
+
+    try {
+      if (!job) {
+        job = await this.jobRegistry.createJob('RECONCILE', { tables, chunkSize, resync }, requestedBy);
+      }
+      if (!await this.jobRegistry.startJob(job.id)) {
+        return this.notStartedResult(job);
+      }
+
+      const tablesToReconcile = tables || Object.keys(ETLConfig.mappings).filter(
+        table => ETLConfig.mappings[table].enabled
+      );
+      const shouldStop = () => this.jobRegistry.isCancelRequested(job.id);
+      const reports = {};
+      let cancelled = false;
+
+      for (const tableName of tablesToReconcile) {
+        if (await shouldStop()) {
+          cancelled = true;
+          break;
+        }
+
+        await this.trackProgress(job, tableName, { status: 'RUNNING', startedAt: new Date().toISOString() });
+
+        let report = await this.reconciler.reconcileTable(tableName, {
+          chunkSize,
+          jobId: job.id,
+          shouldStop,
+          onChunk: (progress) => this.trackProgress(job, tableName, progress)
+        });
+
+        if (resync && report.status === 'DIVERGENT') {
+          report = (await this.resyncDivergentChunks(report, { job })).report;
+        }
+
+        reports[tableName] = report;
+
+        await this.trackProgress(job, tableName, {
+          status: report.status,
+          reportId: report.id,
+          finishedAt: new Date().toISOString()
+        });
+
+        if (report.status === 'CANCELLED') {
+          cancelled = true;
+          break;
+        }
+      }
+
+      const summary = {
+        totalTables: Object.keys(reports).length,
+        matchedTables: Object.values(reports).filter(report => report.status === 'MATCHED').length,
+        divergentTables: Object.values(reports).filter(report => report.status === 'DIVERGENT').length,
+        failedTables: Object.values(reports).filter(report => report.status === 'FAILED').length,
+        reports: _.mapValues(reports, report => report.id)
+      };
+
+      await this.jobRegistry.finishJob(job.id, {
+        status: cancelled ? 'CANCELLED' : 'COMPLETED',
+        summary
+      });
+
+      logger.info(`⚖️ ETL Manager: Reconciliação ${cancelled ? 'cancelada' : 'concluída'}`, {
+        jobId: job.id,
+        ...summary
+      });
+
+      return { success: true, jobId: job.id, cancelled, reports, summary };
+
+    } catch (error) {
+      logger.error('❌ ETL Manager: Erro na reconciliação', {
+        jobId: job?.id,
+        error: error.message
+      });
+
+      await this.failJob(job, error);
+
+      return { success: false, jobId: job?.id || null, error: error.message };
+    }
+  }
+
+  // Ressincronizar as faixas divergentes de um relatório como job RECONCILE
+  async runReconciliationResync(reportId, options = {}) {
+    const { requestedBy = 'system' } = options;
+    let job = options.job || null;
+
+    try {
+      const report = await this.reconciliations.getReport(reportId);
+      if (!report) {
+        throw new Error(`Relatório de reconciliação não encontrado: ${reportId}`);
+      }
+
+      if (!job) {
+        job = await this.jobRegistry.createJob('RECONCILE', { reportId, resync: true }, requestedBy);
+      }
+      if (!await this.jobRegistry.startJob(job.id)) {
+        return this.notStartedResult(job);
+      }
+
+      const result = await this.resyncDivergentChunks(report, { job });
+
+      await this.jobRegistry.finishJob(job.id, {
+        status: result.cancelled ? 'CANCELLED' : 'COMPLETED',
+        summary: {
+          reportId,
+          status: result.report.status,
+          chunksResynced: result.chunksResynced,
+          chunksResolved: result.chunksResolved,
+          recordsLoaded: result.recordsLoaded
+        }
+      });
+
+      return { success: true, jobId: job.id, ...result };
+
+    } catch (error) {
+      logger.error(`❌ ETL Manager: Erro na ressincronização do relatório ${reportId}`, {
+        error: error.message
+      });
+
+      await this.failJob(job, error);
+
+      return { success: false, jobId: job?.id || null, error: error.message };
+    }
+  }
+
+  // Reextrair e recarregar apenas as faixas divergentes; cada faixa é comparada de novo em seguida
+  // Linhas que só existem no destino não são removidas (a faixa continua DIVERGENT)
+  async resyncDivergentChunks(report, options = {}) {
+    const { job = null } = options;
+    const shouldStop = job ? () => this.jobRegistry.isCancelRequested(job.id) : null;
+    const chunks = await this.reconciliations.listChunks(report.id, { status: 'DIVERGENT' });
+    const result = { chunksResynced: 0, chunksResolved: 0, recordsLoaded: 0, cancelled: false };
+
+    logger.info(`🔁 ETL Manager: Ressincronizando ${chunks.length} faixas divergentes de ${report.tableName}`, {
+      reportId: report.id
+    });
+
+    for (const chunk of chunks) {
+      if (shouldStop && await shouldStop()) {
+        result.cancelled = true;
+        break;
+      }
+
+      const extractResult = await this.reconciler.extractChunk(report, chunk);
+      if (!extractResult.success) {
+        throw new Error(`Erro na extração da faixa ${chunk.index}: ${extractResult.error}`);
+      }
+
+      if (extractResult.data.length > 0) {
+        const batchResult = await this.processBatch(report.tableName, extractResult.data, false, {
+          shouldStop,
+          jobId: job?.id
+        });
+
+        if (!batchResult.success) {
+          throw new Error(`Erro ao ressincronizar a faixa ${chunk.index}: ${batchResult.error}`);
+        }
+        result.recordsLoaded += batchResult.load?.recordsLoaded || 0;
+      }
+
+      const rechecked = await this.reconciler.recheckChunk(report, chunk, { resynced: true });
+      result.chunksResynced++;
+      if (rechecked.status === 'RESOLVED') {
+        result.chunksResolved++;
+      }
+
+      await this.trackProgress(job, report.tableName, {
+        reportId: report.id,
+        chunksResynced: result.chunksResynced,
+        chunksResolved: result.chunksResolved,
+        recordsLoaded: result.recordsLoaded
+      });
+    }
+
+    result.report = await this.reconciliations.markResynced(report.id);
+
+    logger.info(`✅ ETL Manager: Faixas divergentes de ${report.tableName} ressincronizadas`, {
+      reportId: report.id,
+      chunksResynced: result.chunksResynced,
+      chunksResolved: result.chunksResolved,
+      stillDivergent: result.report.chunksDivergent
+    });
+
+    return result;
+  }
+
+  // Registrar backfill histórico de uma tabela entre from (inclusivo) e to (exclusivo),
+  // dividido em janelas de chunkSize sobre dateField (padrão: campo incremental do mapeamento)
+  async createBackfill(options = {}) {
+    const {
+      tableName,
+      from,
+      to,
+      dateField = null,
+      chunkSize = ETLConfig.backfill.chunkSize,
+      throttleMs = ETLConfig.backfill.throttleMs,
+      requestedBy = 'system'
+    } = options;
+
+    const mapping = ETLConfig.mappings[tableName];
+    if (!mapping) {
+      throw new Error(`Mapeamento não encontrado para tabela: ${tableName}`);
+    }
+
+    const chunks = BackfillRunner.buildChunks(new Date(from), new Date(to), chunkSize);
+
+    const backfill = await this.backfills.createBackfill({
+      tableName,
+      dateField: dateField || mapping.incrementalField,
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString(),
+      chunkSize,
+      throttleMs,
+      chunks,
+      requestedBy
+    });
+
+    logger.info(`⏪ ETL Manager: Backfill de ${tableName} registrado`, {
+      backfillId: backfill.id,
+      from: backfill.from,
+      to: backfill.to,
+      chunkSize,
+      chunksTotal: chunks.length
+    });
+
+    return backfill;
+  }
+
+  // Executar (ou retomar) um backfill como job BACKFILL, a partir da primeira janela não concluída
+  async runBackfill(backfillId, options = {}) {
+    const { requestedBy = 'system' } = options;
+    let job = options.job || null;
+
+    try {
+      const backfill = await this.backfills.getBackfill(backfillId);
+      if (!backfill) {
+        throw new Error(`Backfill não encontrado: ${backfillId}`);
+      }
+
+      if (!job) {
+        job = await this.jobRegistry.createJob('BACKFILL', { backfillId, tableName: backfill.tableName }, requestedBy);
+      }
+      if (!await this.jobRegistry.startJob(job.id)) {
+        return this.notStartedResult(job);
+      }
+
+      const running = await this.backfills.startRun(backfillId, job.id);
+
+      let result;
+      try {
+        result = await this.backfillRunner.run(running, {
+          jobId: job.id,
+          shouldStop: () => this.jobRegistry.isCancelRequested(job.id),
+          onChunk: (progress) => this.trackProgress(job, backfill.tableName, progress)
+        });
+      } catch (error) {
+        await this.backfills.finishBackfill(backfillId, { status: 'FAILED', error: error.message });
+        throw error;
+      }
+
+      const finished = await this.backfills.finishBackfill(backfillId, {
+        status: result.cancelled ? 'CANCELLED' : 'COMPLETED'
+      });
+
+      await this.jobRegistry.finishJob(job.id, {
+        status: result.cancelled ? 'CANCELLED' : 'COMPLETED',
+        summary: {
+          backfillId,
+          tableName: backfill.tableName,
+          chunksProcessed: result.chunksProcessed,
+          chunksCompleted: finished.chunksCompleted,
+          chunksTotal: finished.chunksTotal,
+          recordsExtracted: result.recordsExtracted,
+          recordsLoaded: result.recordsLoaded
+        }
+      });
+
+      return { success: true, jobId: job.id, backfill: finished, ...result };
+
+    } catch (error) {
+      logger.error(`❌ ETL Manager: Erro no backfill ${backfillId}`, {
+        error: error.message
+      });
+
+      await this.failJob(job, error);
+
+      return { success: false, jobId: job?.id || null, error: error.message };
+    }
+  }
+
+  // Sincronizar uma tabela e registrar o resultado em sync_configurations
+  // (próxima execução, contador e última mensagem de erro)
   async syncTable(tableName, syncType = 'incremental', options = {}) {
-    const { skipValidation = false, since = null } = options;
+    const result = await this.syncTableData(tableName, syncType, options);
+    await this.mappingStore.recordSyncResult(tableName, result);
+    return result;
+  }
+
+  // Sincronizar uma tabela específica
+  // Com options.job, o progresso é gravado no registro de jobs e o cancelamento é respeitado
+  async syncTableData(tableName, syncType = 'incremental', options = {}) {
+    const { skipValidation = false, since = null, job = null } = options;
+    const shouldStop = job ? () => this.jobRegistry.isCancelRequested(job.id) : null;
 
     logger.info(`🔄 ETL Manager: Sincronizando tabela ${tableName}`, {
       syncType,
-      skipValidation
+      skipValidation,
+      jobId: job?.id
     });
 
+    await this.trackProgress(job, tableName, { status: 'RUNNING', syncType, startedAt: new Date().toISOString() });
+
     try {
       const startTime = Date.now();
 
+      // 0. Drift de schema da origem (lança erro quando a política da tabela bloqueia)
+      await this.schemaDrift.assertSyncAllowed(tableName);
+
       // 1. Extração
-      let extractResult;
       if (syncType === 'incremental') {
-        const lastSyncTime = since || await this.getLastSyncTime(tableName);
-        extractResult = await this.extractor.extractIncremental(tableName, lastSyncTime);
+        return await this.syncIncremental(tableName, { since, skipValidation, job, shouldStop, startTime });
       } else {
         // Para sincronização completa, processar em lotes
+        // O watermark é lido da origem antes da varredura e só é gravado ao final, quando toda
+        // a tabela foi lida; alterações feitas durante a carga são relidas pela próxima incremental
         const batchResults = [];
-        await this.extractor.extractFull(tableName, async (data, metadata) => {
-          const batchResult = await this.processBatch(tableName, data, skipValidation);
+        const highWatermark = await this.extractor.getHighWatermark(tableName);
+        let failedBatches = 0;
+        let cancelledBatches = 0;
+        const totals = { recordsExtracted: 0, recordsLoaded: 0 };
+
+        const extraction = await this.extractor.extractFull(tableName, async (data, metadata) => {
+          const batchResult = await this.processBatch(tableName, data, skipValidation, { shouldStop, jobId: job?.id });
           batchResults.push(batchResult);
+
+          totals.recordsExtracted += data.length;
+          totals.recordsLoaded += batchResult.load?.recordsLoaded || 0;
+
+          if (!batchResult.success) {
+            failedBatches++;
+          } else if (batchResult.cancelled) {
+            cancelledBatches++;
+          }
+
+          await this.trackProgress(job, tableName, {
+            batches: metadata.batch,
+            lastKey: metadata.lastKey,
+            failedBatches,
+            ...totals
+          });
+        }, { shouldStop });
+
+        const cancelled = extraction.cancelled || cancelledBatches > 0;
+
+        if (highWatermark && failedBatches === 0 && !cancelled) {
+          await this.syncState.saveWatermark(tableName, {
+            ...highWatermark,
+            recordCount: totals.recordsExtracted,
+            syncType
+          });
+        }
+
+        await this.trackProgress(job, tableName, {
+          status: cancelled ? 'CANCELLED' : failedBatches > 0 ? 'COMPLETED_WITH_ERRORS' : 'COMPLETED',
+          finishedAt: new Date().toISOString()
         });
 
         return {
           success: true,
           syncType,
+          cancelled,
           batches: batchResults,
+          extract: { recordCount: totals.recordsExtracted },
+          load: { recordsLoaded: totals.recordsLoaded },
           totalTime: Date.now() - startTime
         };
       }
 
+    } catch (error) {
+      logger.error(`❌ ETL Manager: Erro ao sincronizar ${tableName}`, {
+        error: error.message,
+        syncType
+      });
+
+      await this.trackProgress(job, tableName, {
+        status: 'FAILED',
+        error: error.message,
+        finishedAt: new Date().toISOString()
+      });
+
+      return {
+        success: false,
+        syncType,
+        error: error.message
+      };
+    }
+  }
+
+  // Sincronização incremental paginada por (incrementalField, primaryKey) até esgotar as
+  // alterações; o watermark avança após cada lote carregado, então uma falha ou cancelamento
+  // no meio recomeça do último lote confirmado
+  async syncIncremental(tableName, { since = null, skipValidation = false, job = null, shouldStop = null, startTime }) {
+    // 'since' explícito tem prioridade sobre o watermark persistido
+    let cursor = since || await this.getSyncCursor(tableName);
+    let hasMore = true;
+    let cancelled = false;
+    let failedBatch = null;
+    let watermark = null;
+    const batchResults = [];
+    const totals = { recordsExtracted: 0, recordsLoaded: 0 };
+
+    while (hasMore) {
+      if (shouldStop && await shouldStop()) {
+        cancelled = true;
+        break;
+      }
+
+      const extractResult = await this.extractor.extractIncremental(tableName, cursor);
       if (!extractResult.success) {
         throw new Error(`Erro na extração: ${extractResult.error}`);
       }
 
       if (extractResult.data.length === 0) {
-        return {
-          success: true,
-          syncType,
-          message: 'Nenhum dado novo para sincronizar',
-          recordCount: 0,
-          totalTime: Date.now() - startTime
-        };
+        break;
       }
 
-      // Processar dados extraídos
-      const result = await this.processBatch(tableName, extractResult.data, skipValidation);
-      result.totalTime = Date.now() - startTime;
-      result.syncType = syncType;
+      const batchResult = await this.processBatch(tableName, extractResult.data, skipValidation, { shouldStop, jobId: job?.id });
+      batchResults.push(batchResult);
 
-      return result;
+      totals.recordsExtracted += extractResult.data.length;
+      totals.recordsLoaded += batchResult.load?.recordsLoaded || 0;
 
-    } catch (error) {
-      logger.error(`❌ ETL Manager: Erro ao sincronizar ${tableName}`, {
-        error: error.message,
-        syncType
+      if (!batchResult.success) {
+        failedBatch = batchResult;
+        break;
+      }
+
+      if (batchResult.cancelled) {
+        cancelled = true;
+        break;
+      }
+
+      cursor = extractResult.metadata.nextCursor;
+      hasMore = extractResult.metadata.hasMore;
+
+      // Os registros chegam ordenados pelo cursor: o último lido é o maior do lote
+      watermark = await this.syncState.saveWatermark(tableName, {
+        value: cursor.value,
+        primaryKey: cursor.primaryKey,
+        recordCount: extractResult.data.length,
+        syncType: 'incremental'
+      });
+
+      await this.trackProgress(job, tableName, {
+        batches: batchResults.length,
+        lastKey: cursor.primaryKey,
+        ...totals
       });
+    }
+
+    await this.trackProgress(job, tableName, {
+      status: failedBatch ? 'FAILED' : cancelled ? 'CANCELLED' : 'COMPLETED',
+      ...totals,
+      error: failedBatch ? failedBatch.error : null,
+      finishedAt: new Date().toISOString()
+    });
 
+    if (totals.recordsExtracted === 0 && !cancelled) {
       return {
-        success: false,
-        syncType,
-        error: error.message
+        success: true,
+        syncType: 'incremental',
+        message: 'Nenhum dado novo para sincronizar',
+        recordCount: 0,
+        totalTime: Date.now() - startTime
       };
     }
+
+    return {
+      success: !failedBatch,
+      syncType: 'incremental',
+      cancelled,
+      error: failedBatch ? failedBatch.error : null,
+      batches: batchResults,
+      extract: { recordCount: totals.recordsExtracted },
+      load: { recordsLoaded: totals.recordsLoaded },
+      watermark,
+      totalTime: Date.now() - startTime
+    };
   }
 
   // Processar um lote de dados
-  async processBatch(tableName, data, skipValidation = false) {
+  // Registros rejeitados na transformação vão para a quarentena (etl_rejected_records)
+  async processBatch(tableName, data, skipValidation = false, options = {}) {
     try {
       // 2. Transformação
       const transformResult = await this.transformer.transformTable(tableName, data);
-      
+
       if (!transformResult.success) {
         throw new Error('Erro na transformação dos dados');
       }
 
+      await this.rejections.quarantine(tableName, transformResult.rejectedRecords, options.jobId || null);
+
       if (transformResult.transformedData.length === 0) {
         return {
           success: true,
@@ -353,14 +951,25 @@ class ETLManager {
       }
 
       // 3. Carregamento
-      const loadResult = await this.loader.loadTable(tableName, transformResult.transformedData);
+      const loadResult = await this.loader.loadTable(tableName, transformResult.transformedData, {
+        shouldStop: options.shouldStop
+      });
       
       if (!loadResult.success) {
         throw new Error(`Erro no carregamento: ${loadResult.error}`);
       }
 
+      // Registros em quarentena que agora carregaram sem erro deixam de estar pendentes
+      if (!loadResult.cancelled && loadResult.stats.errors.length === 0) {
+        await this.rejections.resolve(
+          tableName,
+          transformResult.transformedData.map(record => record._etl_metadata.source_id)
+        );
+      }
+
       return {
         success: true,
+        cancelled: loadResult.cancelled,
         extract: { recordCount: data.length },
         transform: transformResult.stats,
         load: loadResult.stats
@@ -378,6 +987,117 @@ class ETLManager {
     }
   }
 
+  // Reprocessar registros da quarentena (transformação + carga)
+  // Por padrão os registros são relidos da origem; com refetch = false usa-se a cópia gravada na rejeição
+  async replayRejections(options = {}) {
+    const { ids = null, tableName = null, limit = 100, refetch = true } = options;
+
+    const rejections = ids && ids.length > 0
+      ? await this.rejections.getRejectionsByIds(ids)
+      : await this.rejections.listRejections({ tableName, status: 'PENDING', limit });
+
+    const pending = rejections.filter(rejection => rejection.status === 'PENDING');
+    const results = {};
+
+    logger.info('🔁 ETL Manager: Reprocessando registros da quarentena', {
+      requested: rejections.length,
+      pending: pending.length,
+      refetch
+    });
+
+    for (const [table, tableRejections] of Object.entries(_.groupBy(pending, 'tableName'))) {
+      results[table] = await this.replayTableRejections(table, tableRejections, refetch);
+    }
+
+    return {
+      success: true,
+      requested: rejections.length,
+      skipped: rejections.length - pending.length,
+      results
+    };
+  }
+
+  async replayTableRejections(tableName, rejections, refetch) {
+    const mapping = ETLConfig.mappings[tableName];
+    const result = { replayed: 0, stillRejected: 0, notFound: 0, failed: 0 };
+
+    if (!mapping) {
+      await this.rejections.recordReplayFailure(rejections.map(r => r.id), `Mapeamento não encontrado para tabela ${tableName}`);
+      result.failed = rejections.length;
+      return result;
+    }
+
+    let sourceData = rejections.map(rejection => rejection.sourceRecord);
+
+    if (refetch) {
+      const extractResult = await this.extractor.extractByPrimaryKeys(
+        tableName,
+        rejections.map(rejection => rejection.sourcePk).filter(pk => pk !== null)
+      );
+
+      if (!extractResult.success) {
+        await this.rejections.recordReplayFailure(rejections.map(r => r.id), extractResult.error);
+        result.failed = rejections.length;
+        return result;
+      }
+
+      sourceData = extractResult.data;
+    }
+
+    const byPk = _.keyBy(rejections, 'sourcePk');
+    const foundPks = new Set(sourceData.map(record => String(record[mapping.primaryKey])));
+    const missing = rejections.filter(rejection => !foundPks.has(rejection.sourcePk));
+
+    if (missing.length > 0) {
+      await this.rejections.recordReplayFailure(missing.map(r => r.id), 'Registro não encontrado na origem');
+      result.notFound = missing.length;
+    }
+
+    if (sourceData.length === 0) {
+      return result;
+    }
+
+    const transformResult = await this.transformer.transformTable(tableName, sourceData);
+
+    // Rejeitados novamente: atualizar erros na quarentena e contar a tentativa
+    if (transformResult.rejectedRecords.length > 0) {
+      await this.rejections.quarantine(tableName, transformResult.rejectedRecords);
+      await this.rejections.recordReplayFailure(
+        transformResult.rejectedRecords
+          .map(rejected => byPk[String(rejected.sourceRecord[mapping.primaryKey])])
+          .filter(Boolean)
+          .map(rejection => rejection.id),
+        'Registro rejeitado novamente na transformação'
+      );
+      result.stillRejected = transformResult.rejectedRecords.length;
+    }
+
+    const replayedIds = transformResult.transformedData
+      .map(record => byPk[String(record._etl_metadata.source_id)])
+      .filter(Boolean)
+      .map(rejection => rejection.id);
+
+    if (transformResult.transformedData.length === 0) {
+      return result;
+    }
+
+    const loadResult = await this.loader.loadTable(tableName, transformResult.transformedData);
+
+    if (!loadResult.success || loadResult.stats.errors.length > 0) {
+      const error = loadResult.error || loadResult.stats.errors.map(e => e.error).join('; ');
+      await this.rejections.recordReplayFailure(replayedIds, `Erro no carregamento: ${error}`);
+      result.failed += replayedIds.length;
+      return result;
+    }
+
+    await this.rejections.recordReplaySuccess(replayedIds);
+    result.replayed = replayedIds.length;
+
+    logger.info(`✅ ETL Manager: Quarentena de ${tableName} reprocessada`, result);
+
+    return result;
+  }
+
   // Obter informações das tabelas configuradas
   getTablesInfo() {
     return Object.entries(ETLConfig.mappings).map(([tableName, mapping]) => ({
@@ -387,10 +1107,54 @@ class ETLManager {
       enabled: mapping.enabled,
       supportsIncremental: !!mapping.incrementalField,
       incrementalField: mapping.incrementalField,
-      primaryKey: mapping.primaryKey
+      primaryKey: mapping.primaryKey,
+      syncIntervalMinutes: mapping.syncIntervalMinutes,
+      batchSize: mapping.batchSize || ETLConfig.general.batchSize
     }));
   }
 
+  // Obter informações das tabelas com o watermark persistido de cada uma
+  async getTablesInfoWithWatermarks() {
+    const watermarks = await this.syncState.getAllWatermarks();
+
+    return this.getTablesInfo().map(table => ({
+      ...table,
+      watermark: watermarks[table.name] || null
+    }));
+  }
+
+  // Grafo de dependências (dependsOn) e plano de execução das sincronizações completa e incremental
+  // Tabelas do mesmo nível rodam em paralelo (até ETL_PARALLEL_JOBS); os dependentes de uma
+  // tabela com falha são ignorados na execução
+  getExecutionPlan() {
+    const enabledTables = Object.keys(ETLConfig.mappings).filter(table => ETLConfig.mappings[table].enabled);
+    const fullPlan = buildExecutionPlan(enabledTables);
+    const incrementalPlan = buildExecutionPlan(enabledTables.filter(
+      table => ETLConfig.mappings[table].incrementalField &&
+              !(ETLConfig.cdc.enabled && ETLConfig.mappings[table].syncMode === 'cdc')
+    ));
+
+    return {
+      parallelJobs: ETLConfig.general.parallelJobs,
+      graph: {
+        nodes: fullPlan.nodes.map(node => ({
+          ...node,
+          syncMode: ETLConfig.mappings[node.table].syncMode || 'polling',
+          supportsIncremental: !!ETLConfig.mappings[node.table].incrementalField
+        })),
+        edges: fullPlan.edges
+      },
+      fullSync: {
+        levels: fullPlan.levels,
+        order: fullPlan.order
+      },
+      incrementalSync: {
+        levels: incrementalPlan.levels,
+        order: incrementalPlan.order
+      }
+    };
+  }
+
   // Obter status do sistema ETL
   getStatus() {
     return {
@@ -400,13 +1164,18 @@ class ETLManager {
         enabled: ETLConfig.general.enabled,
         batchSize: ETLConfig.general.batchSize,
         maxRetries: ETLConfig.general.maxRetries,
-        scheduleEnabled: ETLConfig.schedule.enabled
+        scheduleEnabled: ETLConfig.schedule.enabled,
+        cdcEnabled: ETLConfig.cdc.enabled
       },
       connections: {
         extractor: this.extractor.getConnectionStats(),
         loader: this.loader.getConnectionStats()
       },
       scheduler: this.scheduler.getStatus(),
+      cdc: {
+        running: this.cdcConsumer.isRunning,
+        stats: this.cdcConsumer.stats
+      },
       stats: this.stats,
       tables: this.getTablesInfo()
     };
@@ -449,9 +1218,13 @@ class ETLManager {
         await this.scheduler.stop();
       }
 
+      // Parar consumo CDC (aguarda o lote em andamento)
+      await this.cdcConsumer.stop();
+
       // Fechar conexões
       await this.extractor.disconnect();
       await this.loader.disconnect();
+      await this.mappingStore.close();
 
       this.isRunning = false;
       logger.info('✅ ETL Manager: Sistema ETL parado');
@@ -464,12 +1237,66 @@ class ETLManager {
   }
 
   // Utilitários
-  async getLastSyncTime(tableName) {
-    // Por enquanto, usar timestamp padrão
-    // Em produção, isso viria de uma tabela de controle
-    const defaultTime = new Date();
-    defaultTime.setHours(defaultTime.getHours() - 1);
-    return defaultTime.toISOString();
+  // Falhas ao gravar progresso não interrompem a sincronização
+  async trackProgress(job, tableName, progress) {
+    if (!job) {
+      return;
+    }
+
+    try {
+      await this.jobRegistry.updateTableProgress(job.id, tableName, progress);
+    } catch (error) {
+      logger.warn(`⚠️ ETL Manager: Erro ao registrar progresso do job ${job.id}`, {
+        table: tableName,
+        error: error.message
+      });
+    }
+  }
+
+  // Tabelas não executadas porque uma dependência falhou (skipped: { tabela: dependência })
+  async recordSkippedTables(job, results, skipped) {
+    for (const [tableName, blocker] of Object.entries(skipped)) {
+      const error = blocker
+        ? `Dependência ${blocker} falhou, sincronização não executada`
+        : 'Dependências não satisfeitas, sincronização não executada';
+
+      results[tableName] = { success: false, skipped: true, tableName, blockedBy: blocker, error };
+      await this.trackProgress(job, tableName, { status: 'SKIPPED', blockedBy: blocker, error });
+
+      logger.warn(`⏭️ ETL Manager: ${tableName} ignorada`, { blockedBy: blocker });
+    }
+  }
+
+  // Job cancelado antes de começar: nada foi executado
+  notStartedResult(job) {
+    return {
+      success: false,
+      cancelled: true,
+      jobId: job.id,
+      error: 'Job não está pendente (cancelado antes de iniciar)'
+    };
+  }
+
+  async failJob(job, error) {
+    if (!job) {
+      return;
+    }
+
+    try {
+      await this.jobRegistry.finishJob(job.id, { status: 'FAILED', error: error.message });
+    } catch (registryError) {
+      logger.error(`❌ ETL Manager: Erro ao registrar falha do job ${job.id}`, {
+        error: registryError.message
+      });
+    }
+  }
+
+  async getSyncCursor(tableName) {
+    // Sem watermark, a sincronização incremental começa do início da tabela
+    const watermark = await this.syncState.getWatermark(tableName);
+    return watermark
+      ? { value: watermark.lastValue, primaryKey: watermark.lastPrimaryKey }
+      : null;
   }
 
   summarizeResults(results) {
@@ -477,6 +1304,7 @@ class ETLManager {
       totalTables: Object.keys(results).length,
       successfulTables: 0,
       failedTables: 0,
+      skippedTables: 0,
       totalRecordsProcessed: 0,
       totalRecordsLoaded: 0
     };
@@ -490,6 +1318,8 @@ class ETLManager {
         if (result.load) {
           summary.totalRecordsLoaded += result.load.recordsLoaded || 0;
         }
+      } else if (result.skipped) {
+        summary.skippedTables++;
       } else {
         summary.failedTables++;
       }
@@ -497,10 +1327,6 @@ class ETLManager {
 
     return summary;
   }
-
-  delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
 }
 
 // Singleton instance
@@ -513,6 +1339,18 @@ module.exports = {
   DataExtractor,
   DataTransformer,
   DataLoader,
-  ETLScheduler
+  ETLScheduler,
+  SyncStateStore,
+  JobRegistry,
+  RejectionStore,
+  MappingStore,
+  ReconciliationStore,
+  DataReconciler,
+  CdcCheckpointStore,
+  CdcExtractor,
+  CdcConsumer,
+  DeletionDetector,
+  BackfillStore,
+  BackfillRunner
 };
 
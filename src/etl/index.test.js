@@ -0,0 +1,79 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const { ETLManager, ETLConfig } = require('./index');
+
+const rejection = (id, sourcePk, sourceRecord = { id: Number(sourcePk) }) => ({
+  id,
+  tableName: 'test_events',
+  sourcePk,
+  sourceRecord,
+  status: 'PENDING'
+});
+
+const transformed = (sourceId) => ({ id: sourceId, _etl_metadata: { source_id: sourceId } });
+
+describe('ETLManager.replayTableRejections', () => {
+  let manager;
+
+  beforeEach(() => {
+    ETLConfig.mappings.test_events = { sourceTable: 'events', targetTable: 'events', primaryKey: 'id' };
+    manager = new ETLManager();
+    manager.rejections = {
+      quarantine: jest.fn(),
+      recordReplayFailure: jest.fn(),
+      recordReplaySuccess: jest.fn()
+    };
+    manager.extractor = { extractByPrimaryKeys: jest.fn() };
+    manager.transformer = { transformTable: jest.fn() };
+    manager.loader = { loadTable: jest.fn().mockResolvedValue({ success: true, stats: { errors: [] } }) };
+  });
+
+  afterEach(() => {
+    delete ETLConfig.mappings.test_events;
+  });
+
+  test('relê da origem, separa não encontrados e rejeitados de novo e marca os carregados', async () => {
+    manager.extractor.extractByPrimaryKeys.mockResolvedValue({ success: true, data: [{ id: 1 }, { id: 2 }] });
+    manager.transformer.transformTable.mockResolvedValue({
+      transformedData: [transformed(1)],
+      rejectedRecords: [{ sourceRecord: { id: 2 }, errors: ['ainda inválido'] }]
+    });
+
+    const result = await manager.replayTableRejections('test_events', [
+      rejection('r1', '1'), rejection('r2', '2'), rejection('r3', '3')
+    ], true);
+
+    expect(manager.extractor.extractByPrimaryKeys).toHaveBeenCalledWith('test_events', ['1', '2', '3']);
+    expect(manager.rejections.recordReplayFailure).toHaveBeenCalledWith(['r3'], 'Registro não encontrado na origem');
+    expect(manager.rejections.recordReplayFailure).toHaveBeenCalledWith(['r2'], 'Registro rejeitado novamente na transformação');
+    expect(manager.rejections.recordReplaySuccess).toHaveBeenCalledWith(['r1']);
+    expect(result).toEqual({ replayed: 1, stillRejected: 1, notFound: 1, failed: 0 });
+  });
+
+  test('sem refetch usa a cópia gravada na quarentena', async () => {
+    manager.transformer.transformTable.mockResolvedValue({ transformedData: [transformed(5)], rejectedRecords: [] });
+
+    await manager.replayTableRejections('test_events', [rejection('r5', '5', { id: 5, amount: '10' })], false);
+
+    expect(manager.extractor.extractByPrimaryKeys).not.toHaveBeenCalled();
+    expect(manager.transformer.transformTable).toHaveBeenCalledWith('test_events', [{ id: 5, amount: '10' }]);
+  });
+
+  test('erro no carregamento conta como falha e mantém as rejeições pendentes', async () => {
+    manager.transformer.transformTable.mockResolvedValue({ transformedData: [transformed(5)], rejectedRecords: [] });
+    manager.loader.loadTable.mockResolvedValue({ success: false, error: 'timeout', stats: { errors: [] } });
+
+    const result = await manager.replayTableRejections('test_events', [rejection('r5', '5')], false);
+
+    expect(manager.rejections.recordReplayFailure).toHaveBeenCalledWith(['r5'], 'Erro no carregamento: timeout');
+    expect(manager.rejections.recordReplaySuccess).not.toHaveBeenCalled();
+    expect(result.failed).toBe(1);
+  });
+
+  test('mapeamento desconhecido falha todas as rejeições da tabela', async () => {
+    const result = await manager.replayTableRejections('unknown', [rejection('r1', '1')], true);
+
+    expect(manager.rejections.recordReplayFailure).toHaveBeenCalledWith(['r1'], 'Mapeamento não encontrado para tabela unknown');
+    expect(result).toEqual({ replayed: 0, stillRejected: 0, notFound: 0, failed: 1 });
+  });
+});
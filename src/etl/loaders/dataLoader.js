@@ -1,5 +1,7 @@
 const { Pool } = require('pg');
 const ETLConfig = require('../config');
+const HistoryStore = require('../state/historyStore');
+const FirstDepositTracker = require('./firstDepositTracker');
 const logger = require('../../utils/logger');
 
 class DataLoader {
@@ -8,13 +10,11 @@ class DataLoader {
     this.isConnected = false;
     this.connectionRetries = 0;
     this.maxRetries = ETLConfig.general.maxRetries;
-    this.loadStats = {
-      recordsLoaded: 0,
-      recordsSkipped: 0,
-      recordsUpdated: 0,
-      recordsInserted: 0,
-      errors: []
-    };
+    this.loadStats = this.createEmptyStats();
+    this.softDeleteReady = new Set();
+    this.naturalKeyReady = new Set();
+    this.history = new HistoryStore(this);
+    this.firstDeposits = new FirstDepositTracker(this);
   }
 
   // Conectar ao banco de destino (Affiliate Service)
@@ -71,7 +71,9 @@ class DataLoader {
   }
 
   // Carregar dados transformados
-  async loadTable(tableName, transformedData) {
+  // options.shouldStop (async) é consultado entre lotes para cancelamento
+  async loadTable(tableName, transformedData, options = {}) {
+    const { shouldStop = null } = options;
     const mapping = ETLConfig.mappings[tableName];
     if (!mapping) {
       throw new Error(`Mapeamento não encontrado para tabela ${tableName}`);
@@ -84,22 +86,54 @@ class DataLoader {
 
     const startTime = Date.now();
     let recordsProcessed = 0;
+    let cancelled = false;
+    const tableStats = this.createEmptyStats();
 
     try {
       await this.connect();
 
+      // Com soft delete, registros que voltam na origem são restaurados no upsert (deleted_at = NULL)
+      if (this.getDeleteMode(mapping) === 'soft') {
+        await this.ensureSoftDeleteColumn(mapping.targetTable);
+      }
+
+      // Histórico SCD tipo 2 das colunas rastreadas (historyColumns)
+      if (this.history.isEnabled(mapping)) {
+        await this.history.ensureTable(mapping, this.getNaturalKey(mapping));
+      }
+
+      // Depósitos: tabela de destino e coluna is_ftd (primeiro depósito)
+      if (this.firstDeposits.isEnabled(mapping)) {
+        await this.firstDeposits.ensureTable(mapping, this.getNaturalKey(mapping));
+      }
+
+      // ON CONFLICT (chave natural) exige um índice único exatamente sobre essa coluna
+      await this.checkNaturalKeyIndex(mapping);
+
       // Processar em lotes para melhor performance
       const batchSize = ETLConfig.general.batchSize;
       const batches = this.chunkArray(transformedData, batchSize);
 
       for (let i = 0; i < batches.length; i++) {
         const batch = batches[i];
+
+        // Lotes já carregados estão confirmados; parar antes do próximo
+        if (i > 0 && shouldStop && await shouldStop()) {
+          cancelled = true;
+          logger.warn(`🛑 ETL Loader: Carregamento de ${tableName} interrompido por cancelamento`, {
+            batchesProcessed: i,
+            recordsProcessed
+          });
+          break;
+        }
         
         logger.info(`📦 ETL Loader: Processando lote ${i + 1}/${batches.length}`, {
           batchSize: batch.length
         });
 
-        await this.loadBatch(mapping, batch);
+        const batchStats = await this.loadBatch(mapping, batch);
+        this.mergeStats(tableStats, batchStats);
+        this.mergeStats(this.loadStats, batchStats);
         recordsProcessed += batch.length;
 
         // Log de progresso
@@ -118,17 +152,18 @@ class DataLoader {
       logger.info(`✅ ETL Loader: Carregamento concluído`, {
         table: mapping.targetTable,
         recordsProcessed,
-        recordsLoaded: this.loadStats.recordsLoaded,
-        recordsUpdated: this.loadStats.recordsUpdated,
-        recordsInserted: this.loadStats.recordsInserted,
-        recordsSkipped: this.loadStats.recordsSkipped,
+        recordsLoaded: tableStats.recordsLoaded,
+        recordsUpdated: tableStats.recordsUpdated,
+        recordsInserted: tableStats.recordsInserted,
+        recordsSkipped: tableStats.recordsSkipped,
         loadTime: `${loadTime}ms`
       });
 
       return {
         success: true,
+        cancelled,
         stats: {
-          ...this.loadStats,
+          ...tableStats,
           recordsProcessed,
           loadTime
         }
@@ -143,23 +178,57 @@ class DataLoader {
       return {
         success: false,
         error: error.message,
-        stats: this.loadStats
+        stats: tableStats
       };
     }
   }
 
   // Carregar um lote de dados
+  // Cada bloco do lote é gravado com um único INSERT ... ON CONFLICT DO UPDATE
   async loadBatch(mapping, batch) {
     const client = await this.targetPool.connect();
+    const batchStats = this.createEmptyStats();
+    const naturalKey = this.getNaturalKey(mapping);
     
     try {
       await client.query('BEGIN');
 
-      for (const record of batch) {
-        await this.loadRecord(client, mapping, record);
+      const records = this.dedupeByNaturalKey(batch.map(record => this.cleanRecord(record)), naturalKey);
+      batchStats.recordsSkipped += batch.length - records.length;
+
+      // Um comando por conjunto de campos: um campo ausente em parte dos registros não
+      // pode virar NULL no DO UPDATE e apagar o valor já gravado no destino
+      const chunks = this.groupByFields(records).flatMap(group => this.chunkForParameters(group));
+
+      for (const chunk of chunks) {
+        await client.query('SAVEPOINT bulk_upsert');
+
+        try {
+          const result = await this.upsertRecords(client, mapping, chunk);
+          this.mergeStats(batchStats, result);
+          await client.query('RELEASE SAVEPOINT bulk_upsert');
+        } catch (error) {
+          if (error.code !== '23505') {
+            throw error;
+          }
+
+          // Violação de outro índice único (ex.: email): gravar registro a registro
+          // para isolar e ignorar apenas os duplicados
+          await client.query('ROLLBACK TO SAVEPOINT bulk_upsert');
+          logger.warn(`⚠️ ETL Loader: Conflito de unicidade no lote, carregando registro a registro`, {
+            table: mapping.targetTable,
+            chunkSize: chunk.length,
+            error: error.message
+          });
+
+          for (const record of chunk) {
+            this.mergeStats(batchStats, await this.loadRecord(client, mapping, record));
+          }
+        }
       }
 
       await client.query('COMMIT');
+      return batchStats;
 
     } catch (error) {
       await client.query('ROLLBACK');
@@ -173,123 +242,346 @@ class DataLoader {
     }
   }
 
-  // Carregar um registro individual
+  // Carregar um registro individual (fallback quando o lote tem conflito de unicidade)
   async loadRecord(client, mapping, record) {
-    try {
-      // Remover metadados ETL antes de inserir
-      const { _etl_metadata, _unique_fields, ...cleanRecord } = record;
-
-      // Verificar se o registro já existe
-      const existingRecord = await this.findExistingRecord(
-        client, 
-        mapping, 
-        cleanRecord
-      );
+    const recordStats = this.createEmptyStats();
 
-      if (existingRecord) {
-        // Atualizar registro existente
-        await this.updateRecord(client, mapping, cleanRecord, existingRecord);
-        this.loadStats.recordsUpdated++;
-      } else {
-        // Inserir novo registro
-        await this.insertRecord(client, mapping, cleanRecord);
-        this.loadStats.recordsInserted++;
-      }
+    await client.query('SAVEPOINT single_upsert');
 
-      this.loadStats.recordsLoaded++;
+    try {
+      const result = await this.upsertRecords(client, mapping, [record]);
+      await client.query('RELEASE SAVEPOINT single_upsert');
+      return this.mergeStats(recordStats, result);
 
     } catch (error) {
-      this.loadStats.errors.push({
+      await client.query('ROLLBACK TO SAVEPOINT single_upsert');
+
+      recordStats.errors.push({
         table: mapping.targetTable,
         record: record,
         error: error.message,
         timestamp: new Date().toISOString()
       });
 
-      logger.error(`❌ ETL Loader: Erro ao carregar registro`, {
-        table: mapping.targetTable,
-        error: error.message,
-        record: record
-      });
-
       // Decidir se deve continuar ou falhar
       if (error.code === '23505') { // Violação de unique constraint
-        this.loadStats.recordsSkipped++;
+        recordStats.recordsSkipped++;
         logger.warn(`⚠️ ETL Loader: Registro duplicado ignorado`, {
           table: mapping.targetTable,
           record: record
         });
-      } else {
-        throw error; // Re-throw outros erros
+        return recordStats;
       }
+
+      logger.error(`❌ ETL Loader: Erro ao carregar registro`, {
+        table: mapping.targetTable,
+        error: error.message,
+        record: record
+      });
+      throw error; // Re-throw outros erros
     }
   }
 
-  // Verificar se registro já existe
-  async findExistingRecord(client, mapping, record) {
-    // Usar external_user_id ou external_transaction_id como chave
-    let keyField = 'external_user_id';
-    if (mapping.targetTable === 'referrals') {
-      keyField = 'external_transaction_id';
-    } else if (mapping.targetTable === 'bet_activities') {
-      keyField = 'external_bet_id';
+  // Inserir ou atualizar registros em um único comando
+  // Registros idênticos ao que já está no destino não são reescritos (contam como ignorados)
+  async upsertRecords(client, mapping, records) {
+    const stats = this.createEmptyStats();
+    if (records.length === 0) {
+      return stats;
+    }
+
+    const naturalKey = this.getNaturalKey(mapping);
+    const fields = this.collectFields(records);
+
+    if (!fields.includes(naturalKey)) {
+      throw new Error(`Chave natural '${naturalKey}' ausente nos registros de ${mapping.targetTable}`);
     }
 
-    if (!record[keyField]) {
-      return null;
+    const values = [];
+    const rowsSql = records.map(record => {
+      const placeholders = fields.map(field => {
+        values.push(record[field] !== undefined ? record[field] : null);
+        return `$${values.length}`;
+      });
+      return `(${placeholders.join(', ')})`;
+    });
+
+    const updateFields = fields.filter(field => field !== naturalKey);
+    const setClause = updateFields.map(field => `${field} = EXCLUDED.${field}`);
+    if (!fields.includes('updated_at')) {
+      setClause.push('updated_at = NOW()');
     }
 
-    const query = `SELECT id FROM ${mapping.targetTable} WHERE ${keyField} = $1`;
-    const result = await client.query(query, [record[keyField]]);
-    
-    return result.rows.length > 0 ? result.rows[0] : null;
-  }
+    const restoreDeleted = this.getDeleteMode(mapping) === 'soft' && !fields.includes('deleted_at');
+    if (restoreDeleted) {
+      setClause.push('deleted_at = NULL');
+    }
 
-  // Inserir novo registro
-  async insertRecord(client, mapping, record) {
-    const fields = Object.keys(record);
-    const values = Object.values(record);
-    const placeholders = fields.map((_, index) => `$${index + 1}`).join(', ');
+    const changedCondition = updateFields.length > 0
+      ? `WHERE (${updateFields.map(field => `${mapping.targetTable}.${field}`).join(', ')})
+          IS DISTINCT FROM (${updateFields.map(field => `EXCLUDED.${field}`).join(', ')})
+          ${restoreDeleted ? `OR ${mapping.targetTable}.deleted_at IS NOT NULL` : ''}`
+      : '';
 
     const query = `
       INSERT INTO ${mapping.targetTable} (${fields.join(', ')})
-      VALUES (${placeholders})
-      RETURNING id
+      VALUES ${rowsSql.join(', ')}
+      ON CONFLICT (${naturalKey}) DO UPDATE
+      SET ${setClause.join(', ')}
+      ${changedCondition}
+      RETURNING (xmax = 0) AS inserted
     `;
 
     const result = await client.query(query, values);
-    
-    logger.debug(`📝 ETL Loader: Registro inserido`, {
+
+    stats.recordsInserted = result.rows.filter(row => row.inserted).length;
+    stats.recordsUpdated = result.rows.length - stats.recordsInserted;
+    stats.recordsSkipped = records.length - result.rows.length;
+    stats.recordsLoaded = result.rows.length;
+
+    if (this.history.isEnabled(mapping)) {
+      stats.historyVersions = await this.history.recordVersions(client, mapping, naturalKey, records);
+    }
+
+    if (this.firstDeposits.isEnabled(mapping)) {
+      stats.firstDepositsFlagged = await this.firstDeposits.refreshUsers(client, mapping, naturalKey, records);
+    }
+
+    logger.debug(`📝 ETL Loader: Upsert em lote executado`, {
       table: mapping.targetTable,
-      id: result.rows[0].id
+      inserted: stats.recordsInserted,
+      updated: stats.recordsUpdated,
+      unchanged: stats.recordsSkipped
     });
 
-    return result.rows[0];
+    return stats;
   }
 
-  // Atualizar registro existente
-  async updateRecord(client, mapping, record, existingRecord) {
-    const fields = Object.keys(record);
-    const values = Object.values(record);
-    
-    // Construir SET clause
-    const setClause = fields.map((field, index) => `${field} = $${index + 1}`).join(', ');
-    
-    const query = `
-      UPDATE ${mapping.targetTable} 
-      SET ${setClause}, updated_at = NOW()
-      WHERE id = $${fields.length + 1}
-      RETURNING id
-    `;
+  // Modo de exclusão do mapeamento: ignore (padrão), soft (deleted_at) ou hard (DELETE)
+  // Mapeamentos em CDC sem deleteMode explícito usam soft delete
+  getDeleteMode(mapping) {
+    return mapping.deleteMode || (mapping.syncMode === 'cdc' ? 'soft' : 'ignore');
+  }
 
-    const result = await client.query(query, [...values, existingRecord.id]);
-    
-    logger.debug(`📝 ETL Loader: Registro atualizado`, {
-      table: mapping.targetTable,
-      id: result.rows[0].id
+  // Propagar ao destino exclusões de registros da origem conforme o deleteMode do mapeamento
+  // sourceKeys: chaves primárias de origem, comparadas com a coluna de destino da chave primária
+  async deleteRecords(tableName, sourceKeys) {
+    const mapping = ETLConfig.mappings[tableName];
+    if (!mapping) {
+      throw new Error(`Mapeamento não encontrado para tabela: ${tableName}`);
+    }
+
+    const stats = this.createEmptyStats();
+    if (!sourceKeys || sourceKeys.length === 0) {
+      return stats;
+    }
+
+    const deleteMode = this.getDeleteMode(mapping);
+    if (deleteMode === 'ignore') {
+      stats.recordsSkipped = sourceKeys.length;
+      logger.debug(`🗑️ ETL Loader: ${sourceKeys.length} exclusões ignoradas em ${mapping.targetTable} (deleteMode ignore)`);
+      return stats;
+    }
+
+    const keyColumn = mapping.fieldMapping && mapping.fieldMapping[mapping.primaryKey];
+    if (!keyColumn) {
+      throw new Error(`Chave primária ${mapping.primaryKey} não mapeada em ${tableName}`);
+    }
+
+    await this.connect();
+    if (deleteMode === 'soft') {
+      await this.ensureSoftDeleteColumn(mapping.targetTable);
+    }
+    if (this.history.isEnabled(mapping)) {
+      await this.history.ensureTable(mapping, this.getNaturalKey(mapping));
+    }
+    if (this.firstDeposits.isEnabled(mapping)) {
+      await this.firstDeposits.ensureTable(mapping, this.getNaturalKey(mapping));
+    }
+
+    const client = await this.targetPool.connect();
+    let result;
+
+    try {
+      await client.query('BEGIN');
+
+      // A versão vigente no histórico é encerrada antes de o registro sair do destino
+      if (this.history.isEnabled(mapping)) {
+        await this.history.closeVersions(client, mapping, this.getNaturalKey(mapping), keyColumn, sourceKeys);
+      }
+
+      // Usuários afetados antes da exclusão: o FTD pode passar para o próximo depósito confirmado
+      const depositUsers = this.firstDeposits.isEnabled(mapping)
+        ? await this.firstDeposits.findUsers(client, mapping, keyColumn, sourceKeys)
+        : [];
+
+      if (deleteMode === 'soft') {
+        result = await client.query(`
+          UPDATE ${mapping.targetTable}
+          SET deleted_at = NOW()
+          WHERE ${keyColumn} = ANY($1) AND deleted_at IS NULL
+        `, [sourceKeys]);
+        stats.recordsSoftDeleted = result.rowCount;
+      } else {
+        result = await client.query(
+          `DELETE FROM ${mapping.targetTable} WHERE ${keyColumn} = ANY($1)`,
+          [sourceKeys]
+        );
+        stats.recordsDeleted = result.rowCount;
+      }
+
+      if (depositUsers.length > 0) {
+        stats.firstDepositsFlagged = await this.firstDeposits.refreshUsers(
+          client, mapping, this.getNaturalKey(mapping), depositUsers
+        );
+      }
+
+      await client.query('COMMIT');
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    stats.recordsSkipped = sourceKeys.length - result.rowCount;
+    this.mergeStats(this.loadStats, stats);
+
+    logger.info(`🗑️ ETL Loader: ${result.rowCount} registros ${deleteMode === 'soft' ? 'marcados como removidos' : 'removidos'} em ${mapping.targetTable}`, {
+      deleteMode,
+      keys: sourceKeys.length
     });
 
-    return result.rows[0];
+    return stats;
+  }
+
+  // Coluna deleted_at criada na primeira vez que a tabela de destino usa soft delete
+  // (consulta ao catálogo antes do ALTER para não travar a tabela a cada carga)
+  async ensureSoftDeleteColumn(targetTable) {
+    if (this.softDeleteReady.has(targetTable)) {
+      return;
+    }
+
+    const [schema, table] = targetTable.includes('.') ? targetTable.split('.') : [null, targetTable];
+    const existing = await this.targetPool.query(`
+      SELECT 1 FROM information_schema.columns
+      WHERE table_schema = COALESCE($1, current_schema()) AND table_name = $2 AND column_name = 'deleted_at'
+    `, [schema, table]);
+
+    if (existing.rows.length === 0) {
+      await this.targetPool.query(`ALTER TABLE ${targetTable} ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP`);
+      logger.info(`🗑️ ETL Loader: Coluna deleted_at criada em ${targetTable}`);
+    }
+
+    this.softDeleteReady.add(targetTable);
+  }
+
+  // Índice único da chave natural verificado uma vez por tabela de destino. O índice é criado
+  // pela migração (src/database/migrate.js), não pelo ETL: sem ele o carregamento é recusado
+  async checkNaturalKeyIndex(mapping) {
+    if (this.naturalKeyReady.has(mapping.targetTable)) {
+      return;
+    }
+
+    const naturalKey = this.getNaturalKey(mapping);
+    const existing = await this.targetPool.query(`
+      SELECT 1
+      FROM pg_index i
+      JOIN pg_attribute a ON a.attrelid = i.indrelid AND a.attnum = i.indkey[0]
+      WHERE i.indrelid = $1::regclass
+        AND i.indisunique
+        AND i.indnatts = 1
+        AND i.indpred IS NULL
+        AND a.attname = $2
+    `, [mapping.targetTable, naturalKey]);
+
+    if (existing.rows.length === 0) {
+      const table = mapping.targetTable.split('.').pop();
+      throw new Error(
+        `Índice único da chave natural ${naturalKey} ausente em ${mapping.targetTable}; ` +
+        `crie-o antes do carregamento: CREATE UNIQUE INDEX ${table}_${naturalKey}_etl_key ON ${mapping.targetTable} (${naturalKey})`
+      );
+    }
+
+    this.naturalKeyReady.add(mapping.targetTable);
+  }
+
+  // Obter coluna de chave natural do mapeamento
+  getNaturalKey(mapping) {
+    if (mapping.naturalKey) {
+      return mapping.naturalKey;
+    }
+
+    // Sem naturalKey explícita, usar o destino da chave primária de origem
+    const mappedKey = mapping.fieldMapping && mapping.fieldMapping[mapping.primaryKey];
+    if (!mappedKey) {
+      throw new Error(`Mapeamento de ${mapping.targetTable} sem chave natural definida`);
+    }
+    return mappedKey;
+  }
+
+  // Remover metadados ETL antes de inserir
+  cleanRecord(record) {
+    const { _etl_metadata, _unique_fields, ...cleanRecord } = record;
+    return cleanRecord;
+  }
+
+  // Manter apenas a última ocorrência de cada chave natural
+  // (ON CONFLICT DO UPDATE não aceita a mesma linha duas vezes no mesmo comando)
+  dedupeByNaturalKey(records, naturalKey) {
+    const byKey = new Map();
+    const withoutKey = [];
+
+    records.forEach(record => {
+      const key = record[naturalKey];
+      if (key === null || key === undefined) {
+        withoutKey.push(record);
+      } else {
+        byKey.delete(key);
+        byKey.set(key, record);
+      }
+    });
+
+    return [...byKey.values(), ...withoutKey];
+  }
+
+  // União dos campos presentes nos registros, mantendo a ordem de aparição
+  // (campos com valor undefined contam como ausentes)
+  collectFields(records) {
+    const fields = new Set();
+    records.forEach(record => this.presentFields(record).forEach(field => fields.add(field)));
+    return Array.from(fields);
+  }
+
+  presentFields(record) {
+    return Object.keys(record).filter(field => record[field] !== undefined);
+  }
+
+  // Agrupar registros pelo conjunto de campos presentes (ordem de aparição preservada)
+  groupByFields(records) {
+    const groups = new Map();
+
+    records.forEach(record => {
+      const signature = this.presentFields(record).sort().join(',');
+      if (!groups.has(signature)) {
+        groups.set(signature, []);
+      }
+      groups.get(signature).push(record);
+    });
+
+    return Array.from(groups.values());
+  }
+
+  // Dividir registros respeitando o limite de parâmetros do PostgreSQL (65535)
+  chunkForParameters(records) {
+    if (records.length === 0) {
+      return [];
+    }
+
+    const fieldCount = Math.max(this.collectFields(records).length, 1);
+    const maxRows = Math.max(Math.floor(65000 / fieldCount), 1);
+    return this.chunkArray(records, maxRows);
   }
 
   // Carregar dados específicos de afiliados
@@ -307,6 +599,10 @@ class DataLoader {
     return this.loadTable('bets', betData);
   }
 
+  async loadDepositActivities(depositData) {
+    return this.loadTable('deposits', depositData);
+  }
+
   // Executar operações de limpeza
   async cleanup() {
     try {
@@ -362,6 +658,12 @@ class DataLoader {
       await client.query('ANALYZE referrals');
       await client.query('ANALYZE bet_activities');
 
+      // deposit_activities é criada pelo ETL na primeira carga de depósitos
+      const deposits = await client.query(`SELECT to_regclass('deposit_activities') AS regclass`);
+      if (deposits.rows[0].regclass) {
+        await client.query('ANALYZE deposit_activities');
+      }
+
       logger.info('📊 ETL Loader: Estatísticas das tabelas atualizadas');
 
     } finally {
@@ -406,6 +708,36 @@ class DataLoader {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
 
+  createEmptyStats() {
+    return {
+      recordsLoaded: 0,
+      recordsSkipped: 0,
+      recordsUpdated: 0,
+      recordsInserted: 0,
+      recordsDeleted: 0,
+      recordsSoftDeleted: 0,
+      historyVersions: 0,
+      firstDepositsFlagged: 0,
+      errors: []
+    };
+  }
+
+  // Somar estatísticas de carregamento (in-place em target)
+  mergeStats(target, source) {
+    target.recordsLoaded += source.recordsLoaded || 0;
+    target.recordsSkipped += source.recordsSkipped || 0;
+    target.recordsUpdated += source.recordsUpdated || 0;
+    target.recordsInserted += source.recordsInserted || 0;
+    target.recordsDeleted += source.recordsDeleted || 0;
+    target.recordsSoftDeleted += source.recordsSoftDeleted || 0;
+    target.historyVersions += source.historyVersions || 0;
+    target.firstDepositsFlagged += source.firstDepositsFlagged || 0;
+    if (source.errors && source.errors.length > 0) {
+      target.errors.push(...source.errors);
+    }
+    return target;
+  }
+
   // Obter estatísticas de carregamento
   getStats() {
     return { ...this.loadStats };
@@ -413,13 +745,7 @@ class DataLoader {
 
   // Resetar estatísticas
   resetStats() {
-    this.loadStats = {
-      recordsLoaded: 0,
-      recordsSkipped: 0,
-      recordsUpdated: 0,
-      recordsInserted: 0,
-      errors: []
-    };
+    this.loadStats = this.createEmptyStats();
   }
 
   // Fechar conexões
@@ -0,0 +1,181 @@
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const DataLoader = require('./dataLoader');
+
+const mapping = {
+  targetTable: 'affiliates',
+  primaryKey: 'id',
+  fieldMapping: { id: 'external_user_id', email: 'email' }
+};
+
+const uniqueViolation = () => Object.assign(new Error('duplicate key value violates unique constraint'), { code: '23505' });
+
+// Cliente que registra os comandos de controle de transação
+const createClient = () => {
+  const commands = [];
+  return {
+    commands,
+    query: jest.fn(async (text) => {
+      commands.push(text);
+      return { rows: [] };
+    }),
+    release: jest.fn()
+  };
+};
+
+describe('DataLoader', () => {
+  let loader;
+
+  beforeEach(() => {
+    loader = new DataLoader();
+  });
+
+  describe('getNaturalKey', () => {
+    test('usa naturalKey explícita ou o destino da chave primária de origem', () => {
+      expect(loader.getNaturalKey({ ...mapping, naturalKey: 'email' })).toBe('email');
+      expect(loader.getNaturalKey(mapping)).toBe('external_user_id');
+      expect(() => loader.getNaturalKey({ targetTable: 'bets', primaryKey: 'id', fieldMapping: {} }))
+        .toThrow('Mapeamento de bets sem chave natural definida');
+    });
+  });
+
+  describe('dedupeByNaturalKey', () => {
+    test('mantém a última ocorrência de cada chave e preserva registros sem chave', () => {
+      const records = [
+        { external_user_id: 1, email: 'a@old' },
+        { external_user_id: 2, email: 'b' },
+        { external_user_id: null, email: 'sem-chave' },
+        { external_user_id: 1, email: 'a@new' }
+      ];
+
+      expect(loader.dedupeByNaturalKey(records, 'external_user_id')).toEqual([
+        { external_user_id: 2, email: 'b' },
+        { external_user_id: 1, email: 'a@new' },
+        { external_user_id: null, email: 'sem-chave' }
+      ]);
+    });
+  });
+
+  describe('chunkForParameters', () => {
+    test('limita o número de linhas pelo total de parâmetros do comando', () => {
+      const record = Object.fromEntries(Array.from({ length: 1000 }, (_, i) => [`c${i}`, i]));
+      const chunks = loader.chunkForParameters(Array.from({ length: 150 }, () => record));
+
+      expect(chunks.map(chunk => chunk.length)).toEqual([65, 65, 20]);
+      expect(loader.chunkForParameters([])).toEqual([]);
+    });
+  });
+
+  describe('checkNaturalKeyIndex', () => {
+    test('índice único existente é verificado uma única vez por tabela', async () => {
+      const query = jest.fn().mockResolvedValue({ rows: [{ '?column?': 1 }] });
+      loader.targetPool = { query };
+
+      await loader.checkNaturalKeyIndex(mapping);
+      await loader.checkNaturalKeyIndex(mapping);
+
+      expect(query).toHaveBeenCalledTimes(1);
+      expect(query.mock.calls[0][1]).toEqual(['affiliates', 'external_user_id']);
+    });
+
+    test('sem o índice o carregamento é recusado, sem criar o índice', async () => {
+      const query = jest.fn().mockResolvedValue({ rows: [] });
+      loader.targetPool = { query };
+
+      await expect(loader.checkNaturalKeyIndex({ ...mapping, targetTable: 'public.affiliates' })).rejects.toThrow(
+        'Índice único da chave natural external_user_id ausente em public.affiliates; crie-o antes do carregamento: ' +
+        'CREATE UNIQUE INDEX affiliates_external_user_id_etl_key ON public.affiliates (external_user_id)'
+      );
+      expect(query).toHaveBeenCalledTimes(1);
+      expect(loader.naturalKeyReady.size).toBe(0);
+    });
+  });
+
+  describe('loadBatch', () => {
+    test('grava cada bloco dentro de um savepoint e soma as estatísticas', async () => {
+      const client = createClient();
+      loader.targetPool = { connect: jest.fn().mockResolvedValue(client) };
+      jest.spyOn(loader, 'upsertRecords').mockResolvedValue({
+        ...loader.createEmptyStats(), recordsLoaded: 2, recordsInserted: 1, recordsUpdated: 1
+      });
+
+      const stats = await loader.loadBatch(mapping, [
+        { external_user_id: 1, email: 'a', _etl_metadata: {} },
+        { external_user_id: 2, email: 'b' },
+        { external_user_id: 2, email: 'b2' }
+      ]);
+
+      expect(loader.upsertRecords).toHaveBeenCalledWith(client, mapping, [
+        { external_user_id: 1, email: 'a' },
+        { external_user_id: 2, email: 'b2' }
+      ]);
+      expect(client.commands).toEqual(['BEGIN', 'SAVEPOINT bulk_upsert', 'RELEASE SAVEPOINT bulk_upsert', 'COMMIT']);
+      expect(stats).toEqual(expect.objectContaining({ recordsLoaded: 2, recordsInserted: 1, recordsUpdated: 1, recordsSkipped: 1 }));
+      expect(client.release).toHaveBeenCalled();
+    });
+
+    test('conflito de unicidade no bloco recai para gravação registro a registro', async () => {
+      const client = createClient();
+      loader.targetPool = { connect: jest.fn().mockResolvedValue(client) };
+      jest.spyOn(loader, 'upsertRecords').mockImplementation(async (_client, _mapping, records) => {
+        if (records.length > 1 || records[0].email === 'duplicado') {
+          throw uniqueViolation();
+        }
+        return { ...loader.createEmptyStats(), recordsLoaded: 1, recordsInserted: 1 };
+      });
+
+      const stats = await loader.loadBatch(mapping, [
+        { external_user_id: 1, email: 'a' },
+        { external_user_id: 2, email: 'duplicado' }
+      ]);
+
+      expect(client.commands).toEqual([
+        'BEGIN',
+        'SAVEPOINT bulk_upsert',
+        'ROLLBACK TO SAVEPOINT bulk_upsert',
+        'SAVEPOINT single_upsert',
+        'RELEASE SAVEPOINT single_upsert',
+        'SAVEPOINT single_upsert',
+        'ROLLBACK TO SAVEPOINT single_upsert',
+        'COMMIT'
+      ]);
+      expect(stats.recordsInserted).toBe(1);
+      expect(stats.recordsSkipped).toBe(1);
+      expect(stats.errors).toHaveLength(1);
+    });
+
+    test('outros erros desfazem o lote inteiro', async () => {
+      const client = createClient();
+      loader.targetPool = { connect: jest.fn().mockResolvedValue(client) };
+      jest.spyOn(loader, 'upsertRecords').mockRejectedValue(new Error('coluna inexistente'));
+
+      await expect(loader.loadBatch(mapping, [{ external_user_id: 1 }])).rejects.toThrow('coluna inexistente');
+      expect(client.commands).toEqual(['BEGIN', 'SAVEPOINT bulk_upsert', 'ROLLBACK']);
+      expect(client.release).toHaveBeenCalled();
+    });
+  });
+
+  describe('upsertRecords', () => {
+    test('monta um único INSERT ... ON CONFLICT pela chave natural e conta inseridos e atualizados', async () => {
+      const client = { query: jest.fn().mockResolvedValue({ rows: [{ inserted: true }, { inserted: false }] }) };
+
+      const stats = await loader.upsertRecords(client, mapping, [
+        { external_user_id: 1, email: 'a' },
+        { external_user_id: 2, email: 'b' },
+        { external_user_id: 3, email: 'c' }
+      ]);
+
+      const [text, values] = client.query.mock.calls[0];
+      expect(text).toContain('INSERT INTO affiliates (external_user_id, email)');
+      expect(text).toContain('VALUES ($1, $2), ($3, $4), ($5, $6)');
+      expect(text).toContain('ON CONFLICT (external_user_id) DO UPDATE');
+      expect(values).toEqual([1, 'a', 2, 'b', 3, 'c']);
+      expect(stats).toEqual(expect.objectContaining({ recordsInserted: 1, recordsUpdated: 1, recordsSkipped: 1, recordsLoaded: 2 }));
+    });
+
+    test('registros sem a chave natural geram erro', async () => {
+      await expect(loader.upsertRecords({ query: jest.fn() }, mapping, [{ email: 'a' }]))
+        .rejects.toThrow("Chave natural 'external_user_id' ausente nos registros de affiliates");
+    });
+  });
+});
@@ -0,0 +1,164 @@
+const logger = require('../../utils/logger');
+
+// Marcação do primeiro depósito (FTD) dos usuários na tabela de depósitos do destino
+//
+// O FTD de um usuário é o depósito confirmado mais antigo (data do depósito, desempate pela
+// chave natural); is_ftd fica verdadeiro apenas nessa linha. Como depósitos chegam fora de
+// ordem e mudam de status depois da criação, a marcação é recalculada para todos os usuários
+// do lote, em um único UPDATE, na mesma transação do upsert (ou da exclusão)
+//
+// As colunas de usuário, data e status vêm do fieldMapping (user_id, created_at e status da origem)
+class FirstDepositTracker {
+  constructor(loader) {
+    this.loader = loader;
+    this.readyTables = new Set();
+  }
+
+  isEnabled(mapping) {
+    return mapping.sourceTable === FirstDepositTracker.SOURCE_TABLE && this.getColumns(mapping) !== null;
+  }
+
+  // Colunas de destino usadas no cálculo; null quando o mapeamento não as mapeia
+  getColumns(mapping) {
+    const fieldMapping = mapping.fieldMapping || {};
+    const columns = {
+      user: fieldMapping.user_id,
+      date: fieldMapping.created_at,
+      status: fieldMapping.status
+    };
+    return Object.values(columns).every(Boolean) ? columns : null;
+  }
+
+  // Criar a tabela de depósitos (quando ainda não existe) e a coluna is_ftd
+  // Uma tabela que já existia sem is_ftd tem a marcação calculada para todos os usuários
+  async ensureTable(mapping, naturalKey) {
+    const table = mapping.targetTable;
+    if (this.readyTables.has(table)) {
+      return table;
+    }
+
+    const pool = await this.loader.connect();
+    const indexName = table.replace('.', '_');
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS ${table} (
+        id BIGSERIAL PRIMARY KEY,
+        external_deposit_id VARCHAR(255) NOT NULL UNIQUE,
+        user_id VARCHAR(255) NOT NULL,
+        deposit_amount DECIMAL(15,2) NOT NULL,
+        currency VARCHAR(10) DEFAULT 'BRL',
+        payment_method VARCHAR(30),
+        deposit_status VARCHAR(20) NOT NULL,
+        deposit_date TIMESTAMP NOT NULL,
+        is_ftd BOOLEAN NOT NULL DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Tabela pré-existente (criada fora do ETL) pode não ter is_ftd
+    const [schema, tableName] = table.includes('.') ? table.split('.') : [null, table];
+    const existing = await pool.query(`
+      SELECT 1 FROM information_schema.columns
+      WHERE table_schema = COALESCE($1, current_schema()) AND table_name = $2 AND column_name = 'is_ftd'
+    `, [schema, tableName]);
+
+    if (existing.rows.length === 0) {
+      await pool.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS is_ftd BOOLEAN NOT NULL DEFAULT FALSE`);
+    }
+
+    const columns = this.getColumns(mapping);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_${indexName}_user_date ON ${table}(${columns.user}, ${columns.date})`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_${indexName}_ftd ON ${table}(${columns.user}) WHERE is_ftd`);
+
+    if (existing.rows.length === 0) {
+      const flagged = await this.refreshAll(pool, mapping, naturalKey);
+      logger.info(`💰 ETL FTD: Coluna is_ftd adicionada em ${table}`, { firstDepositsFlagged: flagged });
+    }
+
+    this.readyTables.add(table);
+    return table;
+  }
+
+  // Recalcular a marcação dos usuários dos registros carregados (client: transação do upsert)
+  // Retorna quantos depósitos passaram a ser FTD
+  async refreshUsers(client, mapping, naturalKey, records) {
+    const columns = this.getColumns(mapping);
+    const userIds = [...new Set(records
+      .map(record => record[columns.user])
+      .filter(userId => userId !== null && userId !== undefined)
+      .map(String))];
+
+    if (userIds.length === 0) {
+      return 0;
+    }
+
+    return this.refresh(client, mapping, naturalKey, 'SELECT unnest($1::text[])', [userIds]);
+  }
+
+  // Recalcular a marcação de todos os usuários da tabela
+  async refreshAll(client, mapping, naturalKey) {
+    const columns = this.getColumns(mapping);
+    return this.refresh(
+      client,
+      mapping,
+      naturalKey,
+      `SELECT DISTINCT ${columns.user}::text FROM ${mapping.targetTable}`,
+      []
+    );
+  }
+
+  // Usuários dos depósitos com as chaves informadas (antes de uma exclusão)
+  async findUsers(client, mapping, keyColumn, keys) {
+    const columns = this.getColumns(mapping);
+    const result = await client.query(
+      `SELECT DISTINCT ${columns.user}::text AS user_id FROM ${mapping.targetTable} WHERE ${keyColumn} = ANY($1)`,
+      [keys]
+    );
+    return result.rows.map(row => ({ [columns.user]: row.user_id }));
+  }
+
+  // usersSql: subconsulta com os ids (texto) dos usuários a recalcular
+  async refresh(client, mapping, naturalKey, usersSql, params) {
+    const table = mapping.targetTable;
+    const columns = this.getColumns(mapping);
+    const statusParam = `$${params.length + 1}`;
+    const activeCondition = this.loader.getDeleteMode(mapping) === 'soft' ? 'AND x.deleted_at IS NULL' : '';
+
+    const result = await client.query(`
+      UPDATE ${table} d
+      SET is_ftd = COALESCE(d.${naturalKey} = f.ftd_key, FALSE)
+      FROM (
+        SELECT u.user_id, (
+          SELECT x.${naturalKey}
+          FROM ${table} x
+          WHERE x.${columns.user}::text = u.user_id
+            AND x.${columns.status} = ANY(${statusParam})
+            ${activeCondition}
+          ORDER BY x.${columns.date}, x.${naturalKey}
+          LIMIT 1
+        ) AS ftd_key
+        FROM (${usersSql}) AS u(user_id)
+      ) f
+      WHERE d.${columns.user}::text = f.user_id
+        AND d.is_ftd IS DISTINCT FROM COALESCE(d.${naturalKey} = f.ftd_key, FALSE)
+      RETURNING d.is_ftd
+    `, [...params, FirstDepositTracker.FTD_STATUSES]);
+
+    const flagged = result.rows.filter(row => row.is_ftd).length;
+    if (result.rowCount > 0) {
+      logger.debug(`💰 ETL FTD: Marcação de primeiro depósito atualizada em ${table}`, {
+        flagged,
+        unflagged: result.rowCount - flagged
+      });
+    }
+
+    return flagged;
+  }
+}
+
+FirstDepositTracker.SOURCE_TABLE = 'deposits';
+// Status (já normalizados pelo mapeamento) que contam como depósito efetivado
+FirstDepositTracker.FTD_STATUSES = ['CONFIRMED'];
+
+module.exports = FirstDepositTracker;
@@ -0,0 +1,73 @@
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const FirstDepositTracker = require('./firstDepositTracker');
+
+const mapping = {
+  sourceTable: 'deposits',
+  targetTable: 'deposit_activities',
+  fieldMapping: {
+    id: 'external_deposit_id',
+    user_id: 'user_id',
+    status: 'deposit_status',
+    created_at: 'deposit_date'
+  }
+};
+
+describe('FirstDepositTracker', () => {
+  const createTracker = (deleteMode = 'hard') => new FirstDepositTracker({ getDeleteMode: jest.fn(() => deleteMode) });
+
+  test('habilitado apenas para depósitos com usuário, data e status mapeados', () => {
+    const tracker = createTracker();
+
+    expect(tracker.isEnabled(mapping)).toBe(true);
+    expect(tracker.getColumns(mapping)).toEqual({ user: 'user_id', date: 'deposit_date', status: 'deposit_status' });
+    expect(tracker.isEnabled({ ...mapping, sourceTable: 'bets' })).toBe(false);
+    expect(tracker.isEnabled({ ...mapping, fieldMapping: { id: 'external_deposit_id', user_id: 'user_id' } })).toBe(false);
+  });
+
+  describe('refreshUsers', () => {
+    test('recalcula de uma vez os usuários distintos do lote e conta os novos FTD', async () => {
+      const tracker = createTracker();
+      const client = { query: jest.fn().mockResolvedValue({ rowCount: 3, rows: [{ is_ftd: true }, { is_ftd: false }, { is_ftd: true }] }) };
+
+      const flagged = await tracker.refreshUsers(client, mapping, 'external_deposit_id', [
+        { user_id: 10 }, { user_id: '10' }, { user_id: 11 }, { user_id: null }
+      ]);
+
+      const [text, params] = client.query.mock.calls[0];
+      expect(flagged).toBe(2);
+      expect(params).toEqual([['10', '11'], ['CONFIRMED']]);
+      expect(text).toContain('FROM (SELECT unnest($1::text[])) AS u(user_id)');
+      expect(text).toContain('AND x.deposit_status = ANY($2)');
+      expect(text).toContain('ORDER BY x.deposit_date, x.external_deposit_id');
+      expect(text).not.toContain('deleted_at');
+    });
+
+    test('lote sem usuários não acessa o banco', async () => {
+      const tracker = createTracker();
+      const client = { query: jest.fn() };
+
+      await expect(tracker.refreshUsers(client, mapping, 'external_deposit_id', [{ user_id: null }])).resolves.toBe(0);
+      expect(client.query).not.toHaveBeenCalled();
+    });
+  });
+
+  test('no modo soft depósitos removidos não contam como FTD', async () => {
+    const tracker = createTracker('soft');
+    const client = { query: jest.fn().mockResolvedValue({ rowCount: 0, rows: [] }) };
+
+    await tracker.refreshAll(client, mapping, 'external_deposit_id');
+
+    const [text, params] = client.query.mock.calls[0];
+    expect(text).toContain('AND x.deleted_at IS NULL');
+    expect(text).toContain('SELECT DISTINCT user_id::text FROM deposit_activities');
+    expect(params).toEqual([['CONFIRMED']]);
+  });
+
+  test('findUsers devolve registros no formato usado por refreshUsers', async () => {
+    const tracker = createTracker();
+    const client = { query: jest.fn().mockResolvedValue({ rows: [{ user_id: '10' }] }) };
+
+    await expect(tracker.findUsers(client, mapping, 'external_deposit_id', ['d1'])).resolves.toEqual([{ user_id: '10' }]);
+  });
+});
@@ -0,0 +1,376 @@
+const ETLConfig = require('../config');
+const logger = require('../../utils/logger');
+
+const NUMERIC_KEY_TYPES = ['smallint', 'integer', 'bigint', 'numeric', 'real', 'double precision'];
+
+// Reconciliação origem x destino de uma tabela mapeada
+//
+// A origem é percorrida em faixas de chave primária (chunkSize registros, respeitando os filtros
+// do mapeamento); para cada faixa são comparados, na origem e no destino (coluna de destino da
+// chave primária): contagem, soma das colunas de valor (amountFields) e um hash md5 de
+// chave + valores em ordem de chave. Faixas com diferença podem ser detalhadas chave a chave
+// (drillDown) e ressincronizadas isoladamente
+//
+// As demais colunas não entram no hash: passam por transformações e não são comparáveis
+// diretamente entre os dois bancos
+class DataReconciler {
+  constructor(extractor, loader, rejections, store) {
+    this.extractor = extractor;
+    this.loader = loader;
+    this.rejections = rejections;
+    this.store = store;
+  }
+
+  // Comparar uma tabela e gravar o relatório com todas as faixas
+  // options.shouldStop (async) é consultado antes de cada faixa; options.onChunk recebe o progresso
+  async reconcileTable(tableName, options = {}) {
+    const {
+      chunkSize = ETLConfig.reconciliation.chunkSize,
+      jobId = null,
+      shouldStop = null,
+      onChunk = null
+    } = options;
+
+    const context = await this.buildContext(tableName);
+    const report = await this.store.createReport({
+      jobId,
+      tableName,
+      sourceTable: context.mapping.sourceTable,
+      targetTable: context.mapping.targetTable,
+      chunkSize,
+      keyType: context.keyType,
+      amountFields: context.amounts.map(amount => amount.field)
+    });
+
+    logger.info(`⚖️ ETL Reconciliation: Iniciando reconciliação de ${tableName}`, {
+      reportId: report.id,
+      chunkSize,
+      keyType: context.keyType
+    });
+
+    const totals = {
+      sourceCount: 0,
+      targetCount: 0,
+      sourceSums: {},
+      targetSums: {},
+      chunksTotal: 0,
+      chunksDivergent: 0
+    };
+
+    try {
+      let lowerKey = null;
+      let index = 0;
+      let cancelled = false;
+
+      while (true) {
+        if (shouldStop && await shouldStop()) {
+          cancelled = true;
+          break;
+        }
+
+        const source = await this.measure(context, 'source', { lowerKey, limit: chunkSize });
+        const isLast = source.count < chunkSize;
+        const upperKey = isLast ? null : source.upperKey;
+        const target = await this.measure(context, 'target', { lowerKey, upperKey });
+
+        // Última faixa vazia dos dois lados (origem terminou exatamente no limite de um lote)
+        if (index > 0 && source.count === 0 && target.count === 0) {
+          break;
+        }
+
+        const chunk = await this.store.saveChunk(report.id, this.compare(index, lowerKey, upperKey, source, target));
+
+        this.accumulate(totals, chunk);
+
+        if (onChunk) {
+          await onChunk({ chunk: index + 1, lastKey: upperKey, ...totals });
+        }
+
+        if (isLast) {
+          break;
+        }
+
+        lowerKey = upperKey;
+        index++;
+      }
+
+      const status = cancelled ? 'CANCELLED' : totals.chunksDivergent > 0 ? 'DIVERGENT' : 'MATCHED';
+      const finished = await this.store.finishReport(report.id, { status, totals });
+
+      logger.info(`⚖️ ETL Reconciliation: Reconciliação de ${tableName} finalizada`, {
+        reportId: report.id,
+        status,
+        sourceCount: totals.sourceCount,
+        targetCount: totals.targetCount,
+        chunksDivergent: totals.chunksDivergent
+      });
+
+      return finished;
+
+    } catch (error) {
+      logger.error(`❌ ETL Reconciliation: Erro na reconciliação de ${tableName}`, {
+        reportId: report.id,
+        error: error.message
+      });
+
+      return await this.store.finishReport(report.id, { status: 'FAILED', totals, error: error.message });
+    }
+  }
+
+  // Comparar novamente uma faixa já registrada (ex.: após ressincronização)
+  async recheckChunk(report, chunk, options = {}) {
+    const context = await this.buildContext(report.tableName);
+    const source = await this.measure(context, 'source', chunk);
+    const target = await this.measure(context, 'target', chunk);
+    const compared = this.compare(chunk.index, chunk.lowerKey, chunk.upperKey, source, target);
+
+    // Faixa que volta a bater depois de divergir fica como RESOLVED
+    if (compared.status === 'MATCHED' && chunk.status !== 'MATCHED') {
+      compared.status = 'RESOLVED';
+    }
+
+    return await this.store.updateChunk(chunk.id, compared, options);
+  }
+
+  // Detalhar uma faixa chave a chave: ausentes no destino (e se estão em quarentena),
+  // sobrando no destino e valores diferentes
+  async drillDown(report, chunk, limit = ETLConfig.reconciliation.drillDownLimit) {
+    const context = await this.buildContext(report.tableName);
+    const maxRows = report.chunkSize * 2;
+
+    const [sourceRows, targetRows] = await Promise.all([
+      this.fetchKeys(context, 'source', chunk, maxRows),
+      this.fetchKeys(context, 'target', chunk, maxRows)
+    ]);
+
+    const sourceByKey = new Map(sourceRows.map(row => [row.key, row]));
+    const targetByKey = new Map(targetRows.map(row => [row.key, row]));
+
+    const missing = sourceRows.filter(row => !targetByKey.has(row.key)).map(row => row.key);
+    const extra = targetRows.filter(row => !sourceByKey.has(row.key)).map(row => row.key);
+    const mismatches = [];
+
+    sourceRows.forEach(row => {
+      const targetRow = targetByKey.get(row.key);
+      if (!targetRow) {
+        return;
+      }
+      context.amounts.forEach((amount, position) => {
+        const column = `a${position}`;
+        if (row[column] !== targetRow[column]) {
+          mismatches.push({ key: row.key, field: amount.field, source: row[column], target: targetRow[column] });
+        }
+      });
+    });
+
+    const quarantined = await this.rejections.findPendingSourcePks(report.tableName, missing);
+
+    return {
+      chunk,
+      truncated: sourceRows.length === maxRows || targetRows.length === maxRows,
+      missingInTarget: {
+        total: missing.length,
+        quarantined: quarantined.length,
+        keys: missing.slice(0, limit),
+        quarantinedKeys: quarantined.slice(0, limit)
+      },
+      extraInTarget: {
+        total: extra.length,
+        keys: extra.slice(0, limit)
+      },
+      amountMismatches: {
+        total: mismatches.length,
+        items: mismatches.slice(0, limit)
+      }
+    };
+  }
+
+  // Registros de origem de uma faixa, para ressincronização
+  async extractChunk(report, chunk) {
+    const context = await this.buildContext(report.tableName);
+    return await this.extractor.extractKeyRange(report.tableName, {
+      lowerKey: chunk.lowerKey,
+      upperKey: chunk.upperKey,
+      keyExpression: context.sourceKey
+    });
+  }
+
+  // Expressões de chave e colunas de valor da origem e do destino
+  // Chaves numéricas são comparadas como numeric e as demais como texto em ordem binária (COLLATE "C"),
+  // para que a ordem das faixas seja a mesma nos dois bancos. Na origem, chaves numéricas e uuid
+  // ficam sem conversão (mesma ordem, e o índice da chave primária continua sendo usado)
+  async buildContext(tableName) {
+    const mapping = ETLConfig.mappings[tableName];
+    if (!mapping) {
+      throw new Error(`Mapeamento não encontrado para tabela: ${tableName}`);
+    }
+
+    const columns = await this.extractor.getSourceColumns(mapping.sourceTable);
+    const keyColumn = columns.find(column => column.column_name === mapping.primaryKey);
+    if (!keyColumn) {
+      throw new Error(`Chave primária '${mapping.primaryKey}' não encontrada em ${mapping.sourceTable}`);
+    }
+
+    const targetKeyColumn = mapping.fieldMapping[mapping.primaryKey];
+    const keyType = NUMERIC_KEY_TYPES.includes(keyColumn.data_type)
+      ? 'numeric'
+      : keyColumn.data_type === 'uuid' ? 'uuid' : 'text';
+    const keyExpression = (column) => keyType === 'numeric'
+      ? `(${column}::numeric)`
+      : `(${column}::text COLLATE "C")`;
+
+    await this.loader.connect();
+
+    // Com soft delete, linhas marcadas como removidas não existem mais na origem
+    const softDelete = this.loader.getDeleteMode(mapping) === 'soft';
+    if (softDelete) {
+      await this.loader.ensureSoftDeleteColumn(mapping.targetTable);
+    }
+
+    return {
+      tableName,
+      mapping,
+      keyType,
+      softDelete,
+      sourceKey: keyType === 'text' ? keyExpression(mapping.primaryKey) : mapping.primaryKey,
+      targetKey: keyExpression(targetKeyColumn),
+      targetKeyColumn,
+      amounts: (mapping.amountFields || [])
+        .filter(field => mapping.fieldMapping[field])
+        .map(field => ({ field, source: field, target: mapping.fieldMapping[field] }))
+    };
+  }
+
+  // Contagem, maior chave, somas e hash de uma faixa em um dos lados
+  // Com limit (somente origem), a faixa termina no limit-ésimo registro após lowerKey
+  async measure(context, side, { lowerKey = null, upperKey = null, limit = null }) {
+    const { text, values } = this.buildRangeQuery(context, side, { lowerKey, upperKey, limit });
+    const amountColumns = context.amounts.map((amount, position) => `a${position}`);
+    const hashRow = `concat_ws('|', k::text${amountColumns.map(column => `, COALESCE(${column}::text, '')`).join('')})`;
+
+    const pool = side === 'source' ? this.extractor.sourcePool : this.loader.targetPool;
+    const result = await pool.query(`
+      SELECT
+        COUNT(*) AS row_count,
+        MAX(k)::text AS upper_key,
+        md5(COALESCE(string_agg(${hashRow}, ',' ORDER BY k), '')) AS hash
+        ${amountColumns.map(column => `, SUM(${column}) AS sum_${column}`).join('')}
+      FROM (${text}) chunk
+    `, values);
+
+    const row = result.rows[0];
+
+    return {
+      count: parseInt(row.row_count),
+      upperKey: row.upper_key,
+      hash: row.hash,
+      sums: Object.fromEntries(context.amounts.map((amount, position) => [
+        amount.field,
+        this.round(row[`sum_a${position}`])
+      ]))
+    };
+  }
+
+  // Chaves e valores de uma faixa, em ordem de chave
+  async fetchKeys(context, side, chunk, maxRows) {
+    const { text, values } = this.buildRangeQuery(context, side, {
+      lowerKey: chunk.lowerKey,
+      upperKey: chunk.upperKey,
+      limit: maxRows
+    });
+    const amountColumns = context.amounts.map((amount, position) => `a${position}`);
+
+    const pool = side === 'source' ? this.extractor.sourcePool : this.loader.targetPool;
+    const result = await pool.query(`
+      SELECT k::text AS key${amountColumns.map(column => `, ${column}::text AS ${column}`).join('')}
+      FROM (${text}) chunk
+      ORDER BY k
+    `, values);
+
+    return result.rows;
+  }
+
+  // Subquery (k = chave, a0..an = valores arredondados) de uma faixa na origem ou no destino
+  buildRangeQuery(context, side, { lowerKey, upperKey, limit }) {
+    const { mapping } = context;
+    const values = [];
+    const isSource = side === 'source';
+    const key = isSource ? context.sourceKey : context.targetKey;
+
+    // Na origem valem os filtros do mapeamento; no destino, apenas linhas vindas do ETL
+    // (e ainda não removidas, no modo soft)
+    const conditions = isSource
+      ? this.extractor.buildFilterConditions(mapping, values)
+      : [`${context.targetKeyColumn} IS NOT NULL`];
+
+    if (!isSource && context.softDelete) {
+      conditions.push('deleted_at IS NULL');
+    }
+
+    if (lowerKey !== null && lowerKey !== undefined) {
+      values.push(lowerKey);
+      conditions.push(`${key} > $${values.length}`);
+    }
+    if (upperKey !== null && upperKey !== undefined) {
+      values.push(upperKey);
+      conditions.push(`${key} <= $${values.length}`);
+    }
+
+    const amounts = context.amounts
+      .map((amount, position) => `, ROUND(${isSource ? amount.source : amount.target}::numeric, 2) AS a${position}`)
+      .join('');
+
+    let text = `
+      SELECT ${key} AS k${amounts}
+      FROM ${isSource ? mapping.sourceTable : mapping.targetTable}
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    `;
+
+    if (limit) {
+      values.push(limit);
+      text += ` ORDER BY ${key} LIMIT $${values.length}`;
+    }
+
+    return { text, values };
+  }
+
+  compare(index, lowerKey, upperKey, source, target) {
+    const matched = source.count === target.count && source.hash === target.hash;
+
+    return {
+      index,
+      lowerKey,
+      upperKey,
+      status: matched ? 'MATCHED' : 'DIVERGENT',
+      sourceCount: source.count,
+      targetCount: target.count,
+      sourceSums: source.sums,
+      targetSums: target.sums,
+      sourceHash: source.hash,
+      targetHash: target.hash
+    };
+  }
+
+  accumulate(totals, chunk) {
+    totals.chunksTotal++;
+    if (chunk.status === 'DIVERGENT') {
+      totals.chunksDivergent++;
+    }
+    totals.sourceCount += chunk.sourceCount;
+    totals.targetCount += chunk.targetCount;
+
+    [['sourceSums', chunk.sourceSums], ['targetSums', chunk.targetSums]].forEach(([key, sums]) => {
+      Object.entries(sums).forEach(([field, value]) => {
+        totals[key][field] = this.round((totals[key][field] || 0) + value);
+      });
+    });
+  }
+
+  round(value) {
+    return Math.round((parseFloat(value) || 0) * 100) / 100;
+  }
+}
+
+DataReconciler.NUMERIC_KEY_TYPES = NUMERIC_KEY_TYPES;
+
+module.exports = DataReconciler;
@@ -0,0 +1,151 @@
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const DataReconciler = require('./dataReconciler');
+
+const context = {
+  tableName: 'deposits',
+  mapping: { sourceTable: 'deposits', targetTable: 'deposit_activities', primaryKey: 'id' },
+  keyType: 'numeric',
+  sourceKey: 'id',
+  targetKey: '(external_deposit_id::numeric)',
+  targetKeyColumn: 'external_deposit_id',
+  amounts: [{ field: 'amount', source: 'amount', target: 'amount' }]
+};
+
+const measured = (count, upperKey, amount, hash = `h${upperKey}`) => ({ count, upperKey, hash, sums: { amount } });
+
+// Store em memória: guarda as faixas na ordem em que foram gravadas
+const createStore = () => {
+  const chunks = [];
+  return {
+    chunks,
+    createReport: jest.fn().mockResolvedValue({ id: 'rep-1' }),
+    saveChunk: jest.fn(async (reportId, chunk) => {
+      chunks.push(chunk);
+      return chunk;
+    }),
+    finishReport: jest.fn(async (reportId, result) => ({ id: reportId, ...result }))
+  };
+};
+
+describe('DataReconciler', () => {
+  let reconciler;
+  let store;
+
+  beforeEach(() => {
+    store = createStore();
+    reconciler = new DataReconciler({ buildFilterConditions: jest.fn(() => ['status = \'paid\'']) }, {}, {}, store);
+    jest.spyOn(reconciler, 'buildContext').mockResolvedValue(context);
+  });
+
+  describe('reconcileTable', () => {
+    test('percorre a origem em faixas de chunkSize e soma os totais', async () => {
+      const source = [measured(2, '2', 10), measured(2, '4', 20), measured(1, '5', 5.55)];
+      const target = [measured(2, '2', 10), measured(1, '4', 15, 'outro'), measured(1, '5', 5.55)];
+      jest.spyOn(reconciler, 'measure').mockImplementation(async (ctx, side) => (side === 'source' ? source : target).shift());
+
+      const report = await reconciler.reconcileTable('deposits', { chunkSize: 2 });
+
+      expect(store.chunks.map(({ index, lowerKey, upperKey, status }) => ({ index, lowerKey, upperKey, status }))).toEqual([
+        { index: 0, lowerKey: null, upperKey: '2', status: 'MATCHED' },
+        { index: 1, lowerKey: '2', upperKey: '4', status: 'DIVERGENT' },
+        { index: 2, lowerKey: '4', upperKey: null, status: 'MATCHED' }
+      ]);
+      expect(reconciler.measure).toHaveBeenCalledWith(context, 'target', { lowerKey: '4', upperKey: null });
+      expect(report.status).toBe('DIVERGENT');
+      expect(report.totals).toEqual({
+        sourceCount: 5,
+        targetCount: 4,
+        sourceSums: { amount: 35.55 },
+        targetSums: { amount: 30.55 },
+        chunksTotal: 3,
+        chunksDivergent: 1
+      });
+    });
+
+    test('origem terminando exatamente no limite não grava faixa vazia', async () => {
+      const source = [measured(2, '2', 10), measured(0, null, 0)];
+      const target = [measured(2, '2', 10), measured(0, null, 0)];
+      jest.spyOn(reconciler, 'measure').mockImplementation(async (ctx, side) => (side === 'source' ? source : target).shift());
+
+      const report = await reconciler.reconcileTable('deposits', { chunkSize: 2 });
+
+      expect(store.chunks).toHaveLength(1);
+      expect(report.status).toBe('MATCHED');
+    });
+
+    test('linhas sobrando no destino após a última chave da origem aparecem na última faixa', async () => {
+      const source = [measured(2, '2', 10), measured(0, null, 0)];
+      const target = [measured(2, '2', 10), measured(1, '9', 3)];
+      jest.spyOn(reconciler, 'measure').mockImplementation(async (ctx, side) => (side === 'source' ? source : target).shift());
+
+      const report = await reconciler.reconcileTable('deposits', { chunkSize: 2 });
+
+      expect(store.chunks[1]).toEqual(expect.objectContaining({ lowerKey: '2', upperKey: null, status: 'DIVERGENT', targetCount: 1 }));
+      expect(report.status).toBe('DIVERGENT');
+    });
+
+    test('shouldStop interrompe antes da próxima faixa', async () => {
+      jest.spyOn(reconciler, 'measure').mockResolvedValue(measured(2, '2', 10));
+      let calls = 0;
+
+      const report = await reconciler.reconcileTable('deposits', { chunkSize: 2, shouldStop: async () => ++calls > 1 });
+
+      expect(store.chunks).toHaveLength(1);
+      expect(report.status).toBe('CANCELLED');
+    });
+
+    test('erro durante a comparação finaliza o relatório como FAILED', async () => {
+      jest.spyOn(reconciler, 'measure').mockRejectedValue(new Error('statement timeout'));
+
+      const report = await reconciler.reconcileTable('deposits', { chunkSize: 2 });
+
+      expect(report).toEqual(expect.objectContaining({ status: 'FAILED', error: 'statement timeout' }));
+    });
+  });
+
+  describe('buildRangeQuery', () => {
+    test('origem aplica filtros do mapeamento, limites da faixa e limite de linhas', () => {
+      const { text, values } = reconciler.buildRangeQuery(context, 'source', { lowerKey: '10', upperKey: '20', limit: 100 });
+
+      expect(text).toContain('SELECT id AS k, ROUND(amount::numeric, 2) AS a0');
+      expect(text).toContain("WHERE status = 'paid' AND id > $1 AND id <= $2");
+      expect(text).toContain('ORDER BY id LIMIT $3');
+      expect(values).toEqual(['10', '20', 100]);
+    });
+
+    test('destino considera apenas linhas vindas do ETL', () => {
+      const { text, values } = reconciler.buildRangeQuery(context, 'target', { lowerKey: null, upperKey: '20' });
+
+      expect(text).toContain('FROM deposit_activities');
+      expect(text).toContain('WHERE external_deposit_id IS NOT NULL AND (external_deposit_id::numeric) <= $1');
+      expect(text).not.toContain('LIMIT');
+      expect(values).toEqual(['20']);
+    });
+
+    test('no modo soft o destino ignora linhas já removidas', () => {
+      const { text } = reconciler.buildRangeQuery({ ...context, softDelete: true }, 'target', { lowerKey: '10', upperKey: null });
+
+      expect(text).toContain('WHERE external_deposit_id IS NOT NULL AND deleted_at IS NULL AND (external_deposit_id::numeric) > $1');
+    });
+  });
+
+  describe('drillDown', () => {
+    test('separa chaves ausentes, sobrando e valores diferentes', async () => {
+      reconciler.rejections = { findPendingSourcePks: jest.fn().mockResolvedValue(['3']) };
+      jest.spyOn(reconciler, 'fetchKeys').mockImplementation(async (ctx, side) => (side === 'source'
+        ? [{ key: '1', a0: '10.00' }, { key: '2', a0: '5.00' }, { key: '3', a0: '1.00' }]
+        : [{ key: '1', a0: '10.00' }, { key: '2', a0: '4.00' }, { key: '7', a0: '2.00' }]));
+
+      const detail = await reconciler.drillDown({ tableName: 'deposits', chunkSize: 100 }, { lowerKey: null, upperKey: '10' }, 10);
+
+      expect(reconciler.rejections.findPendingSourcePks).toHaveBeenCalledWith('deposits', ['3']);
+      expect(detail).toEqual(expect.objectContaining({
+        truncated: false,
+        missingInTarget: { total: 1, quarantined: 1, keys: ['3'], quarantinedKeys: ['3'] },
+        extraInTarget: { total: 1, keys: ['7'] },
+        amountMismatches: { total: 1, items: [{ key: '2', field: 'amount', source: '5.00', target: '4.00' }] }
+      }));
+    });
+  });
+});
@@ -0,0 +1,160 @@
+const ETLConfig = require('../config');
+const logger = require('../../utils/logger');
+
+// Detecção de exclusões na origem por anti-join entre os bancos
+//
+// As chaves do destino (coluna de destino da chave primária de origem) são percorridas em faixas
+// ordenadas; para cada faixa, as chaves que não existem mais na tabela de origem são propagadas
+// ao destino conforme o deleteMode do mapeamento (DataLoader.deleteRecords)
+//
+// Apenas a existência do registro é verificada: registros que deixaram de atender aos filtros
+// do mapeamento continuam no destino
+class DeletionDetector {
+  constructor(extractor, loader) {
+    this.extractor = extractor;
+    this.loader = loader;
+  }
+
+  // Mapeamentos sujeitos à detecção periódica: deleteMode diferente de ignore e fora do CDC
+  // (tabelas em CDC recebem as exclusões pelo slot de replicação)
+  getDetectableTables() {
+    return Object.keys(ETLConfig.mappings).filter(tableName => {
+      const mapping = ETLConfig.mappings[tableName];
+      return mapping.enabled &&
+        this.loader.getDeleteMode(mapping) !== 'ignore' &&
+        !(ETLConfig.cdc.enabled && mapping.syncMode === 'cdc');
+    });
+  }
+
+  // Percorrer o destino e propagar as exclusões de uma tabela
+  // options.shouldStop (async) é consultado antes de cada faixa; options.onChunk recebe o progresso
+  async detectTable(tableName, options = {}) {
+    const {
+      chunkSize = ETLConfig.deletion.chunkSize,
+      shouldStop = null,
+      onChunk = null
+    } = options;
+
+    const mapping = ETLConfig.mappings[tableName];
+    if (!mapping) {
+      throw new Error(`Mapeamento não encontrado para tabela: ${tableName}`);
+    }
+
+    const keyColumn = mapping.fieldMapping && mapping.fieldMapping[mapping.primaryKey];
+    if (!keyColumn) {
+      throw new Error(`Chave primária ${mapping.primaryKey} não mapeada em ${tableName}`);
+    }
+
+    const deleteMode = this.loader.getDeleteMode(mapping);
+    const startTime = Date.now();
+    const result = {
+      tableName,
+      deleteMode,
+      chunks: 0,
+      recordsScanned: 0,
+      missingKeys: 0,
+      recordsDeleted: 0,
+      recordsSoftDeleted: 0,
+      cancelled: false
+    };
+
+    if (deleteMode === 'ignore') {
+      return { ...result, duration: 0 };
+    }
+
+    const sourcePool = await this.extractor.connect();
+    const targetPool = await this.loader.connect();
+
+    // Origem vazia costuma ser falha de carga ou de permissão, não exclusão em massa
+    const sourceRows = await sourcePool.query(`SELECT EXISTS (SELECT 1 FROM ${mapping.sourceTable}) AS has_rows`);
+    if (!sourceRows.rows[0].has_rows) {
+      throw new Error(`Tabela de origem ${mapping.sourceTable} vazia, detecção de exclusões interrompida`);
+    }
+
+    if (deleteMode === 'soft') {
+      await this.loader.ensureSoftDeleteColumn(mapping.targetTable);
+    }
+
+    logger.info(`🔎 ETL Deletions: Verificando exclusões de ${tableName}`, {
+      deleteMode,
+      chunkSize
+    });
+
+    let lastKey = null;
+
+    while (true) {
+      if (shouldStop && await shouldStop()) {
+        result.cancelled = true;
+        break;
+      }
+
+      const conditions = [`${keyColumn} IS NOT NULL`];
+      const values = [chunkSize];
+      if (deleteMode === 'soft') {
+        conditions.push('deleted_at IS NULL');
+      }
+      if (lastKey !== null) {
+        values.push(lastKey);
+        conditions.push(`${keyColumn} > $2`);
+      }
+
+      const targetKeys = (await targetPool.query(`
+        SELECT ${keyColumn} AS key
+        FROM ${mapping.targetTable}
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY ${keyColumn}
+        LIMIT $1
+      `, values)).rows.map(row => row.key);
+
+      if (targetKeys.length === 0) {
+        break;
+      }
+
+      const existing = await sourcePool.query(
+        `SELECT ${mapping.primaryKey} AS key FROM ${mapping.sourceTable} WHERE ${mapping.primaryKey} = ANY($1)`,
+        [targetKeys]
+      );
+      const existingKeys = new Set(existing.rows.map(row => String(row.key)));
+      const missingKeys = targetKeys.filter(key => !existingKeys.has(String(key)));
+
+      if (missingKeys.length > 0) {
+        const stats = await this.loader.deleteRecords(tableName, missingKeys);
+        result.recordsDeleted += stats.recordsDeleted;
+        result.recordsSoftDeleted += stats.recordsSoftDeleted;
+      }
+
+      result.chunks++;
+      result.recordsScanned += targetKeys.length;
+      result.missingKeys += missingKeys.length;
+      lastKey = targetKeys[targetKeys.length - 1];
+
+      if (onChunk) {
+        await onChunk({
+          chunks: result.chunks,
+          recordsScanned: result.recordsScanned,
+          missingKeys: result.missingKeys,
+          lastKey
+        });
+      }
+
+      if (targetKeys.length < chunkSize) {
+        break;
+      }
+    }
+
+    result.duration = Date.now() - startTime;
+
+    logger.info(`✅ ETL Deletions: Verificação de exclusões de ${tableName} ${result.cancelled ? 'cancelada' : 'concluída'}`, {
+      deleteMode,
+      recordsScanned: result.recordsScanned,
+      missingKeys: result.missingKeys,
+      recordsDeleted: result.recordsDeleted,
+      recordsSoftDeleted: result.recordsSoftDeleted,
+      duration: `${result.duration}ms`
+    });
+
+    return result;
+  }
+}
+
+module.exports = DeletionDetector;
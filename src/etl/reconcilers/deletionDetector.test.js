@@ -0,0 +1,121 @@
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const ETLConfig = require('../config');
+const DeletionDetector = require('./deletionDetector');
+
+// Destino com as chaves informadas e origem com as chaves que ainda existem
+const createDetector = ({ targetKeys, sourceKeys, deleteMode = 'hard' }) => {
+  const targetPool = {
+    query: jest.fn(async (text, [limit, lastKey]) => ({
+      rows: targetKeys
+        .filter(key => lastKey === undefined || key > lastKey)
+        .slice(0, limit)
+        .map(key => ({ key }))
+    }))
+  };
+  const sourcePool = {
+    query: jest.fn(async (text, values) => (text.includes('EXISTS')
+      ? { rows: [{ has_rows: sourceKeys.length > 0 }] }
+      : { rows: values[0].filter(key => sourceKeys.includes(key)).map(key => ({ key })) }))
+  };
+  const loader = {
+    connect: jest.fn().mockResolvedValue(targetPool),
+    getDeleteMode: jest.fn(() => deleteMode),
+    ensureSoftDeleteColumn: jest.fn(),
+    deleteRecords: jest.fn(async (tableName, keys) => ({
+      recordsDeleted: deleteMode === 'hard' ? keys.length : 0,
+      recordsSoftDeleted: deleteMode === 'soft' ? keys.length : 0
+    }))
+  };
+  const extractor = { connect: jest.fn().mockResolvedValue(sourcePool) };
+
+  return { detector: new DeletionDetector(extractor, loader), loader, targetPool };
+};
+
+describe('DeletionDetector', () => {
+  beforeEach(() => {
+    ETLConfig.mappings.test_users = {
+      sourceTable: 'users',
+      targetTable: 'affiliates',
+      primaryKey: 'id',
+      fieldMapping: { id: 'external_user_id' },
+      enabled: true
+    };
+  });
+
+  afterEach(() => {
+    delete ETLConfig.mappings.test_users;
+  });
+
+  test('percorre o destino em faixas e propaga as chaves ausentes na origem', async () => {
+    const { detector, loader } = createDetector({ targetKeys: [1, 2, 3, 4, 5], sourceKeys: [1, 3, 4] });
+    const onChunk = jest.fn();
+
+    const result = await detector.detectTable('test_users', { chunkSize: 2, onChunk });
+
+    expect(loader.deleteRecords.mock.calls).toEqual([['test_users', [2]], ['test_users', [5]]]);
+    expect(onChunk).toHaveBeenLastCalledWith({ chunks: 3, recordsScanned: 5, missingKeys: 2, lastKey: 5 });
+    expect(result).toEqual(expect.objectContaining({
+      deleteMode: 'hard',
+      chunks: 3,
+      recordsScanned: 5,
+      missingKeys: 2,
+      recordsDeleted: 2,
+      recordsSoftDeleted: 0,
+      cancelled: false
+    }));
+  });
+
+  test('modo soft garante a coluna deleted_at e ignora linhas já removidas', async () => {
+    const { detector, loader, targetPool } = createDetector({ targetKeys: [1, 2], sourceKeys: [1], deleteMode: 'soft' });
+
+    const result = await detector.detectTable('test_users', { chunkSize: 10 });
+
+    expect(loader.ensureSoftDeleteColumn).toHaveBeenCalledWith('affiliates');
+    expect(targetPool.query.mock.calls[0][0]).toContain('WHERE external_user_id IS NOT NULL AND deleted_at IS NULL');
+    expect(result.recordsSoftDeleted).toBe(1);
+  });
+
+  test('origem vazia interrompe a detecção em vez de excluir tudo', async () => {
+    const { detector, loader } = createDetector({ targetKeys: [1, 2], sourceKeys: [] });
+
+    await expect(detector.detectTable('test_users', { chunkSize: 10 }))
+      .rejects.toThrow('Tabela de origem users vazia, detecção de exclusões interrompida');
+    expect(loader.deleteRecords).not.toHaveBeenCalled();
+  });
+
+  test('modo ignore não consulta os bancos', async () => {
+    const { detector, loader } = createDetector({ targetKeys: [1], sourceKeys: [], deleteMode: 'ignore' });
+
+    const result = await detector.detectTable('test_users');
+
+    expect(result).toEqual(expect.objectContaining({ chunks: 0, duration: 0 }));
+    expect(loader.connect).not.toHaveBeenCalled();
+  });
+
+  test('shouldStop cancela antes da próxima faixa', async () => {
+    const { detector } = createDetector({ targetKeys: [1, 2, 3, 4], sourceKeys: [1, 2, 3, 4] });
+    let calls = 0;
+
+    const result = await detector.detectTable('test_users', { chunkSize: 2, shouldStop: async () => ++calls > 1 });
+
+    expect(result).toEqual(expect.objectContaining({ chunks: 1, recordsScanned: 2, cancelled: true }));
+  });
+
+  test('getDetectableTables ignora mapeamentos desabilitados ou com deleteMode ignore', () => {
+    const { detector, loader } = createDetector({ targetKeys: [], sourceKeys: [] });
+    loader.getDeleteMode.mockImplementation(mapping => mapping.deleteMode || 'ignore');
+    const originalMappings = ETLConfig.mappings;
+    ETLConfig.mappings = {
+      users: { enabled: true, deleteMode: 'soft' },
+      bets: { enabled: false, deleteMode: 'hard' },
+      deposits: { enabled: true }
+    };
+
+    try {
+      expect(detector.getDetectableTables()).toEqual(['users']);
+    } finally {
+      ETLConfig.mappings = originalMappings;
+    }
+  });
+});
@@ -0,0 +1,193 @@
+const ETLConfig = require('../config');
+const logger = require('../../utils/logger');
+
+const CHUNK_SIZE_REGEX = /^(\d+)([hd])$/;
+const CHUNK_UNITS = { h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// Backfill histórico de uma tabela por janelas de data
+//
+// As janelas são processadas em ordem; dentro de cada uma a leitura é paginada pela chave
+// primária (keyset) e cada lote passa pelo pipeline normal (ETLManager.processBatch). A
+// watermark incremental não é alterada, e recarregar uma janela é idempotente (upsert)
+class BackfillRunner {
+  // processBatch: (tableName, records, options) => resultado de ETLManager.processBatch
+  constructor(extractor, store, processBatch) {
+    this.extractor = extractor;
+    this.store = store;
+    this.processBatch = processBatch;
+  }
+
+  // Duração em ms de um chunkSize ('6h', '1d', '7d'); null quando inválido
+  static parseChunkSize(chunkSize) {
+    const match = CHUNK_SIZE_REGEX.exec(String(chunkSize));
+    if (!match || parseInt(match[1]) === 0) {
+      return null;
+    }
+    return parseInt(match[1]) * CHUNK_UNITS[match[2]];
+  }
+
+  // Janelas [from, to) cobrindo o intervalo; a última termina exatamente em `to`
+  static buildChunks(from, to, chunkSize) {
+    const step = BackfillRunner.parseChunkSize(chunkSize);
+    const chunks = [];
+
+    for (let start = from.getTime(); start < to.getTime(); start += step) {
+      chunks.push({
+        from: new Date(start).toISOString(),
+        to: new Date(Math.min(start + step, to.getTime())).toISOString()
+      });
+    }
+
+    return chunks;
+  }
+
+  // Processar as janelas pendentes de um backfill
+  // options.shouldStop (async) é consultado antes de cada lote; options.onChunk recebe o progresso
+  async run(backfill, options = {}) {
+    const { jobId = null, shouldStop = null, onChunk = null } = options;
+
+    const mapping = ETLConfig.mappings[backfill.tableName];
+    if (!mapping) {
+      throw new Error(`Mapeamento não encontrado para tabela: ${backfill.tableName}`);
+    }
+
+    const result = {
+      backfillId: backfill.id,
+      chunksProcessed: 0,
+      recordsExtracted: 0,
+      recordsLoaded: 0,
+      cancelled: false
+    };
+    let current = backfill;
+
+    logger.info(`⏪ ETL Backfill: Processando ${backfill.tableName}`, {
+      backfillId: backfill.id,
+      from: backfill.from,
+      to: backfill.to,
+      chunkSize: backfill.chunkSize,
+      chunksCompleted: backfill.chunksCompleted,
+      chunksTotal: backfill.chunksTotal
+    });
+
+    while (true) {
+      if (shouldStop && await shouldStop()) {
+        result.cancelled = true;
+        break;
+      }
+
+      const chunk = await this.store.getNextChunk(backfill.id);
+      if (!chunk) {
+        break;
+      }
+
+      if (result.chunksProcessed > 0) {
+        await this.delay(backfill.throttleMs);
+      }
+
+      await this.store.startChunk(chunk.id);
+
+      let chunkResult;
+      try {
+        chunkResult = await this.processChunk(backfill, mapping, chunk, { jobId, shouldStop });
+      } catch (error) {
+        await this.store.releaseChunk(chunk.id, error.message);
+        throw new Error(`Janela ${chunk.index} (${new Date(chunk.from).toISOString()}): ${error.message}`);
+      }
+
+      if (chunkResult.cancelled) {
+        await this.store.releaseChunk(chunk.id);
+        result.cancelled = true;
+        break;
+      }
+
+      current = await this.store.completeChunk(chunk.id, chunkResult);
+      result.chunksProcessed++;
+      result.recordsExtracted += chunkResult.recordsExtracted;
+      result.recordsLoaded += chunkResult.recordsLoaded;
+
+      if (onChunk) {
+        await onChunk({
+          backfillId: backfill.id,
+          chunkIndex: chunk.index,
+          chunkFrom: chunk.from,
+          chunkTo: chunk.to,
+          chunkRecordsLoaded: chunkResult.recordsLoaded,
+          chunksCompleted: current.chunksCompleted,
+          chunksTotal: current.chunksTotal,
+          progress: current.progress,
+          recordsLoaded: current.recordsLoaded
+        });
+      }
+    }
+
+    logger.info(`✅ ETL Backfill: Backfill de ${backfill.tableName} ${result.cancelled ? 'interrompido' : 'concluído'}`, {
+      backfillId: backfill.id,
+      chunksProcessed: result.chunksProcessed,
+      chunksCompleted: current.chunksCompleted,
+      chunksTotal: current.chunksTotal,
+      recordsLoaded: result.recordsLoaded
+    });
+
+    return result;
+  }
+
+  // Extrair e carregar uma janela em lotes, com pausa de throttleMs entre as consultas à origem
+  async processChunk(backfill, mapping, chunk, { jobId, shouldStop }) {
+    const startTime = Date.now();
+    const batchSize = mapping.batchSize || ETLConfig.general.batchSize;
+    const chunkResult = { batches: 0, recordsExtracted: 0, recordsLoaded: 0, cancelled: false };
+    let lastKey = null;
+
+    while (true) {
+      if (chunkResult.batches > 0) {
+        if (shouldStop && await shouldStop()) {
+          chunkResult.cancelled = true;
+          break;
+        }
+        await this.delay(backfill.throttleMs);
+      }
+
+      const extractResult = await this.extractor.extractTable(backfill.tableName, {
+        batchSize,
+        dateRange: { field: backfill.dateField, from: chunk.from, to: chunk.to },
+        seekAfter: lastKey !== null ? { columns: [mapping.primaryKey], values: [lastKey] } : null,
+        orderBy: mapping.primaryKey
+      });
+
+      if (!extractResult.success) {
+        throw new Error(`Erro na extração: ${extractResult.error}`);
+      }
+
+      const { data, metadata } = extractResult;
+      chunkResult.batches++;
+      chunkResult.recordsExtracted += data.length;
+
+      if (data.length > 0) {
+        const batchResult = await this.processBatch(backfill.tableName, data, { shouldStop, jobId });
+        if (!batchResult.success) {
+          throw new Error(`Erro ao carregar lote: ${batchResult.error}`);
+        }
+        chunkResult.recordsLoaded += batchResult.load?.recordsLoaded || 0;
+
+        if (batchResult.cancelled) {
+          chunkResult.cancelled = true;
+          break;
+        }
+      }
+
+      if (!metadata.hasMore) {
+        break;
+      }
+      lastKey = metadata.lastRow.primaryKey;
+    }
+
+    chunkResult.duration = Date.now() - startTime;
+    return chunkResult;
+  }
+
+  delay(ms) {
+    return ms > 0 ? new Promise(resolve => setTimeout(resolve, ms)) : Promise.resolve();
+  }
+}
+
+module.exports = BackfillRunner;
@@ -0,0 +1,76 @@
+const BackfillRunner = require('./backfillRunner');
+
+describe('BackfillRunner', () => {
+  describe('parseChunkSize', () => {
+    test('converte horas e dias em milissegundos', () => {
+      expect(BackfillRunner.parseChunkSize('6h')).toBe(6 * 60 * 60 * 1000);
+      expect(BackfillRunner.parseChunkSize('1d')).toBe(24 * 60 * 60 * 1000);
+      expect(BackfillRunner.parseChunkSize('7d')).toBe(7 * 24 * 60 * 60 * 1000);
+    });
+
+    test('devolve null para tamanhos inválidos ou zero', () => {
+      expect(BackfillRunner.parseChunkSize('0d')).toBeNull();
+      expect(BackfillRunner.parseChunkSize('1w')).toBeNull();
+      expect(BackfillRunner.parseChunkSize('d')).toBeNull();
+      expect(BackfillRunner.parseChunkSize(undefined)).toBeNull();
+    });
+
+    test('aceita apenas inteiro seguido da unidade em minúscula, sem espaços', () => {
+      expect(BackfillRunner.parseChunkSize('24h')).toBe(BackfillRunner.parseChunkSize('1d'));
+      expect(BackfillRunner.parseChunkSize('007d')).toBe(7 * 24 * 60 * 60 * 1000);
+      expect(BackfillRunner.parseChunkSize('6H')).toBeNull();
+      expect(BackfillRunner.parseChunkSize(' 6h')).toBeNull();
+      expect(BackfillRunner.parseChunkSize('6h ')).toBeNull();
+      expect(BackfillRunner.parseChunkSize('1.5d')).toBeNull();
+      expect(BackfillRunner.parseChunkSize('-1d')).toBeNull();
+      expect(BackfillRunner.parseChunkSize('00h')).toBeNull();
+    });
+
+    test('valores que não são texto no formato esperado', () => {
+      expect(BackfillRunner.parseChunkSize(6)).toBeNull();
+      expect(BackfillRunner.parseChunkSize(null)).toBeNull();
+      expect(BackfillRunner.parseChunkSize('')).toBeNull();
+      expect(BackfillRunner.parseChunkSize({})).toBeNull();
+    });
+  });
+
+  describe('buildChunks', () => {
+    test('divide o intervalo em janelas [from, to) consecutivas', () => {
+      const chunks = BackfillRunner.buildChunks(
+        new Date('2024-01-01T00:00:00Z'),
+        new Date('2024-01-04T00:00:00Z'),
+        '1d'
+      );
+
+      expect(chunks).toEqual([
+        { from: '2024-01-01T00:00:00.000Z', to: '2024-01-02T00:00:00.000Z' },
+        { from: '2024-01-02T00:00:00.000Z', to: '2024-01-03T00:00:00.000Z' },
+        { from: '2024-01-03T00:00:00.000Z', to: '2024-01-04T00:00:00.000Z' }
+      ]);
+    });
+
+    test('a última janela termina exatamente em to', () => {
+      const chunks = BackfillRunner.buildChunks(
+        new Date('2024-01-01T00:00:00Z'),
+        new Date('2024-01-01T15:30:00Z'),
+        '6h'
+      );
+
+      expect(chunks).toHaveLength(3);
+      expect(chunks[2]).toEqual({ from: '2024-01-01T12:00:00.000Z', to: '2024-01-01T15:30:00.000Z' });
+    });
+
+    test('intervalo menor que a janela gera uma única janela', () => {
+      expect(BackfillRunner.buildChunks(
+        new Date('2024-01-01T00:00:00Z'),
+        new Date('2024-01-01T01:00:00Z'),
+        '7d'
+      )).toEqual([{ from: '2024-01-01T00:00:00.000Z', to: '2024-01-01T01:00:00.000Z' }]);
+    });
+
+    test('intervalo vazio não gera janelas', () => {
+      const date = new Date('2024-01-01T00:00:00Z');
+      expect(BackfillRunner.buildChunks(date, date, '1d')).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,330 @@
+const ETLConfig = require('../config');
+const CdcExtractor = require('../extractors/cdcExtractor');
+const { buildExecutionPlan } = require('./dependencyGraph');
+const logger = require('../../utils/logger');
+
+// Consumo contínuo do slot de replicação lógica (CDC)
+//
+// A cada ciclo o próximo lote de alterações é lido, agrupado por mapeamento (tabelas com
+// syncMode 'cdc') e levado ao mesmo pipeline de transformação/carga das sincronizações;
+// exclusões seguem o deleteMode do mapeamento (soft delete por padrão). O checkpoint só é
+// gravado e o slot só avança depois que todas as tabelas do lote foram carregadas
+class CdcConsumer {
+  // processBatch: (tableName, records) => resultado de ETLManager.processBatch
+  constructor(extractor, loader, checkpoints, processBatch) {
+    this.extractor = extractor;
+    this.loader = loader;
+    this.checkpoints = checkpoints;
+    this.processBatch = processBatch;
+    this.cdc = new CdcExtractor(extractor);
+
+    this.timer = null;
+    this.isRunning = false;
+    this.isProcessing = false;
+    this.currentCycle = null;
+
+    this.stats = {
+      startedAt: null,
+      cycles: 0,
+      failedCycles: 0,
+      eventsProcessed: 0,
+      recordsUpserted: 0,
+      recordsDeleted: 0,
+      lastLsn: null,
+      lastBatchAt: null,
+      lastError: null
+    };
+  }
+
+  // Mapeamentos habilitados em modo CDC
+  getCdcTables() {
+    return Object.keys(ETLConfig.mappings).filter(tableName => {
+      const mapping = ETLConfig.mappings[tableName];
+      return mapping.enabled && mapping.syncMode === 'cdc';
+    });
+  }
+
+  async start() {
+    if (this.isRunning) {
+      return;
+    }
+
+    const tables = this.getCdcTables();
+    if (tables.length === 0) {
+      logger.info('🛰️ ETL CDC: Nenhuma tabela configurada com syncMode cdc');
+      return;
+    }
+
+    const { slotName, plugin } = ETLConfig.cdc;
+    await this.cdc.ensureSlot(tables.map(tableName => ETLConfig.mappings[tableName].sourceTable));
+
+    const checkpoint = await this.checkpoints.getCheckpoint(slotName);
+    if (checkpoint) {
+      await this.cdc.restorePosition(checkpoint.lastLsn);
+      this.stats.lastLsn = checkpoint.lastLsn;
+    }
+
+    this.isRunning = true;
+    this.stats.startedAt = new Date().toISOString();
+    this.scheduleNext(0);
+
+    logger.info('🛰️ ETL CDC: Consumo do slot de replicação iniciado', {
+      slotName,
+      plugin,
+      tables,
+      checkpoint: checkpoint ? checkpoint.lastLsn : null
+    });
+  }
+
+  // Interromper o consumo aguardando o ciclo em andamento
+  async stop() {
+    if (!this.isRunning) {
+      return;
+    }
+
+    this.isRunning = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    if (this.currentCycle) {
+      await this.currentCycle;
+    }
+
+    logger.info('🛑 ETL CDC: Consumo do slot de replicação parado');
+  }
+
+  scheduleNext(delay) {
+    if (!this.isRunning) {
+      return;
+    }
+    this.timer = setTimeout(() => {
+      this.currentCycle = this.poll().finally(() => {
+        this.currentCycle = null;
+      });
+    }, delay);
+  }
+
+  // Um ciclo de consumo; com lote cheio o próximo ciclo começa imediatamente
+  async poll() {
+    let result = null;
+    this.isProcessing = true;
+
+    try {
+      result = await this.processChanges();
+      this.stats.cycles++;
+    } catch (error) {
+      this.stats.failedCycles++;
+      this.stats.lastError = { message: error.message, at: new Date().toISOString() };
+      logger.error('❌ ETL CDC: Erro ao processar alterações, lote será relido no próximo ciclo', {
+        error: error.message
+      });
+    } finally {
+      this.isProcessing = false;
+    }
+
+    const backlog = result && result.rowCount >= ETLConfig.cdc.maxChanges;
+    this.scheduleNext(backlog ? 0 : ETLConfig.cdc.pollInterval);
+  }
+
+  // Ler, carregar e confirmar um lote de alterações
+  async processChanges() {
+    const tables = this.getCdcTables();
+    const sourceTables = tables.map(tableName => ETLConfig.mappings[tableName].sourceTable);
+    const { rowCount, lastLsn, events } = await this.cdc.peekChanges(sourceTables);
+
+    if (rowCount === 0) {
+      return { rowCount, events: 0 };
+    }
+
+    const changes = this.groupEvents(events, tables);
+    const totals = { recordsUpserted: 0, recordsDeleted: 0 };
+
+    // Tabelas referenciadas (dependsOn) antes das dependentes
+    for (const tableName of buildExecutionPlan(tables).order.filter(table => changes[table])) {
+      const tableTotals = await this.applyTableChanges(tableName, changes[tableName]);
+      totals.recordsUpserted += tableTotals.recordsUpserted;
+      totals.recordsDeleted += tableTotals.recordsDeleted;
+    }
+
+    // Checkpoint antes do avanço do slot: se o avanço se perder, start() reposiciona o slot
+    const { slotName, plugin } = ETLConfig.cdc;
+    await this.checkpoints.saveCheckpoint(slotName, {
+      plugin,
+      lsn: lastLsn,
+      eventsProcessed: events.length,
+      ...totals
+    });
+    await this.cdc.advance(lastLsn);
+
+    this.stats.eventsProcessed += events.length;
+    this.stats.recordsUpserted += totals.recordsUpserted;
+    this.stats.recordsDeleted += totals.recordsDeleted;
+    this.stats.lastLsn = lastLsn;
+    this.stats.lastBatchAt = new Date().toISOString();
+
+    logger.info('🛰️ ETL CDC: Lote de alterações aplicado', {
+      events: events.length,
+      lsn: lastLsn,
+      ...totals
+    });
+
+    return { rowCount, events: events.length, lastLsn, ...totals };
+  }
+
+  // Consolidar eventos por chave primária: vale o último evento de cada registro no lote
+  groupEvents(events, tables) {
+    const changes = {};
+
+    events.forEach(event => {
+      const tableName = this.findMapping(event, tables);
+      if (!tableName) {
+        return;
+      }
+
+      const mapping = ETLConfig.mappings[tableName];
+
+      if (event.action === 'truncate') {
+        logger.warn(`⚠️ ETL CDC: TRUNCATE em ${mapping.sourceTable} ignorado (registros do destino mantidos)`);
+        return;
+      }
+
+      const tableChanges = changes[tableName] = changes[tableName] || {
+        upserts: new Map(),
+        refetch: new Set(),
+        deletes: new Set()
+      };
+
+      const previousKey = event.identity ? event.identity[mapping.primaryKey] : undefined;
+      const key = event.record ? event.record[mapping.primaryKey] : previousKey;
+
+      if (key === undefined || key === null) {
+        logger.warn(`⚠️ ETL CDC: Evento ${event.action} de ${mapping.sourceTable} sem chave primária (verifique REPLICA IDENTITY)`);
+        return;
+      }
+
+      const markDeleted = (pk) => {
+        tableChanges.upserts.delete(pk);
+        tableChanges.refetch.delete(pk);
+        tableChanges.deletes.add(pk);
+      };
+
+      if (event.action === 'delete') {
+        markDeleted(key);
+        return;
+      }
+
+      // Chave primária alterada: a chave antiga deixa de existir na origem
+      if (previousKey !== undefined && previousKey !== null && previousKey !== key) {
+        markDeleted(previousKey);
+      }
+
+      tableChanges.deletes.delete(key);
+
+      // Colunas TOAST não alteradas não vêm no evento: o registro completo é relido da origem
+      if (event.partial || Object.keys(mapping.fieldMapping).some(column => !(column in event.record))) {
+        tableChanges.upserts.delete(key);
+        tableChanges.refetch.add(key);
+      } else {
+        tableChanges.refetch.delete(key);
+        tableChanges.upserts.set(key, event.record);
+      }
+    });
+
+    return changes;
+  }
+
+  // Mapeamento CDC cuja sourceTable corresponde à tabela do evento (com ou sem schema)
+  findMapping(event, tables) {
+    return tables.find(tableName => {
+      const sourceTable = ETLConfig.mappings[tableName].sourceTable;
+      return sourceTable === event.table || sourceTable === `${event.schema}.${event.table}`;
+    }) || null;
+  }
+
+  async applyTableChanges(tableName, { upserts, refetch, deletes }) {
+    const mapping = ETLConfig.mappings[tableName];
+    const totals = { recordsUpserted: 0, recordsDeleted: 0 };
+    const records = [...upserts.values()];
+
+    if (refetch.size > 0) {
+      const refetched = await this.extractor.extractByPrimaryKeys(tableName, [...refetch]);
+      if (!refetched.success) {
+        throw new Error(`Erro ao reler registros de ${tableName}: ${refetched.error}`);
+      }
+      records.push(...refetched.data);
+    }
+
+    const matching = records.filter(record => this.matchesFilters(mapping, record));
+
+    if (matching.length > 0) {
+      const batchResult = await this.processBatch(tableName, matching);
+      if (!batchResult.success) {
+        throw new Error(`Erro ao carregar alterações de ${tableName}: ${batchResult.error}`);
+      }
+      totals.recordsUpserted = batchResult.load?.recordsLoaded || 0;
+    }
+
+    if (deletes.size > 0) {
+      const deleteStats = await this.loader.deleteRecords(tableName, [...deletes]);
+      totals.recordsDeleted = deleteStats.recordsDeleted + deleteStats.recordsSoftDeleted;
+    }
+
+    return totals;
+  }
+
+  // Avaliar mapping.filters sobre o registro (mesma semântica de DataExtractor.buildFilterConditions)
+  // Operadores não reconhecidos não excluem o registro
+  matchesFilters(mapping, record) {
+    return Object.entries(mapping.filters || {}).every(([field, condition]) => {
+      const value = record[field];
+
+      if (Array.isArray(condition)) {
+        return condition.some(item => String(item) === String(value));
+      }
+
+      if (condition !== null && typeof condition === 'object') {
+        return Object.entries(condition).every(([operator, expected]) => {
+          switch (operator.trim().toUpperCase()) {
+            case '=': return String(value) === String(expected);
+            case '!=':
+            case '<>': return String(value) !== String(expected);
+            case '>': return value > expected;
+            case '>=': return value >= expected;
+            case '<': return value < expected;
+            case '<=': return value <= expected;
+            default: return true;
+          }
+        });
+      }
+
+      return String(value) === String(condition);
+    });
+  }
+
+  // Estado do consumo e posição do slot na origem
+  async getStatus() {
+    const { enabled, plugin, slotName, publication } = ETLConfig.cdc;
+
+    let slot = null;
+    let checkpoint = null;
+    if (enabled) {
+      slot = await this.cdc.getSlot();
+      checkpoint = await this.checkpoints.getCheckpoint(slotName);
+    }
+
+    return {
+      enabled,
+      running: this.isRunning,
+      processing: this.isProcessing,
+      plugin,
+      slotName,
+      publication: plugin === 'pgoutput' ? publication : null,
+      tables: this.getCdcTables(),
+      slot,
+      checkpoint,
+      stats: { ...this.stats }
+    };
+  }
+}
+
+module.exports = CdcConsumer;
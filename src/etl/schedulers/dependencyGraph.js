@@ -0,0 +1,101 @@
+const ETLConfig = require('../config');
+
+// Grafo de dependências entre mapeamentos (dependsOn)
+//
+// Uma aresta dependência -> tabela indica que a tabela referencia registros carregados pela
+// dependência (ex.: referrals.referred_user_id -> affiliates). Dependências fora do conjunto
+// sincronizado, ou sem mapeamento carregado, são consideradas satisfeitas
+
+const getDependencies = (tableName, mappings = ETLConfig.mappings) => {
+  const mapping = mappings[tableName];
+  return mapping && Array.isArray(mapping.dependsOn) ? mapping.dependsOn : [];
+};
+
+// Primeiro ciclo encontrado (tabelas do caminho, repetindo a inicial no final) ou null
+const findCycle = (mappings = ETLConfig.mappings) => {
+  const visiting = [];
+  const visited = new Set();
+
+  const visit = (tableName) => {
+    if (visiting.includes(tableName)) {
+      return [...visiting.slice(visiting.indexOf(tableName)), tableName];
+    }
+    if (visited.has(tableName) || !mappings[tableName]) {
+      return null;
+    }
+
+    visiting.push(tableName);
+    for (const dependency of getDependencies(tableName, mappings)) {
+      const cycle = visit(dependency);
+      if (cycle) {
+        return cycle;
+      }
+    }
+    visiting.pop();
+    visited.add(tableName);
+
+    return null;
+  };
+
+  for (const tableName of Object.keys(mappings)) {
+    const cycle = visit(tableName);
+    if (cycle) {
+      return cycle;
+    }
+  }
+
+  return null;
+};
+
+// Plano de execução das tabelas informadas: dependências internas ao conjunto (dependsOn),
+// níveis topológicos (tabelas de um mesmo nível não dependem entre si e podem rodar em
+// paralelo) e a ordem resultante. A ordem original é preservada dentro de cada nível
+const buildExecutionPlan = (tables, mappings = ETLConfig.mappings) => {
+  const selected = new Set(tables);
+  const dependsOn = {};
+
+  tables.forEach(tableName => {
+    dependsOn[tableName] = getDependencies(tableName, mappings)
+      .filter(dependency => selected.has(dependency) && dependency !== tableName);
+  });
+
+  const levels = [];
+  const placed = new Set();
+  let remaining = [...tables];
+
+  while (remaining.length > 0) {
+    const level = remaining.filter(tableName => dependsOn[tableName].every(dependency => placed.has(dependency)));
+
+    if (level.length === 0) {
+      const cycle = findCycle(mappings) || remaining;
+      throw new Error(`Ciclo de dependências entre mapeamentos: ${cycle.join(' -> ')}`);
+    }
+
+    level.forEach(tableName => placed.add(tableName));
+    levels.push(level);
+    remaining = remaining.filter(tableName => !placed.has(tableName));
+  }
+
+  const nodes = tables.map(tableName => ({
+    table: tableName,
+    level: levels.findIndex(level => level.includes(tableName)),
+    dependsOn: dependsOn[tableName],
+    dependents: tables.filter(other => dependsOn[other].includes(tableName)),
+    // Declaradas, mas fora desta execução (não bloqueiam a tabela)
+    externalDependencies: getDependencies(tableName, mappings).filter(dependency => !selected.has(dependency))
+  }));
+
+  return {
+    order: levels.flat(),
+    levels,
+    dependsOn,
+    nodes,
+    edges: tables.flatMap(tableName => dependsOn[tableName].map(dependency => ({ from: dependency, to: tableName })))
+  };
+};
+
+module.exports = {
+  getDependencies,
+  findCycle,
+  buildExecutionPlan
+};
@@ -0,0 +1,92 @@
+const { getDependencies, findCycle, buildExecutionPlan } = require('./dependencyGraph');
+
+const mappings = {
+  users: {},
+  affiliates: { dependsOn: ['users'] },
+  referrals: { dependsOn: ['affiliates', 'users'] },
+  deposits: { dependsOn: ['users'] },
+  bets: { dependsOn: ['users', 'games'] },
+  games: {}
+};
+
+describe('dependencyGraph', () => {
+  describe('getDependencies', () => {
+    test('devolve o dependsOn do mapeamento ou lista vazia', () => {
+      expect(getDependencies('referrals', mappings)).toEqual(['affiliates', 'users']);
+      expect(getDependencies('users', mappings)).toEqual([]);
+      expect(getDependencies('unknown', mappings)).toEqual([]);
+    });
+  });
+
+  describe('buildExecutionPlan', () => {
+    test('agrupa as tabelas em níveis topológicos preservando a ordem informada', () => {
+      const plan = buildExecutionPlan(['referrals', 'deposits', 'affiliates', 'users'], mappings);
+
+      expect(plan.levels).toEqual([['users'], ['deposits', 'affiliates'], ['referrals']]);
+      expect(plan.order).toEqual(['users', 'deposits', 'affiliates', 'referrals']);
+      expect(plan.edges).toEqual([
+        { from: 'affiliates', to: 'referrals' },
+        { from: 'users', to: 'referrals' },
+        { from: 'users', to: 'deposits' },
+        { from: 'users', to: 'affiliates' }
+      ]);
+    });
+
+    test('dependências fora do conjunto não bloqueiam e aparecem como externas', () => {
+      const plan = buildExecutionPlan(['bets', 'deposits'], mappings);
+
+      expect(plan.levels).toEqual([['bets', 'deposits']]);
+      expect(plan.dependsOn).toEqual({ bets: [], deposits: [] });
+      expect(plan.nodes.find(node => node.table === 'bets')).toEqual({
+        table: 'bets',
+        level: 0,
+        dependsOn: [],
+        dependents: [],
+        externalDependencies: ['users', 'games']
+      });
+    });
+
+    test('auto-dependência é ignorada', () => {
+      const plan = buildExecutionPlan(['users'], { users: { dependsOn: ['users'] } });
+
+      expect(plan.levels).toEqual([['users']]);
+      expect(plan.dependsOn).toEqual({ users: [] });
+    });
+
+    test('ciclo entre as tabelas selecionadas gera erro com o caminho do ciclo', () => {
+      const cyclic = {
+        users: {},
+        affiliates: { dependsOn: ['referrals'] },
+        referrals: { dependsOn: ['affiliates'] }
+      };
+
+      expect(() => buildExecutionPlan(['users', 'affiliates', 'referrals'], cyclic))
+        .toThrow('Ciclo de dependências entre mapeamentos: affiliates -> referrals -> affiliates');
+    });
+
+    test('ciclo que passa por tabela fora da seleção não bloqueia o plano', () => {
+      const cyclic = {
+        a: { dependsOn: ['b'] },
+        b: { dependsOn: ['c'] },
+        c: { dependsOn: ['a'] }
+      };
+
+      const plan = buildExecutionPlan(['a', 'b'], cyclic);
+      expect(plan.levels).toEqual([['b'], ['a']]);
+    });
+  });
+
+  describe('findCycle', () => {
+    test('devolve null quando o grafo é acíclico', () => {
+      expect(findCycle(mappings)).toBeNull();
+    });
+
+    test('devolve o primeiro ciclo encontrado, repetindo a tabela inicial no final', () => {
+      expect(findCycle({
+        a: { dependsOn: ['b'] },
+        b: { dependsOn: ['c'] },
+        c: { dependsOn: ['b'] }
+      })).toEqual(['b', 'c', 'b']);
+    });
+  });
+});
@@ -1,15 +1,24 @@
 const cron = require('node-cron');
 const ETLConfig = require('../config');
 const DataExtractor = require('../extractors/dataExtractor');
-const DataTransformer = require('../transformers/dataTransformer');
 const DataLoader = require('../loaders/dataLoader');
+const JobRegistry = require('../state/jobRegistry');
+const MappingStore = require('../state/mappingStore');
+const DeletionDetector = require('../reconcilers/deletionDetector');
+const { runWorkerPool } = require('./workerPool');
+const { buildExecutionPlan } = require('./dependencyGraph');
 const logger = require('../../utils/logger');
 
 class ETLScheduler {
-  constructor() {
+  // mappingStore: compartilhado com o ETLManager (mapeamentos de sync_configurations)
+  // syncTableData: (tableName, syncType, options) => resultado de ETLManager.syncTableData
+  constructor(mappingStore, syncTableData) {
     this.extractor = new DataExtractor();
-    this.transformer = new DataTransformer();
     this.loader = new DataLoader();
+    this.jobRegistry = new JobRegistry(this.loader);
+    this.mappingStore = mappingStore || new MappingStore();
+    this.syncTableData = syncTableData;
+    this.deletions = new DeletionDetector(this.extractor, this.loader);
     
     this.jobs = new Map();
     this.isRunning = false;
@@ -21,7 +30,8 @@ class ETLScheduler {
       failedJobs: 0,
       lastFullSync: null,
       lastIncrementalSync: null,
-      lastCleanup: null
+      lastCleanup: null,
+      lastDeletionSync: null
     };
   }
 
@@ -50,6 +60,11 @@ class ETLScheduler {
         this.scheduleCleanup();
       }
 
+      // Agendar detecção de exclusões
+      if (ETLConfig.schedule.deletionSync.enabled) {
+        this.scheduleDeletionSync();
+      }
+
       this.isRunning = true;
       logger.info('✅ ETL Scheduler: Agendamentos configurados com sucesso');
 
@@ -121,51 +136,109 @@ class ETLScheduler {
     });
   }
 
-  // Executar sincronização completa
-  async executeFullSync() {
-    const jobId = `fullSync_${Date.now()}`;
+  // Agendar detecção de exclusões
+  scheduleDeletionSync() {
+    const cronExpression = ETLConfig.schedule.deletionSync.cron;
     
+    const job = cron.schedule(cronExpression, async () => {
+      await this.executeDeletionSync();
+    }, {
+      scheduled: false,
+      timezone: 'America/Sao_Paulo'
+    });
+
+    this.jobs.set('deletionSync', job);
+    job.start();
+
+    logger.info('📅 ETL Scheduler: Detecção de exclusões agendada', {
+      cron: cronExpression,
+      timezone: 'America/Sao_Paulo'
+    });
+  }
+
+  // Executar sincronização completa
+  // job: registro já criado (execução manual); sem ele, um novo job é registrado
+  async executeFullSync(job = null) {
     if (this.currentJobs.has('fullSync')) {
       logger.warn('⚠️ ETL Scheduler: Sincronização completa já em execução');
+      await this.failJob(job?.id, new Error('Sincronização completa já em execução'));
       return;
     }
 
     this.currentJobs.add('fullSync');
     this.stats.totalJobs++;
 
-    logger.info('🚀 ETL Scheduler: Iniciando sincronização completa', { jobId });
+    let jobId = job?.id;
 
     try {
+      if (!job) {
+        job = await this.jobRegistry.createJob('FULL', {}, 'scheduler');
+      }
+      jobId = job.id;
+      if (!await this.jobRegistry.startJob(jobId)) {
+        return;
+      }
+
+      logger.info('🚀 ETL Scheduler: Iniciando sincronização completa', { jobId });
+
       const startTime = Date.now();
       const results = {};
+      let cancelled = false;
 
-      // Sincronizar todas as tabelas configuradas
-      const tables = Object.keys(ETLConfig.mappings).filter(
+      // Recarregar mapeamentos (alterações feitas pela API ou por outra instância)
+      await this.mappingStore.loadMappings();
+
+      // Sincronizar todas as tabelas configuradas, em ordem topológica de dependsOn
+      const plan = buildExecutionPlan(Object.keys(ETLConfig.mappings).filter(
         table => ETLConfig.mappings[table].enabled
-      );
+      ));
 
-      for (const tableName of tables) {
+      // Até ETL_PARALLEL_JOBS tabelas sincronizadas ao mesmo tempo, respeitando as dependências
+      const pool = await runWorkerPool(plan.order, ETLConfig.general.parallelJobs, async (tableName) => {
         logger.info(`📊 ETL Scheduler: Sincronizando tabela ${tableName}`);
         
-        const tableResult = await this.syncTable(tableName, 'full');
+        const tableResult = await this.syncTable(tableName, 'full', job);
         results[tableName] = tableResult;
 
-        // Delay entre tabelas para não sobrecarregar
-        await this.delay(5000);
-      }
+        if (tableResult.cancelled) {
+          cancelled = true;
+        }
+
+        return tableResult;
+      }, {
+        dependsOn: plan.dependsOn,
+        shouldStop: async () => cancelled || await this.jobRegistry.isCancelRequested(jobId)
+      });
+      cancelled = cancelled || pool.cancelled;
+      await this.recordSkippedTables(job, results, pool.skipped);
 
       const totalTime = Date.now() - startTime;
+      const summary = this.summarizeResults(results);
       this.stats.successfulJobs++;
       this.stats.lastFullSync = new Date().toISOString();
 
-      logger.info('✅ ETL Scheduler: Sincronização completa concluída', {
+      await this.jobRegistry.finishJob(jobId, {
+        status: cancelled ? 'CANCELLED' : 'COMPLETED',
+        summary: { ...summary, totalTime }
+      });
+
+      logger.info(`✅ ETL Scheduler: Sincronização completa ${cancelled ? 'cancelada' : 'concluída'}`, {
         jobId,
         totalTime: `${totalTime}ms`,
-        results: this.summarizeResults(results)
+        results: summary
       });
 
-      // Executar limpeza após sincronização completa
-      await this.loader.cleanup();
+      // Executar limpeza após sincronização completa; com tabelas falhas ou ignoradas, a
+      // remoção de órfãos apagaria registros cujas dependências ainda não foram carregadas
+      if (!cancelled && summary.failedTables === 0 && summary.skippedTables === 0) {
+        await this.loader.cleanup();
+      } else if (!cancelled) {
+        logger.warn('⚠️ ETL Scheduler: Limpeza adiada, sincronização completa com tabelas falhas ou ignoradas', {
+          jobId,
+          failedTables: summary.failedTables,
+          skippedTables: summary.skippedTables
+        });
+      }
 
     } catch (error) {
       this.stats.failedJobs++;
@@ -174,53 +247,91 @@ class ETLScheduler {
         error: error.message,
         stack: error.stack
       });
+
+      await this.failJob(jobId, error);
     } finally {
       this.currentJobs.delete('fullSync');
     }
   }
 
   // Executar sincronização incremental
-  async executeIncrementalSync() {
-    const jobId = `incrementalSync_${Date.now()}`;
-    
+  // job: registro já criado (execução manual) sincroniza todas as tabelas incrementais;
+  // sem ele (agendamento), apenas as tabelas com next_sync_at vencido, e um job só é
+  // registrado quando há alguma tabela a sincronizar
+  async executeIncrementalSync(job = null) {
     if (this.currentJobs.has('incrementalSync')) {
       logger.warn('⚠️ ETL Scheduler: Sincronização incremental já em execução');
+      await this.failJob(job?.id, new Error('Sincronização incremental já em execução'));
       return;
     }
 
     this.currentJobs.add('incrementalSync');
     this.stats.totalJobs++;
 
-    logger.info('🚀 ETL Scheduler: Iniciando sincronização incremental', { jobId });
+    let jobId = job?.id;
 
     try {
+      await this.mappingStore.loadMappings();
+
+      // Cada tabela segue o próprio sync_interval_minutes; tabelas sem campo incremental
+      // são sincronizadas por completo quando vencem
+      const tables = job
+        ? Object.keys(ETLConfig.mappings).filter(
+          table => ETLConfig.mappings[table].enabled &&
+                  ETLConfig.mappings[table].incrementalField &&
+                  !(ETLConfig.cdc.enabled && ETLConfig.mappings[table].syncMode === 'cdc')
+        )
+        : await this.mappingStore.getDueTables();
+
+      if (!job && tables.length === 0) {
+        return;
+      }
+
+      if (!job) {
+        job = await this.jobRegistry.createJob('INCREMENTAL', { tables }, 'scheduler');
+      }
+      jobId = job.id;
+      if (!await this.jobRegistry.startJob(jobId)) {
+        return;
+      }
+
+      logger.info('🚀 ETL Scheduler: Iniciando sincronização incremental', { jobId, tables });
+
       const startTime = Date.now();
       const results = {};
+      let cancelled = false;
 
-      // Sincronizar apenas tabelas com suporte incremental
-      const tables = Object.keys(ETLConfig.mappings).filter(
-        table => ETLConfig.mappings[table].enabled && 
-                ETLConfig.mappings[table].incrementalField
-      );
+      const plan = buildExecutionPlan(tables);
 
-      for (const tableName of tables) {
-        logger.info(`📊 ETL Scheduler: Sincronização incremental de ${tableName}`);
+      const pool = await runWorkerPool(plan.order, ETLConfig.general.parallelJobs, async (tableName) => {
+        const syncType = ETLConfig.mappings[tableName].incrementalField ? 'incremental' : 'full';
+        logger.info(`📊 ETL Scheduler: Sincronização ${syncType} de ${tableName}`);
         
-        const tableResult = await this.syncTable(tableName, 'incremental');
+        const tableResult = await this.syncTable(tableName, syncType, job);
         results[tableName] = tableResult;
 
-        // Delay menor entre tabelas na sincronização incremental
-        await this.delay(2000);
-      }
+        return tableResult;
+      }, {
+        dependsOn: plan.dependsOn,
+        shouldStop: () => this.jobRegistry.isCancelRequested(jobId)
+      });
+      cancelled = pool.cancelled;
+      await this.recordSkippedTables(job, results, pool.skipped);
 
       const totalTime = Date.now() - startTime;
+      const summary = this.summarizeResults(results);
       this.stats.successfulJobs++;
       this.stats.lastIncrementalSync = new Date().toISOString();
 
-      logger.info('✅ ETL Scheduler: Sincronização incremental concluída', {
+      await this.jobRegistry.finishJob(jobId, {
+        status: cancelled ? 'CANCELLED' : 'COMPLETED',
+        summary: { ...summary, totalTime }
+      });
+
+      logger.info(`✅ ETL Scheduler: Sincronização incremental ${cancelled ? 'cancelada' : 'concluída'}`, {
         jobId,
         totalTime: `${totalTime}ms`,
-        results: this.summarizeResults(results)
+        results: summary
       });
 
     } catch (error) {
@@ -230,6 +341,8 @@ class ETLScheduler {
         error: error.message,
         stack: error.stack
       });
+
+      await this.failJob(jobId, error);
     } finally {
       this.currentJobs.delete('incrementalSync');
     }
@@ -275,139 +388,155 @@ class ETLScheduler {
     }
   }
 
-  // Sincronizar uma tabela específica
-  async syncTable(tableName, syncType = 'full') {
+  // Detectar exclusões na origem e propagá-las ao destino (deleteMode de cada mapeamento)
+  // job: registro já criado (execução manual); tables: restringe os mapeamentos verificados
+  // Sem tabelas elegíveis, a execução agendada não registra job
+  async executeDeletionSync(job = null, tables = null) {
+    if (this.currentJobs.has('deletionSync')) {
+      logger.warn('⚠️ ETL Scheduler: Detecção de exclusões já em execução');
+      await this.failJob(job?.id, new Error('Detecção de exclusões já em execução'));
+      return;
+    }
+
+    this.currentJobs.add('deletionSync');
+    this.stats.totalJobs++;
+
+    let jobId = job?.id;
+
     try {
-      let extractResult;
+      await this.mappingStore.loadMappings();
 
-      if (syncType === 'incremental') {
-        // Obter última sincronização
-        const lastSyncTime = await this.getLastSyncTime(tableName);
-        extractResult = await this.extractor.extractIncremental(tableName, lastSyncTime);
-      } else {
-        // Extração completa em lotes
-        const results = [];
-        await this.extractor.extractFull(tableName, async (data, metadata) => {
-          // Transformar dados
-          const transformResult = await this.transformer.transformTable(tableName, data);
-          
-          if (transformResult.success && transformResult.transformedData.length > 0) {
-            // Carregar dados
-            const loadResult = await this.loader.loadTable(tableName, transformResult.transformedData);
-            results.push({
-              batch: metadata.batch,
-              extract: { recordCount: data.length },
-              transform: transformResult.stats,
-              load: loadResult.stats
-            });
-          }
-        });
+      const detectable = this.deletions.getDetectableTables();
+      const tablesToCheck = tables ? tables.filter(table => detectable.includes(table)) : detectable;
 
-        return {
-          success: true,
-          syncType,
-          batches: results,
-          totalRecords: results.reduce((sum, batch) => sum + batch.extract.recordCount, 0)
-        };
+      if (!job && tablesToCheck.length === 0) {
+        return;
       }
 
-      if (!extractResult.success) {
-        throw new Error(`Erro na extração: ${extractResult.error}`);
+      if (!job) {
+        job = await this.jobRegistry.createJob('DELETION', { tables: tablesToCheck }, 'scheduler');
       }
-
-      if (extractResult.data.length === 0) {
-        return {
-          success: true,
-          syncType,
-          message: 'Nenhum dado novo para sincronizar',
-          recordCount: 0
-        };
+      jobId = job.id;
+      if (!await this.jobRegistry.startJob(jobId)) {
+        return;
       }
 
-      // Transformar dados
-      const transformResult = await this.transformer.transformTable(tableName, extractResult.data);
-      
-      if (!transformResult.success) {
-        throw new Error('Erro na transformação dos dados');
-      }
+      logger.info('🔎 ETL Scheduler: Iniciando detecção de exclusões', { jobId, tables: tablesToCheck });
 
-      // Carregar dados
-      const loadResult = await this.loader.loadTable(tableName, transformResult.transformedData);
-      
-      if (!loadResult.success) {
-        throw new Error(`Erro no carregamento: ${loadResult.error}`);
-      }
+      const startTime = Date.now();
+      const shouldStop = () => this.jobRegistry.isCancelRequested(jobId);
+      const results = {};
+      let cancelled = false;
 
-      // Atualizar timestamp da última sincronização
-      await this.updateLastSyncTime(tableName);
+      for (const tableName of tablesToCheck) {
+        if (await shouldStop()) {
+          cancelled = true;
+          break;
+        }
 
-      return {
-        success: true,
-        syncType,
-        extract: extractResult.metadata,
-        transform: transformResult.stats,
-        load: loadResult.stats
-      };
+        await this.trackProgress(job, tableName, { status: 'RUNNING', startedAt: new Date().toISOString() });
+
+        try {
+          results[tableName] = await this.deletions.detectTable(tableName, {
+            shouldStop,
+            onChunk: (progress) => this.trackProgress(job, tableName, progress)
+          });
+        } catch (error) {
+          logger.error(`❌ ETL Scheduler: Erro na detecção de exclusões de ${tableName}`, {
+            error: error.message
+          });
+          results[tableName] = { tableName, error: error.message };
+        }
 
-    } catch (error) {
-      logger.error(`❌ ETL Scheduler: Erro ao sincronizar tabela ${tableName}`, {
-        error: error.message,
-        syncType
-      });
+        const tableResult = results[tableName];
+        await this.trackProgress(job, tableName, {
+          status: tableResult.error ? 'FAILED' : tableResult.cancelled ? 'CANCELLED' : 'COMPLETED',
+          recordsScanned: tableResult.recordsScanned || 0,
+          missingKeys: tableResult.missingKeys || 0,
+          recordsDeleted: tableResult.recordsDeleted || 0,
+          recordsSoftDeleted: tableResult.recordsSoftDeleted || 0,
+          finishedAt: new Date().toISOString()
+        });
 
-      return {
-        success: false,
-        syncType,
-        error: error.message
+        if (tableResult.cancelled) {
+          cancelled = true;
+          break;
+        }
+      }
+
+      const totalTime = Date.now() - startTime;
+      const summary = {
+        totalTables: Object.keys(results).length,
+        failedTables: Object.values(results).filter(result => result.error).length,
+        recordsScanned: Object.values(results).reduce((sum, result) => sum + (result.recordsScanned || 0), 0),
+        recordsDeleted: Object.values(results).reduce((sum, result) => sum + (result.recordsDeleted || 0), 0),
+        recordsSoftDeleted: Object.values(results).reduce((sum, result) => sum + (result.recordsSoftDeleted || 0), 0)
       };
-    }
-  }
 
-  // Obter timestamp da última sincronização
-  async getLastSyncTime(tableName) {
-    try {
-      // Por enquanto, usar um valor padrão
-      // Em produção, isso viria de uma tabela de controle
-      const defaultTime = new Date();
-      defaultTime.setHours(defaultTime.getHours() - 1); // Última hora
-      return defaultTime.toISOString();
-    } catch (error) {
-      logger.error(`❌ ETL Scheduler: Erro ao obter última sincronização de ${tableName}`, {
-        error: error.message
+      this.stats.successfulJobs++;
+      this.stats.lastDeletionSync = new Date().toISOString();
+
+      await this.jobRegistry.finishJob(jobId, {
+        status: cancelled ? 'CANCELLED' : 'COMPLETED',
+        summary: { ...summary, totalTime }
       });
-      return null;
-    }
-  }
 
-  // Atualizar timestamp da última sincronização
-  async updateLastSyncTime(tableName) {
-    try {
-      // Por enquanto, apenas log
-      // Em produção, isso seria salvo em uma tabela de controle
-      logger.info(`📝 ETL Scheduler: Última sincronização atualizada para ${tableName}`, {
-        timestamp: new Date().toISOString()
+      logger.info(`✅ ETL Scheduler: Detecção de exclusões ${cancelled ? 'cancelada' : 'concluída'}`, {
+        jobId,
+        totalTime: `${totalTime}ms`,
+        ...summary
       });
+
     } catch (error) {
-      logger.error(`❌ ETL Scheduler: Erro ao atualizar última sincronização de ${tableName}`, {
-        error: error.message
+      this.stats.failedJobs++;
+      logger.error('❌ ETL Scheduler: Erro na detecção de exclusões', {
+        jobId,
+        error: error.message,
+        stack: error.stack
       });
+
+      await this.failJob(jobId, error);
+    } finally {
+      this.currentJobs.delete('deletionSync');
     }
   }
 
+  // Sincronizar uma tabela e registrar o resultado em sync_configurations
+  // (próxima execução, contador e última mensagem de erro)
+  // Extração, transformação, carga e watermark ficam em ETLManager.syncTableData
+  async syncTable(tableName, syncType = 'full', job = null) {
+    const result = await this.syncTableData(tableName, syncType, { job });
+    await this.mappingStore.recordSyncResult(tableName, result);
+    return result;
+  }
+
   // Executar sincronização manual
-  async runManualSync(tableName = null, syncType = 'incremental') {
-    const jobId = `manual_${syncType}_${Date.now()}`;
-    
-    logger.info('🔧 ETL Scheduler: Executando sincronização manual', {
-      jobId,
-      tableName,
-      syncType
-    });
+  async runManualSync(tableName = null, syncType = 'incremental', requestedBy = 'manual') {
+    let jobId = null;
 
     try {
+      const job = await this.jobRegistry.createJob('MANUAL', { tableName, syncType }, requestedBy);
+      jobId = job.id;
+
+      logger.info('🔧 ETL Scheduler: Executando sincronização manual', {
+        jobId,
+        tableName,
+        syncType
+      });
+
       if (tableName) {
         // Sincronizar tabela específica
-        const result = await this.syncTable(tableName, syncType);
+        if (!await this.jobRegistry.startJob(jobId)) {
+          return { success: false, cancelled: true, jobId, error: 'Job não está pendente (cancelado antes de iniciar)' };
+        }
+        const result = await this.syncTable(tableName, syncType, job);
+
+        await this.jobRegistry.finishJob(jobId, {
+          status: result.cancelled ? 'CANCELLED' : result.success ? 'COMPLETED' : 'FAILED',
+          summary: this.summarizeResults({ [tableName]: result }),
+          error: result.success ? null : result.error
+        });
+
         return {
           success: true,
           jobId,
@@ -417,9 +546,9 @@ class ETLScheduler {
       } else {
         // Sincronizar todas as tabelas
         if (syncType === 'full') {
-          await this.executeFullSync();
+          await this.executeFullSync(job);
         } else {
-          await this.executeIncrementalSync();
+          await this.executeIncrementalSync(job);
         }
         
         return {
@@ -435,6 +564,8 @@ class ETLScheduler {
         error: error.message
       });
 
+      await this.failJob(jobId, error);
+
       return {
         success: false,
         jobId,
@@ -443,12 +574,58 @@ class ETLScheduler {
     }
   }
 
+  // Registrar progresso de uma tabela no job (falhas aqui não interrompem a sincronização)
+  async trackProgress(job, tableName, progress) {
+    if (!job) {
+      return;
+    }
+
+    try {
+      await this.jobRegistry.updateTableProgress(job.id, tableName, progress);
+    } catch (error) {
+      logger.warn(`⚠️ ETL Scheduler: Erro ao registrar progresso do job ${job.id}`, {
+        table: tableName,
+        error: error.message
+      });
+    }
+  }
+
+  // Tabelas não executadas porque uma dependência falhou (skipped: { tabela: dependência })
+  async recordSkippedTables(job, results, skipped) {
+    for (const [tableName, blocker] of Object.entries(skipped)) {
+      const error = blocker
+        ? `Dependência ${blocker} falhou, sincronização não executada`
+        : 'Dependências não satisfeitas, sincronização não executada';
+
+      results[tableName] = { success: false, skipped: true, tableName, blockedBy: blocker, error };
+      await this.trackProgress(job, tableName, { status: 'SKIPPED', blockedBy: blocker, error });
+
+      logger.warn(`⏭️ ETL Scheduler: ${tableName} ignorada`, { blockedBy: blocker });
+    }
+  }
+
+  // Marcar job como falho
+  async failJob(jobId, error) {
+    if (!jobId) {
+      return;
+    }
+
+    try {
+      await this.jobRegistry.finishJob(jobId, { status: 'FAILED', error: error.message });
+    } catch (registryError) {
+      logger.error(`❌ ETL Scheduler: Erro ao registrar falha do job ${jobId}`, {
+        error: registryError.message
+      });
+    }
+  }
+
   // Resumir resultados
   summarizeResults(results) {
     const summary = {
       totalTables: Object.keys(results).length,
       successfulTables: 0,
       failedTables: 0,
+      skippedTables: 0,
       totalRecords: 0
     };
 
@@ -458,6 +635,8 @@ class ETLScheduler {
         if (result.load && result.load.recordsLoaded) {
           summary.totalRecords += result.load.recordsLoaded;
         }
+      } else if (result.skipped) {
+        summary.skippedTables++;
       } else {
         summary.failedTables++;
       }
@@ -499,13 +678,16 @@ class ETLScheduler {
       scheduledJobs: Array.from(this.jobs.keys()),
       currentJobs: Array.from(this.currentJobs),
       stats: this.stats,
+      loaderStats: this.loader.getStats(),
       config: {
         fullSyncEnabled: ETLConfig.schedule.fullSync.enabled,
         fullSyncCron: ETLConfig.schedule.fullSync.cron,
         incrementalSyncEnabled: ETLConfig.schedule.incrementalSync.enabled,
         incrementalSyncCron: ETLConfig.schedule.incrementalSync.cron,
         cleanupEnabled: ETLConfig.schedule.cleanup.enabled,
-        cleanupCron: ETLConfig.schedule.cleanup.cron
+        cleanupCron: ETLConfig.schedule.cleanup.cron,
+        deletionSyncEnabled: ETLConfig.schedule.deletionSync.enabled,
+        deletionSyncCron: ETLConfig.schedule.deletionSync.cron
       }
     };
   }
@@ -0,0 +1,111 @@
+// Pool de execução com concorrência limitada (ETL_PARALLEL_JOBS)
+//
+// Cada worker retira o próximo item da fila assim que termina o anterior; shouldStop (async)
+// é consultado antes de iniciar cada item e, quando verdadeiro, os itens ainda não iniciados
+// são descartados (os que estão em execução terminam normalmente)
+//
+// dependsOn ({ item: [itens] }) restringe a ordem: um item só é iniciado depois que todas as
+// suas dependências presentes na lista terminaram com sucesso. Quando uma dependência falha
+// (isFailure sobre o retorno do worker), o item e seus dependentes não são executados e
+// aparecem em `skipped` ({ item: dependência que falhou })
+//
+// Um erro lançado por worker impede o início de novos itens e é relançado quando os itens em
+// execução terminarem
+const defaultIsFailure = (result) => Boolean(result) && result.success === false;
+
+const runWorkerPool = async (items, concurrency, worker, options = {}) => {
+  const {
+    shouldStop = null,
+    dependsOn = {},
+    isFailure = defaultIsFailure
+  } = options;
+
+  const queue = [...items];
+  const completed = new Set();
+  const failed = new Set();
+  const skipped = {};
+  const waiting = [];
+  let running = 0;
+  let cancelled = false;
+  let failure = null;
+
+  const getDependencies = (item) => (dependsOn[item] || []).filter(dependency => items.includes(dependency));
+
+  // Acordar workers parados à espera de uma dependência
+  const notify = () => waiting.splice(0).forEach(resolve => resolve());
+
+  // Descartar itens bloqueados por falha e retirar o primeiro item liberado
+  const takeNext = () => {
+    let changed = true;
+    while (changed) {
+      changed = false;
+      for (const item of [...queue]) {
+        const blocker = getDependencies(item).find(dependency => failed.has(dependency) || dependency in skipped);
+        if (blocker) {
+          queue.splice(queue.indexOf(item), 1);
+          skipped[item] = skipped[blocker] || blocker;
+          changed = true;
+        }
+      }
+    }
+
+    const index = queue.findIndex(item => getDependencies(item).every(dependency => completed.has(dependency)));
+    return index >= 0 ? queue.splice(index, 1)[0] : undefined;
+  };
+
+  const next = async () => {
+    while (queue.length > 0 && !cancelled && !failure) {
+      const item = takeNext();
+
+      if (item === undefined) {
+        // Nada liberado e nada em execução: dependências impossíveis de satisfazer
+        if (queue.length === 0 || running === 0) {
+          break;
+        }
+        await new Promise(resolve => waiting.push(resolve));
+        continue;
+      }
+
+      // Vaga reservada antes de consultar shouldStop: com running em 0 durante a consulta, os
+      // workers à espera de dependências concluiriam que não há nada em execução e sairiam
+      running++;
+      try {
+        if (shouldStop && await shouldStop()) {
+          queue.unshift(item);
+          cancelled = true;
+          break;
+        }
+
+        const result = await worker(item);
+        (isFailure(result) ? failed : completed).add(item);
+      } catch (error) {
+        failure = failure || error;
+        failed.add(item);
+      } finally {
+        running--;
+        notify();
+      }
+    }
+
+    notify();
+  };
+
+  const workers = Math.max(1, Math.min(concurrency || 1, queue.length));
+  await Promise.all(Array.from({ length: workers }, next));
+
+  if (failure) {
+    throw failure;
+  }
+
+  if (!cancelled) {
+    queue.forEach(item => {
+      skipped[item] = null;
+    });
+  }
+
+  return { cancelled, skipped };
+};
+
+module.exports = {
+  runWorkerPool
+};
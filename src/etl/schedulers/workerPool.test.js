@@ -0,0 +1,134 @@
+const { runWorkerPool } = require('./workerPool');
+
+// Worker que registra início/fim de cada item e devolve o resultado configurado
+const createWorker = (results = {}) => {
+  const events = [];
+  const worker = async (item) => {
+    events.push(`start:${item}`);
+    await new Promise(resolve => setImmediate(resolve));
+    events.push(`end:${item}`);
+    return results[item] || { success: true };
+  };
+  return { worker, events };
+};
+
+describe('runWorkerPool', () => {
+  test('executa todos os itens respeitando a concorrência', async () => {
+    let running = 0;
+    let maxRunning = 0;
+    const worker = async () => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await new Promise(resolve => setImmediate(resolve));
+      running--;
+      return { success: true };
+    };
+
+    const result = await runWorkerPool(['a', 'b', 'c', 'd', 'e'], 2, worker);
+
+    expect(result).toEqual({ cancelled: false, skipped: {} });
+    expect(maxRunning).toBe(2);
+  });
+
+  test('só inicia um item depois que suas dependências terminaram', async () => {
+    const { worker, events } = createWorker();
+
+    await runWorkerPool(['bets', 'users', 'deposits'], 3, worker, {
+      dependsOn: { bets: ['users'], deposits: ['users'] }
+    });
+
+    const endUsers = events.indexOf('end:users');
+    expect(events.indexOf('start:bets')).toBeGreaterThan(endUsers);
+    expect(events.indexOf('start:deposits')).toBeGreaterThan(endUsers);
+  });
+
+  test('dependências fora da lista são ignoradas', async () => {
+    const { worker, events } = createWorker();
+
+    const result = await runWorkerPool(['bets'], 2, worker, { dependsOn: { bets: ['users'] } });
+
+    expect(result.skipped).toEqual({});
+    expect(events).toEqual(['start:bets', 'end:bets']);
+  });
+
+  test('falha de uma dependência pula o item e seus dependentes transitivos', async () => {
+    const { worker, events } = createWorker({ users: { success: false } });
+
+    const result = await runWorkerPool(['users', 'deposits', 'deposit_activities', 'games'], 2, worker, {
+      dependsOn: { deposits: ['users'], deposit_activities: ['deposits'] }
+    });
+
+    expect(result).toEqual({
+      cancelled: false,
+      skipped: { deposits: 'users', deposit_activities: 'users' }
+    });
+    expect(events).not.toContain('start:deposits');
+    expect(events).not.toContain('start:deposit_activities');
+    expect(events).toContain('end:games');
+  });
+
+  test('isFailure customizado define o que conta como falha', async () => {
+    const { worker } = createWorker({ users: { status: 'partial' } });
+
+    const result = await runWorkerPool(['users', 'bets'], 1, worker, {
+      dependsOn: { bets: ['users'] },
+      isFailure: (output) => output.status !== undefined
+    });
+
+    expect(result.skipped).toEqual({ bets: 'users' });
+  });
+
+  test('dependências impossíveis de satisfazer (ciclo) terminam com os itens em skipped', async () => {
+    const { worker, events } = createWorker();
+
+    const result = await runWorkerPool(['a', 'b', 'c'], 2, worker, {
+      dependsOn: { a: ['b'], b: ['a'] }
+    });
+
+    expect(result).toEqual({ cancelled: false, skipped: { a: null, b: null } });
+    expect(events).toEqual(['start:c', 'end:c']);
+  });
+
+  test('shouldStop descarta os itens ainda não iniciados', async () => {
+    const { worker, events } = createWorker();
+    let started = 0;
+
+    const result = await runWorkerPool(['a', 'b', 'c', 'd'], 1, async (item) => {
+      started++;
+      return worker(item);
+    }, {
+      shouldStop: async () => started >= 2
+    });
+
+    expect(result).toEqual({ cancelled: true, skipped: {} });
+    expect(events).toEqual(['start:a', 'end:a', 'start:b', 'end:b']);
+  });
+
+  test('shouldStop async não serializa itens independentes liberados pela mesma dependência', async () => {
+    const { worker, events } = createWorker();
+
+    const result = await runWorkerPool(['users', 'deposits', 'bets'], 2, worker, {
+      dependsOn: { deposits: ['users'], bets: ['users'] },
+      shouldStop: async () => false
+    });
+
+    expect(result).toEqual({ cancelled: false, skipped: {} });
+    expect(events.indexOf('start:bets')).toBeLessThan(events.indexOf('end:deposits'));
+    expect(events.indexOf('start:deposits')).toBeLessThan(events.indexOf('end:bets'));
+  });
+
+  test('erro lançado pelo worker impede novos itens e é relançado', async () => {
+    const started = [];
+    const worker = async (item) => {
+      started.push(item);
+      if (item === 'b') {
+        throw new Error('conexão perdida');
+      }
+      await new Promise(resolve => setImmediate(resolve));
+      return { success: true };
+    };
+
+    await expect(runWorkerPool(['a', 'b', 'c', 'd'], 2, worker)).rejects.toThrow('conexão perdida');
+    expect(started).toEqual(['a', 'b']);
+  });
+});
@@ -0,0 +1,362 @@
+const logger = require('../../utils/logger');
+
+const BACKFILL_STATUSES = ['PENDING', 'RUNNING', 'COMPLETED', 'FAILED', 'CANCELLED'];
+const CHUNK_STATUSES = ['PENDING', 'RUNNING', 'COMPLETED', 'FAILED'];
+
+// Backfills históricos por intervalo de datas
+// Cada backfill recarrega uma tabela mapeada entre range_from (inclusivo) e range_to (exclusivo);
+// as janelas ficam em etl_backfill_chunks e funcionam como checkpoint: uma execução retomada
+// (após cancelamento, falha ou reinício do serviço) continua na primeira janela não concluída
+class BackfillStore {
+  constructor(loader) {
+    this.loader = loader;
+    this.schemaReady = false;
+  }
+
+  // Garantir que as tabelas de backfill existam
+  async ensureSchema() {
+    if (this.schemaReady) {
+      return;
+    }
+
+    const pool = await this.loader.connect();
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS etl_backfills (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        job_id UUID,
+        table_name VARCHAR(100) NOT NULL,
+        date_field VARCHAR(100) NOT NULL,
+        range_from TIMESTAMPTZ NOT NULL,
+        range_to TIMESTAMPTZ NOT NULL,
+        chunk_size VARCHAR(10) NOT NULL,
+        throttle_ms INTEGER NOT NULL DEFAULT 0,
+        status VARCHAR(20) NOT NULL DEFAULT 'PENDING',
+        chunks_total INTEGER DEFAULT 0,
+        chunks_completed INTEGER DEFAULT 0,
+        records_extracted BIGINT DEFAULT 0,
+        records_loaded BIGINT DEFAULT 0,
+        error_message TEXT,
+        requested_by VARCHAR(100),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        started_at TIMESTAMP,
+        finished_at TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+        CONSTRAINT valid_backfill_status CHECK (status IN ('PENDING', 'RUNNING', 'COMPLETED', 'FAILED', 'CANCELLED'))
+      )
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS etl_backfill_chunks (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        backfill_id UUID NOT NULL REFERENCES etl_backfills(id) ON DELETE CASCADE,
+        chunk_index INTEGER NOT NULL,
+        range_from TIMESTAMPTZ NOT NULL,
+        range_to TIMESTAMPTZ NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'PENDING',
+        batches INTEGER DEFAULT 0,
+        records_extracted INTEGER DEFAULT 0,
+        records_loaded INTEGER DEFAULT 0,
+        duration_ms INTEGER,
+        error_message TEXT,
+        started_at TIMESTAMP,
+        finished_at TIMESTAMP,
+
+        CONSTRAINT valid_backfill_chunk_status CHECK (status IN ('PENDING', 'RUNNING', 'COMPLETED', 'FAILED')),
+        UNIQUE(backfill_id, chunk_index)
+      )
+    `);
+
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_etl_backfills_table ON etl_backfills(table_name, created_at)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_etl_backfill_chunks_status ON etl_backfill_chunks(backfill_id, status, chunk_index)');
+
+    this.schemaReady = true;
+    logger.info('🗂️ ETL Backfill: Tabelas de backfill verificadas');
+  }
+
+  // Registrar backfill (status PENDING) com todas as janelas ({ from, to } em ordem)
+  async createBackfill({ tableName, dateField, from, to, chunkSize, throttleMs, chunks, requestedBy = 'system' }) {
+    await this.ensureSchema();
+
+    const client = await this.loader.targetPool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(`
+        INSERT INTO etl_backfills
+        (table_name, date_field, range_from, range_to, chunk_size, throttle_ms, chunks_total, requested_by)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        RETURNING *
+      `, [tableName, dateField, from, to, chunkSize, throttleMs, chunks.length, requestedBy]);
+
+      const backfill = result.rows[0];
+
+      await client.query(`
+        INSERT INTO etl_backfill_chunks (backfill_id, chunk_index, range_from, range_to)
+        SELECT $1, c.ordinality - 1, c.range_from, c.range_to
+        FROM unnest($2::timestamptz[], $3::timestamptz[]) WITH ORDINALITY AS c(range_from, range_to, ordinality)
+      `, [backfill.id, chunks.map(chunk => chunk.from), chunks.map(chunk => chunk.to)]);
+
+      await client.query('COMMIT');
+
+      return this.formatBackfill(backfill);
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Iniciar (ou retomar) uma execução; janelas que estavam em andamento voltam para PENDING
+  async startRun(backfillId, jobId) {
+    await this.ensureSchema();
+
+    await this.loader.targetPool.query(`
+      UPDATE etl_backfill_chunks
+      SET status = 'PENDING', started_at = NULL
+      WHERE backfill_id = $1 AND status = 'RUNNING'
+    `, [backfillId]);
+
+    const result = await this.loader.targetPool.query(`
+      UPDATE etl_backfills
+      SET status = 'RUNNING',
+          job_id = $2,
+          error_message = NULL,
+          started_at = COALESCE(started_at, NOW()),
+          finished_at = NULL,
+          updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, [backfillId, jobId]);
+
+    return result.rows.length > 0 ? this.formatBackfill(result.rows[0]) : null;
+  }
+
+  // Próxima janela a processar: a primeira, em ordem, ainda não concluída
+  async getNextChunk(backfillId) {
+    await this.ensureSchema();
+
+    const result = await this.loader.targetPool.query(`
+      SELECT * FROM etl_backfill_chunks
+      WHERE backfill_id = $1 AND status <> 'COMPLETED'
+      ORDER BY chunk_index
+      LIMIT 1
+    `, [backfillId]);
+
+    return result.rows.length > 0 ? this.formatChunk(result.rows[0]) : null;
+  }
+
+  async startChunk(chunkId) {
+    await this.loader.targetPool.query(`
+      UPDATE etl_backfill_chunks
+      SET status = 'RUNNING', error_message = NULL, started_at = NOW(), finished_at = NULL
+      WHERE id = $1
+    `, [chunkId]);
+  }
+
+  // Checkpoint: janela concluída e totais do backfill acumulados na mesma instrução
+  async completeChunk(chunkId, { batches, recordsExtracted, recordsLoaded, duration }) {
+    const result = await this.loader.targetPool.query(`
+      WITH chunk AS (
+        UPDATE etl_backfill_chunks
+        SET status = 'COMPLETED',
+            batches = $2,
+            records_extracted = $3,
+            records_loaded = $4,
+            duration_ms = $5,
+            error_message = NULL,
+            finished_at = NOW()
+        WHERE id = $1
+        RETURNING backfill_id
+      )
+      UPDATE etl_backfills b
+      SET chunks_completed = b.chunks_completed + 1,
+          records_extracted = b.records_extracted + $3,
+          records_loaded = b.records_loaded + $4,
+          updated_at = NOW()
+      FROM chunk
+      WHERE b.id = chunk.backfill_id
+      RETURNING b.*
+    `, [chunkId, batches, recordsExtracted, recordsLoaded, duration]);
+
+    return result.rows.length > 0 ? this.formatBackfill(result.rows[0]) : null;
+  }
+
+  // Janela interrompida por cancelamento volta para PENDING; por erro, fica FAILED
+  async releaseChunk(chunkId, error = null) {
+    await this.loader.targetPool.query(`
+      UPDATE etl_backfill_chunks
+      SET status = CASE WHEN $2::text IS NULL THEN 'PENDING' ELSE 'FAILED' END,
+          error_message = $2,
+          finished_at = CASE WHEN $2::text IS NULL THEN NULL ELSE NOW() END
+      WHERE id = $1
+    `, [chunkId, error]);
+  }
+
+  // Finalizar execução (COMPLETED, FAILED ou CANCELLED)
+  async finishBackfill(backfillId, { status, error = null }) {
+    await this.ensureSchema();
+
+    const result = await this.loader.targetPool.query(`
+      UPDATE etl_backfills
+      SET status = $2,
+          error_message = $3,
+          finished_at = NOW(),
+          updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, [backfillId, status, error]);
+
+    return result.rows.length > 0 ? this.formatBackfill(result.rows[0]) : null;
+  }
+
+  // Backfills em execução quando o serviço parou ficam FAILED e podem ser retomados
+  async failInterruptedBackfills() {
+    await this.ensureSchema();
+
+    await this.loader.targetPool.query(`
+      UPDATE etl_backfill_chunks
+      SET status = 'PENDING', started_at = NULL
+      WHERE status = 'RUNNING'
+    `);
+
+    const result = await this.loader.targetPool.query(`
+      UPDATE etl_backfills
+      SET status = 'FAILED',
+          error_message = 'Execução interrompida por reinício do serviço',
+          finished_at = NOW(),
+          updated_at = NOW()
+      WHERE status = 'RUNNING'
+    `);
+
+    if (result.rowCount > 0) {
+      logger.warn('⚠️ ETL Backfill: Backfills interrompidos marcados como falhos (podem ser retomados)', {
+        count: result.rowCount
+      });
+    }
+
+    return result.rowCount;
+  }
+
+  async getBackfill(backfillId) {
+    await this.ensureSchema();
+
+    const result = await this.loader.targetPool.query('SELECT * FROM etl_backfills WHERE id = $1', [backfillId]);
+    return result.rows.length > 0 ? this.formatBackfill(result.rows[0]) : null;
+  }
+
+  // Listar backfills com filtros
+  async listBackfills(filters = {}) {
+    await this.ensureSchema();
+
+    let query = 'SELECT * FROM etl_backfills WHERE 1=1';
+    const params = [];
+    let paramIndex = 1;
+
+    if (filters.tableName) {
+      query += ` AND table_name = $${paramIndex++}`;
+      params.push(filters.tableName);
+    }
+
+    if (filters.status) {
+      query += ` AND status = $${paramIndex++}`;
+      params.push(filters.status);
+    }
+
+    query += ' ORDER BY created_at DESC';
+
+    query += ` LIMIT $${paramIndex++}`;
+    params.push(filters.limit || 50);
+
+    if (filters.offset) {
+      query += ` OFFSET $${paramIndex++}`;
+      params.push(filters.offset);
+    }
+
+    const result = await this.loader.targetPool.query(query, params);
+    return result.rows.map(row => this.formatBackfill(row));
+  }
+
+  // Listar janelas de um backfill (opcionalmente por status)
+  async listChunks(backfillId, filters = {}) {
+    await this.ensureSchema();
+
+    let query = 'SELECT * FROM etl_backfill_chunks WHERE backfill_id = $1';
+    const params = [backfillId];
+    let paramIndex = 2;
+
+    if (filters.status) {
+      query += ` AND status = $${paramIndex++}`;
+      params.push(filters.status);
+    }
+
+    query += ' ORDER BY chunk_index';
+
+    if (filters.limit) {
+      query += ` LIMIT $${paramIndex++}`;
+      params.push(filters.limit);
+    }
+
+    if (filters.offset) {
+      query += ` OFFSET $${paramIndex++}`;
+      params.push(filters.offset);
+    }
+
+    const result = await this.loader.targetPool.query(query, params);
+    return result.rows.map(row => this.formatChunk(row));
+  }
+
+  // Utilitários
+  formatBackfill(row) {
+    const chunksTotal = row.chunks_total || 0;
+
+    return {
+      id: row.id,
+      jobId: row.job_id,
+      tableName: row.table_name,
+      dateField: row.date_field,
+      from: row.range_from,
+      to: row.range_to,
+      chunkSize: row.chunk_size,
+      throttleMs: row.throttle_ms,
+      status: row.status,
+      chunksTotal,
+      chunksCompleted: row.chunks_completed || 0,
+      progress: chunksTotal > 0 ? Math.round((row.chunks_completed / chunksTotal) * 10000) / 100 : 0,
+      recordsExtracted: parseInt(row.records_extracted) || 0,
+      recordsLoaded: parseInt(row.records_loaded) || 0,
+      error: row.error_message,
+      requestedBy: row.requested_by,
+      createdAt: row.created_at,
+      startedAt: row.started_at,
+      finishedAt: row.finished_at
+    };
+  }
+
+  formatChunk(row) {
+    return {
+      id: row.id,
+      backfillId: row.backfill_id,
+      index: row.chunk_index,
+      from: row.range_from,
+      to: row.range_to,
+      status: row.status,
+      batches: row.batches,
+      recordsExtracted: row.records_extracted,
+      recordsLoaded: row.records_loaded,
+      duration: row.duration_ms,
+      error: row.error_message,
+      startedAt: row.started_at,
+      finishedAt: row.finished_at
+    };
+  }
+}
+
+BackfillStore.BACKFILL_STATUSES = BACKFILL_STATUSES;
+BackfillStore.CHUNK_STATUSES = CHUNK_STATUSES;
+
+module.exports = BackfillStore;
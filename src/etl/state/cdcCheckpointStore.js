@@ -0,0 +1,86 @@
+const logger = require('../../utils/logger');
+
+// Checkpoint persistente da captura de alterações (CDC): último LSN carregado por slot
+// Armazenado no banco de destino e gravado antes de avançar o slot na origem, para que uma
+// queda entre a carga e o avanço não reprocesse nem perca alterações já confirmadas
+class CdcCheckpointStore {
+  constructor(loader) {
+    this.loader = loader;
+    this.schemaReady = false;
+  }
+
+  // Garantir que a tabela de checkpoints exista
+  async ensureSchema() {
+    if (this.schemaReady) {
+      return;
+    }
+
+    const pool = await this.loader.connect();
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS etl_cdc_checkpoints (
+        slot_name VARCHAR(100) PRIMARY KEY,
+        plugin VARCHAR(20) NOT NULL,
+        last_lsn PG_LSN NOT NULL,
+        events_processed BIGINT DEFAULT 0,
+        records_upserted BIGINT DEFAULT 0,
+        records_deleted BIGINT DEFAULT 0,
+        last_batch_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    this.schemaReady = true;
+    logger.info('🗂️ ETL State: Tabela de checkpoints CDC verificada');
+  }
+
+  async getCheckpoint(slotName) {
+    await this.ensureSchema();
+
+    const result = await this.loader.targetPool.query(
+      'SELECT * FROM etl_cdc_checkpoints WHERE slot_name = $1',
+      [slotName]
+    );
+
+    return result.rows.length > 0 ? this.formatCheckpoint(result.rows[0]) : null;
+  }
+
+  // Gravar o LSN do lote carregado; o LSN nunca retrocede
+  async saveCheckpoint(slotName, { plugin, lsn, eventsProcessed = 0, recordsUpserted = 0, recordsDeleted = 0 }) {
+    await this.ensureSchema();
+
+    const result = await this.loader.targetPool.query(`
+      INSERT INTO etl_cdc_checkpoints
+      (slot_name, plugin, last_lsn, events_processed, records_upserted, records_deleted, last_batch_at)
+      VALUES ($1, $2, $3, $4, $5, $6, NOW())
+      ON CONFLICT (slot_name)
+      DO UPDATE SET
+        plugin = EXCLUDED.plugin,
+        last_lsn = GREATEST(etl_cdc_checkpoints.last_lsn, EXCLUDED.last_lsn),
+        events_processed = etl_cdc_checkpoints.events_processed + EXCLUDED.events_processed,
+        records_upserted = etl_cdc_checkpoints.records_upserted + EXCLUDED.records_upserted,
+        records_deleted = etl_cdc_checkpoints.records_deleted + EXCLUDED.records_deleted,
+        last_batch_at = NOW(),
+        updated_at = NOW()
+      RETURNING *
+    `, [slotName, plugin, lsn, eventsProcessed, recordsUpserted, recordsDeleted]);
+
+    return this.formatCheckpoint(result.rows[0]);
+  }
+
+  formatCheckpoint(row) {
+    return {
+      slotName: row.slot_name,
+      plugin: row.plugin,
+      lastLsn: row.last_lsn,
+      eventsProcessed: parseInt(row.events_processed) || 0,
+      recordsUpserted: parseInt(row.records_upserted) || 0,
+      recordsDeleted: parseInt(row.records_deleted) || 0,
+      lastBatchAt: row.last_batch_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+module.exports = CdcCheckpointStore;
@@ -0,0 +1,189 @@
+const logger = require('../../utils/logger');
+
+// Histórico (SCD tipo 2) das colunas rastreadas de um mapeamento (historyColumns)
+//
+// Cada tabela de destino com histórico ganha uma tabela paralela <targetTable>_history com uma
+// versão por mudança dos valores rastreados: valid_from/valid_to delimitam a vigência e a versão
+// atual tem valid_to nulo. A tabela principal continua sendo atualizada no lugar
+//
+// As versões são gravadas pelo DataLoader na mesma transação do upsert, então uma carga
+// desfeita não deixa histórico órfão
+class HistoryStore {
+  constructor(loader) {
+    this.loader = loader;
+    this.readyTables = new Set();
+  }
+
+  isEnabled(mapping) {
+    return Array.isArray(mapping.historyColumns) && mapping.historyColumns.length > 0;
+  }
+
+  getHistoryTable(mapping) {
+    return `${mapping.targetTable}_history`;
+  }
+
+  // Criar a tabela de histórico; na criação, o estado atual do destino vira a primeira versão
+  async ensureTable(mapping, naturalKey) {
+    const historyTable = this.getHistoryTable(mapping);
+    if (this.readyTables.has(historyTable)) {
+      return historyTable;
+    }
+
+    const pool = await this.loader.connect();
+    const indexName = historyTable.replace('.', '_');
+
+    const existing = await pool.query('SELECT to_regclass($1) AS regclass', [historyTable]);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS ${historyTable} (
+        history_id BIGSERIAL PRIMARY KEY,
+        natural_key VARCHAR(255) NOT NULL,
+        attributes JSONB NOT NULL,
+        valid_from TIMESTAMP NOT NULL,
+        valid_to TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_${indexName}_key ON ${historyTable}(natural_key, valid_from)`);
+    await pool.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_${indexName}_current ON ${historyTable}(natural_key) WHERE valid_to IS NULL`);
+
+    if (!existing.rows[0].regclass) {
+      const baseline = await pool.query(`
+        INSERT INTO ${historyTable} (natural_key, attributes, valid_from)
+        SELECT ${naturalKey}::text, ${this.buildAttributes(mapping.historyColumns)}, NOW()
+        FROM ${mapping.targetTable}
+        WHERE ${naturalKey} IS NOT NULL
+      `);
+
+      logger.info(`🕰️ ETL History: Tabela ${historyTable} criada`, {
+        trackedColumns: mapping.historyColumns,
+        baselineVersions: baseline.rowCount
+      });
+    }
+
+    this.readyTables.add(historyTable);
+    return historyTable;
+  }
+
+  // Registrar novas versões para os registros cujos valores rastreados mudaram
+  // (client: transação do carregamento, após o upsert). Os valores são lidos da própria tabela
+  // de destino para manter a mesma representação da versão inicial. Retorna as versões criadas
+  async recordVersions(client, mapping, naturalKey, records) {
+    const historyTable = this.getHistoryTable(mapping);
+    const timestampColumn = mapping.incrementalField && mapping.fieldMapping[mapping.incrementalField];
+
+    const keys = records
+      .map(record => record[naturalKey])
+      .filter(key => key !== null && key !== undefined);
+    if (keys.length === 0) {
+      return 0;
+    }
+
+    // Início da vigência: momento da alteração na origem (campo incremental), ou o da carga
+    const incoming = `
+      SELECT
+        t.${naturalKey}::text AS natural_key,
+        ${this.buildAttributes(mapping.historyColumns, 't')} AS attributes,
+        ${timestampColumn ? `COALESCE(t.${timestampColumn}, NOW())` : 'NOW()'} AS valid_from
+      FROM ${mapping.targetTable} t
+      WHERE t.${naturalKey} = ANY($1)
+    `;
+
+    await client.query(`
+      UPDATE ${historyTable} h
+      SET valid_to = GREATEST(i.valid_from, h.valid_from)
+      FROM (${incoming}) i
+      WHERE h.natural_key = i.natural_key
+        AND h.valid_to IS NULL
+        AND h.attributes IS DISTINCT FROM i.attributes
+    `, [keys]);
+
+    const inserted = await client.query(`
+      INSERT INTO ${historyTable} (natural_key, attributes, valid_from)
+      SELECT
+        i.natural_key,
+        i.attributes,
+        GREATEST(i.valid_from, COALESCE(
+          (SELECT MAX(h.valid_to) FROM ${historyTable} h WHERE h.natural_key = i.natural_key),
+          i.valid_from
+        ))
+      FROM (${incoming}) i
+      WHERE NOT EXISTS (
+        SELECT 1 FROM ${historyTable} h
+        WHERE h.natural_key = i.natural_key AND h.valid_to IS NULL
+      )
+    `, [keys]);
+
+    return inserted.rowCount;
+  }
+
+  // Encerrar a versão atual de registros removidos na origem
+  // keyColumn/sourceKeys: coluna de destino da chave primária e chaves de origem removidas
+  async closeVersions(client, mapping, naturalKey, keyColumn, sourceKeys) {
+    const historyTable = this.getHistoryTable(mapping);
+
+    const result = await client.query(`
+      UPDATE ${historyTable} h
+      SET valid_to = NOW()
+      FROM ${mapping.targetTable} t
+      WHERE t.${keyColumn} = ANY($1)
+        AND h.natural_key = t.${naturalKey}::text
+        AND h.valid_to IS NULL
+    `, [sourceKeys]);
+
+    return result.rowCount;
+  }
+
+  // Versão vigente em um instante (null quando o registro não existia ou já tinha sido removido)
+  async getAsOf(mapping, key, asOf) {
+    const pool = await this.loader.connect();
+
+    const result = await pool.query(`
+      SELECT * FROM ${this.getHistoryTable(mapping)}
+      WHERE natural_key = $1
+        AND valid_from <= $2
+        AND (valid_to IS NULL OR valid_to > $2)
+      ORDER BY valid_from DESC
+      LIMIT 1
+    `, [String(key), asOf]);
+
+    return result.rows.length > 0 ? this.formatVersion(result.rows[0]) : null;
+  }
+
+  // Todas as versões de um registro, da mais antiga para a mais recente
+  async listVersions(mapping, key) {
+    const pool = await this.loader.connect();
+
+    const result = await pool.query(`
+      SELECT * FROM ${this.getHistoryTable(mapping)}
+      WHERE natural_key = $1
+      ORDER BY valid_from, history_id
+    `, [String(key)]);
+
+    return result.rows.map(row => this.formatVersion(row));
+  }
+
+  async tableExists(mapping) {
+    const pool = await this.loader.connect();
+    const result = await pool.query('SELECT to_regclass($1) AS regclass', [this.getHistoryTable(mapping)]);
+    return Boolean(result.rows[0].regclass);
+  }
+
+  // Utilitários
+  buildAttributes(columns, alias = null) {
+    const prefix = alias ? `${alias}.` : '';
+    return `jsonb_build_object(${columns.map(column => `'${column}', ${prefix}${column}`).join(', ')})`;
+  }
+
+  formatVersion(row) {
+    return {
+      naturalKey: row.natural_key,
+      attributes: row.attributes,
+      validFrom: row.valid_from,
+      validTo: row.valid_to,
+      current: row.valid_to === null
+    };
+  }
+}
+
+module.exports = HistoryStore;
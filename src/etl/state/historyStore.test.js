@@ -0,0 +1,96 @@
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const HistoryStore = require('./historyStore');
+
+const mapping = {
+  targetTable: 'affiliates',
+  incrementalField: 'updated_at',
+  fieldMapping: { id: 'external_user_id', status: 'status', updated_at: 'source_updated_at' },
+  historyColumns: ['status', 'level']
+};
+
+describe('HistoryStore', () => {
+  test('histórico habilitado apenas com historyColumns preenchido', () => {
+    const store = new HistoryStore({});
+
+    expect(store.isEnabled(mapping)).toBe(true);
+    expect(store.isEnabled({ ...mapping, historyColumns: [] })).toBe(false);
+    expect(store.isEnabled({ targetTable: 'bets' })).toBe(false);
+    expect(store.getHistoryTable(mapping)).toBe('affiliates_history');
+  });
+
+  test('buildAttributes monta o JSON das colunas rastreadas', () => {
+    const store = new HistoryStore({});
+
+    expect(store.buildAttributes(['status', 'level'], 't')).toBe("jsonb_build_object('status', t.status, 'level', t.level)");
+    expect(store.buildAttributes(['status'])).toBe("jsonb_build_object('status', status)");
+  });
+
+  describe('ensureTable', () => {
+    test('na criação grava o estado atual do destino como primeira versão', async () => {
+      const query = jest.fn(async (text) => (text.includes('to_regclass')
+        ? { rows: [{ regclass: null }] }
+        : { rows: [], rowCount: 3 }));
+      const store = new HistoryStore({ connect: jest.fn().mockResolvedValue({ query }) });
+
+      await expect(store.ensureTable(mapping, 'external_user_id')).resolves.toBe('affiliates_history');
+      await store.ensureTable(mapping, 'external_user_id');
+
+      const baseline = query.mock.calls.find(([text]) => text.includes('INSERT INTO affiliates_history'));
+      expect(baseline[0]).toContain("SELECT external_user_id::text, jsonb_build_object('status', status, 'level', level), NOW()");
+      // Segunda chamada usa o cache e não consulta o banco
+      expect(query.mock.calls.filter(([text]) => text.includes('to_regclass'))).toHaveLength(1);
+    });
+
+    test('tabela já existente não recebe nova versão inicial', async () => {
+      const query = jest.fn().mockResolvedValue({ rows: [{ regclass: 'affiliates_history' }] });
+      const store = new HistoryStore({ connect: jest.fn().mockResolvedValue({ query }) });
+
+      await store.ensureTable(mapping, 'external_user_id');
+
+      expect(query.mock.calls.some(([text]) => text.includes('INSERT INTO'))).toBe(false);
+    });
+  });
+
+  describe('recordVersions', () => {
+    test('encerra versões alteradas e insere as novas com início no campo incremental', async () => {
+      const client = { query: jest.fn().mockResolvedValue({ rowCount: 2 }) };
+      const store = new HistoryStore({});
+
+      const created = await store.recordVersions(client, mapping, 'external_user_id', [
+        { external_user_id: 1 }, { external_user_id: null }, { external_user_id: 2 }
+      ]);
+
+      expect(created).toBe(2);
+      const [[update, updateValues], [insert]] = client.query.mock.calls;
+      expect(update).toContain('UPDATE affiliates_history h');
+      expect(update).toContain('COALESCE(t.source_updated_at, NOW()) AS valid_from');
+      expect(updateValues).toEqual([[1, 2]]);
+      expect(insert).toContain('INSERT INTO affiliates_history (natural_key, attributes, valid_from)');
+    });
+
+    test('sem chaves naturais não acessa o banco', async () => {
+      const client = { query: jest.fn() };
+      const store = new HistoryStore({});
+
+      await expect(store.recordVersions(client, mapping, 'external_user_id', [{ external_user_id: null }])).resolves.toBe(0);
+      expect(client.query).not.toHaveBeenCalled();
+    });
+  });
+
+  test('getAsOf devolve a versão vigente formatada', async () => {
+    const row = { natural_key: '1', attributes: { status: 'ACTIVE' }, valid_from: new Date('2024-03-01'), valid_to: null };
+    const query = jest.fn().mockResolvedValue({ rows: [row] });
+    const store = new HistoryStore({ connect: jest.fn().mockResolvedValue({ query }) });
+    const asOf = new Date('2024-03-05');
+
+    await expect(store.getAsOf(mapping, 1, asOf)).resolves.toEqual({
+      naturalKey: '1',
+      attributes: { status: 'ACTIVE' },
+      validFrom: row.valid_from,
+      validTo: null,
+      current: true
+    });
+    expect(query.mock.calls[0][1]).toEqual(['1', asOf]);
+  });
+});
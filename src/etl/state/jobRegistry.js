@@ -0,0 +1,288 @@
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../../utils/logger');
+
+const JOB_TYPES = ['FULL', 'INCREMENTAL', 'TABLE', 'MANUAL', 'RECONCILE', 'DELETION', 'BACKFILL'];
+const FINAL_STATUSES = ['COMPLETED', 'FAILED', 'CANCELLED'];
+
+// Registro persistente de execuções ETL (jobs)
+// Armazenado no banco de destino para sobreviver a reinícios e ser consultado via API
+class JobRegistry {
+  constructor(loader) {
+    this.loader = loader;
+    this.schemaReady = false;
+    this.cancelRequests = new Set();
+  }
+
+  // Garantir que a tabela de jobs exista
+  async ensureSchema() {
+    if (this.schemaReady) {
+      return;
+    }
+
+    const pool = await this.loader.connect();
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS etl_jobs (
+        id UUID PRIMARY KEY,
+        job_type VARCHAR(20) NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'PENDING',
+        parameters JSONB DEFAULT '{}',
+        progress JSONB DEFAULT '{}',
+        summary JSONB,
+        error_message TEXT,
+        requested_by VARCHAR(100),
+        cancel_requested BOOLEAN DEFAULT FALSE,
+        started_at TIMESTAMP,
+        finished_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+        CONSTRAINT valid_etl_job_type CHECK (job_type IN (${JOB_TYPES.map(type => `'${type}'`).join(', ')})),
+        CONSTRAINT valid_etl_job_status CHECK (status IN ('PENDING', 'RUNNING', 'COMPLETED', 'FAILED', 'CANCELLED'))
+      )
+    `);
+
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_etl_jobs_status ON etl_jobs(status)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_etl_jobs_created ON etl_jobs(created_at)');
+
+    this.schemaReady = true;
+    logger.info('🗂️ ETL Jobs: Tabela de jobs verificada');
+  }
+
+  // Registrar novo job (status PENDING)
+  async createJob(jobType, parameters = {}, requestedBy = 'system') {
+    if (!JOB_TYPES.includes(jobType)) {
+      throw new Error(`Tipo de job inválido: ${jobType}`);
+    }
+
+    await this.ensureSchema();
+
+    const result = await this.loader.targetPool.query(`
+      INSERT INTO etl_jobs (id, job_type, parameters, requested_by)
+      VALUES ($1, $2, $3, $4)
+      RETURNING *
+    `, [uuidv4(), jobType, JSON.stringify(parameters), requestedBy]);
+
+    const job = this.formatJob(result.rows[0]);
+
+    logger.info(`📋 ETL Jobs: Job ${job.id} registrado`, {
+      jobType,
+      requestedBy
+    });
+
+    return job;
+  }
+
+  // Marcar job PENDING como em execução
+  // Retorna null quando o job não está mais pendente (ex.: cancelado antes de começar);
+  // nesse caso quem chamou não deve executá-lo
+  async startJob(jobId) {
+    await this.ensureSchema();
+
+    const result = await this.loader.targetPool.query(`
+      UPDATE etl_jobs
+      SET status = 'RUNNING',
+          started_at = COALESCE(started_at, NOW()),
+          updated_at = NOW()
+      WHERE id = $1 AND status = 'PENDING'
+      RETURNING *
+    `, [jobId]);
+
+    if (result.rowCount === 0) {
+      logger.warn(`⚠️ ETL Jobs: Job ${jobId} não está pendente, execução ignorada`);
+      return null;
+    }
+
+    return this.formatJob(result.rows[0]);
+  }
+
+  // Atualizar progresso de uma tabela dentro do job (merge com o progresso existente)
+  async updateTableProgress(jobId, tableName, progress) {
+    await this.ensureSchema();
+
+    await this.loader.targetPool.query(`
+      UPDATE etl_jobs
+      SET progress = jsonb_set(
+            progress,
+            ARRAY[$2::text],
+            COALESCE(progress -> $2::text, '{}'::jsonb) || $3::jsonb
+          ),
+          updated_at = NOW()
+      WHERE id = $1
+    `, [jobId, tableName, JSON.stringify({ ...progress, updatedAt: new Date().toISOString() })]);
+  }
+
+  // Finalizar job com resumo e status final
+  async finishJob(jobId, { status, summary = null, error = null }) {
+    if (!FINAL_STATUSES.includes(status)) {
+      throw new Error(`Status final inválido: ${status}`);
+    }
+
+    this.cancelRequests.delete(jobId);
+
+    const job = await this.updateJob(jobId, `
+      status = $2,
+      summary = $3,
+      error_message = $4,
+      finished_at = NOW()
+    `, [status, summary ? JSON.stringify(summary) : null, error]);
+
+    logger.info(`📋 ETL Jobs: Job ${jobId} finalizado`, { status });
+
+    return job;
+  }
+
+  // Solicitar cancelamento; a execução para no próximo limite de lote
+  async requestCancel(jobId) {
+    await this.ensureSchema();
+
+    const result = await this.loader.targetPool.query(`
+      UPDATE etl_jobs
+      SET cancel_requested = TRUE,
+          status = CASE WHEN status = 'PENDING' THEN 'CANCELLED' ELSE status END,
+          finished_at = CASE WHEN status = 'PENDING' THEN NOW() ELSE finished_at END,
+          updated_at = NOW()
+      WHERE id = $1 AND status IN ('PENDING', 'RUNNING')
+      RETURNING *
+    `, [jobId]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    this.cancelRequests.add(jobId);
+    logger.info(`🛑 ETL Jobs: Cancelamento solicitado para job ${jobId}`);
+
+    return this.formatJob(result.rows[0]);
+  }
+
+  // Verificar se o cancelamento foi solicitado (memória local ou outra instância via banco)
+  async isCancelRequested(jobId) {
+    if (!jobId) {
+      return false;
+    }
+
+    if (this.cancelRequests.has(jobId)) {
+      return true;
+    }
+
+    await this.ensureSchema();
+
+    const result = await this.loader.targetPool.query(
+      'SELECT cancel_requested FROM etl_jobs WHERE id = $1',
+      [jobId]
+    );
+
+    const cancelled = result.rows.length > 0 && result.rows[0].cancel_requested;
+    if (cancelled) {
+      this.cancelRequests.add(jobId);
+    }
+
+    return cancelled;
+  }
+
+  // Marcar como falhos os jobs que estavam em execução quando o serviço parou
+  async failInterruptedJobs() {
+    await this.ensureSchema();
+
+    const result = await this.loader.targetPool.query(`
+      UPDATE etl_jobs
+      SET status = 'FAILED',
+          error_message = 'Execução interrompida por reinício do serviço',
+          finished_at = NOW(),
+          updated_at = NOW()
+      WHERE status IN ('PENDING', 'RUNNING')
+    `);
+
+    if (result.rowCount > 0) {
+      logger.warn('⚠️ ETL Jobs: Jobs interrompidos marcados como falhos', {
+        count: result.rowCount
+      });
+    }
+
+    return result.rowCount;
+  }
+
+  // Buscar job por ID
+  async getJob(jobId) {
+    await this.ensureSchema();
+
+    const result = await this.loader.targetPool.query('SELECT * FROM etl_jobs WHERE id = $1', [jobId]);
+    return result.rows.length > 0 ? this.formatJob(result.rows[0]) : null;
+  }
+
+  // Listar jobs com filtros
+  async listJobs(filters = {}) {
+    await this.ensureSchema();
+
+    let query = 'SELECT * FROM etl_jobs WHERE 1=1';
+    const params = [];
+    let paramIndex = 1;
+
+    if (filters.status) {
+      query += ` AND status = $${paramIndex++}`;
+      params.push(filters.status);
+    }
+
+    if (filters.jobType) {
+      query += ` AND job_type = $${paramIndex++}`;
+      params.push(filters.jobType);
+    }
+
+    if (filters.since) {
+      query += ` AND created_at >= $${paramIndex++}`;
+      params.push(filters.since);
+    }
+
+    query += ' ORDER BY created_at DESC';
+
+    query += ` LIMIT $${paramIndex++}`;
+    params.push(filters.limit || 50);
+
+    if (filters.offset) {
+      query += ` OFFSET $${paramIndex++}`;
+      params.push(filters.offset);
+    }
+
+    const result = await this.loader.targetPool.query(query, params);
+    return result.rows.map(row => this.formatJob(row));
+  }
+
+  // Utilitários
+  async updateJob(jobId, setClause, values = []) {
+    await this.ensureSchema();
+
+    const result = await this.loader.targetPool.query(`
+      UPDATE etl_jobs
+      SET ${setClause},
+          updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, [jobId, ...values]);
+
+    return result.rows.length > 0 ? this.formatJob(result.rows[0]) : null;
+  }
+
+  formatJob(row) {
+    return {
+      id: row.id,
+      type: row.job_type,
+      status: row.status,
+      parameters: row.parameters || {},
+      progress: row.progress || {},
+      summary: row.summary,
+      error: row.error_message,
+      requestedBy: row.requested_by,
+      cancelRequested: row.cancel_requested,
+      startedAt: row.started_at,
+      finishedAt: row.finished_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+JobRegistry.JOB_TYPES = JOB_TYPES;
+JobRegistry.FINAL_STATUSES = FINAL_STATUSES;
+
+module.exports = JobRegistry;
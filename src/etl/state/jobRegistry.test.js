@@ -0,0 +1,108 @@
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const JobRegistry = require('./jobRegistry');
+
+const jobRow = {
+  id: 'b7a6c1d2-0000-4000-8000-000000000001',
+  job_type: 'INCREMENTAL',
+  status: 'RUNNING',
+  parameters: { tables: ['users'] },
+  progress: null,
+  summary: null,
+  error_message: null,
+  requested_by: 'admin',
+  cancel_requested: false,
+  started_at: new Date('2024-03-01T10:00:00Z'),
+  finished_at: null,
+  created_at: new Date('2024-03-01T09:59:00Z'),
+  updated_at: new Date('2024-03-01T10:00:00Z')
+};
+
+// Registro com o schema já verificado e pool de destino simulado
+const createRegistry = (rows = []) => {
+  const query = jest.fn().mockResolvedValue({ rows, rowCount: rows.length });
+  const registry = new JobRegistry({ targetPool: { query }, connect: jest.fn() });
+  registry.schemaReady = true;
+  return { registry, query };
+};
+
+describe('JobRegistry', () => {
+  test('formatJob expõe o registro em camelCase com padrões para JSON vazio', () => {
+    const { registry } = createRegistry();
+
+    expect(registry.formatJob(jobRow)).toEqual(expect.objectContaining({
+      id: jobRow.id,
+      type: 'INCREMENTAL',
+      status: 'RUNNING',
+      parameters: { tables: ['users'] },
+      progress: {},
+      requestedBy: 'admin',
+      cancelRequested: false
+    }));
+  });
+
+  test('createJob rejeita tipos desconhecidos antes de tocar no banco', async () => {
+    const { registry, query } = createRegistry();
+
+    await expect(registry.createJob('UNKNOWN')).rejects.toThrow('Tipo de job inválido: UNKNOWN');
+    expect(query).not.toHaveBeenCalled();
+  });
+
+  test('finishJob aceita apenas status finais', async () => {
+    const { registry } = createRegistry([jobRow]);
+
+    await expect(registry.finishJob(jobRow.id, { status: 'RUNNING' })).rejects.toThrow('Status final inválido: RUNNING');
+  });
+
+  test('finishJob grava resumo serializado e limpa o pedido de cancelamento local', async () => {
+    const { registry, query } = createRegistry([{ ...jobRow, status: 'CANCELLED' }]);
+    registry.cancelRequests.add(jobRow.id);
+
+    const job = await registry.finishJob(jobRow.id, { status: 'CANCELLED', summary: { tables: 1 } });
+
+    expect(job.status).toBe('CANCELLED');
+    expect(query.mock.calls[0][1]).toEqual([jobRow.id, 'CANCELLED', '{"tables":1}', null]);
+    expect(registry.cancelRequests.has(jobRow.id)).toBe(false);
+  });
+
+  describe('requestCancel', () => {
+    test('job inexistente ou já finalizado devolve null', async () => {
+      const { registry } = createRegistry([]);
+
+      await expect(registry.requestCancel(jobRow.id)).resolves.toBeNull();
+      expect(registry.cancelRequests.size).toBe(0);
+    });
+
+    test('job ativo fica marcado para cancelamento', async () => {
+      const { registry } = createRegistry([{ ...jobRow, cancel_requested: true }]);
+
+      const job = await registry.requestCancel(jobRow.id);
+
+      expect(job.cancelRequested).toBe(true);
+      expect(registry.cancelRequests.has(jobRow.id)).toBe(true);
+    });
+  });
+
+  describe('isCancelRequested', () => {
+    test('consulta o banco apenas quando não há pedido em memória', async () => {
+      const { registry, query } = createRegistry([{ cancel_requested: true }]);
+
+      await expect(registry.isCancelRequested(null)).resolves.toBe(false);
+      await expect(registry.isCancelRequested(jobRow.id)).resolves.toBe(true);
+      await expect(registry.isCancelRequested(jobRow.id)).resolves.toBe(true);
+      expect(query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  test('listJobs monta filtros, limite padrão e paginação', async () => {
+    const { registry, query } = createRegistry([jobRow]);
+
+    const jobs = await registry.listJobs({ status: 'FAILED', jobType: 'FULL', offset: 20 });
+
+    const [text, params] = query.mock.calls[0];
+    expect(text).toContain('AND status = $1 AND job_type = $2');
+    expect(text).toContain('ORDER BY created_at DESC LIMIT $3 OFFSET $4');
+    expect(params).toEqual(['FAILED', 'FULL', 50, 20]);
+    expect(jobs).toHaveLength(1);
+  });
+});
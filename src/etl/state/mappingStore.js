@@ -0,0 +1,647 @@
+const { Pool } = require('pg');
+const ETLConfig = require('../config');
+const { findCycle } = require('../schedulers/dependencyGraph');
+const { validateTransforms } = require('../transformers/transformDsl');
+const logger = require('../../utils/logger');
+
+// Mapeamentos definidos no código: semeiam sync_configurations e fornecem as
+// transformações em função (não serializáveis) de cada tabela
+const BUILT_IN_MAPPINGS = { ...ETLConfig.mappings };
+
+const IDENTIFIER_REGEX = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+const TABLE_REGEX = /^[a-zA-Z_][a-zA-Z0-9_]*(\.[a-zA-Z_][a-zA-Z0-9_]*)?$/;
+const FILTER_OPERATORS = ['=', '!=', '<>', '>', '>=', '<', '<='];
+const VALIDATION_LISTS = ['required', 'numeric', 'positive', 'unique'];
+const DRIFT_POLICIES = ['warn', 'block'];
+const SYNC_MODES = ['polling', 'cdc'];
+const DELETE_MODES = ['ignore', 'soft', 'hard'];
+
+const MAPPING_FIELDS = [
+  'sourceTable', 'targetTable', 'primaryKey', 'naturalKey', 'incrementalField',
+  'fieldMapping', 'transforms', 'filters', 'validations', 'enabled',
+  'syncIntervalMinutes', 'batchSize', 'maxRetries', 'timeoutSeconds', 'driftPolicy',
+  'amountFields', 'syncMode', 'deleteMode', 'historyColumns', 'dependsOn'
+];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isScalar = (value) => ['string', 'number', 'boolean'].includes(typeof value);
+
+// Mapeamentos de tabelas persistidos em sync_configurations (banco do Data Service)
+// O mapeamento carregado substitui ETLConfig.mappings, lido por extractor, transformer e loader
+class MappingStore {
+  constructor(pool = null) {
+    this.pool = pool || new Pool({
+      connectionString: process.env.DATABASE_URL,
+      ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
+      max: 2
+    });
+    this.ownsPool = !pool;
+    this.loadedAt = null;
+  }
+
+  // Carregar mapeamentos válidos e publicá-los em ETLConfig.mappings
+  // Tabela vazia é semeada com os mapeamentos do código; em caso de erro de acesso
+  // os mapeamentos atuais são mantidos
+  async loadMappings() {
+    try {
+      let result = await this.pool.query('SELECT * FROM sync_configurations ORDER BY table_name');
+
+      if (result.rows.length === 0) {
+        await this.seedDefaults();
+        result = await this.pool.query('SELECT * FROM sync_configurations ORDER BY table_name');
+      }
+
+      const mappings = {};
+
+      for (const row of result.rows) {
+        const mapping = this.rowToMapping(row);
+        const errors = this.validateMapping(row.table_name, mapping);
+
+        if (errors.length > 0) {
+          logger.error(`❌ ETL Mappings: Mapeamento inválido para ${row.table_name}, tabela ignorada`, { errors });
+          await this.markInvalid(row, errors);
+          continue;
+        }
+
+        mappings[row.table_name] = this.withTransformations(row.table_name, mapping);
+      }
+
+      ETLConfig.mappings = mappings;
+      this.loadedAt = new Date();
+
+      logger.info('🗂️ ETL Mappings: Mapeamentos carregados de sync_configurations', {
+        tables: Object.keys(mappings)
+      });
+
+    } catch (error) {
+      logger.warn('⚠️ ETL Mappings: Não foi possível carregar sync_configurations, mantendo mapeamentos atuais', {
+        error: error.message
+      });
+    }
+
+    return ETLConfig.mappings;
+  }
+
+  // Inserir os mapeamentos do código que ainda não existem
+  // Linhas antigas sem target_table (seed anterior, nunca lido pelo ETL) são substituídas
+  async seedDefaults() {
+    let seeded = 0;
+
+    for (const [tableName, mapping] of Object.entries(BUILT_IN_MAPPINGS)) {
+      const { transformations, ...document } = mapping;
+      const row = this.mappingToRow(tableName, { ...document, enabled: true });
+
+      const result = await this.pool.query(`
+        INSERT INTO sync_configurations (
+          table_name, source_table, target_table, primary_key, natural_key, incremental_field,
+          field_mapping, filters, validations, sync_enabled, sync_interval_minutes,
+          batch_size, max_retries, timeout_seconds, status, transforms, drift_policy, amount_fields, sync_mode, delete_mode, history_columns, depends_on, next_sync_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, NOW())
+        ON CONFLICT (table_name) DO UPDATE SET
+          source_table = EXCLUDED.source_table,
+          target_table = EXCLUDED.target_table,
+          primary_key = EXCLUDED.primary_key,
+          natural_key = EXCLUDED.natural_key,
+          incremental_field = EXCLUDED.incremental_field,
+          field_mapping = EXCLUDED.field_mapping,
+          transforms = EXCLUDED.transforms,
+          filters = EXCLUDED.filters,
+          validations = EXCLUDED.validations,
+          amount_fields = EXCLUDED.amount_fields,
+          history_columns = EXCLUDED.history_columns,
+          depends_on = EXCLUDED.depends_on,
+          status = EXCLUDED.status,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE sync_configurations.target_table IS NULL
+      `, row);
+
+      seeded += result.rowCount;
+    }
+
+    if (seeded > 0) {
+      logger.info(`🗂️ ETL Mappings: ${seeded} mapeamentos padrão gravados em sync_configurations`);
+    }
+
+    return seeded;
+  }
+
+  // Listar configurações (inclusive inválidas ou desabilitadas)
+  async listConfigurations() {
+    const result = await this.pool.query('SELECT * FROM sync_configurations ORDER BY table_name');
+    return result.rows.map(row => this.formatConfiguration(row));
+  }
+
+  async getConfiguration(tableName) {
+    const result = await this.pool.query(
+      'SELECT * FROM sync_configurations WHERE table_name = $1',
+      [tableName]
+    );
+    return result.rows.length > 0 ? this.formatConfiguration(result.rows[0]) : null;
+  }
+
+  // Criar ou substituir o mapeamento de uma tabela (documento já validado)
+  // Uma tabela nova fica disponível para a próxima verificação do agendador
+  async saveConfiguration(tableName, document) {
+    const existing = await this.getConfiguration(tableName);
+    const mapping = this.withDefaults(tableName, document);
+
+    const result = await this.pool.query(`
+      INSERT INTO sync_configurations (
+        table_name, source_table, target_table, primary_key, natural_key, incremental_field,
+        field_mapping, filters, validations, sync_enabled, sync_interval_minutes,
+        batch_size, max_retries, timeout_seconds, status, transforms, drift_policy, amount_fields, sync_mode, delete_mode, history_columns, depends_on, next_sync_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, NOW())
+      ON CONFLICT (table_name) DO UPDATE SET
+        source_table = EXCLUDED.source_table,
+        target_table = EXCLUDED.target_table,
+        primary_key = EXCLUDED.primary_key,
+        natural_key = EXCLUDED.natural_key,
+        incremental_field = EXCLUDED.incremental_field,
+        field_mapping = EXCLUDED.field_mapping,
+        transforms = EXCLUDED.transforms,
+        filters = EXCLUDED.filters,
+        validations = EXCLUDED.validations,
+        amount_fields = EXCLUDED.amount_fields,
+        history_columns = EXCLUDED.history_columns,
+        depends_on = EXCLUDED.depends_on,
+        sync_enabled = EXCLUDED.sync_enabled,
+        sync_interval_minutes = EXCLUDED.sync_interval_minutes,
+        batch_size = EXCLUDED.batch_size,
+        max_retries = EXCLUDED.max_retries,
+        timeout_seconds = EXCLUDED.timeout_seconds,
+        drift_policy = EXCLUDED.drift_policy,
+        sync_mode = EXCLUDED.sync_mode,
+        delete_mode = EXCLUDED.delete_mode,
+        status = EXCLUDED.status,
+        updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `, this.mappingToRow(tableName, mapping));
+
+    logger.info(`🗂️ ETL Mappings: Mapeamento de ${tableName} ${existing ? 'atualizado' : 'criado'}`);
+
+    await this.loadMappings();
+
+    return {
+      created: !existing,
+      configuration: this.formatConfiguration(result.rows[0])
+    };
+  }
+
+  async deleteConfiguration(tableName) {
+    const result = await this.pool.query(
+      'DELETE FROM sync_configurations WHERE table_name = $1',
+      [tableName]
+    );
+
+    if (result.rowCount > 0) {
+      logger.info(`🗂️ ETL Mappings: Mapeamento de ${tableName} removido`);
+      await this.loadMappings();
+    }
+
+    return result.rowCount > 0;
+  }
+
+  // Tabelas habilitadas cuja próxima sincronização (next_sync_at) já venceu
+  async getDueTables(now = new Date()) {
+    const result = await this.pool.query(`
+      SELECT table_name
+      FROM sync_configurations
+      WHERE sync_enabled = TRUE
+        AND status <> 'INACTIVE'
+        AND (next_sync_at IS NULL OR next_sync_at <= $1)
+      ORDER BY next_sync_at NULLS FIRST, table_name
+    `, [now]);
+
+    // Tabelas em modo CDC são mantidas pelo consumo do slot de replicação, não pelo polling
+    return result.rows
+      .map(row => row.table_name)
+      .filter(tableName => ETLConfig.mappings[tableName] && ETLConfig.mappings[tableName].enabled)
+      .filter(tableName => !(ETLConfig.cdc.enabled && ETLConfig.mappings[tableName].syncMode === 'cdc'));
+  }
+
+  // Registrar resultado de uma sincronização e agendar a próxima (agora + sync_interval_minutes)
+  // Falhas incrementam error_count e gravam last_error_*; falhas aqui não interrompem a sincronização
+  async recordSyncResult(tableName, result) {
+    try {
+      if (result.success) {
+        await this.pool.query(`
+          UPDATE sync_configurations SET
+            last_sync_at = CURRENT_TIMESTAMP,
+            next_sync_at = CURRENT_TIMESTAMP + make_interval(mins => sync_interval_minutes),
+            status = CASE WHEN status = 'ERROR' THEN 'ACTIVE' ELSE status END,
+            updated_at = CURRENT_TIMESTAMP
+          WHERE table_name = $1
+        `, [tableName]);
+      } else {
+        await this.pool.query(`
+          UPDATE sync_configurations SET
+            next_sync_at = CURRENT_TIMESTAMP + make_interval(mins => sync_interval_minutes),
+            status = 'ERROR',
+            error_count = error_count + 1,
+            last_error_message = $2,
+            last_error_at = CURRENT_TIMESTAMP,
+            updated_at = CURRENT_TIMESTAMP
+          WHERE table_name = $1
+        `, [tableName, result.error || 'Erro desconhecido']);
+      }
+    } catch (error) {
+      logger.warn(`⚠️ ETL Mappings: Erro ao registrar resultado da sincronização de ${tableName}`, {
+        error: error.message
+      });
+    }
+  }
+
+  // Última estrutura aceita da tabela de origem ({ coluna: data_type }), base para detectar mudanças de tipo
+  async getSchemaSnapshot(tableName) {
+    const result = await this.pool.query(
+      'SELECT schema_snapshot, schema_snapshot_at FROM sync_configurations WHERE table_name = $1',
+      [tableName]
+    );
+
+    const row = result.rows[0];
+    return row && row.schema_snapshot
+      ? { columns: row.schema_snapshot, capturedAt: row.schema_snapshot_at }
+      : null;
+  }
+
+  async saveSchemaSnapshot(tableName, columns) {
+    await this.pool.query(`
+      UPDATE sync_configurations SET
+        schema_snapshot = $2,
+        schema_snapshot_at = CURRENT_TIMESTAMP
+      WHERE table_name = $1
+    `, [tableName, JSON.stringify(columns)]);
+  }
+
+  // Registrar na própria linha o motivo de o mapeamento ter sido ignorado
+  async markInvalid(row, errors) {
+    const message = `Mapeamento inválido: ${errors.join('; ')}`;
+    if (row.status === 'ERROR' && row.last_error_message === message) {
+      return;
+    }
+
+    await this.pool.query(`
+      UPDATE sync_configurations SET
+        status = 'ERROR',
+        error_count = error_count + 1,
+        last_error_message = $2,
+        last_error_at = CURRENT_TIMESTAMP,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE table_name = $1
+    `, [row.table_name, message]);
+  }
+
+  // Validar documento de mapeamento; retorna a lista de erros (vazia quando válido)
+  // Nomes de tabelas, colunas e operadores são interpolados no SQL, por isso só
+  // identificadores simples e operadores conhecidos são aceitos
+  validateMapping(tableName, document) {
+    const errors = [];
+
+    if (!isPlainObject(document)) {
+      return ['O mapeamento deve ser um objeto'];
+    }
+
+    if (!tableName || !IDENTIFIER_REGEX.test(tableName)) {
+      errors.push(`Nome de tabela inválido: '${tableName}'`);
+    }
+
+    Object.keys(document).forEach(field => {
+      if (!MAPPING_FIELDS.includes(field)) {
+        errors.push(`Campo desconhecido: '${field}'`);
+      }
+    });
+
+    ['sourceTable', 'targetTable'].forEach(field => {
+      if (!document[field]) {
+        errors.push(`Campo obrigatório '${field}' ausente`);
+      } else if (typeof document[field] !== 'string' || !TABLE_REGEX.test(document[field])) {
+        errors.push(`'${field}' deve ser um nome de tabela válido`);
+      }
+    });
+
+    ['primaryKey', 'naturalKey', 'incrementalField'].forEach(field => {
+      const value = document[field];
+      if (value !== undefined && value !== null && (typeof value !== 'string' || !IDENTIFIER_REGEX.test(value))) {
+        errors.push(`'${field}' deve ser um nome de coluna válido`);
+      }
+    });
+
+    const fieldMapping = document.fieldMapping;
+    let targetColumns = [];
+
+    if (!isPlainObject(fieldMapping) || Object.keys(fieldMapping).length === 0) {
+      errors.push("'fieldMapping' deve ser um objeto com ao menos um campo");
+    } else {
+      Object.entries(fieldMapping).forEach(([sourceField, targetField]) => {
+        if (!IDENTIFIER_REGEX.test(sourceField)) {
+          errors.push(`Coluna de origem inválida em fieldMapping: '${sourceField}'`);
+        }
+        if (typeof targetField !== 'string' || !IDENTIFIER_REGEX.test(targetField)) {
+          errors.push(`Coluna de destino inválida em fieldMapping.${sourceField}`);
+        }
+      });
+
+      targetColumns = Object.values(fieldMapping);
+      const duplicated = targetColumns.filter((column, index) => targetColumns.indexOf(column) !== index);
+      if (duplicated.length > 0) {
+        errors.push(`Colunas de destino repetidas em fieldMapping: ${[...new Set(duplicated)].join(', ')}`);
+      }
+
+      // A chave primária identifica o registro na quarentena e define a chave natural padrão
+      const primaryKey = document.primaryKey || 'id';
+      if (!fieldMapping[primaryKey]) {
+        errors.push(`A chave primária '${primaryKey}' deve estar mapeada em fieldMapping`);
+      }
+
+      if (document.naturalKey && !targetColumns.includes(document.naturalKey)) {
+        errors.push(`A chave natural '${document.naturalKey}' deve ser uma coluna de destino de fieldMapping`);
+      }
+    }
+
+    if (document.transforms !== undefined && document.transforms !== null) {
+      errors.push(...validateTransforms(document.transforms));
+    }
+
+    if (document.filters !== undefined && document.filters !== null) {
+      errors.push(...this.validateFilters(document.filters));
+    }
+
+    if (document.validations !== undefined && document.validations !== null) {
+      errors.push(...this.validateValidations(document.validations, targetColumns));
+    }
+
+    if (document.enabled !== undefined && typeof document.enabled !== 'boolean') {
+      errors.push("'enabled' deve ser booleano");
+    }
+
+    if (document.amountFields !== undefined && document.amountFields !== null) {
+      if (!Array.isArray(document.amountFields)) {
+        errors.push("'amountFields' deve ser uma lista de colunas de origem");
+      } else if (isPlainObject(fieldMapping)) {
+        document.amountFields
+          .filter(column => !fieldMapping[column])
+          .forEach(column => errors.push(`amountFields: coluna de origem '${column}' não está em fieldMapping`));
+      }
+    }
+
+    if (document.historyColumns !== undefined && document.historyColumns !== null) {
+      if (!Array.isArray(document.historyColumns)) {
+        errors.push("'historyColumns' deve ser uma lista de colunas de destino");
+      } else if (isPlainObject(fieldMapping)) {
+        document.historyColumns
+          .filter(column => !targetColumns.includes(column))
+          .forEach(column => errors.push(`historyColumns: coluna de destino '${column}' não está em fieldMapping`));
+      }
+    }
+
+    if (document.dependsOn !== undefined && document.dependsOn !== null) {
+      errors.push(...this.validateDependencies(tableName, document.dependsOn));
+    }
+
+    if (document.driftPolicy !== undefined && !DRIFT_POLICIES.includes(document.driftPolicy)) {
+      errors.push(`'driftPolicy' deve ser um de: ${DRIFT_POLICIES.join(', ')}`);
+    }
+
+    if (document.syncMode !== undefined && !SYNC_MODES.includes(document.syncMode)) {
+      errors.push(`'syncMode' deve ser um de: ${SYNC_MODES.join(', ')}`);
+    }
+
+    if (document.deleteMode !== undefined && document.deleteMode !== null && !DELETE_MODES.includes(document.deleteMode)) {
+      errors.push(`'deleteMode' deve ser um de: ${DELETE_MODES.join(', ')}`);
+    }
+
+    [
+      ['syncIntervalMinutes', 1, 10080],
+      ['batchSize', 1, 10000],
+      ['maxRetries', 0, 10],
+      ['timeoutSeconds', 1, 86400]
+    ].forEach(([field, min, max]) => {
+      const value = document[field];
+      if (value !== undefined && (!Number.isInteger(value) || value < min || value > max)) {
+        errors.push(`'${field}' deve ser um inteiro entre ${min} e ${max}`);
+      }
+    });
+
+    return errors;
+  }
+
+  // Filtros: valor simples (=), lista (IN) ou objeto { operador: valor }
+  validateFilters(filters) {
+    if (!isPlainObject(filters)) {
+      return ["'filters' deve ser um objeto"];
+    }
+
+    const errors = [];
+
+    Object.entries(filters).forEach(([field, condition]) => {
+      if (!IDENTIFIER_REGEX.test(field)) {
+        errors.push(`Coluna inválida em filters: '${field}'`);
+      }
+
+      if (Array.isArray(condition)) {
+        if (condition.length === 0 || !condition.every(isScalar)) {
+          errors.push(`filters.${field} deve ser uma lista não vazia de valores simples`);
+        }
+      } else if (isPlainObject(condition)) {
+        Object.entries(condition).forEach(([operator, value]) => {
+          if (!FILTER_OPERATORS.includes(operator)) {
+            errors.push(`Operador inválido em filters.${field}: '${operator}' (aceitos: ${FILTER_OPERATORS.join(' ')})`);
+          }
+          if (!isScalar(value)) {
+            errors.push(`filters.${field}.${operator} deve ser um valor simples`);
+          }
+        });
+      } else if (!isScalar(condition)) {
+        errors.push(`filters.${field} deve ser um valor, uma lista ou um objeto de operadores`);
+      }
+    });
+
+    return errors;
+  }
+
+  // Validações referenciam colunas de destino
+  validateValidations(validations, targetColumns) {
+    if (!isPlainObject(validations)) {
+      return ["'validations' deve ser um objeto"];
+    }
+
+    const errors = [];
+
+    Object.entries(validations).forEach(([rule, value]) => {
+      if (VALIDATION_LISTS.includes(rule)) {
+        if (!Array.isArray(value)) {
+          errors.push(`validations.${rule} deve ser uma lista de colunas`);
+          return;
+        }
+        value
+          .filter(column => !targetColumns.includes(column))
+          .forEach(column => errors.push(`validations.${rule}: coluna '${column}' não está em fieldMapping`));
+      } else if (rule === 'email') {
+        if (!targetColumns.includes(value)) {
+          errors.push(`validations.email: coluna '${value}' não está em fieldMapping`);
+        }
+      } else {
+        errors.push(`Validação desconhecida: '${rule}'`);
+      }
+    });
+
+    return errors;
+  }
+
+  // Dependências referenciam outros mapeamentos pelo nome; o grafo resultante (mapeamentos
+  // carregados com este documento no lugar do atual) não pode ter ciclos
+  validateDependencies(tableName, dependsOn) {
+    if (!Array.isArray(dependsOn) || !dependsOn.every(dependency => typeof dependency === 'string' && IDENTIFIER_REGEX.test(dependency))) {
+      return ["'dependsOn' deve ser uma lista de nomes de mapeamentos"];
+    }
+
+    if (dependsOn.includes(tableName)) {
+      return [`dependsOn: o mapeamento '${tableName}' não pode depender de si mesmo`];
+    }
+
+    const cycle = findCycle({ ...ETLConfig.mappings, [tableName]: { dependsOn } });
+    return cycle ? [`dependsOn: ciclo de dependências ${cycle.join(' -> ')}`] : [];
+  }
+
+  // Linha de sync_configurations -> mapeamento no formato de ETLConfig.mappings
+  // (sem as transformações, acrescentadas por withTransformations após a validação)
+  rowToMapping(row) {
+    const builtIn = BUILT_IN_MAPPINGS[row.table_name] || {};
+
+    return {
+      sourceTable: row.source_table,
+      targetTable: row.target_table,
+      primaryKey: row.primary_key || 'id',
+      naturalKey: row.natural_key || undefined,
+      incrementalField: row.incremental_field || undefined,
+      // Variáveis ETL_SYNC_* continuam funcionando como chave de desligamento
+      enabled: row.sync_enabled && row.status !== 'INACTIVE' && builtIn.enabled !== false,
+      syncIntervalMinutes: row.sync_interval_minutes,
+      batchSize: row.batch_size,
+      maxRetries: row.max_retries,
+      timeoutSeconds: row.timeout_seconds,
+      driftPolicy: row.drift_policy || ETLConfig.general.driftPolicy,
+      syncMode: row.sync_mode || 'polling',
+      // Sem valor gravado, DataLoader.getDeleteMode decide pelo syncMode
+      deleteMode: row.delete_mode || undefined,
+      fieldMapping: row.field_mapping || {},
+      // Linhas gravadas antes da coluna transforms usam as transformações do código
+      transforms: row.transforms || builtIn.transforms || {},
+      filters: row.filters && Object.keys(row.filters).length > 0 ? row.filters : undefined,
+      validations: row.validations || {},
+      amountFields: row.amount_fields || builtIn.amountFields || [],
+      historyColumns: row.history_columns || builtIn.historyColumns || [],
+      dependsOn: row.depends_on || builtIn.dependsOn || []
+    };
+  }
+
+  // Transformações em função não são serializáveis: vêm do mapeamento do código
+  withTransformations(tableName, mapping) {
+    return {
+      ...mapping,
+      transformations: BUILT_IN_MAPPINGS[tableName]?.transformations || {}
+    };
+  }
+
+  // Documento recebido pela API com valores padrão aplicados
+  withDefaults(tableName, document) {
+    const builtIn = BUILT_IN_MAPPINGS[tableName] || {};
+
+    return {
+      primaryKey: 'id',
+      enabled: true,
+      syncIntervalMinutes: builtIn.syncIntervalMinutes || 30,
+      batchSize: ETLConfig.general.batchSize,
+      maxRetries: ETLConfig.general.maxRetries,
+      timeoutSeconds: 300,
+      driftPolicy: ETLConfig.general.driftPolicy,
+      syncMode: 'polling',
+      filters: {},
+      validations: {},
+      amountFields: [],
+      historyColumns: [],
+      dependsOn: [],
+      ...document
+    };
+  }
+
+  mappingToRow(tableName, mapping) {
+    const document = this.withDefaults(tableName, mapping);
+
+    return [
+      tableName,
+      document.sourceTable,
+      document.targetTable,
+      document.primaryKey,
+      document.naturalKey || null,
+      document.incrementalField || null,
+      JSON.stringify(document.fieldMapping),
+      JSON.stringify(document.filters || {}),
+      JSON.stringify(document.validations || {}),
+      document.enabled !== false,
+      document.syncIntervalMinutes,
+      document.batchSize,
+      document.maxRetries,
+      document.timeoutSeconds,
+      document.enabled !== false ? 'ACTIVE' : 'INACTIVE',
+      JSON.stringify(document.transforms || {}),
+      document.driftPolicy,
+      JSON.stringify(document.amountFields || []),
+      document.syncMode,
+      document.deleteMode || null,
+      JSON.stringify(document.historyColumns || []),
+      JSON.stringify(document.dependsOn || [])
+    ];
+  }
+
+  formatConfiguration(row) {
+    return {
+      id: row.id,
+      tableName: row.table_name,
+      enabled: row.sync_enabled,
+      status: row.status,
+      sourceTable: row.source_table,
+      targetTable: row.target_table,
+      primaryKey: row.primary_key,
+      naturalKey: row.natural_key,
+      incrementalField: row.incremental_field,
+      fieldMapping: row.field_mapping,
+      transforms: row.transforms,
+      filters: row.filters,
+      validations: row.validations,
+      amountFields: row.amount_fields,
+      historyColumns: row.history_columns,
+      dependsOn: row.depends_on,
+      hasCodeTransformations: Object.keys(BUILT_IN_MAPPINGS[row.table_name]?.transformations || {}).length > 0,
+      syncIntervalMinutes: row.sync_interval_minutes,
+      batchSize: row.batch_size,
+      maxRetries: row.max_retries,
+      timeoutSeconds: row.timeout_seconds,
+      driftPolicy: row.drift_policy,
+      syncMode: row.sync_mode,
+      deleteMode: row.delete_mode,
+      schemaSnapshotAt: row.schema_snapshot_at,
+      lastSyncAt: row.last_sync_at,
+      nextSyncAt: row.next_sync_at,
+      errorCount: row.error_count,
+      lastErrorMessage: row.last_error_message,
+      lastErrorAt: row.last_error_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  async close() {
+    if (this.ownsPool) {
+      await this.pool.end();
+    }
+  }
+}
+
+MappingStore.BUILT_IN_MAPPINGS = BUILT_IN_MAPPINGS;
+MappingStore.FILTER_OPERATORS = FILTER_OPERATORS;
+MappingStore.DRIFT_POLICIES = DRIFT_POLICIES;
+MappingStore.SYNC_MODES = SYNC_MODES;
+MappingStore.DELETE_MODES = DELETE_MODES;
+
+module.exports = MappingStore;
@@ -0,0 +1,117 @@
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const MappingStore = require('./mappingStore');
+
+const validMapping = () => ({
+  sourceTable: 'public.users',
+  targetTable: 'affiliates',
+  primaryKey: 'id',
+  naturalKey: 'external_user_id',
+  incrementalField: 'updated_at',
+  fieldMapping: { id: 'external_user_id', email: 'email', created_at: 'created_at' },
+  filters: { status: ['active', 'pending'], deleted: false, amount: { '>=': 10 } },
+  validations: { required: ['external_user_id'], email: 'email' },
+  enabled: true,
+  syncIntervalMinutes: 15,
+  batchSize: 500
+});
+
+describe('MappingStore.validateMapping', () => {
+  const store = new MappingStore({ query: jest.fn() });
+
+  test('mapeamento completo e válido não tem erros', () => {
+    expect(store.validateMapping('users', validMapping())).toEqual([]);
+  });
+
+  test('documento que não é objeto', () => {
+    expect(store.validateMapping('users', null)).toEqual(['O mapeamento deve ser um objeto']);
+    expect(store.validateMapping('users', ['a'])).toEqual(['O mapeamento deve ser um objeto']);
+  });
+
+  test('nomes de tabela e campos desconhecidos', () => {
+    const document = { ...validMapping(), sourceTable: 'users; DROP TABLE x', foo: 1 };
+    delete document.targetTable;
+
+    expect(store.validateMapping('users-2', document)).toEqual([
+      "Nome de tabela inválido: 'users-2'",
+      "Campo desconhecido: 'foo'",
+      "'sourceTable' deve ser um nome de tabela válido",
+      "Campo obrigatório 'targetTable' ausente"
+    ]);
+  });
+
+  test('colunas-chave precisam ser identificadores simples', () => {
+    expect(store.validateMapping('users', { ...validMapping(), incrementalField: 'updated_at::text' })).toEqual([
+      "'incrementalField' deve ser um nome de coluna válido"
+    ]);
+  });
+
+  test('fieldMapping: destinos inválidos ou repetidos e chaves não mapeadas', () => {
+    expect(store.validateMapping('users', { ...validMapping(), fieldMapping: {}, validations: undefined })).toEqual([
+      "'fieldMapping' deve ser um objeto com ao menos um campo"
+    ]);
+
+    const errors = store.validateMapping('users', {
+      ...validMapping(),
+      primaryKey: 'user_id',
+      naturalKey: 'code',
+      validations: undefined,
+      fieldMapping: { id: 'external_user_id', email: 'external_user_id', 'bad col': 'name', name: 'first name' }
+    });
+
+    expect(errors).toEqual([
+      "Coluna de origem inválida em fieldMapping: 'bad col'",
+      'Coluna de destino inválida em fieldMapping.name',
+      'Colunas de destino repetidas em fieldMapping: external_user_id',
+      "A chave primária 'user_id' deve estar mapeada em fieldMapping",
+      "A chave natural 'code' deve ser uma coluna de destino de fieldMapping"
+    ]);
+  });
+
+  test('filtros aceitam valor, lista não vazia ou operadores conhecidos', () => {
+    const errors = store.validateMapping('users', {
+      ...validMapping(),
+      filters: { status: [], 'x y': 1, amount: { like: '%a%' }, meta: { '=': { a: 1 } }, other: null }
+    });
+
+    expect(errors).toEqual([
+      'filters.status deve ser uma lista não vazia de valores simples',
+      "Coluna inválida em filters: 'x y'",
+      "Operador inválido em filters.amount: 'like' (aceitos: = != <> > >= < <=)",
+      'filters.meta.= deve ser um valor simples',
+      'filters.other deve ser um valor, uma lista ou um objeto de operadores'
+    ]);
+  });
+
+  test('validações precisam referenciar colunas de destino', () => {
+    const errors = store.validateMapping('users', {
+      ...validMapping(),
+      validations: { required: 'email', numeric: ['amount'], email: 'mail', cpf: true }
+    });
+
+    expect(errors).toEqual([
+      'validations.required deve ser uma lista de colunas',
+      "validations.numeric: coluna 'amount' não está em fieldMapping",
+      "validations.email: coluna 'mail' não está em fieldMapping",
+      "Validação desconhecida: 'cpf'"
+    ]);
+  });
+
+  test('enabled booleano e limites numéricos de agendamento e lote', () => {
+    const errors = store.validateMapping('users', {
+      ...validMapping(),
+      enabled: 'yes',
+      syncIntervalMinutes: 0,
+      batchSize: 10001,
+      maxRetries: 1.5,
+      timeoutSeconds: 60
+    });
+
+    expect(errors).toEqual([
+      "'enabled' deve ser booleano",
+      "'syncIntervalMinutes' deve ser um inteiro entre 1 e 10080",
+      "'batchSize' deve ser um inteiro entre 1 e 10000",
+      "'maxRetries' deve ser um inteiro entre 0 e 10"
+    ]);
+  });
+});
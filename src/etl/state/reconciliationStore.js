@@ -0,0 +1,357 @@
+const logger = require('../../utils/logger');
+
+const REPORT_STATUSES = ['RUNNING', 'MATCHED', 'DIVERGENT', 'FAILED', 'CANCELLED'];
+const CHUNK_STATUSES = ['MATCHED', 'DIVERGENT', 'RESOLVED'];
+
+// Relatórios de reconciliação origem x destino
+// Cada relatório cobre uma tabela mapeada; as faixas de chave primária comparadas ficam em
+// etl_reconciliation_chunks (lower_key exclusivo, upper_key inclusivo, null = sem limite)
+class ReconciliationStore {
+  constructor(loader) {
+    this.loader = loader;
+    this.schemaReady = false;
+  }
+
+  // Garantir que as tabelas de reconciliação existam
+  async ensureSchema() {
+    if (this.schemaReady) {
+      return;
+    }
+
+    const pool = await this.loader.connect();
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS etl_reconciliation_reports (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        job_id UUID,
+        table_name VARCHAR(100) NOT NULL,
+        source_table VARCHAR(100) NOT NULL,
+        target_table VARCHAR(100) NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'RUNNING',
+        chunk_size INTEGER NOT NULL,
+        key_type VARCHAR(20) NOT NULL,
+        amount_fields JSONB DEFAULT '[]',
+        source_count BIGINT DEFAULT 0,
+        target_count BIGINT DEFAULT 0,
+        source_sums JSONB DEFAULT '{}',
+        target_sums JSONB DEFAULT '{}',
+        chunks_total INTEGER DEFAULT 0,
+        chunks_divergent INTEGER DEFAULT 0,
+        error_message TEXT,
+        started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        finished_at TIMESTAMP,
+        resynced_at TIMESTAMP,
+
+        CONSTRAINT valid_reconciliation_status CHECK (status IN ('RUNNING', 'MATCHED', 'DIVERGENT', 'FAILED', 'CANCELLED'))
+      )
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS etl_reconciliation_chunks (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        report_id UUID NOT NULL REFERENCES etl_reconciliation_reports(id) ON DELETE CASCADE,
+        chunk_index INTEGER NOT NULL,
+        lower_key TEXT,
+        upper_key TEXT,
+        status VARCHAR(20) NOT NULL,
+        source_count INTEGER DEFAULT 0,
+        target_count INTEGER DEFAULT 0,
+        source_sums JSONB DEFAULT '{}',
+        target_sums JSONB DEFAULT '{}',
+        source_hash VARCHAR(32),
+        target_hash VARCHAR(32),
+        checked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        resynced_at TIMESTAMP,
+
+        CONSTRAINT valid_reconciliation_chunk_status CHECK (status IN ('MATCHED', 'DIVERGENT', 'RESOLVED')),
+        UNIQUE(report_id, chunk_index)
+      )
+    `);
+
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_etl_reconciliation_table ON etl_reconciliation_reports(table_name, started_at)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_etl_reconciliation_job ON etl_reconciliation_reports(job_id)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_etl_reconciliation_chunk_status ON etl_reconciliation_chunks(report_id, status)');
+
+    this.schemaReady = true;
+    logger.info('🗂️ ETL Reconciliation: Tabelas de reconciliação verificadas');
+  }
+
+  // Registrar novo relatório (status RUNNING)
+  async createReport({ jobId = null, tableName, sourceTable, targetTable, chunkSize, keyType, amountFields }) {
+    await this.ensureSchema();
+
+    const result = await this.loader.targetPool.query(`
+      INSERT INTO etl_reconciliation_reports
+      (job_id, table_name, source_table, target_table, chunk_size, key_type, amount_fields)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
+    `, [jobId, tableName, sourceTable, targetTable, chunkSize, keyType, JSON.stringify(amountFields)]);
+
+    return this.formatReport(result.rows[0]);
+  }
+
+  async saveChunk(reportId, chunk) {
+    await this.ensureSchema();
+
+    const result = await this.loader.targetPool.query(`
+      INSERT INTO etl_reconciliation_chunks
+      (report_id, chunk_index, lower_key, upper_key, status, source_count, target_count,
+       source_sums, target_sums, source_hash, target_hash)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      RETURNING *
+    `, [
+      reportId,
+      chunk.index,
+      chunk.lowerKey,
+      chunk.upperKey,
+      chunk.status,
+      chunk.sourceCount,
+      chunk.targetCount,
+      JSON.stringify(chunk.sourceSums),
+      JSON.stringify(chunk.targetSums),
+      chunk.sourceHash,
+      chunk.targetHash
+    ]);
+
+    return this.formatChunk(result.rows[0]);
+  }
+
+  // Atualizar uma faixa após nova comparação (ex.: depois da ressincronização)
+  async updateChunk(chunkId, chunk, { resynced = false } = {}) {
+    await this.ensureSchema();
+
+    const result = await this.loader.targetPool.query(`
+      UPDATE etl_reconciliation_chunks
+      SET status = $2,
+          source_count = $3,
+          target_count = $4,
+          source_sums = $5,
+          target_sums = $6,
+          source_hash = $7,
+          target_hash = $8,
+          checked_at = NOW(),
+          resynced_at = CASE WHEN $9 THEN NOW() ELSE resynced_at END
+      WHERE id = $1
+      RETURNING *
+    `, [
+      chunkId,
+      chunk.status,
+      chunk.sourceCount,
+      chunk.targetCount,
+      JSON.stringify(chunk.sourceSums),
+      JSON.stringify(chunk.targetSums),
+      chunk.sourceHash,
+      chunk.targetHash,
+      resynced
+    ]);
+
+    return result.rows.length > 0 ? this.formatChunk(result.rows[0]) : null;
+  }
+
+  // Finalizar relatório com totais e status (MATCHED, DIVERGENT, FAILED ou CANCELLED)
+  async finishReport(reportId, { status, totals = null, error = null }) {
+    await this.ensureSchema();
+
+    const result = await this.loader.targetPool.query(`
+      UPDATE etl_reconciliation_reports
+      SET status = $2,
+          source_count = COALESCE($3, source_count),
+          target_count = COALESCE($4, target_count),
+          source_sums = COALESCE($5, source_sums),
+          target_sums = COALESCE($6, target_sums),
+          chunks_total = COALESCE($7, chunks_total),
+          chunks_divergent = COALESCE($8, chunks_divergent),
+          error_message = $9,
+          finished_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, [
+      reportId,
+      status,
+      totals ? totals.sourceCount : null,
+      totals ? totals.targetCount : null,
+      totals ? JSON.stringify(totals.sourceSums) : null,
+      totals ? JSON.stringify(totals.targetSums) : null,
+      totals ? totals.chunksTotal : null,
+      totals ? totals.chunksDivergent : null,
+      error
+    ]);
+
+    return result.rows.length > 0 ? this.formatReport(result.rows[0]) : null;
+  }
+
+  // Recalcular a situação do relatório a partir das faixas, após ressincronização
+  async markResynced(reportId) {
+    await this.ensureSchema();
+
+    const result = await this.loader.targetPool.query(`
+      UPDATE etl_reconciliation_reports r
+      SET chunks_divergent = divergent.total,
+          status = CASE WHEN divergent.total = 0 THEN 'MATCHED' ELSE 'DIVERGENT' END,
+          resynced_at = NOW()
+      FROM (
+        SELECT COUNT(*) AS total
+        FROM etl_reconciliation_chunks
+        WHERE report_id = $1 AND status = 'DIVERGENT'
+      ) divergent
+      WHERE r.id = $1
+      RETURNING r.*
+    `, [reportId]);
+
+    return result.rows.length > 0 ? this.formatReport(result.rows[0]) : null;
+  }
+
+  // Marcar como falhos os relatórios que estavam em execução quando o serviço parou
+  async failInterruptedReports() {
+    await this.ensureSchema();
+
+    const result = await this.loader.targetPool.query(`
+      UPDATE etl_reconciliation_reports
+      SET status = 'FAILED',
+          error_message = 'Execução interrompida por reinício do serviço',
+          finished_at = NOW()
+      WHERE status = 'RUNNING'
+    `);
+
+    if (result.rowCount > 0) {
+      logger.warn('⚠️ ETL Reconciliation: Relatórios interrompidos marcados como falhos', {
+        count: result.rowCount
+      });
+    }
+
+    return result.rowCount;
+  }
+
+  // Buscar relatório por ID
+  async getReport(reportId) {
+    await this.ensureSchema();
+
+    const result = await this.loader.targetPool.query('SELECT * FROM etl_reconciliation_reports WHERE id = $1', [reportId]);
+    return result.rows.length > 0 ? this.formatReport(result.rows[0]) : null;
+  }
+
+  // Listar relatórios com filtros
+  async listReports(filters = {}) {
+    await this.ensureSchema();
+
+    let query = 'SELECT * FROM etl_reconciliation_reports WHERE 1=1';
+    const params = [];
+    let paramIndex = 1;
+
+    if (filters.tableName) {
+      query += ` AND table_name = $${paramIndex++}`;
+      params.push(filters.tableName);
+    }
+
+    if (filters.status) {
+      query += ` AND status = $${paramIndex++}`;
+      params.push(filters.status);
+    }
+
+    if (filters.jobId) {
+      query += ` AND job_id = $${paramIndex++}`;
+      params.push(filters.jobId);
+    }
+
+    query += ' ORDER BY started_at DESC';
+
+    query += ` LIMIT $${paramIndex++}`;
+    params.push(filters.limit || 50);
+
+    if (filters.offset) {
+      query += ` OFFSET $${paramIndex++}`;
+      params.push(filters.offset);
+    }
+
+    const result = await this.loader.targetPool.query(query, params);
+    return result.rows.map(row => this.formatReport(row));
+  }
+
+  // Listar faixas de um relatório (opcionalmente por status)
+  async listChunks(reportId, filters = {}) {
+    await this.ensureSchema();
+
+    let query = 'SELECT * FROM etl_reconciliation_chunks WHERE report_id = $1';
+    const params = [reportId];
+    let paramIndex = 2;
+
+    if (filters.status) {
+      query += ` AND status = $${paramIndex++}`;
+      params.push(filters.status);
+    }
+
+    query += ' ORDER BY chunk_index';
+
+    if (filters.limit) {
+      query += ` LIMIT $${paramIndex++}`;
+      params.push(filters.limit);
+    }
+
+    if (filters.offset) {
+      query += ` OFFSET $${paramIndex++}`;
+      params.push(filters.offset);
+    }
+
+    const result = await this.loader.targetPool.query(query, params);
+    return result.rows.map(row => this.formatChunk(row));
+  }
+
+  async getChunk(reportId, chunkIndex) {
+    await this.ensureSchema();
+
+    const result = await this.loader.targetPool.query(
+      'SELECT * FROM etl_reconciliation_chunks WHERE report_id = $1 AND chunk_index = $2',
+      [reportId, chunkIndex]
+    );
+    return result.rows.length > 0 ? this.formatChunk(result.rows[0]) : null;
+  }
+
+  // Utilitários
+  formatReport(row) {
+    return {
+      id: row.id,
+      jobId: row.job_id,
+      tableName: row.table_name,
+      sourceTable: row.source_table,
+      targetTable: row.target_table,
+      status: row.status,
+      chunkSize: row.chunk_size,
+      keyType: row.key_type,
+      amountFields: row.amount_fields || [],
+      sourceCount: parseInt(row.source_count) || 0,
+      targetCount: parseInt(row.target_count) || 0,
+      sourceSums: row.source_sums || {},
+      targetSums: row.target_sums || {},
+      chunksTotal: row.chunks_total,
+      chunksDivergent: row.chunks_divergent,
+      error: row.error_message,
+      startedAt: row.started_at,
+      finishedAt: row.finished_at,
+      resyncedAt: row.resynced_at
+    };
+  }
+
+  formatChunk(row) {
+    return {
+      id: row.id,
+      reportId: row.report_id,
+      index: row.chunk_index,
+      lowerKey: row.lower_key,
+      upperKey: row.upper_key,
+      status: row.status,
+      sourceCount: row.source_count,
+      targetCount: row.target_count,
+      sourceSums: row.source_sums || {},
+      targetSums: row.target_sums || {},
+      sourceHash: row.source_hash,
+      targetHash: row.target_hash,
+      checkedAt: row.checked_at,
+      resyncedAt: row.resynced_at
+    };
+  }
+}
+
+ReconciliationStore.REPORT_STATUSES = REPORT_STATUSES;
+ReconciliationStore.CHUNK_STATUSES = CHUNK_STATUSES;
+
+module.exports = ReconciliationStore;
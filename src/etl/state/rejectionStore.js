@@ -0,0 +1,302 @@
+const ETLConfig = require('../config');
+const logger = require('../../utils/logger');
+
+const REJECTION_STATUSES = ['PENDING', 'REPLAYED', 'RESOLVED'];
+
+// Quarentena (dead-letter) de registros rejeitados pelo DataTransformer
+// Cada registro de origem tem no máximo uma entrada por mapeamento; novas rejeições atualizam a existente
+class RejectionStore {
+  constructor(loader) {
+    this.loader = loader;
+    this.schemaReady = false;
+  }
+
+  // Garantir que a tabela de quarentena exista
+  async ensureSchema() {
+    if (this.schemaReady) {
+      return;
+    }
+
+    const pool = await this.loader.connect();
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS etl_rejected_records (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        table_name VARCHAR(100) NOT NULL,
+        source_table VARCHAR(100) NOT NULL,
+        source_pk VARCHAR(100),
+        source_record JSONB NOT NULL,
+        errors JSONB NOT NULL DEFAULT '[]',
+        job_id UUID,
+        status VARCHAR(20) NOT NULL DEFAULT 'PENDING',
+        occurrences INTEGER DEFAULT 1,
+        replay_count INTEGER DEFAULT 0,
+        last_replay_at TIMESTAMP,
+        last_replay_error TEXT,
+        rejected_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        resolved_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+        CONSTRAINT valid_rejection_status CHECK (status IN ('PENDING', 'REPLAYED', 'RESOLVED')),
+        UNIQUE(table_name, source_pk)
+      )
+    `);
+
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_etl_rejected_status ON etl_rejected_records(table_name, status)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_etl_rejected_job ON etl_rejected_records(job_id)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_etl_rejected_at ON etl_rejected_records(rejected_at)');
+
+    this.schemaReady = true;
+    logger.info('🗂️ ETL Rejections: Tabela de quarentena verificada');
+  }
+
+  // Gravar registros rejeitados (formato de DataTransformer.transformTable().rejectedRecords)
+  async quarantine(tableName, rejectedRecords, jobId = null) {
+    if (!rejectedRecords || rejectedRecords.length === 0) {
+      return 0;
+    }
+
+    const mapping = ETLConfig.mappings[tableName];
+    await this.ensureSchema();
+
+    const values = [];
+    const rowsSql = rejectedRecords.map(rejected => {
+      const sourcePk = rejected.sourceRecord[mapping.primaryKey];
+      values.push(
+        tableName,
+        mapping.sourceTable,
+        sourcePk !== null && sourcePk !== undefined ? String(sourcePk) : null,
+        JSON.stringify(rejected.sourceRecord),
+        JSON.stringify(rejected.errors || []),
+        jobId,
+        rejected.rejectedAt || new Date()
+      );
+      const base = values.length - 7;
+      return `($${base + 1}, $${base + 2}, $${base + 3}, $${base + 4}, $${base + 5}, $${base + 6}, $${base + 7})`;
+    });
+
+    await this.loader.targetPool.query(`
+      INSERT INTO etl_rejected_records
+      (table_name, source_table, source_pk, source_record, errors, job_id, rejected_at)
+      VALUES ${rowsSql.join(', ')}
+      ON CONFLICT (table_name, source_pk)
+      DO UPDATE SET
+        source_record = EXCLUDED.source_record,
+        errors = EXCLUDED.errors,
+        job_id = EXCLUDED.job_id,
+        rejected_at = EXCLUDED.rejected_at,
+        status = 'PENDING',
+        resolved_at = NULL,
+        occurrences = etl_rejected_records.occurrences + 1
+    `, values);
+
+    logger.warn(`🚫 ETL Rejections: ${rejectedRecords.length} registros de ${tableName} em quarentena`, {
+      jobId
+    });
+
+    return rejectedRecords.length;
+  }
+
+  // Marcar como resolvidos os registros que foram carregados com sucesso
+  async resolve(tableName, sourcePks, status = 'RESOLVED') {
+    if (!sourcePks || sourcePks.length === 0) {
+      return 0;
+    }
+
+    await this.ensureSchema();
+
+    const result = await this.loader.targetPool.query(`
+      UPDATE etl_rejected_records
+      SET status = $3,
+          resolved_at = NOW(),
+          last_replay_error = NULL
+      WHERE table_name = $1
+        AND source_pk = ANY($2)
+        AND status = 'PENDING'
+    `, [tableName, sourcePks.map(String), status]);
+
+    return result.rowCount;
+  }
+
+  // Registrar tentativa de reprocessamento que não resolveu a rejeição
+  async recordReplayFailure(ids, errorMessage) {
+    if (!ids || ids.length === 0) {
+      return 0;
+    }
+
+    await this.ensureSchema();
+
+    const result = await this.loader.targetPool.query(`
+      UPDATE etl_rejected_records
+      SET replay_count = replay_count + 1,
+          last_replay_at = NOW(),
+          last_replay_error = $2
+      WHERE id = ANY($1)
+    `, [ids, errorMessage]);
+
+    return result.rowCount;
+  }
+
+  // Registrar tentativa de reprocessamento bem-sucedida
+  async recordReplaySuccess(ids) {
+    if (!ids || ids.length === 0) {
+      return 0;
+    }
+
+    await this.ensureSchema();
+
+    const result = await this.loader.targetPool.query(`
+      UPDATE etl_rejected_records
+      SET status = 'REPLAYED',
+          replay_count = replay_count + 1,
+          last_replay_at = NOW(),
+          last_replay_error = NULL,
+          resolved_at = NOW()
+      WHERE id = ANY($1)
+    `, [ids]);
+
+    return result.rowCount;
+  }
+
+  // Chaves de origem (entre as informadas) com rejeição pendente
+  async findPendingSourcePks(tableName, sourcePks) {
+    if (!sourcePks || sourcePks.length === 0) {
+      return [];
+    }
+
+    await this.ensureSchema();
+
+    const result = await this.loader.targetPool.query(`
+      SELECT source_pk
+      FROM etl_rejected_records
+      WHERE table_name = $1
+        AND status = 'PENDING'
+        AND source_pk = ANY($2)
+    `, [tableName, sourcePks.map(String)]);
+
+    return result.rows.map(row => row.source_pk);
+  }
+
+  // Buscar rejeição por ID
+  async getRejection(id) {
+    await this.ensureSchema();
+
+    const result = await this.loader.targetPool.query('SELECT * FROM etl_rejected_records WHERE id = $1', [id]);
+    return result.rows.length > 0 ? this.formatRejection(result.rows[0]) : null;
+  }
+
+  // Buscar rejeições por IDs
+  async getRejectionsByIds(ids) {
+    await this.ensureSchema();
+
+    const result = await this.loader.targetPool.query(
+      'SELECT * FROM etl_rejected_records WHERE id = ANY($1) ORDER BY rejected_at',
+      [ids]
+    );
+    return result.rows.map(row => this.formatRejection(row));
+  }
+
+  // Listar rejeições com filtros
+  async listRejections(filters = {}) {
+    await this.ensureSchema();
+
+    const { conditions, params } = this.buildFilters(filters);
+    let paramIndex = params.length + 1;
+
+    let query = `SELECT * FROM etl_rejected_records WHERE ${conditions.join(' AND ')}`;
+    query += ' ORDER BY rejected_at DESC';
+
+    query += ` LIMIT $${paramIndex++}`;
+    params.push(filters.limit || 50);
+
+    if (filters.offset) {
+      query += ` OFFSET $${paramIndex++}`;
+      params.push(filters.offset);
+    }
+
+    const result = await this.loader.targetPool.query(query, params);
+    return result.rows.map(row => this.formatRejection(row));
+  }
+
+  // Contagem de rejeições por tabela e status
+  async summarize(filters = {}) {
+    await this.ensureSchema();
+
+    const { conditions, params } = this.buildFilters(filters);
+
+    const result = await this.loader.targetPool.query(`
+      SELECT table_name, status, COUNT(*) AS total
+      FROM etl_rejected_records
+      WHERE ${conditions.join(' AND ')}
+      GROUP BY table_name, status
+      ORDER BY table_name, status
+    `, params);
+
+    return result.rows.map(row => ({
+      tableName: row.table_name,
+      status: row.status,
+      total: parseInt(row.total)
+    }));
+  }
+
+  // Utilitários
+  buildFilters(filters) {
+    const conditions = ['1=1'];
+    const params = [];
+
+    if (filters.tableName) {
+      params.push(filters.tableName);
+      conditions.push(`table_name = $${params.length}`);
+    }
+
+    if (filters.status) {
+      params.push(filters.status);
+      conditions.push(`status = $${params.length}`);
+    }
+
+    if (filters.jobId) {
+      params.push(filters.jobId);
+      conditions.push(`job_id = $${params.length}`);
+    }
+
+    if (filters.sourcePk) {
+      params.push(String(filters.sourcePk));
+      conditions.push(`source_pk = $${params.length}`);
+    }
+
+    if (filters.since) {
+      params.push(filters.since);
+      conditions.push(`rejected_at >= $${params.length}`);
+    }
+
+    if (filters.error) {
+      params.push(`%${filters.error}%`);
+      conditions.push(`errors::text ILIKE $${params.length}`);
+    }
+
+    return { conditions, params };
+  }
+
+  formatRejection(row) {
+    return {
+      id: row.id,
+      tableName: row.table_name,
+      sourceTable: row.source_table,
+      sourcePk: row.source_pk,
+      sourceRecord: row.source_record,
+      errors: row.errors,
+      jobId: row.job_id,
+      status: row.status,
+      occurrences: row.occurrences,
+      replayCount: row.replay_count,
+      lastReplayAt: row.last_replay_at,
+      lastReplayError: row.last_replay_error,
+      rejectedAt: row.rejected_at,
+      resolvedAt: row.resolved_at
+    };
+  }
+}
+
+RejectionStore.REJECTION_STATUSES = REJECTION_STATUSES;
+
+module.exports = RejectionStore;
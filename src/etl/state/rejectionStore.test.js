@@ -0,0 +1,72 @@
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const ETLConfig = require('../config');
+const RejectionStore = require('./rejectionStore');
+
+const createStore = (result = { rows: [], rowCount: 0 }) => {
+  const query = jest.fn().mockResolvedValue(result);
+  const store = new RejectionStore({ targetPool: { query }, connect: jest.fn() });
+  store.schemaReady = true;
+  return { store, query };
+};
+
+describe('RejectionStore', () => {
+  beforeEach(() => {
+    ETLConfig.mappings.test_events = { sourceTable: 'events', targetTable: 'events', primaryKey: 'id' };
+  });
+
+  afterEach(() => {
+    delete ETLConfig.mappings.test_events;
+  });
+
+  describe('quarantine', () => {
+    test('grava todos os rejeitados em um único upsert por (tabela, chave de origem)', async () => {
+      const { store, query } = createStore();
+      const rejectedAt = new Date('2024-03-01T10:00:00Z');
+
+      const count = await store.quarantine('test_events', [
+        { sourceRecord: { id: 7, amount: 'x' }, errors: ['amount inválido'], rejectedAt },
+        { sourceRecord: { id: null }, errors: [], rejectedAt }
+      ], 'job-1');
+
+      const [text, values] = query.mock.calls[0];
+      expect(count).toBe(2);
+      expect(text).toContain('VALUES ($1, $2, $3, $4, $5, $6, $7), ($8, $9, $10, $11, $12, $13, $14)');
+      expect(text).toContain('ON CONFLICT (table_name, source_pk)');
+      expect(values.slice(0, 7)).toEqual([
+        'test_events', 'events', '7', '{"id":7,"amount":"x"}', '["amount inválido"]', 'job-1', rejectedAt
+      ]);
+      expect(values[9]).toBeNull();
+    });
+
+    test('lista vazia não acessa o banco', async () => {
+      const { store, query } = createStore();
+
+      await expect(store.quarantine('test_events', [])).resolves.toBe(0);
+      expect(query).not.toHaveBeenCalled();
+    });
+  });
+
+  test('resolve marca apenas rejeições pendentes, comparando chaves como texto', async () => {
+    const { store, query } = createStore({ rows: [], rowCount: 2 });
+
+    await expect(store.resolve('test_events', [7, 8])).resolves.toBe(2);
+    expect(query.mock.calls[0][1]).toEqual(['test_events', ['7', '8'], 'RESOLVED']);
+    await expect(store.resolve('test_events', [])).resolves.toBe(0);
+  });
+
+  test('buildFilters numera os parâmetros na ordem dos filtros informados', () => {
+    const { store } = createStore();
+
+    expect(store.buildFilters({ tableName: 'users', sourcePk: 42, error: 'email' })).toEqual({
+      conditions: ['1=1', 'table_name = $1', 'source_pk = $2', 'errors::text ILIKE $3'],
+      params: ['users', '42', '%email%']
+    });
+  });
+
+  test('summarize converte os totais em número', async () => {
+    const { store } = createStore({ rows: [{ table_name: 'users', status: 'PENDING', total: '3' }] });
+
+    await expect(store.summarize()).resolves.toEqual([{ tableName: 'users', status: 'PENDING', total: 3 }]);
+  });
+});
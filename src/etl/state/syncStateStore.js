@@ -0,0 +1,166 @@
+const ETLConfig = require('../config');
+const logger = require('../../utils/logger');
+
+// Como comparar o last_value gravado com o novo: pelo formato do valor, já que a coluna é texto
+// para qualquer tipo de campo incremental (timestamp, id numérico, ...)
+const NUMERIC_PATTERN = /^-?\d+(\.\d+)?$/;
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}/;
+
+const getValueKind = (value) => {
+  if (NUMERIC_PATTERN.test(value)) {
+    return 'numeric';
+  }
+  return TIMESTAMP_PATTERN.test(value) ? 'timestamp' : 'text';
+};
+
+// Controle persistente de sincronização (watermarks por mapeamento)
+// Armazenado no banco de destino, junto com os dados carregados
+// last_value é o texto do campo incremental como a origem o devolve (ex.: updated_at::text),
+// sem passar por Date: os microssegundos são preservados e o cursor não relê registros
+class SyncStateStore {
+  constructor(loader) {
+    this.loader = loader;
+    this.schemaReady = false;
+  }
+
+  // Garantir que a tabela de controle exista
+  async ensureSchema() {
+    if (this.schemaReady) {
+      return;
+    }
+
+    const pool = await this.loader.connect();
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS etl_sync_watermarks (
+        table_name VARCHAR(100) PRIMARY KEY,
+        source_table VARCHAR(100) NOT NULL,
+        incremental_field VARCHAR(100),
+        last_value TEXT,
+        last_primary_key VARCHAR(100),
+        last_sync_type VARCHAR(20),
+        records_synced BIGINT DEFAULT 0,
+        last_synced_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    this.schemaReady = true;
+    logger.info('🗂️ ETL State: Tabela de watermarks verificada');
+  }
+
+  // Obter watermark de uma tabela
+  async getWatermark(tableName) {
+    await this.ensureSchema();
+
+    const result = await this.loader.targetPool.query(
+      'SELECT * FROM etl_sync_watermarks WHERE table_name = $1',
+      [tableName]
+    );
+
+    return result.rows.length > 0 ? this.formatWatermark(result.rows[0]) : null;
+  }
+
+  // Obter watermarks de todas as tabelas, indexados pelo nome do mapeamento
+  async getAllWatermarks() {
+    await this.ensureSchema();
+
+    const result = await this.loader.targetPool.query('SELECT * FROM etl_sync_watermarks');
+
+    return result.rows.reduce((watermarks, row) => {
+      watermarks[row.table_name] = this.formatWatermark(row);
+      return watermarks;
+    }, {});
+  }
+
+  // Persistir watermark já calculado
+  // O watermark só avança: um valor menor que o gravado (lote atrasado) mantém o anterior.
+  // Com outro campo incremental no mapeamento, o valor gravado não é comparável e é substituído
+  async saveWatermark(tableName, { value, primaryKey, recordCount = 0, syncType = 'incremental' }) {
+    const mapping = ETLConfig.mappings[tableName];
+    await this.ensureSchema();
+
+    const lastValue = value !== null && value !== undefined ? String(value) : null;
+    const advances = `
+          etl_sync_watermarks.last_value IS NULL
+          OR etl_sync_watermarks.incremental_field IS DISTINCT FROM EXCLUDED.incremental_field
+          OR CASE $8
+            WHEN 'numeric' THEN EXCLUDED.last_value::numeric >= etl_sync_watermarks.last_value::numeric
+            WHEN 'timestamp' THEN EXCLUDED.last_value::timestamptz >= etl_sync_watermarks.last_value::timestamptz
+            ELSE EXCLUDED.last_value >= etl_sync_watermarks.last_value
+          END`;
+
+    const result = await this.loader.targetPool.query(`
+      INSERT INTO etl_sync_watermarks
+      (table_name, source_table, incremental_field, last_value, last_primary_key,
+       last_sync_type, records_synced, last_synced_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+      ON CONFLICT (table_name)
+      DO UPDATE SET
+        source_table = EXCLUDED.source_table,
+        incremental_field = EXCLUDED.incremental_field,
+        last_primary_key = CASE
+          WHEN ${advances}
+          THEN EXCLUDED.last_primary_key
+          ELSE etl_sync_watermarks.last_primary_key
+        END,
+        last_value = CASE
+          WHEN ${advances}
+          THEN EXCLUDED.last_value
+          ELSE etl_sync_watermarks.last_value
+        END,
+        last_sync_type = EXCLUDED.last_sync_type,
+        records_synced = etl_sync_watermarks.records_synced + EXCLUDED.records_synced,
+        last_synced_at = NOW(),
+        updated_at = NOW()
+      RETURNING *
+    `, [
+      tableName,
+      mapping.sourceTable,
+      mapping.incrementalField,
+      lastValue,
+      primaryKey !== null && primaryKey !== undefined ? String(primaryKey) : null,
+      syncType,
+      recordCount,
+      lastValue !== null ? getValueKind(lastValue) : null
+    ]);
+
+    const watermark = this.formatWatermark(result.rows[0]);
+
+    logger.info(`📝 ETL State: Watermark atualizado para ${tableName}`, {
+      lastValue: watermark.lastValue,
+      lastPrimaryKey: watermark.lastPrimaryKey,
+      syncType
+    });
+
+    return watermark;
+  }
+
+  // Remover watermark (próxima sincronização incremental começa do início)
+  async resetWatermark(tableName) {
+    await this.ensureSchema();
+
+    const result = await this.loader.targetPool.query(
+      'DELETE FROM etl_sync_watermarks WHERE table_name = $1',
+      [tableName]
+    );
+
+    return result.rowCount > 0;
+  }
+
+  formatWatermark(row) {
+    return {
+      tableName: row.table_name,
+      sourceTable: row.source_table,
+      incrementalField: row.incremental_field,
+      lastValue: row.last_value,
+      lastPrimaryKey: row.last_primary_key,
+      lastSyncType: row.last_sync_type,
+      recordsSynced: parseInt(row.records_synced) || 0,
+      lastSyncedAt: row.last_synced_at
+    };
+  }
+}
+
+module.exports = SyncStateStore;
@@ -0,0 +1,85 @@
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const SyncStateStore = require('./syncStateStore');
+
+const createStore = (rows = []) => {
+  const query = jest.fn().mockResolvedValue({ rows, rowCount: rows.length });
+  const pool = { query };
+  const loader = { targetPool: pool, connect: jest.fn().mockResolvedValue(pool) };
+  return { store: new SyncStateStore(loader), query };
+};
+
+const watermarkRow = {
+  table_name: 'users',
+  source_table: 'users',
+  incremental_field: 'updated_at',
+  last_value: '2024-03-01 10:00:00.123456',
+  last_primary_key: '42',
+  last_sync_type: 'incremental',
+  records_synced: '1500',
+  last_synced_at: new Date('2024-03-01T10:05:00Z')
+};
+
+describe('SyncStateStore', () => {
+  describe('saveWatermark', () => {
+    test('grava o watermark com a chave primária em texto e devolve o registro formatado', async () => {
+      const { store, query } = createStore([watermarkRow]);
+
+      const watermark = await store.saveWatermark('users', {
+        value: '2024-03-01 10:00:00.123456',
+        primaryKey: 42,
+        recordCount: 1500,
+        syncType: 'incremental'
+      });
+
+      const [, params] = query.mock.calls[query.mock.calls.length - 1];
+      expect(params).toEqual(['users', 'users', 'updated_at', '2024-03-01 10:00:00.123456', '42', 'incremental', 1500, 'timestamp']);
+      expect(watermark).toEqual({
+        tableName: 'users',
+        sourceTable: 'users',
+        incrementalField: 'updated_at',
+        lastValue: '2024-03-01 10:00:00.123456',
+        lastPrimaryKey: '42',
+        lastSyncType: 'incremental',
+        recordsSynced: 1500,
+        lastSyncedAt: new Date('2024-03-01T10:05:00Z')
+      });
+    });
+
+    test('campo incremental numérico é comparado como número, e não como timestamp', async () => {
+      const { store, query } = createStore([{ ...watermarkRow, last_value: '1000' }]);
+
+      await store.saveWatermark('users', { value: 1000, primaryKey: 7 });
+      await store.saveWatermark('users', { value: 'v-2024.3', primaryKey: 8 });
+      await store.saveWatermark('users', { value: null, primaryKey: null });
+
+      const [sql] = query.mock.calls[query.mock.calls.length - 1];
+      expect(sql).toContain("WHEN 'numeric' THEN EXCLUDED.last_value::numeric >= etl_sync_watermarks.last_value::numeric");
+      expect(sql).toContain('etl_sync_watermarks.incremental_field IS DISTINCT FROM EXCLUDED.incremental_field');
+
+      const kinds = query.mock.calls.filter(([text]) => text.includes('INSERT INTO etl_sync_watermarks')).map(([, params]) => params[7]);
+      expect(kinds).toEqual(['numeric', 'text', null]);
+    });
+  });
+
+  describe('ensureSchema', () => {
+    test('não altera o tipo da coluna em tempo de execução', async () => {
+      const { store, query } = createStore([watermarkRow]);
+
+      await store.getWatermark('users');
+
+      expect(query.mock.calls.some(([sql]) => sql.includes('ALTER TABLE'))).toBe(false);
+    });
+  });
+
+  describe('getAllWatermarks', () => {
+    test('indexa os watermarks pelo nome do mapeamento', async () => {
+      const { store } = createStore([watermarkRow, { ...watermarkRow, table_name: 'bets', records_synced: null }]);
+
+      const watermarks = await store.getAllWatermarks();
+
+      expect(Object.keys(watermarks)).toEqual(['users', 'bets']);
+      expect(watermarks.bets.recordsSynced).toBe(0);
+    });
+  });
+});
@@ -1,4 +1,5 @@
 const ETLConfig = require('../config');
+const { applyTransform } = require('./transformDsl');
 const logger = require('../../utils/logger');
 const moment = require('moment');
 const _ = require('lodash');
@@ -35,11 +36,12 @@ class DataTransformer {
         // Aplicar mapeamento de campos
         const mappedRecord = this.mapFields(sourceRecord, mapping.fieldMapping);
 
-        // Aplicar transformações específicas
+        // Aplicar transformações específicas (declarativas e em função)
         const transformedRecord = this.applyTransformations(
           mappedRecord, 
           mapping.transformations || {},
-          sourceRecord
+          sourceRecord,
+          mapping.transforms || {}
         );
 
         // Validar registro transformado
@@ -126,8 +128,21 @@ class DataTransformer {
   }
 
   // Aplicar transformações específicas
-  applyTransformations(record, transformations, originalRecord) {
-    const transformedRecord = { ...record };
+  // transforms (DSL declarativa, ver transformDsl.js) são aplicadas primeiro e podem criar
+  // campos derivados; em seguida as transformações em função, nos campos já mapeados
+  applyTransformations(record, transformations, originalRecord, transforms = {}) {
+    let transformedRecord = { ...record };
+
+    Object.entries(transforms).forEach(([field, spec]) => {
+      try {
+        transformedRecord[field] = applyTransform(spec, transformedRecord[field] ?? null, originalRecord);
+      } catch (error) {
+        logger.warn(`⚠️ ETL Transformer: Erro na transformação declarativa do campo ${field}`, {
+          error: error.message,
+          originalValue: transformedRecord[field]
+        });
+      }
+    });
 
     Object.entries(transformations).forEach(([field, transformFunction]) => {
       if (transformedRecord.hasOwnProperty(field)) {
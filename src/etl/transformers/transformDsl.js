@@ -0,0 +1,339 @@
+const moment = require('moment-timezone');
+
+// Transformações declarativas (serializáveis em JSON) para os mapeamentos do ETL
+//
+// transforms: { campo_destino: passo | [passo, ...] }   (lista = pipeline, da esquerda para a direita)
+//
+// Passos:
+//   'trim' | 'lowercase' | 'uppercase' | 'digitsOnly' | 'toNumber' | 'toDate'
+//   { map: { origem: destino }, default: valor }       sem default, valores não mapeados são mantidos
+//   { toDate: { format: 'DD/MM/YYYY', timezone: 'America/Sao_Paulo' } }
+//   { coalesce: [operando, ...] }                      primeiro operando não nulo
+//   { concat: [operando, ...], separator: ' ' }        operandos nulos são ignorados
+//   { if: condição, then: operando, else: operando }
+//
+// Operandos: literal | '$value' (valor atual do campo) | { field: 'coluna_origem' } | { if: ... }
+//
+// Condições (sobre o registro de origem; field '$value' usa o valor atual):
+//   { field, eq | ne | gt | gte | lt | lte | in | notIn: valor }  { field, isNull: true|false }
+//   { all: [condição, ...] }  { any: [condição, ...] }  { not: condição }
+//
+// Exemplo (validation_status das transações):
+//   { if: { all: [{ field: 'status', eq: 'completed' }, { field: 'amount', gte: 50 }] },
+//     then: 'VALIDATED', else: 'PENDING' }
+
+const SIMPLE_STEPS = ['trim', 'lowercase', 'uppercase', 'digitsOnly', 'toNumber', 'toDate'];
+const OBJECT_STEPS = ['map', 'toDate', 'coalesce', 'concat', 'if'];
+const COMPARISONS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'notIn', 'isNull'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isNil = (value) => value === null || value === undefined;
+
+// Aplicar a especificação de um campo (value: valor atual; row: registro de origem)
+const applyTransform = (spec, value, row) => {
+  const steps = Array.isArray(spec) ? spec : [spec];
+  return steps.reduce((current, step) => applyStep(step, current, row), value);
+};
+
+const applyStep = (step, value, row) => {
+  if (typeof step === 'string') {
+    return SIMPLE_TRANSFORMS[step](value, {});
+  }
+
+  if ('map' in step) {
+    if (!isNil(value) && Object.prototype.hasOwnProperty.call(step.map, String(value))) {
+      return step.map[String(value)];
+    }
+    return 'default' in step ? step.default : value;
+  }
+
+  if ('toDate' in step) {
+    return SIMPLE_TRANSFORMS.toDate(value, isPlainObject(step.toDate) ? step.toDate : {});
+  }
+
+  if ('coalesce' in step) {
+    const found = step.coalesce
+      .map(operand => resolveOperand(operand, value, row))
+      .find(operandValue => !isNil(operandValue) && operandValue !== '');
+    return found === undefined ? null : found;
+  }
+
+  if ('concat' in step) {
+    const parts = step.concat
+      .map(operand => resolveOperand(operand, value, row))
+      .filter(part => !isNil(part) && part !== '');
+    return parts.length > 0 ? parts.join(step.separator ?? '') : null;
+  }
+
+  if ('if' in step) {
+    return resolveOperand(step, value, row);
+  }
+
+  throw new Error(`Passo de transformação desconhecido: ${JSON.stringify(step)}`);
+};
+
+const SIMPLE_TRANSFORMS = {
+  trim: (value) => typeof value === 'string' ? value.trim() : value,
+
+  lowercase: (value) => typeof value === 'string' ? value.toLowerCase() : value,
+
+  uppercase: (value) => typeof value === 'string' ? value.toUpperCase() : value,
+
+  digitsOnly: (value) => isNil(value) ? null : String(value).replace(/[^\d]/g, ''),
+
+  toNumber: (value) => {
+    if (isNil(value) || value === '') {
+      return null;
+    }
+    const number = typeof value === 'number' ? value : parseFloat(String(value).trim());
+    return isNaN(number) ? null : number;
+  },
+
+  // Datas sem fuso explícito são interpretadas no timezone informado; saída em ISO (UTC)
+  toDate: (value, { format = null, timezone = null }) => {
+    if (isNil(value) || value === '') {
+      return null;
+    }
+
+    let parsed;
+    if (value instanceof Date) {
+      parsed = moment(value);
+    } else if (timezone) {
+      parsed = format ? moment.tz(String(value), format, true, timezone) : moment.tz(String(value), timezone);
+    } else {
+      parsed = format ? moment(String(value), format, true) : moment(new Date(value));
+    }
+
+    return parsed.isValid() ? parsed.toISOString() : null;
+  }
+};
+
+const resolveOperand = (operand, value, row) => {
+  if (operand === '$value') {
+    return value;
+  }
+
+  if (isPlainObject(operand)) {
+    if ('field' in operand) {
+      return readField(operand.field, value, row);
+    }
+    if ('if' in operand) {
+      const branch = evaluateCondition(operand.if, value, row) ? operand.then : operand.else;
+      return branch === undefined ? null : resolveOperand(branch, value, row);
+    }
+  }
+
+  return operand;
+};
+
+const readField = (field, value, row) => {
+  if (field === '$value') {
+    return value;
+  }
+  return row && row[field] !== undefined ? row[field] : null;
+};
+
+const evaluateCondition = (condition, value, row) => {
+  if ('all' in condition) {
+    return condition.all.every(item => evaluateCondition(item, value, row));
+  }
+  if ('any' in condition) {
+    return condition.any.some(item => evaluateCondition(item, value, row));
+  }
+  if ('not' in condition) {
+    return !evaluateCondition(condition.not, value, row);
+  }
+
+  const actual = readField(condition.field, value, row);
+  const operator = COMPARISONS.find(comparison => comparison in condition);
+  const expected = condition[operator];
+
+  switch (operator) {
+    case 'eq': return compare(actual, expected) === 0;
+    case 'ne': return compare(actual, expected) !== 0;
+    case 'gt': return !isNil(actual) && compare(actual, expected) > 0;
+    case 'gte': return !isNil(actual) && compare(actual, expected) >= 0;
+    case 'lt': return !isNil(actual) && compare(actual, expected) < 0;
+    case 'lte': return !isNil(actual) && compare(actual, expected) <= 0;
+    case 'in': return expected.some(item => compare(actual, item) === 0);
+    case 'notIn': return !expected.some(item => compare(actual, item) === 0);
+    case 'isNull': return isNil(actual) === (expected !== false);
+    default: return false;
+  }
+};
+
+// Comparação numérica quando o valor esperado é número (valores da origem chegam como texto,
+// ex.: NUMERIC do pg); caso contrário, comparação textual
+const compare = (actual, expected) => {
+  if (typeof expected === 'number') {
+    const number = parseFloat(actual);
+    if (isNaN(number)) {
+      return NaN;
+    }
+    return number === expected ? 0 : number > expected ? 1 : -1;
+  }
+
+  if (isNil(actual) || isNil(expected)) {
+    return isNil(actual) && isNil(expected) ? 0 : NaN;
+  }
+
+  const a = String(actual);
+  const b = String(expected);
+  return a === b ? 0 : a > b ? 1 : -1;
+};
+
+// Validar o objeto transforms de um mapeamento; retorna a lista de erros
+const validateTransforms = (transforms) => {
+  if (!isPlainObject(transforms)) {
+    return ["'transforms' deve ser um objeto { campo_destino: passo | [passos] }"];
+  }
+
+  const errors = [];
+  Object.entries(transforms).forEach(([field, spec]) => {
+    const steps = Array.isArray(spec) ? spec : [spec];
+    if (steps.length === 0) {
+      errors.push(`transforms.${field}: pipeline vazio`);
+    }
+    steps.forEach((step, index) => {
+      validateStep(step, `transforms.${field}${Array.isArray(spec) ? `[${index}]` : ''}`, errors);
+    });
+  });
+
+  return errors;
+};
+
+const validateStep = (step, path, errors) => {
+  if (typeof step === 'string') {
+    if (!SIMPLE_STEPS.includes(step)) {
+      errors.push(`${path}: passo desconhecido '${step}' (aceitos: ${SIMPLE_STEPS.join(', ')})`);
+    }
+    return;
+  }
+
+  if (!isPlainObject(step)) {
+    errors.push(`${path}: passo deve ser texto ou objeto`);
+    return;
+  }
+
+  const kinds = OBJECT_STEPS.filter(kind => kind in step);
+  if (kinds.length !== 1) {
+    errors.push(`${path}: o passo deve ter exatamente uma operação (${OBJECT_STEPS.join(', ')})`);
+    return;
+  }
+
+  switch (kinds[0]) {
+    case 'map':
+      if (!isPlainObject(step.map)) {
+        errors.push(`${path}.map deve ser um objeto { origem: destino }`);
+      }
+      break;
+    case 'toDate':
+      if (step.toDate !== true && !isPlainObject(step.toDate)) {
+        errors.push(`${path}.toDate deve ser true ou { format, timezone }`);
+      } else if (isPlainObject(step.toDate)) {
+        const { format, timezone } = step.toDate;
+        if (format !== undefined && typeof format !== 'string') {
+          errors.push(`${path}.toDate.format deve ser texto`);
+        }
+        if (timezone !== undefined && !moment.tz.zone(timezone)) {
+          errors.push(`${path}.toDate.timezone desconhecido: '${timezone}'`);
+        }
+      }
+      break;
+    case 'coalesce':
+    case 'concat':
+      if (!Array.isArray(step[kinds[0]]) || step[kinds[0]].length === 0) {
+        errors.push(`${path}.${kinds[0]} deve ser uma lista de operandos`);
+      } else {
+        step[kinds[0]].forEach((operand, index) => validateOperand(operand, `${path}.${kinds[0]}[${index}]`, errors));
+      }
+      if (kinds[0] === 'concat' && step.separator !== undefined && typeof step.separator !== 'string') {
+        errors.push(`${path}.separator deve ser texto`);
+      }
+      break;
+    case 'if':
+      validateOperand(step, path, errors);
+      break;
+  }
+};
+
+const validateOperand = (operand, path, errors) => {
+  if (!isPlainObject(operand)) {
+    if (Array.isArray(operand)) {
+      errors.push(`${path}: operando não pode ser uma lista`);
+    }
+    return;
+  }
+
+  if ('field' in operand) {
+    if (typeof operand.field !== 'string' || operand.field === '') {
+      errors.push(`${path}.field deve ser o nome de uma coluna`);
+    }
+    return;
+  }
+
+  if ('if' in operand) {
+    validateCondition(operand.if, `${path}.if`, errors);
+    if (!('then' in operand)) {
+      errors.push(`${path}: condicional sem 'then'`);
+    } else {
+      validateOperand(operand.then, `${path}.then`, errors);
+    }
+    if ('else' in operand) {
+      validateOperand(operand.else, `${path}.else`, errors);
+    }
+    return;
+  }
+
+  errors.push(`${path}: operando deve ser literal, '$value', { field } ou { if, then, else }`);
+};
+
+const validateCondition = (condition, path, errors) => {
+  if (!isPlainObject(condition)) {
+    errors.push(`${path}: condição deve ser um objeto`);
+    return;
+  }
+
+  for (const combinator of ['all', 'any']) {
+    if (combinator in condition) {
+      if (!Array.isArray(condition[combinator]) || condition[combinator].length === 0) {
+        errors.push(`${path}.${combinator} deve ser uma lista de condições`);
+      } else {
+        condition[combinator].forEach((item, index) => validateCondition(item, `${path}.${combinator}[${index}]`, errors));
+      }
+      return;
+    }
+  }
+
+  if ('not' in condition) {
+    validateCondition(condition.not, `${path}.not`, errors);
+    return;
+  }
+
+  if (typeof condition.field !== 'string' || condition.field === '') {
+    errors.push(`${path}.field deve ser o nome de uma coluna`);
+  }
+
+  const operators = COMPARISONS.filter(comparison => comparison in condition);
+  if (operators.length !== 1) {
+    errors.push(`${path}: informe exatamente um operador (${COMPARISONS.join(', ')})`);
+    return;
+  }
+
+  const expected = condition[operators[0]];
+  if (['in', 'notIn'].includes(operators[0]) && !Array.isArray(expected)) {
+    errors.push(`${path}.${operators[0]} deve ser uma lista`);
+  } else if (operators[0] === 'isNull' && typeof expected !== 'boolean') {
+    errors.push(`${path}.isNull deve ser booleano`);
+  } else if (!['in', 'notIn', 'isNull'].includes(operators[0]) && (isPlainObject(expected) || Array.isArray(expected))) {
+    errors.push(`${path}.${operators[0]} deve ser um valor simples`);
+  }
+};
+
+module.exports = {
+  applyTransform,
+  evaluateCondition,
+  validateTransforms,
+  SIMPLE_STEPS,
+  COMPARISONS
+};
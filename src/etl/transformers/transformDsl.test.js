@@ -0,0 +1,190 @@
+const ETLConfig = require('../config');
+const { applyTransform, evaluateCondition, validateTransforms } = require('./transformDsl');
+
+describe('transformDsl', () => {
+  describe('applyTransform', () => {
+    test('aplica os passos do pipeline da esquerda para a direita', () => {
+      expect(applyTransform(['trim', 'lowercase'], '  Fulano@Email.COM ', {})).toBe('fulano@email.com');
+      expect(applyTransform('digitsOnly', '123.456.789-00', {})).toBe('12345678900');
+    });
+
+    test('uppercase mantém valores que não são texto', () => {
+      expect(applyTransform(['trim', 'uppercase'], ' brl ', {})).toBe('BRL');
+      expect(applyTransform('uppercase', 10, {})).toBe(10);
+    });
+
+    test('toNumber converte texto e devolve null para vazio ou inválido', () => {
+      expect(applyTransform('toNumber', ' 10.50 ', {})).toBe(10.5);
+      expect(applyTransform('toNumber', '', {})).toBeNull();
+      expect(applyTransform('toNumber', 'abc', {})).toBeNull();
+    });
+
+    test('map usa o default apenas para valores não mapeados', () => {
+      const step = { map: { completed: 'DONE', failed: 'ERROR' }, default: 'OTHER' };
+
+      expect(applyTransform(step, 'completed', {})).toBe('DONE');
+      expect(applyTransform(step, 'pending', {})).toBe('OTHER');
+      expect(applyTransform({ map: { 1: 'ativo' } }, 2, {})).toBe(2);
+    });
+
+    test('coalesce e concat ignoram operandos nulos ou vazios', () => {
+      const row = { nickname: '', name: 'Fulano', last_name: null, city: 'Recife' };
+
+      expect(applyTransform({ coalesce: [{ field: 'nickname' }, { field: 'name' }, 'anônimo'] }, null, row)).toBe('Fulano');
+      expect(applyTransform({ concat: [{ field: 'name' }, { field: 'last_name' }, { field: 'city' }], separator: ' - ' }, null, row))
+        .toBe('Fulano - Recife');
+      expect(applyTransform({ concat: [{ field: 'last_name' }] }, null, row)).toBeNull();
+    });
+
+    test('if resolve o ramo pela condição sobre o registro de origem', () => {
+      const step = {
+        if: { all: [{ field: 'status', eq: 'completed' }, { field: 'amount', gte: 50 }] },
+        then: 'VALIDATED',
+        else: 'PENDING'
+      };
+
+      expect(applyTransform(step, null, { status: 'completed', amount: '50.00' })).toBe('VALIDATED');
+      expect(applyTransform(step, null, { status: 'completed', amount: '49.99' })).toBe('PENDING');
+      expect(applyTransform({ if: { field: '$value', isNull: true }, then: 0 }, 5, {})).toBeNull();
+    });
+
+    test('passo desconhecido gera erro', () => {
+      expect(() => applyTransform({ reverse: true }, 'abc', {})).toThrow('Passo de transformação desconhecido');
+    });
+  });
+
+  describe('evaluateCondition', () => {
+    test('valor esperado numérico compara como número, mesmo com o valor da origem em texto', () => {
+      const row = { amount: '100.00' };
+
+      expect(evaluateCondition({ field: 'amount', gt: 20 }, null, row)).toBe(true);
+      expect(evaluateCondition({ field: 'amount', eq: 100 }, null, row)).toBe(true);
+      expect(evaluateCondition({ field: 'amount', in: [50, 100] }, null, row)).toBe(true);
+    });
+
+    test('valor esperado em texto compara como texto', () => {
+      const row = { amount: '100.00' };
+
+      expect(evaluateCondition({ field: 'amount', gt: '20' }, null, row)).toBe(false);
+      expect(evaluateCondition({ field: 'amount', eq: '100' }, null, row)).toBe(false);
+    });
+
+    test('valores nulos ou não numéricos não satisfazem comparações de ordem', () => {
+      expect(evaluateCondition({ field: 'amount', gte: 0 }, null, { amount: null })).toBe(false);
+      expect(evaluateCondition({ field: 'amount', lt: 10 }, null, { amount: 'abc' })).toBe(false);
+      expect(evaluateCondition({ field: 'missing', isNull: true }, null, {})).toBe(true);
+      expect(evaluateCondition({ field: 'missing', ne: 'x' }, null, {})).toBe(true);
+    });
+
+    test('combina condições com all, any e not', () => {
+      const row = { status: 'paid', method: 'pix' };
+
+      expect(evaluateCondition({ any: [{ field: 'status', eq: 'failed' }, { field: 'method', eq: 'pix' }] }, null, row)).toBe(true);
+      expect(evaluateCondition({ not: { field: 'status', notIn: ['paid', 'completed'] } }, null, row)).toBe(true);
+      expect(evaluateCondition({ all: [{ field: 'status', eq: 'paid' }, { field: 'method', eq: 'card' }] }, null, row)).toBe(false);
+    });
+  });
+
+  describe('toDate', () => {
+    test('data sem fuso é interpretada no timezone informado', () => {
+      expect(applyTransform({ toDate: { format: 'DD/MM/YYYY HH:mm', timezone: 'America/Sao_Paulo' } }, '15/03/2024 21:30', {}))
+        .toBe('2024-03-16T00:30:00.000Z');
+      expect(applyTransform({ toDate: { timezone: 'America/Sao_Paulo' } }, '2024-03-15', {}))
+        .toBe('2024-03-15T03:00:00.000Z');
+    });
+
+    test('data com fuso explícito mantém o instante', () => {
+      expect(applyTransform({ toDate: { timezone: 'America/Sao_Paulo' } }, '2024-03-15T10:00:00Z', {}))
+        .toBe('2024-03-15T10:00:00.000Z');
+      expect(applyTransform('toDate', new Date('2024-03-15T10:00:00Z'), {})).toBe('2024-03-15T10:00:00.000Z');
+    });
+
+    test('formato estrito rejeita datas inválidas', () => {
+      expect(applyTransform({ toDate: { format: 'DD/MM/YYYY', timezone: 'America/Sao_Paulo' } }, '31/02/2024', {})).toBeNull();
+      expect(applyTransform({ toDate: { format: 'DD/MM/YYYY' } }, '2024-03-15', {})).toBeNull();
+      expect(applyTransform('toDate', '', {})).toBeNull();
+    });
+  });
+
+  describe('validateTransforms', () => {
+    test('aceita especificações válidas', () => {
+      expect(validateTransforms({
+        email: ['trim', 'lowercase'],
+        status: { map: { 1: 'ACTIVE' }, default: 'INACTIVE' },
+        created_at: { toDate: { format: 'DD/MM/YYYY', timezone: 'America/Sao_Paulo' } },
+        name: { concat: [{ field: 'first_name' }, { field: 'last_name' }], separator: ' ' },
+        validation_status: { if: { field: 'amount', gte: 50 }, then: 'VALIDATED', else: 'PENDING' }
+      })).toEqual([]);
+    });
+
+    test('transforms precisa ser um objeto', () => {
+      expect(validateTransforms(['trim'])).toEqual([
+        "'transforms' deve ser um objeto { campo_destino: passo | [passos] }"
+      ]);
+    });
+
+    test('aponta o caminho de cada erro', () => {
+      const errors = validateTransforms({
+        email: [],
+        phone: ['trim', 'reverse'],
+        status: { map: 'ACTIVE' },
+        created_at: { toDate: { timezone: 'America/Atlantida' } },
+        name: { concat: [], separator: 1 },
+        both: { map: {}, coalesce: ['a'] }
+      });
+
+      expect(errors).toEqual([
+        'transforms.email: pipeline vazio',
+        "transforms.phone[1]: passo desconhecido 'reverse' (aceitos: trim, lowercase, uppercase, digitsOnly, toNumber, toDate)",
+        'transforms.status.map deve ser um objeto { origem: destino }',
+        "transforms.created_at.toDate.timezone desconhecido: 'America/Atlantida'",
+        'transforms.name.concat deve ser uma lista de operandos',
+        'transforms.name.separator deve ser texto',
+        'transforms.both: o passo deve ter exatamente uma operação (map, toDate, coalesce, concat, if)'
+      ]);
+    });
+
+    test('valida condições e operandos dos condicionais', () => {
+      const errors = validateTransforms({
+        flag: { if: { all: [{ field: 'amount', between: [1, 2] }, { field: '', in: 'x' }] }, else: ['a'] }
+      });
+
+      expect(errors).toEqual([
+        'transforms.flag.if.all[0]: informe exatamente um operador (eq, ne, gt, gte, lt, lte, in, notIn, isNull)',
+        'transforms.flag.if.all[1].field deve ser o nome de uma coluna',
+        'transforms.flag.if.all[1].in deve ser uma lista',
+        "transforms.flag: condicional sem 'then'",
+        'transforms.flag.else: operando não pode ser uma lista'
+      ]);
+    });
+  });
+
+  describe('normalização de depósitos', () => {
+    const { transforms } = ETLConfig.mappings.deposits;
+    const normalize = (field, value) => applyTransform(transforms[field], value, {});
+
+    test('as especificações do mapeamento são válidas', () => {
+      expect(validateTransforms(transforms)).toEqual([]);
+    });
+
+    test('moeda padrão BRL em maiúsculas', () => {
+      expect(normalize('currency', null)).toBe('BRL');
+      expect(normalize('currency', ' usd ')).toBe('USD');
+    });
+
+    test('meio de pagamento em códigos padronizados', () => {
+      expect(normalize('payment_method', ' Card ')).toBe('CREDIT_CARD');
+      expect(normalize('payment_method', 'TED')).toBe('BANK_TRANSFER');
+      expect(normalize('payment_method', 'pix')).toBe('PIX');
+      expect(normalize('payment_method', 'cheque')).toBe('OTHER');
+    });
+
+    test('status da origem agrupado nos status do destino', () => {
+      expect(normalize('deposit_status', 'Approved')).toBe('CONFIRMED');
+      expect(normalize('deposit_status', 'paid')).toBe('CONFIRMED');
+      expect(normalize('deposit_status', 'expired')).toBe('FAILED');
+      expect(normalize('deposit_status', 'chargeback')).toBe('CHARGEBACK');
+      expect(normalize('deposit_status', 'em análise')).toBe('PENDING');
+    });
+  });
+});
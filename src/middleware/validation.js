@@ -1,10 +1,10 @@
 const Joi = require('joi');
 const logger = require('../utils/logger');
 
-// Middleware de validação genérico
-const validate = (schema) => {
+// Middleware de validação genérico (source: 'body' ou 'query')
+const validate = (schema, source = 'body') => {
     return (req, res, next) => {
-        const { error, value } = schema.validate(req.body);
+        const { error, value } = schema.validate(req[source]);
         
         if (error) {
             const errors = error.details.map(detail => ({
@@ -19,7 +19,7 @@ const validate = (schema) => {
             });
         }
         
-        req.body = value;
+        req[source] = value;
         next();
     };
 };
@@ -43,6 +43,57 @@ const schemas = {
         dateRangeStart: Joi.date().optional(),
         dateRangeEnd: Joi.date().optional(),
         retentionDays: Joi.number().integer().min(1).max(30).optional()
+    }),
+
+    // Regras candidatas no mesmo formato de cpa_validation_rules
+    evaluateCpaRules: Joi.object({
+        rules: Joi.object({
+            group_operator: Joi.string().valid('AND', 'OR').default('OR'),
+            groups: Joi.array().items(Joi.object({
+                operator: Joi.string().valid('AND', 'OR').default('AND'),
+                criteria: Joi.array().items(Joi.object({
+                    type: Joi.string().valid('deposit', 'bets', 'bet_amount', 'days_active').required(),
+                    value: Joi.number().min(0).required(),
+                    enabled: Joi.boolean().default(true)
+                })).min(1).required()
+            })).min(1).required()
+        }).optional(),
+        until: Joi.date().optional()
+    }),
+
+    // Job de geração de analytics em lote (entityType ALL = usuários e afiliados)
+    createAnalyticsJob: Joi.object({
+        entityType: Joi.string().valid('USER', 'AFFILIATE', 'ALL').default('ALL'),
+        periodType: Joi.string().valid('DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY').default('DAILY'),
+        specificDate: Joi.date().optional(),
+        scope: Joi.string().valid('ALL', 'TOUCHED').default('ALL'),
+        batchSize: Joi.number().integer().min(1).max(5000).optional()
+    }),
+
+    // Consulta de matrizes de coorte (query de GET /analytics/cohorts)
+    getCohorts: Joi.object({
+        basis: Joi.string().valid('REGISTRATION', 'FTD').default('REGISTRATION'),
+        period: Joi.string().valid('WEEK', 'MONTH').default('MONTH'),
+        unit: Joi.string().valid('DAY', 'WEEK', 'MONTH').optional(),
+        affiliateId: Joi.number().integer().positive().optional(),
+        from: Joi.date().optional(),
+        to: Joi.date().min(Joi.ref('from')).optional(),
+        maxOffset: Joi.number().integer().min(0).optional()
+    }),
+
+    // Recálculo em background da matriz de um escopo de coorte
+    refreshCohorts: Joi.object({
+        basis: Joi.string().valid('REGISTRATION', 'FTD').default('REGISTRATION'),
+        period: Joi.string().valid('WEEK', 'MONTH').default('MONTH'),
+        unit: Joi.string().valid('DAY', 'WEEK', 'MONTH').optional(),
+        affiliateId: Joi.number().integer().positive().optional()
+    }),
+
+    // Rollup de analytics a partir dos registros DAILY (período que contém specificDate)
+    rollupAnalytics: Joi.object({
+        entityType: Joi.string().valid('USER', 'AFFILIATE', 'ALL').default('ALL'),
+        periodType: Joi.string().valid('WEEKLY', 'MONTHLY', 'YEARLY').required(),
+        specificDate: Joi.date().optional()
     })
 };
 
@@ -270,6 +321,19 @@ const validateParams = {
             });
         }
         
+        next();
+    },
+
+    jobId: (req, res, next) => {
+        const { jobId } = req.params;
+        
+        if (!jobId || !/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(jobId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'jobId deve ser um UUID válido'
+            });
+        }
+        
         next();
     }
 };
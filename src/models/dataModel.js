@@ -1,6 +1,12 @@
 const { Pool } = require('pg');
+const moment = require('moment');
 const logger = require('../utils/logger');
 
+// Status de depósito da operação que contam como confirmados (os mesmos que o mapeamento
+// deposits do ETL normaliza para CONFIRMED); pendentes, falhos e estornados não entram em
+// totais, FTD nem regras CPA
+const CONFIRMED_DEPOSIT_STATUSES = ['approved', 'completed', 'paid', 'confirmed'];
+
 class DataModel {
     constructor() {
         this.pool = new Pool({
@@ -21,6 +27,18 @@ class DataModel {
             min: 1,
             max: 5,
         });
+
+        // Pool para o banco do Affiliate Service (destino do ETL, onde ficam os depósitos com FTD)
+        this.affiliatePool = new Pool({
+            host: process.env.AFFILIATE_DB_HOST,
+            port: process.env.AFFILIATE_DB_PORT,
+            database: process.env.AFFILIATE_DB_NAME,
+            user: process.env.AFFILIATE_DB_USER,
+            password: process.env.AFFILIATE_DB_PASSWORD,
+            ssl: process.env.AFFILIATE_DB_SSL === 'true',
+            min: 1,
+            max: 5,
+        });
     }
 
     // ===== SYNC LOGS =====
@@ -168,6 +186,82 @@ class DataModel {
         }
     }
 
+    // Upsert de vários analytics de usuário em uma única instrução (jobs em lote)
+    async upsertUserAnalyticsBatch(analyticsList) {
+        if (!analyticsList.length) return 0;
+
+        const client = await this.pool.connect();
+        try {
+            const query = `
+                INSERT INTO user_analytics
+                (user_id, affiliate_id, period_type, period_start, period_end,
+                 total_deposits, deposit_count, first_deposit_date, last_deposit_date, avg_deposit_amount,
+                 total_bets, bet_count, first_bet_date, last_bet_date, avg_bet_amount,
+                 days_active, sessions_count, total_session_time_minutes,
+                 total_wins, total_losses, net_result,
+                 cpa_qualified, cpa_qualification_date, cpa_amount)
+                SELECT r.user_id, r.affiliate_id, r.period_type, r.period_start, r.period_end,
+                       r.total_deposits, r.deposit_count, r.first_deposit_date, r.last_deposit_date, r.avg_deposit_amount,
+                       r.total_bets, r.bet_count, r.first_bet_date, r.last_bet_date, r.avg_bet_amount,
+                       r.days_active, r.sessions_count, r.total_session_time_minutes,
+                       r.total_wins, r.total_losses, r.net_result,
+                       r.cpa_qualified, r.cpa_qualification_date, r.cpa_amount
+                FROM jsonb_to_recordset($1::jsonb) AS r(
+                    user_id INTEGER, affiliate_id INTEGER, period_type VARCHAR, period_start TIMESTAMP, period_end TIMESTAMP,
+                    total_deposits DECIMAL, deposit_count INTEGER, first_deposit_date TIMESTAMP, last_deposit_date TIMESTAMP,
+                    avg_deposit_amount DECIMAL, total_bets DECIMAL, bet_count INTEGER, first_bet_date TIMESTAMP,
+                    last_bet_date TIMESTAMP, avg_bet_amount DECIMAL, days_active INTEGER, sessions_count INTEGER,
+                    total_session_time_minutes INTEGER, total_wins DECIMAL, total_losses DECIMAL, net_result DECIMAL,
+                    cpa_qualified BOOLEAN, cpa_qualification_date TIMESTAMP, cpa_amount DECIMAL
+                )
+                ON CONFLICT (user_id, period_type, period_start)
+                DO UPDATE SET
+                    affiliate_id = EXCLUDED.affiliate_id,
+                    period_end = EXCLUDED.period_end,
+                    total_deposits = EXCLUDED.total_deposits,
+                    deposit_count = EXCLUDED.deposit_count,
+                    first_deposit_date = EXCLUDED.first_deposit_date,
+                    last_deposit_date = EXCLUDED.last_deposit_date,
+                    avg_deposit_amount = EXCLUDED.avg_deposit_amount,
+                    total_bets = EXCLUDED.total_bets,
+                    bet_count = EXCLUDED.bet_count,
+                    first_bet_date = EXCLUDED.first_bet_date,
+                    last_bet_date = EXCLUDED.last_bet_date,
+                    avg_bet_amount = EXCLUDED.avg_bet_amount,
+                    days_active = EXCLUDED.days_active,
+                    sessions_count = EXCLUDED.sessions_count,
+                    total_session_time_minutes = EXCLUDED.total_session_time_minutes,
+                    total_wins = EXCLUDED.total_wins,
+                    total_losses = EXCLUDED.total_losses,
+                    net_result = EXCLUDED.net_result,
+                    cpa_qualified = EXCLUDED.cpa_qualified,
+                    cpa_qualification_date = EXCLUDED.cpa_qualification_date,
+                    cpa_amount = EXCLUDED.cpa_amount,
+                    last_updated = CURRENT_TIMESTAMP
+            `;
+
+            // Datas em horário local: as colunas são TIMESTAMP sem fuso, como no upsert unitário
+            const rows = analyticsList.map(analytics => ({
+                ...analytics,
+                period_start: this.toLocalTimestamp(analytics.period_start),
+                period_end: this.toLocalTimestamp(analytics.period_end),
+                first_deposit_date: this.toLocalTimestamp(analytics.first_deposit_date),
+                last_deposit_date: this.toLocalTimestamp(analytics.last_deposit_date),
+                first_bet_date: this.toLocalTimestamp(analytics.first_bet_date),
+                last_bet_date: this.toLocalTimestamp(analytics.last_bet_date),
+                cpa_qualification_date: this.toLocalTimestamp(analytics.cpa_qualification_date)
+            }));
+
+            const result = await client.query(query, [JSON.stringify(rows)]);
+            return result.rowCount;
+        } catch (error) {
+            logger.error('Erro ao inserir/atualizar analytics de usuário em lote:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
     async getUserAnalytics(userId, periodType = null, periodStart = null, periodEnd = null) {
         const client = await this.pool.connect();
         try {
@@ -289,6 +383,79 @@ class DataModel {
         }
     }
 
+    // Upsert de vários analytics de afiliado em uma única instrução (jobs em lote)
+    async upsertAffiliateAnalyticsBatch(analyticsList) {
+        if (!analyticsList.length) return 0;
+
+        const client = await this.pool.connect();
+        try {
+            const query = `
+                INSERT INTO affiliate_analytics
+                (affiliate_id, period_type, period_start, period_end,
+                 total_users, new_users, active_users, cpa_qualified_users,
+                 total_user_deposits, total_user_bets, total_commissions, total_cpa_amount,
+                 level_1_users, level_2_users, level_3_users, level_4_users, level_5_users,
+                 level_1_commissions, level_2_commissions, level_3_commissions, level_4_commissions, level_5_commissions,
+                 conversion_rate, avg_user_value, retention_rate)
+                SELECT r.affiliate_id, r.period_type, r.period_start, r.period_end,
+                       r.total_users, r.new_users, r.active_users, r.cpa_qualified_users,
+                       r.total_user_deposits, r.total_user_bets, r.total_commissions, r.total_cpa_amount,
+                       r.level_1_users, r.level_2_users, r.level_3_users, r.level_4_users, r.level_5_users,
+                       r.level_1_commissions, r.level_2_commissions, r.level_3_commissions, r.level_4_commissions, r.level_5_commissions,
+                       r.conversion_rate, r.avg_user_value, r.retention_rate
+                FROM jsonb_to_recordset($1::jsonb) AS r(
+                    affiliate_id INTEGER, period_type VARCHAR, period_start TIMESTAMP, period_end TIMESTAMP,
+                    total_users INTEGER, new_users INTEGER, active_users INTEGER, cpa_qualified_users INTEGER,
+                    total_user_deposits DECIMAL, total_user_bets DECIMAL, total_commissions DECIMAL, total_cpa_amount DECIMAL,
+                    level_1_users INTEGER, level_2_users INTEGER, level_3_users INTEGER, level_4_users INTEGER, level_5_users INTEGER,
+                    level_1_commissions DECIMAL, level_2_commissions DECIMAL, level_3_commissions DECIMAL,
+                    level_4_commissions DECIMAL, level_5_commissions DECIMAL,
+                    conversion_rate DECIMAL, avg_user_value DECIMAL, retention_rate DECIMAL
+                )
+                ON CONFLICT (affiliate_id, period_type, period_start)
+                DO UPDATE SET
+                    period_end = EXCLUDED.period_end,
+                    total_users = EXCLUDED.total_users,
+                    new_users = EXCLUDED.new_users,
+                    active_users = EXCLUDED.active_users,
+                    cpa_qualified_users = EXCLUDED.cpa_qualified_users,
+                    total_user_deposits = EXCLUDED.total_user_deposits,
+                    total_user_bets = EXCLUDED.total_user_bets,
+                    total_commissions = EXCLUDED.total_commissions,
+                    total_cpa_amount = EXCLUDED.total_cpa_amount,
+                    level_1_users = EXCLUDED.level_1_users,
+                    level_2_users = EXCLUDED.level_2_users,
+                    level_3_users = EXCLUDED.level_3_users,
+                    level_4_users = EXCLUDED.level_4_users,
+                    level_5_users = EXCLUDED.level_5_users,
+                    level_1_commissions = EXCLUDED.level_1_commissions,
+                    level_2_commissions = EXCLUDED.level_2_commissions,
+                    level_3_commissions = EXCLUDED.level_3_commissions,
+                    level_4_commissions = EXCLUDED.level_4_commissions,
+                    level_5_commissions = EXCLUDED.level_5_commissions,
+                    conversion_rate = EXCLUDED.conversion_rate,
+                    avg_user_value = EXCLUDED.avg_user_value,
+                    retention_rate = EXCLUDED.retention_rate,
+                    last_updated = CURRENT_TIMESTAMP
+            `;
+
+            // Datas em horário local: as colunas são TIMESTAMP sem fuso, como no upsert unitário
+            const rows = analyticsList.map(analytics => ({
+                ...analytics,
+                period_start: this.toLocalTimestamp(analytics.period_start),
+                period_end: this.toLocalTimestamp(analytics.period_end)
+            }));
+
+            const result = await client.query(query, [JSON.stringify(rows)]);
+            return result.rowCount;
+        } catch (error) {
+            logger.error('Erro ao inserir/atualizar analytics de afiliado em lote:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
     async getAffiliateAnalytics(affiliateId, periodType = null, periodStart = null, periodEnd = null) {
         const client = await this.pool.connect();
         try {
@@ -330,6 +497,188 @@ class DataModel {
         }
     }
 
+    // ===== ROLLUPS (A PARTIR DOS REGISTROS DAILY) =====
+
+    // Consolidar os analytics DAILY de usuário do período em um registro WEEKLY/MONTHLY/YEARLY
+    // Métricas aditivas são somadas, médias recalculadas pelos totais, datas pelo MIN/MAX;
+    // afiliado e valor CPA vêm do último dia com registro (a qualificação é acumulada)
+    async rollupUserAnalytics(periodType, periodStart, periodEnd) {
+        const client = await this.pool.connect();
+        try {
+            const query = `
+                INSERT INTO user_analytics
+                (user_id, affiliate_id, period_type, period_start, period_end,
+                 total_deposits, deposit_count, first_deposit_date, last_deposit_date, avg_deposit_amount,
+                 total_bets, bet_count, first_bet_date, last_bet_date, avg_bet_amount,
+                 days_active, sessions_count, total_session_time_minutes,
+                 total_wins, total_losses, net_result,
+                 cpa_qualified, cpa_qualification_date, cpa_amount)
+                SELECT
+                    user_id,
+                    (ARRAY_AGG(affiliate_id ORDER BY period_start DESC))[1],
+                    $1::varchar, $2::timestamp, $3::timestamp,
+                    SUM(total_deposits),
+                    SUM(deposit_count),
+                    MIN(first_deposit_date),
+                    MAX(last_deposit_date),
+                    COALESCE(ROUND(SUM(total_deposits) / NULLIF(SUM(deposit_count), 0), 2), 0),
+                    SUM(total_bets),
+                    SUM(bet_count),
+                    MIN(first_bet_date),
+                    MAX(last_bet_date),
+                    COALESCE(ROUND(SUM(total_bets) / NULLIF(SUM(bet_count), 0), 2), 0),
+                    SUM(days_active),
+                    SUM(sessions_count),
+                    SUM(total_session_time_minutes),
+                    SUM(total_wins),
+                    SUM(total_losses),
+                    SUM(net_result),
+                    BOOL_OR(cpa_qualified),
+                    MIN(cpa_qualification_date),
+                    (ARRAY_AGG(cpa_amount ORDER BY period_start DESC))[1]
+                FROM user_analytics
+                WHERE period_type = 'DAILY' AND period_start >= $2 AND period_start <= $3
+                GROUP BY user_id
+                ON CONFLICT (user_id, period_type, period_start)
+                DO UPDATE SET
+                    affiliate_id = EXCLUDED.affiliate_id,
+                    period_end = EXCLUDED.period_end,
+                    total_deposits = EXCLUDED.total_deposits,
+                    deposit_count = EXCLUDED.deposit_count,
+                    first_deposit_date = EXCLUDED.first_deposit_date,
+                    last_deposit_date = EXCLUDED.last_deposit_date,
+                    avg_deposit_amount = EXCLUDED.avg_deposit_amount,
+                    total_bets = EXCLUDED.total_bets,
+                    bet_count = EXCLUDED.bet_count,
+                    first_bet_date = EXCLUDED.first_bet_date,
+                    last_bet_date = EXCLUDED.last_bet_date,
+                    avg_bet_amount = EXCLUDED.avg_bet_amount,
+                    days_active = EXCLUDED.days_active,
+                    sessions_count = EXCLUDED.sessions_count,
+                    total_session_time_minutes = EXCLUDED.total_session_time_minutes,
+                    total_wins = EXCLUDED.total_wins,
+                    total_losses = EXCLUDED.total_losses,
+                    net_result = EXCLUDED.net_result,
+                    cpa_qualified = EXCLUDED.cpa_qualified,
+                    cpa_qualification_date = EXCLUDED.cpa_qualification_date,
+                    cpa_amount = EXCLUDED.cpa_amount,
+                    last_updated = CURRENT_TIMESTAMP
+            `;
+
+            const result = await client.query(query, [periodType, periodStart, periodEnd]);
+            return result.rowCount;
+        } catch (error) {
+            logger.error(`Erro ao consolidar analytics ${periodType} de usuários:`, error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Consolidar os analytics DAILY de afiliado do período em um registro WEEKLY/MONTHLY/YEARLY
+    // - Somados: novos usuários, qualificados CPA, depósitos, apostas e comissões
+    // - Posição no fim do período (último dia): total de usuários e usuários por nível
+    // - conversion_rate: média das taxas diárias ponderada pelos novos usuários (FTDs / cadastros)
+    // - Ativos: usuários distintos com registro DAILY ativo (days_active > 0) no período;
+    //   avg_user_value: depósitos do período / ativos
+    // - retention_rate: ativos no período anterior (previousStart..periodStart) que também estão
+    //   ativos no período / ativos no período anterior, pelos registros DAILY dos usuários
+    async rollupAffiliateAnalytics(periodType, periodStart, periodEnd, previousStart) {
+        const client = await this.pool.connect();
+        try {
+            const query = `
+                WITH user_activity AS (
+                    SELECT
+                        affiliate_id,
+                        user_id,
+                        BOOL_OR(period_start >= $2) AS active_in_period,
+                        BOOL_OR(period_start < $2) AS active_in_previous
+                    FROM user_analytics
+                    WHERE period_type = 'DAILY' AND days_active > 0 AND affiliate_id IS NOT NULL
+                      AND period_start >= $4 AND period_start <= $3
+                    GROUP BY affiliate_id, user_id
+                ),
+                activity_stats AS (
+                    SELECT
+                        affiliate_id,
+                        COUNT(*) FILTER (WHERE active_in_period) AS active_users,
+                        COUNT(*) FILTER (WHERE active_in_previous) AS previously_active,
+                        COUNT(*) FILTER (WHERE active_in_previous AND active_in_period) AS retained_users
+                    FROM user_activity
+                    GROUP BY affiliate_id
+                )
+                INSERT INTO affiliate_analytics
+                (affiliate_id, period_type, period_start, period_end,
+                 total_users, new_users, active_users, cpa_qualified_users,
+                 total_user_deposits, total_user_bets, total_commissions, total_cpa_amount,
+                 level_1_users, level_2_users, level_3_users, level_4_users, level_5_users,
+                 level_1_commissions, level_2_commissions, level_3_commissions, level_4_commissions, level_5_commissions,
+                 conversion_rate, avg_user_value, retention_rate)
+                SELECT
+                    a.affiliate_id,
+                    $1::varchar, $2::timestamp, $3::timestamp,
+                    (ARRAY_AGG(a.total_users ORDER BY a.period_start DESC))[1],
+                    SUM(a.new_users),
+                    COALESCE(s.active_users, 0),
+                    SUM(a.cpa_qualified_users),
+                    SUM(a.total_user_deposits),
+                    SUM(a.total_user_bets),
+                    SUM(a.total_commissions),
+                    SUM(a.total_cpa_amount),
+                    (ARRAY_AGG(a.level_1_users ORDER BY a.period_start DESC))[1],
+                    (ARRAY_AGG(a.level_2_users ORDER BY a.period_start DESC))[1],
+                    (ARRAY_AGG(a.level_3_users ORDER BY a.period_start DESC))[1],
+                    (ARRAY_AGG(a.level_4_users ORDER BY a.period_start DESC))[1],
+                    (ARRAY_AGG(a.level_5_users ORDER BY a.period_start DESC))[1],
+                    SUM(a.level_1_commissions),
+                    SUM(a.level_2_commissions),
+                    SUM(a.level_3_commissions),
+                    SUM(a.level_4_commissions),
+                    SUM(a.level_5_commissions),
+                    COALESCE(ROUND(SUM(a.conversion_rate * a.new_users) / NULLIF(SUM(a.new_users), 0), 4), 0),
+                    COALESCE(ROUND(SUM(a.total_user_deposits) / NULLIF(s.active_users, 0), 2), 0),
+                    COALESCE(ROUND(s.retained_users::decimal / NULLIF(s.previously_active, 0), 4), 0)
+                FROM affiliate_analytics a
+                LEFT JOIN activity_stats s ON s.affiliate_id = a.affiliate_id
+                WHERE a.period_type = 'DAILY' AND a.period_start >= $2 AND a.period_start <= $3
+                GROUP BY a.affiliate_id, s.active_users, s.previously_active, s.retained_users
+                ON CONFLICT (affiliate_id, period_type, period_start)
+                DO UPDATE SET
+                    period_end = EXCLUDED.period_end,
+                    total_users = EXCLUDED.total_users,
+                    new_users = EXCLUDED.new_users,
+                    active_users = EXCLUDED.active_users,
+                    cpa_qualified_users = EXCLUDED.cpa_qualified_users,
+                    total_user_deposits = EXCLUDED.total_user_deposits,
+                    total_user_bets = EXCLUDED.total_user_bets,
+                    total_commissions = EXCLUDED.total_commissions,
+                    total_cpa_amount = EXCLUDED.total_cpa_amount,
+                    level_1_users = EXCLUDED.level_1_users,
+                    level_2_users = EXCLUDED.level_2_users,
+                    level_3_users = EXCLUDED.level_3_users,
+                    level_4_users = EXCLUDED.level_4_users,
+                    level_5_users = EXCLUDED.level_5_users,
+                    level_1_commissions = EXCLUDED.level_1_commissions,
+                    level_2_commissions = EXCLUDED.level_2_commissions,
+                    level_3_commissions = EXCLUDED.level_3_commissions,
+                    level_4_commissions = EXCLUDED.level_4_commissions,
+                    level_5_commissions = EXCLUDED.level_5_commissions,
+                    conversion_rate = EXCLUDED.conversion_rate,
+                    avg_user_value = EXCLUDED.avg_user_value,
+                    retention_rate = EXCLUDED.retention_rate,
+                    last_updated = CURRENT_TIMESTAMP
+            `;
+
+            const result = await client.query(query, [periodType, periodStart, periodEnd, previousStart]);
+            return result.rowCount;
+        } catch (error) {
+            logger.error(`Erro ao consolidar analytics ${periodType} de afiliados:`, error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
     // ===== DATA EXPORTS =====
 
     async createDataExport(exportData) {
@@ -464,79 +813,1311 @@ class DataModel {
         }
     }
 
-    // ===== EXTERNAL DATA ACCESS =====
-
-    async getExternalData(tableName, filters = {}, limit = 1000) {
-        const client = await this.externalPool.connect();
+    async recordDataExportDownload(exportId) {
+        const client = await this.pool.connect();
         try {
-            let query = `SELECT * FROM ${tableName} WHERE 1=1`;
-            const params = [];
-            let paramIndex = 1;
-
-            // Aplicar filtros básicos
-            if (filters.dateFrom) {
-                query += ` AND created_at >= $${paramIndex}`;
-                params.push(filters.dateFrom);
-                paramIndex++;
-            }
-
-            if (filters.dateTo) {
-                query += ` AND created_at <= $${paramIndex}`;
-                params.push(filters.dateTo);
-                paramIndex++;
-            }
-
-            if (filters.userId) {
-                query += ` AND user_id = $${paramIndex}`;
-                params.push(filters.userId);
-                paramIndex++;
-            }
+            const query = `
+                UPDATE data_exports
+                SET download_count = download_count + 1,
+                    last_downloaded_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+                RETURNING *
+            `;
 
-            if (filters.affiliateId) {
-                query += ` AND affiliate_id = $${paramIndex}`;
-                params.push(filters.affiliateId);
-                paramIndex++;
-            }
+            const result = await client.query(query, [exportId]);
+            return result.rows[0] || null;
+        } catch (error) {
+            logger.error('Erro ao registrar download da exportação:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
 
-            query += ' ORDER BY created_at DESC';
-            
-            if (limit) {
-                query += ` LIMIT $${paramIndex}`;
-                params.push(limit);
-            }
+    // Exportações vencidas ainda não marcadas como EXPIRED (as em processamento ficam para a próxima varredura)
+    async getExpiredDataExports() {
+        const client = await this.pool.connect();
+        try {
+            const query = `
+                SELECT * FROM data_exports
+                WHERE expires_at < CURRENT_TIMESTAMP
+                  AND status IN ('PENDING', 'COMPLETED', 'FAILED')
+                ORDER BY expires_at
+            `;
 
-            const result = await client.query(query, params);
+            const result = await client.query(query);
             return result.rows;
         } catch (error) {
-            logger.error(`Erro ao buscar dados externos da tabela ${tableName}:`, error);
+            logger.error('Erro ao buscar exportações expiradas:', error);
             throw error;
         } finally {
             client.release();
         }
     }
 
-    // ===== CACHE =====
-
-    async setCache(key, data, ttlSeconds = 3600) {
+    async markDataExportExpired(exportId) {
         const client = await this.pool.connect();
         try {
-            const expiresAt = new Date();
-            expiresAt.setSeconds(expiresAt.getSeconds() + ttlSeconds);
-
             const query = `
-                INSERT INTO data_cache (cache_key, cache_data, cache_type, ttl_seconds, expires_at)
-                VALUES ($1, $2, $3, $4, $5)
-                ON CONFLICT (cache_key)
-                DO UPDATE SET
-                    cache_data = EXCLUDED.cache_data,
-                    ttl_seconds = EXCLUDED.ttl_seconds,
-                    expires_at = EXCLUDED.expires_at,
-                    access_count = data_cache.access_count + 1,
-                    last_accessed_at = CURRENT_TIMESTAMP
+                UPDATE data_exports
+                SET status = 'EXPIRED',
+                    file_path = NULL
+                WHERE id = $1
                 RETURNING *
             `;
 
-            const values = [
+            const result = await client.query(query, [exportId]);
+            return result.rows[0] || null;
+        } catch (error) {
+            logger.error('Erro ao marcar exportação como expirada:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Reservar a próxima exportação pendente (SKIP LOCKED evita que duas instâncias peguem a mesma)
+    async claimNextPendingExport() {
+        const client = await this.pool.connect();
+        try {
+            const query = `
+                UPDATE data_exports
+                SET status = 'PROCESSING',
+                    started_at = CURRENT_TIMESTAMP,
+                    progress_percentage = 0,
+                    records_exported = 0,
+                    error_message = NULL
+                WHERE id = (
+                    SELECT id FROM data_exports
+                    WHERE status = 'PENDING'
+                    ORDER BY created_at
+                    FOR UPDATE SKIP LOCKED
+                    LIMIT 1
+                )
+                RETURNING *
+            `;
+
+            const result = await client.query(query);
+            return result.rows[0] || null;
+        } catch (error) {
+            logger.error('Erro ao reservar exportação pendente:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Devolver para a fila exportações interrompidas (ex.: reinício do serviço durante o processamento)
+    async requeueStaleExports(staleMinutes) {
+        const client = await this.pool.connect();
+        try {
+            const query = `
+                UPDATE data_exports
+                SET status = 'PENDING',
+                    progress_percentage = 0,
+                    records_exported = 0
+                WHERE status = 'PROCESSING'
+                  AND started_at < CURRENT_TIMESTAMP - ($1 || ' minutes')::INTERVAL
+            `;
+
+            const result = await client.query(query, [staleMinutes]);
+            return result.rowCount;
+        } catch (error) {
+            logger.error('Erro ao reenfileirar exportações interrompidas:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Contar registros de uma origem de exportação
+    async countExportRows(source, criteria = {}) {
+        const pool = source.database === 'external' ? this.externalPool : this.pool;
+        const { conditions, params } = this.buildExportConditions(source, criteria);
+
+        try {
+            const query = `SELECT COUNT(*) AS total FROM ${source.table} WHERE ${conditions.join(' AND ')}`;
+            const result = await pool.query(query, params);
+            return parseInt(result.rows[0].total);
+        } catch (error) {
+            logger.error(`Erro ao contar registros para exportação de ${source.table}:`, error);
+            throw error;
+        }
+    }
+
+    // Buscar um lote de registros para exportação (paginação por chave: id > último id)
+    async getExportRows(source, criteria = {}, afterId = null, limit = 1000) {
+        const pool = source.database === 'external' ? this.externalPool : this.pool;
+        const { conditions, params } = this.buildExportConditions(source, criteria);
+
+        if (afterId !== null) {
+            params.push(afterId);
+            conditions.push(`id > $${params.length}`);
+        }
+
+        params.push(limit);
+
+        try {
+            const query = `
+                SELECT ${source.columns ? source.columns.join(', ') : '*'}
+                FROM ${source.table}
+                WHERE ${conditions.join(' AND ')}
+                ORDER BY id
+                LIMIT $${params.length}
+            `;
+
+            const result = await pool.query(query, params);
+            return result.rows;
+        } catch (error) {
+            logger.error(`Erro ao buscar registros para exportação de ${source.table}:`, error);
+            throw error;
+        }
+    }
+
+    buildExportConditions(source, criteria) {
+        const conditions = ['1=1'];
+        const params = [];
+
+        if (criteria.dateFrom) {
+            params.push(criteria.dateFrom);
+            conditions.push(`${source.dateField} >= $${params.length}`);
+        }
+
+        if (criteria.dateTo) {
+            params.push(criteria.dateTo);
+            conditions.push(`${source.dateField} <= $${params.length}`);
+        }
+
+        // Apenas filtros mapeados pela origem viram condições (nomes de coluna nunca vêm do cliente)
+        Object.entries(criteria.filters || {}).forEach(([filter, value]) => {
+            const column = source.filterFields[filter];
+            if (!column || value === null || value === undefined) {
+                return;
+            }
+
+            if (Array.isArray(value)) {
+                params.push(value);
+                conditions.push(`${column} = ANY($${params.length})`);
+            } else {
+                params.push(value);
+                conditions.push(`${column} = $${params.length}`);
+            }
+        });
+
+        return { conditions, params };
+    }
+
+    // ===== JOBS DE ANALYTICS =====
+
+    async createAnalyticsJob(jobData) {
+        const client = await this.pool.connect();
+        try {
+            const query = `
+                INSERT INTO analytics_jobs
+                (entity_type, period_type, period_start, period_end, scope, touched_since,
+                 trigger_type, batch_size, requested_by)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+                RETURNING *
+            `;
+
+            const values = [
+                jobData.entity_type,
+                jobData.period_type,
+                jobData.period_start,
+                jobData.period_end,
+                jobData.scope || 'ALL',
+                jobData.touched_since || null,
+                jobData.trigger_type || 'MANUAL',
+                jobData.batch_size || 500,
+                jobData.requested_by || null
+            ];
+
+            const result = await client.query(query, values);
+            return result.rows[0];
+        } catch (error) {
+            logger.error('Erro ao criar job de analytics:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    async getAnalyticsJob(jobId) {
+        const client = await this.pool.connect();
+        try {
+            const result = await client.query('SELECT * FROM analytics_jobs WHERE id = $1', [jobId]);
+            return result.rows[0] || null;
+        } catch (error) {
+            logger.error('Erro ao buscar job de analytics:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    async getAnalyticsJobs(filters = {}) {
+        const client = await this.pool.connect();
+        try {
+            let query = 'SELECT * FROM analytics_jobs WHERE 1=1';
+            const params = [];
+            let paramIndex = 1;
+
+            if (filters.status) {
+                query += ` AND status = $${paramIndex}`;
+                params.push(filters.status);
+                paramIndex++;
+            }
+
+            if (filters.entity_type) {
+                query += ` AND entity_type = $${paramIndex}`;
+                params.push(filters.entity_type);
+                paramIndex++;
+            }
+
+            if (filters.period_type) {
+                query += ` AND period_type = $${paramIndex}`;
+                params.push(filters.period_type);
+                paramIndex++;
+            }
+
+            query += ' ORDER BY created_at DESC';
+
+            if (filters.limit) {
+                query += ` LIMIT $${paramIndex}`;
+                params.push(filters.limit);
+            }
+
+            const result = await client.query(query, params);
+            return result.rows;
+        } catch (error) {
+            logger.error('Erro ao buscar jobs de analytics:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Job ainda na fila ou em processamento para o mesmo período e escopo
+    async findActiveAnalyticsJob({ entity_type, period_type, period_start, scope }) {
+        const client = await this.pool.connect();
+        try {
+            const query = `
+                SELECT * FROM analytics_jobs
+                WHERE entity_type = $1 AND period_type = $2 AND period_start = $3 AND scope = $4
+                  AND status IN ('PENDING', 'PROCESSING')
+                ORDER BY created_at
+                LIMIT 1
+            `;
+
+            const result = await client.query(query, [entity_type, period_type, period_start, scope]);
+            return result.rows[0] || null;
+        } catch (error) {
+            logger.error('Erro ao buscar job de analytics ativo:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Início do último job concluído do período (a partir dele, as entidades "tocadas")
+    async getLastAnalyticsJobStart({ entity_type, period_type, period_start }) {
+        const client = await this.pool.connect();
+        try {
+            const query = `
+                SELECT MAX(started_at) AS started_at
+                FROM analytics_jobs
+                WHERE entity_type = $1 AND period_type = $2 AND period_start = $3 AND status = 'COMPLETED'
+            `;
+
+            const result = await client.query(query, [entity_type, period_type, period_start]);
+            return result.rows[0].started_at;
+        } catch (error) {
+            logger.error('Erro ao buscar último job de analytics concluído:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Reservar o próximo job pendente (SKIP LOCKED evita que duas instâncias peguem o mesmo)
+    // started_at é preservado na retomada de um job interrompido
+    async claimNextAnalyticsJob() {
+        const client = await this.pool.connect();
+        try {
+            const query = `
+                UPDATE analytics_jobs
+                SET status = 'PROCESSING',
+                    started_at = COALESCE(started_at, CURRENT_TIMESTAMP),
+                    heartbeat_at = CURRENT_TIMESTAMP,
+                    completed_at = NULL,
+                    error_message = NULL
+                WHERE id = (
+                    SELECT id FROM analytics_jobs
+                    WHERE status = 'PENDING'
+                    ORDER BY created_at
+                    FOR UPDATE SKIP LOCKED
+                    LIMIT 1
+                )
+                RETURNING *
+            `;
+
+            const result = await client.query(query);
+            return result.rows[0] || null;
+        } catch (error) {
+            logger.error('Erro ao reservar job de analytics pendente:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Atualizar progresso/estado de um job em processamento
+    // Retorna null quando o job deixou de estar em PROCESSING (ex.: cancelado pela API)
+    async updateAnalyticsJobProgress(jobId, changes) {
+        const fields = [
+            'status', 'last_entity_id', 'entities_total', 'entities_processed', 'entities_failed',
+            'progress_percentage', 'completed_at', 'error_message'
+        ].filter(field => changes[field] !== undefined);
+
+        const client = await this.pool.connect();
+        try {
+            const assignments = fields.map((field, index) => `${field} = $${index + 2}`);
+            const query = `
+                UPDATE analytics_jobs
+                SET ${[...assignments, 'heartbeat_at = CURRENT_TIMESTAMP'].join(', ')}
+                WHERE id = $1 AND status = 'PROCESSING'
+                RETURNING *
+            `;
+
+            const result = await client.query(query, [jobId, ...fields.map(field => changes[field])]);
+            return result.rows[0] || null;
+        } catch (error) {
+            logger.error('Erro ao atualizar progresso do job de analytics:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Cancelar job pendente ou em processamento (o worker para no próximo checkpoint)
+    async cancelAnalyticsJob(jobId) {
+        const client = await this.pool.connect();
+        try {
+            const query = `
+                UPDATE analytics_jobs
+                SET status = 'CANCELLED', completed_at = CURRENT_TIMESTAMP
+                WHERE id = $1 AND status IN ('PENDING', 'PROCESSING')
+                RETURNING *
+            `;
+
+            const result = await client.query(query, [jobId]);
+            return result.rows[0] || null;
+        } catch (error) {
+            logger.error('Erro ao cancelar job de analytics:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Devolver para a fila um job falho ou cancelado, mantendo o checkpoint
+    async resumeAnalyticsJob(jobId) {
+        const client = await this.pool.connect();
+        try {
+            const query = `
+                UPDATE analytics_jobs
+                SET status = 'PENDING', completed_at = NULL, error_message = NULL
+                WHERE id = $1 AND status IN ('FAILED', 'CANCELLED')
+                RETURNING *
+            `;
+
+            const result = await client.query(query, [jobId]);
+            return result.rows[0] || null;
+        } catch (error) {
+            logger.error('Erro ao retomar job de analytics:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Devolver para a fila jobs sem heartbeat recente (ex.: reinício do serviço durante o processamento)
+    // O checkpoint é mantido: o job continua de onde parou
+    async requeueStaleAnalyticsJobs(staleMinutes) {
+        const client = await this.pool.connect();
+        try {
+            const query = `
+                UPDATE analytics_jobs
+                SET status = 'PENDING'
+                WHERE status = 'PROCESSING'
+                  AND heartbeat_at < CURRENT_TIMESTAMP - ($1 || ' minutes')::INTERVAL
+            `;
+
+            const result = await client.query(query, [staleMinutes]);
+            return result.rowCount;
+        } catch (error) {
+            logger.error('Erro ao reenfileirar jobs de analytics interrompidos:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // ===== EXTERNAL DATA ACCESS =====
+
+    async getExternalData(tableName, filters = {}, limit = 1000) {
+        const client = await this.externalPool.connect();
+        try {
+            let query = `SELECT * FROM ${tableName} WHERE 1=1`;
+            const params = [];
+            let paramIndex = 1;
+
+            // Aplicar filtros básicos
+            if (filters.dateFrom) {
+                query += ` AND created_at >= $${paramIndex}`;
+                params.push(filters.dateFrom);
+                paramIndex++;
+            }
+
+            if (filters.dateTo) {
+                query += ` AND created_at <= $${paramIndex}`;
+                params.push(filters.dateTo);
+                paramIndex++;
+            }
+
+            if (filters.userId) {
+                query += ` AND user_id = $${paramIndex}`;
+                params.push(filters.userId);
+                paramIndex++;
+            }
+
+            if (filters.affiliateId) {
+                query += ` AND affiliate_id = $${paramIndex}`;
+                params.push(filters.affiliateId);
+                paramIndex++;
+            }
+
+            query += ' ORDER BY created_at DESC';
+            
+            if (limit) {
+                query += ` LIMIT $${paramIndex}`;
+                params.push(limit);
+            }
+
+            const result = await client.query(query, params);
+            return result.rows;
+        } catch (error) {
+            logger.error(`Erro ao buscar dados externos da tabela ${tableName}:`, error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // ===== MÉTRICAS DE AFILIADO (BANCO DA OPERAÇÃO) =====
+
+    // CTE recursiva da rede de indicações do afiliado ($1) até a profundidade informada
+    // O pai de cada usuário é affiliate_id (ou referrer_id, na falta dele); `path` guarda
+    // os IDs já visitados no ramo e impede ciclos
+    buildReferralNetworkCte(depthParam) {
+        return `
+            referral_network AS (
+                SELECT
+                    u.id,
+                    COALESCE(u.affiliate_id, u.referrer_id) AS parent_id,
+                    u.created_at,
+                    1 AS level,
+                    ARRAY[$1::bigint, u.id::bigint] AS path
+                FROM users u
+                WHERE COALESCE(u.affiliate_id, u.referrer_id) = $1::bigint
+                  AND u.id <> $1::bigint
+                UNION ALL
+                SELECT
+                    u.id,
+                    n.id AS parent_id,
+                    u.created_at,
+                    n.level + 1,
+                    n.path || u.id::bigint
+                FROM users u
+                JOIN referral_network n ON COALESCE(u.affiliate_id, u.referrer_id) = n.id
+                WHERE n.level < ${depthParam}
+                  AND NOT (u.id::bigint = ANY(n.path))
+            )
+        `;
+    }
+
+    // Redes de vários afiliados ($1 = array de ids) em um único CTE; cada linha traz o afiliado
+    // raiz (affiliate_id), e um usuário aparece uma vez por rede de que faz parte
+    buildReferralNetworksCte(depthParam) {
+        return `
+            referral_networks AS (
+                SELECT
+                    COALESCE(u.affiliate_id, u.referrer_id)::bigint AS affiliate_id,
+                    u.id,
+                    u.created_at,
+                    1 AS level,
+                    ARRAY[COALESCE(u.affiliate_id, u.referrer_id)::bigint, u.id::bigint] AS path
+                FROM users u
+                WHERE COALESCE(u.affiliate_id, u.referrer_id) = ANY($1::bigint[])
+                  AND u.id <> COALESCE(u.affiliate_id, u.referrer_id)
+                UNION ALL
+                SELECT
+                    n.affiliate_id,
+                    u.id,
+                    u.created_at,
+                    n.level + 1,
+                    n.path || u.id::bigint
+                FROM users u
+                JOIN referral_networks n ON COALESCE(u.affiliate_id, u.referrer_id) = n.id
+                WHERE n.level < ${depthParam}
+                  AND NOT (u.id::bigint = ANY(n.path))
+            )
+        `;
+    }
+
+    // Rede de indicações (árvore) do afiliado até maxDepth níveis
+    async getReferralNetwork(affiliateId, maxDepth = 5) {
+        const client = await this.externalPool.connect();
+        try {
+            const query = `
+                WITH RECURSIVE ${this.buildReferralNetworkCte('$2')}
+                SELECT n.id AS user_id, n.parent_id, n.level, n.created_at, u.username, u.status
+                FROM referral_network n
+                JOIN users u ON u.id = n.id
+                ORDER BY n.level, n.created_at
+            `;
+
+            const result = await client.query(query, [affiliateId, maxDepth]);
+            return result.rows;
+        } catch (error) {
+            logger.error(`Erro ao buscar rede de indicações do afiliado ${affiliateId}:`, error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Agregados por usuário da rede do afiliado (nível 1 = indicados diretos), em uma única consulta
+    // Valores acumulados antes do período e até o fim dele permitem saber quem qualificou
+    // para CPA dentro do período; previousStart delimita o período anterior (retenção)
+    async getReferralNetworkStats(affiliateId, periodStart, periodEnd, previousStart, maxDepth = 5) {
+        const users = await this.getReferralNetworkStatsBatch([affiliateId], periodStart, periodEnd, previousStart, maxDepth);
+        return users.map(({ affiliate_id, ...user }) => user);
+    }
+
+    // Mesmos agregados de getReferralNetworkStats para um lote de afiliados (jobs de analytics)
+    // As métricas de cada usuário são calculadas uma vez, mesmo que ele pertença a várias redes
+    async getReferralNetworkStatsBatch(affiliateIds, periodStart, periodEnd, previousStart, maxDepth = 5) {
+        if (!affiliateIds.length) return [];
+
+        const client = await this.externalPool.connect();
+        try {
+            const query = `
+                WITH RECURSIVE ${this.buildReferralNetworksCte('$5')},
+                affiliate_users AS (
+                    SELECT affiliate_id, id, created_at, level
+                    FROM referral_networks
+                    WHERE created_at <= $3
+                ),
+                network_users AS (
+                    SELECT DISTINCT id FROM affiliate_users
+                ),
+                deposit_stats AS (
+                    SELECT
+                        d.user_id,
+                        COALESCE(SUM(d.amount) FILTER (WHERE d.created_at < $2), 0) AS deposits_before,
+                        COALESCE(SUM(d.amount), 0) AS deposits_until_end,
+                        COALESCE(SUM(d.amount) FILTER (WHERE d.created_at >= $2), 0) AS period_deposits,
+                        COUNT(*) FILTER (WHERE d.created_at >= $2) AS period_deposit_count,
+                        MIN(d.created_at) AS first_deposit_at,
+                        (ARRAY_AGG(d.amount ORDER BY d.created_at, d.id))[1] AS first_deposit_amount
+                    FROM deposits d
+                    JOIN network_users u ON u.id = d.user_id
+                    WHERE d.created_at <= $3
+                      AND LOWER(d.status) = ANY($6)
+                    GROUP BY d.user_id
+                ),
+                bet_stats AS (
+                    SELECT
+                        b.user_id,
+                        COALESCE(SUM(b.amount) FILTER (WHERE b.created_at < $2), 0) AS bets_before,
+                        COUNT(*) FILTER (WHERE b.created_at < $2) AS bet_count_before,
+                        COALESCE(SUM(b.amount), 0) AS bets_until_end,
+                        COUNT(*) AS bet_count_until_end,
+                        COALESCE(SUM(b.amount) FILTER (WHERE b.created_at >= $2), 0) AS period_bets,
+                        COUNT(*) FILTER (WHERE b.created_at >= $2) AS period_bet_count
+                    FROM bets b
+                    JOIN network_users u ON u.id = b.user_id
+                    WHERE b.created_at <= $3
+                    GROUP BY b.user_id
+                ),
+                activity AS (
+                    SELECT b.user_id, b.created_at FROM bets b
+                    JOIN network_users u ON u.id = b.user_id
+                    WHERE b.created_at <= $3
+                    UNION ALL
+                    SELECT d.user_id, d.created_at FROM deposits d
+                    JOIN network_users u ON u.id = d.user_id
+                    WHERE d.created_at <= $3
+                      AND LOWER(d.status) = ANY($6)
+                ),
+                activity_stats AS (
+                    SELECT
+                        user_id,
+                        COUNT(DISTINCT created_at::date) FILTER (WHERE created_at < $2) AS days_active_before,
+                        COUNT(DISTINCT created_at::date) AS days_active_until_end,
+                        BOOL_OR(created_at >= $2) AS active_in_period,
+                        BOOL_OR(created_at >= $4 AND created_at < $2) AS active_in_previous
+                    FROM activity
+                    GROUP BY user_id
+                )
+                SELECT
+                    u.affiliate_id,
+                    u.id AS user_id,
+                    u.created_at,
+                    u.level,
+                    COALESCE(ds.deposits_before, 0) AS deposits_before,
+                    COALESCE(ds.deposits_until_end, 0) AS deposits_until_end,
+                    COALESCE(ds.period_deposits, 0) AS period_deposits,
+                    COALESCE(ds.period_deposit_count, 0) AS period_deposit_count,
+                    ds.first_deposit_at,
+                    ds.first_deposit_amount,
+                    COALESCE(bs.bets_before, 0) AS bets_before,
+                    COALESCE(bs.bet_count_before, 0) AS bet_count_before,
+                    COALESCE(bs.bets_until_end, 0) AS bets_until_end,
+                    COALESCE(bs.bet_count_until_end, 0) AS bet_count_until_end,
+                    COALESCE(bs.period_bets, 0) AS period_bets,
+                    COALESCE(bs.period_bet_count, 0) AS period_bet_count,
+                    COALESCE(a.days_active_before, 0) AS days_active_before,
+                    COALESCE(a.days_active_until_end, 0) AS days_active_until_end,
+                    COALESCE(a.active_in_period, FALSE) AS active_in_period,
+                    COALESCE(a.active_in_previous, FALSE) AS active_in_previous
+                FROM affiliate_users u
+                LEFT JOIN deposit_stats ds ON ds.user_id = u.id
+                LEFT JOIN bet_stats bs ON bs.user_id = u.id
+                LEFT JOIN activity_stats a ON a.user_id = u.id
+                ORDER BY u.affiliate_id, u.level, u.id
+            `;
+
+            const result = await client.query(query, [
+                affiliateIds, periodStart, periodEnd, previousStart, maxDepth, CONFIRMED_DEPOSIT_STATUSES
+            ]);
+
+            return result.rows.map(row => ({
+                affiliate_id: parseInt(row.affiliate_id),
+                user_id: row.user_id,
+                created_at: row.created_at,
+                level: row.level,
+                deposits_before: parseFloat(row.deposits_before),
+                deposits_until_end: parseFloat(row.deposits_until_end),
+                period_deposits: parseFloat(row.period_deposits),
+                period_deposit_count: parseInt(row.period_deposit_count),
+                first_deposit_at: row.first_deposit_at,
+                first_deposit_amount: row.first_deposit_amount !== null ? parseFloat(row.first_deposit_amount) : null,
+                bets_before: parseFloat(row.bets_before),
+                bet_count_before: parseInt(row.bet_count_before),
+                bets_until_end: parseFloat(row.bets_until_end),
+                bet_count_until_end: parseInt(row.bet_count_until_end),
+                period_bets: parseFloat(row.period_bets),
+                period_bet_count: parseInt(row.period_bet_count),
+                days_active_before: parseInt(row.days_active_before),
+                days_active_until_end: parseInt(row.days_active_until_end),
+                active_in_period: row.active_in_period,
+                active_in_previous: row.active_in_previous
+            }));
+        } catch (error) {
+            logger.error('Erro ao buscar métricas das redes de afiliados:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // ===== ANALYTICS EM LOTE (BANCO DA OPERAÇÃO) =====
+
+    // Usuários candidatos de um job: cadastrados até o fim do período ($2) e com atividade
+    // (transação, aposta ou depósito) no período ($1..$2). Com touchedSince ($3), apenas os
+    // que tiveram atividade registrada ou o cadastro alterado a partir dele
+    buildUserAnalyticsCandidateFilter() {
+        const activitySince = table => `
+            EXISTS (
+                SELECT 1 FROM ${table} x
+                WHERE x.user_id = u.id AND x.created_at >= $1 AND x.created_at <= $2
+                  AND ($3::timestamp IS NULL OR x.created_at >= $3::timestamp)
+            )
+        `;
+
+        return `
+            u.created_at <= $2
+            AND (
+                EXISTS (SELECT 1 FROM transactions x WHERE x.user_id = u.id AND x.created_at >= $1 AND x.created_at <= $2)
+                OR EXISTS (SELECT 1 FROM bets x WHERE x.user_id = u.id AND x.created_at >= $1 AND x.created_at <= $2)
+                OR EXISTS (SELECT 1 FROM deposits x WHERE x.user_id = u.id AND x.created_at >= $1 AND x.created_at <= $2)
+            )
+            AND (
+                $3::timestamp IS NULL
+                OR u.updated_at >= $3::timestamp
+                OR ${activitySince('transactions')}
+                OR ${activitySince('bets')}
+                OR ${activitySince('deposits')}
+            )
+        `;
+    }
+
+    async countUserAnalyticsCandidates({ periodStart, periodEnd, touchedSince = null }) {
+        const client = await this.externalPool.connect();
+        try {
+            const query = `SELECT COUNT(*) AS total FROM users u WHERE ${this.buildUserAnalyticsCandidateFilter()}`;
+            const result = await client.query(query, [periodStart, periodEnd, touchedSince]);
+            return parseInt(result.rows[0].total);
+        } catch (error) {
+            logger.error('Erro ao contar usuários do job de analytics:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Métricas do período de um lote de usuários candidatos (paginação por id, após afterId)
+    // Uma única consulta agregada substitui as buscas por usuário de getUserDataForPeriod;
+    // os totais acumulados até o fim do período alimentam a pré-avaliação das regras CPA
+    async getUserAnalyticsBatch({ periodStart, periodEnd, touchedSince = null, afterId = 0, limit = 500 }) {
+        const client = await this.externalPool.connect();
+        try {
+            const query = `
+                WITH batch AS (
+                    SELECT u.id, u.affiliate_id
+                    FROM users u
+                    WHERE u.id > $4 AND ${this.buildUserAnalyticsCandidateFilter()}
+                    ORDER BY u.id
+                    LIMIT $5
+                ),
+                deposit_stats AS (
+                    SELECT
+                        d.user_id,
+                        COALESCE(SUM(d.amount) FILTER (WHERE d.created_at >= $1), 0) AS period_deposits,
+                        COUNT(*) FILTER (WHERE d.created_at >= $1) AS period_deposit_count,
+                        MIN(d.created_at) FILTER (WHERE d.created_at >= $1) AS first_deposit_date,
+                        MAX(d.created_at) FILTER (WHERE d.created_at >= $1) AS last_deposit_date,
+                        COALESCE(SUM(d.amount), 0) AS deposits_until_end
+                    FROM deposits d
+                    JOIN batch ON batch.id = d.user_id
+                    WHERE d.created_at <= $2
+                      AND LOWER(d.status) = ANY($6)
+                    GROUP BY d.user_id
+                ),
+                bet_stats AS (
+                    SELECT
+                        b.user_id,
+                        COALESCE(SUM(b.amount) FILTER (WHERE b.created_at >= $1), 0) AS period_bets,
+                        COUNT(*) FILTER (WHERE b.created_at >= $1) AS period_bet_count,
+                        MIN(b.created_at) FILTER (WHERE b.created_at >= $1) AS first_bet_date,
+                        MAX(b.created_at) FILTER (WHERE b.created_at >= $1) AS last_bet_date,
+                        COALESCE(SUM(b.win_amount) FILTER (WHERE b.created_at >= $1 AND b.result = 'win'), 0) AS total_wins,
+                        COALESCE(SUM(b.amount) FILTER (WHERE b.created_at >= $1 AND b.result = 'loss'), 0) AS total_losses,
+                        COALESCE(SUM(b.amount), 0) AS bets_until_end,
+                        COUNT(*) AS bet_count_until_end
+                    FROM bets b
+                    JOIN batch ON batch.id = b.user_id
+                    WHERE b.created_at <= $2
+                    GROUP BY b.user_id
+                ),
+                period_activity AS (
+                    SELECT user_id, COUNT(DISTINCT created_at::date) AS days_active, COUNT(*) AS activity_count
+                    FROM (
+                        SELECT t.user_id, t.created_at FROM transactions t
+                        JOIN batch ON batch.id = t.user_id
+                        WHERE t.created_at >= $1 AND t.created_at <= $2
+                        UNION ALL
+                        SELECT b.user_id, b.created_at FROM bets b
+                        JOIN batch ON batch.id = b.user_id
+                        WHERE b.created_at >= $1 AND b.created_at <= $2
+                    ) a
+                    GROUP BY user_id
+                ),
+                cpa_activity AS (
+                    SELECT user_id, COUNT(DISTINCT created_at::date) AS days_active_until_end
+                    FROM (
+                        SELECT b.user_id, b.created_at FROM bets b
+                        JOIN batch ON batch.id = b.user_id
+                        WHERE b.created_at <= $2
+                        UNION ALL
+                        SELECT d.user_id, d.created_at FROM deposits d
+                        JOIN batch ON batch.id = d.user_id
+                        WHERE d.created_at <= $2
+                          AND LOWER(d.status) = ANY($6)
+                    ) a
+                    GROUP BY user_id
+                )
+                SELECT
+                    batch.id AS user_id,
+                    batch.affiliate_id,
+                    COALESCE(ds.period_deposits, 0) AS period_deposits,
+                    COALESCE(ds.period_deposit_count, 0) AS period_deposit_count,
+                    ds.first_deposit_date,
+                    ds.last_deposit_date,
+                    COALESCE(ds.deposits_until_end, 0) AS deposits_until_end,
+                    COALESCE(bs.period_bets, 0) AS period_bets,
+                    COALESCE(bs.period_bet_count, 0) AS period_bet_count,
+                    bs.first_bet_date,
+                    bs.last_bet_date,
+                    COALESCE(bs.total_wins, 0) AS total_wins,
+                    COALESCE(bs.total_losses, 0) AS total_losses,
+                    COALESCE(bs.bets_until_end, 0) AS bets_until_end,
+                    COALESCE(bs.bet_count_until_end, 0) AS bet_count_until_end,
+                    COALESCE(pa.days_active, 0) AS days_active,
+                    COALESCE(pa.activity_count, 0) AS activity_count,
+                    COALESCE(ca.days_active_until_end, 0) AS days_active_until_end
+                FROM batch
+                LEFT JOIN deposit_stats ds ON ds.user_id = batch.id
+                LEFT JOIN bet_stats bs ON bs.user_id = batch.id
+                LEFT JOIN period_activity pa ON pa.user_id = batch.id
+                LEFT JOIN cpa_activity ca ON ca.user_id = batch.id
+                ORDER BY batch.id
+            `;
+
+            const result = await client.query(query, [
+                periodStart, periodEnd, touchedSince, afterId, limit, CONFIRMED_DEPOSIT_STATUSES
+            ]);
+
+            return result.rows.map(row => ({
+                user_id: parseInt(row.user_id),
+                affiliate_id: row.affiliate_id,
+                period_deposits: parseFloat(row.period_deposits),
+                period_deposit_count: parseInt(row.period_deposit_count),
+                first_deposit_date: row.first_deposit_date,
+                last_deposit_date: row.last_deposit_date,
+                deposits_until_end: parseFloat(row.deposits_until_end),
+                period_bets: parseFloat(row.period_bets),
+                period_bet_count: parseInt(row.period_bet_count),
+                first_bet_date: row.first_bet_date,
+                last_bet_date: row.last_bet_date,
+                total_wins: parseFloat(row.total_wins),
+                total_losses: parseFloat(row.total_losses),
+                bets_until_end: parseFloat(row.bets_until_end),
+                bet_count_until_end: parseInt(row.bet_count_until_end),
+                days_active: parseInt(row.days_active),
+                activity_count: parseInt(row.activity_count),
+                days_active_until_end: parseInt(row.days_active_until_end)
+            }));
+        } catch (error) {
+            logger.error('Erro ao buscar lote de usuários do job de analytics:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Depósitos confirmados e apostas de vários usuários até `until` (instante exato da qualificação CPA)
+    // Retorna Map user_id -> { deposits, bets } em ordem cronológica
+    async getUsersCpaActivity(userIds, until = new Date()) {
+        const activity = new Map(userIds.map(userId => [String(userId), { deposits: [], bets: [] }]));
+        if (!userIds.length) return activity;
+
+        const client = await this.externalPool.connect();
+        try {
+            const deposits = await client.query(
+                `SELECT user_id, amount, created_at FROM deposits
+                 WHERE user_id = ANY($1) AND created_at <= $2 AND LOWER(status) = ANY($3)
+                 ORDER BY user_id, created_at`,
+                [userIds, until, CONFIRMED_DEPOSIT_STATUSES]
+            );
+            const bets = await client.query(
+                'SELECT user_id, amount, created_at FROM bets WHERE user_id = ANY($1) AND created_at <= $2 ORDER BY user_id, created_at',
+                [userIds, until]
+            );
+
+            deposits.rows.forEach(({ user_id, ...deposit }) => activity.get(String(user_id)).deposits.push(deposit));
+            bets.rows.forEach(({ user_id, ...bet }) => activity.get(String(user_id)).bets.push(bet));
+
+            return activity;
+        } catch (error) {
+            logger.error('Erro ao buscar atividade CPA dos usuários:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Afiliados candidatos de um job: todo usuário que é pai direto de alguém cadastrado até
+    // o fim do período. Com touchedSince, apenas os ancestrais (até maxDepth níveis) dos usuários
+    // com aposta/depósito no período registrados a partir dele, ou com cadastro alterado
+    buildAffiliateAnalyticsCandidates({ periodStart, periodEnd, touchedSince = null, maxDepth = 5 }) {
+        if (!touchedSince) {
+            return {
+                cte: `
+                    candidates AS (
+                        SELECT DISTINCT COALESCE(u.affiliate_id, u.referrer_id)::bigint AS affiliate_id
+                        FROM users u
+                        WHERE COALESCE(u.affiliate_id, u.referrer_id) IS NOT NULL
+                          AND u.created_at <= $1
+                    )
+                `,
+                params: [periodEnd]
+            };
+        }
+
+        return {
+            cte: `
+                touched_users AS (
+                    SELECT u.id
+                    FROM users u
+                    WHERE u.created_at <= $2
+                      AND (
+                          u.updated_at >= $3::timestamp
+                          OR EXISTS (
+                              SELECT 1 FROM bets b
+                              WHERE b.user_id = u.id AND b.created_at >= GREATEST($1::timestamp, $3::timestamp) AND b.created_at <= $2
+                          )
+                          OR EXISTS (
+                              SELECT 1 FROM deposits d
+                              WHERE d.user_id = u.id AND d.created_at >= GREATEST($1::timestamp, $3::timestamp) AND d.created_at <= $2
+                          )
+                      )
+                ),
+                ancestors AS (
+                    SELECT COALESCE(u.affiliate_id, u.referrer_id)::bigint AS affiliate_id, 1 AS level
+                    FROM users u
+                    JOIN touched_users t ON t.id = u.id
+                    WHERE COALESCE(u.affiliate_id, u.referrer_id) IS NOT NULL
+                    UNION
+                    SELECT COALESCE(p.affiliate_id, p.referrer_id)::bigint, a.level + 1
+                    FROM ancestors a
+                    JOIN users p ON p.id = a.affiliate_id
+                    WHERE a.level < $4
+                      AND COALESCE(p.affiliate_id, p.referrer_id) IS NOT NULL
+                ),
+                candidates AS (
+                    SELECT DISTINCT affiliate_id FROM ancestors
+                )
+            `,
+            params: [periodStart, periodEnd, touchedSince, maxDepth]
+        };
+    }
+
+    async countAffiliateAnalyticsCandidates(options) {
+        const client = await this.externalPool.connect();
+        try {
+            const { cte, params } = this.buildAffiliateAnalyticsCandidates(options);
+            const query = `
+                WITH RECURSIVE ${cte}
+                SELECT COUNT(*) AS total FROM candidates
+            `;
+
+            const result = await client.query(query, params);
+            return parseInt(result.rows[0].total);
+        } catch (error) {
+            logger.error('Erro ao contar afiliados do job de analytics:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // IDs de um lote de afiliados candidatos (paginação por id, após afterId)
+    async getAffiliateAnalyticsBatch({ afterId = 0, limit = 500, ...options }) {
+        const client = await this.externalPool.connect();
+        try {
+            const { cte, params } = this.buildAffiliateAnalyticsCandidates(options);
+            const query = `
+                WITH RECURSIVE ${cte}
+                SELECT affiliate_id FROM candidates
+                WHERE affiliate_id > $${params.length + 1}
+                ORDER BY affiliate_id
+                LIMIT $${params.length + 2}
+            `;
+
+            const result = await client.query(query, [...params, afterId, limit]);
+            return result.rows.map(row => parseInt(row.affiliate_id));
+        } catch (error) {
+            logger.error('Erro ao buscar lote de afiliados do job de analytics:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // ===== COORTES =====
+
+    // Matriz de coortes calculada no banco da operação (uma linha por coorte x deslocamento)
+    // basis: REGISTRATION (cadastro) ou FTD (primeiro depósito confirmado); period: WEEK | MONTH
+    // O deslocamento N de cada usuário é contado a partir do próprio cadastro/FTD, em `unit`;
+    // só entram na célula os usuários que já alcançaram o início do deslocamento (elegíveis)
+    async getCohortRetentionStats({ affiliateId = null, basis, period, unit, maxOffset, from, to }) {
+        const trunc = { WEEK: 'week', MONTH: 'month' }[period];
+        const interval = { DAY: 'day', WEEK: 'week', MONTH: 'month' }[unit];
+        if (!trunc || !interval || !['REGISTRATION', 'FTD'].includes(basis)) {
+            throw new Error(`Coorte inválida: ${basis}/${period}/${unit}`);
+        }
+
+        const offsetExpr = unit === 'MONTH'
+            ? '(EXTRACT(YEAR FROM AGE(e.created_at, c.anchor)) * 12 + EXTRACT(MONTH FROM AGE(e.created_at, c.anchor)))::int'
+            : `FLOOR(EXTRACT(EPOCH FROM (e.created_at - c.anchor)) / ${unit === 'DAY' ? 86400 : 604800})::int`;
+
+        const client = await this.externalPool.connect();
+        try {
+            const query = `
+                WITH first_deposits AS (
+                    SELECT d.user_id, MIN(d.created_at) AS first_deposit_at
+                    FROM deposits d
+                    WHERE LOWER(d.status) = ANY($5)
+                    GROUP BY d.user_id
+                ),
+                cohorts AS (
+                    SELECT
+                        u.id AS user_id,
+                        ${basis === 'FTD' ? 'fd.first_deposit_at' : 'u.created_at'} AS anchor,
+                        DATE_TRUNC('${trunc}', ${basis === 'FTD' ? 'fd.first_deposit_at' : 'u.created_at'}) AS cohort_start
+                    FROM users u
+                    ${basis === 'FTD' ? 'JOIN first_deposits fd ON fd.user_id = u.id' : ''}
+                    WHERE ($1::bigint IS NULL OR COALESCE(u.affiliate_id, u.referrer_id) = $1::bigint)
+                      AND ${basis === 'FTD' ? 'fd.first_deposit_at' : 'u.created_at'} >= $2
+                      AND ${basis === 'FTD' ? 'fd.first_deposit_at' : 'u.created_at'} < $3
+                ),
+                events AS (
+                    SELECT b.user_id, b.created_at, 0 AS deposit_amount, b.amount AS bet_amount
+                    FROM bets b
+                    JOIN cohorts c ON c.user_id = b.user_id
+                    WHERE b.created_at >= c.anchor
+                    UNION ALL
+                    SELECT d.user_id, d.created_at,
+                        CASE WHEN LOWER(d.status) = ANY($5) THEN d.amount ELSE 0 END,
+                        0
+                    FROM deposits d
+                    JOIN cohorts c ON c.user_id = d.user_id
+                    WHERE d.created_at >= c.anchor
+                ),
+                user_offsets AS (
+                    SELECT
+                        e.user_id,
+                        ${offsetExpr} AS offset_value,
+                        SUM(e.deposit_amount) AS deposit_amount,
+                        SUM(e.bet_amount) AS bet_amount
+                    FROM events e
+                    JOIN cohorts c ON c.user_id = e.user_id
+                    GROUP BY 1, 2
+                ),
+                cells AS (
+                    SELECT
+                        c.cohort_start,
+                        o.offset_value,
+                        COUNT(*) AS eligible_users,
+                        COUNT(uo.user_id) AS active_users,
+                        COALESCE(SUM(uo.deposit_amount), 0) AS deposit_amount,
+                        COALESCE(SUM(uo.bet_amount), 0) AS bet_amount
+                    FROM cohorts c
+                    CROSS JOIN generate_series(0, $4::int) AS o(offset_value)
+                    LEFT JOIN user_offsets uo ON uo.user_id = c.user_id AND uo.offset_value = o.offset_value
+                    WHERE c.anchor + o.offset_value * INTERVAL '1 ${interval}' <= NOW()
+                    GROUP BY c.cohort_start, o.offset_value
+                ),
+                sizes AS (
+                    SELECT cohort_start, COUNT(*) AS cohort_size
+                    FROM cohorts
+                    GROUP BY cohort_start
+                )
+                SELECT s.cohort_start, s.cohort_size, cl.offset_value, cl.eligible_users,
+                       cl.active_users, cl.deposit_amount, cl.bet_amount
+                FROM sizes s
+                JOIN cells cl ON cl.cohort_start = s.cohort_start
+                ORDER BY s.cohort_start, cl.offset_value
+            `;
+
+            const result = await client.query(query, [affiliateId, from, to, maxOffset, CONFIRMED_DEPOSIT_STATUSES]);
+
+            return result.rows.map(row => ({
+                cohort_start: row.cohort_start,
+                cohort_size: parseInt(row.cohort_size),
+                offset_value: row.offset_value,
+                eligible_users: parseInt(row.eligible_users),
+                active_users: parseInt(row.active_users),
+                deposit_amount: parseFloat(row.deposit_amount),
+                bet_amount: parseFloat(row.bet_amount)
+            }));
+        } catch (error) {
+            logger.error('Erro ao calcular matriz de coortes:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Substituir a matriz materializada de um escopo (affiliate_id 0 = todos os usuários)
+    async replaceCohortRetention({ affiliateId, basis, period, unit }, cells) {
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            await client.query(`
+                DELETE FROM cohort_retention
+                WHERE affiliate_id = $1 AND cohort_basis = $2 AND cohort_period = $3 AND offset_unit = $4
+            `, [affiliateId || 0, basis, period, unit]);
+
+            const result = await client.query(`
+                INSERT INTO cohort_retention
+                (affiliate_id, cohort_basis, cohort_period, offset_unit, cohort_start, offset_value,
+                 cohort_size, eligible_users, active_users, deposit_amount, bet_amount,
+                 activity_retention, revenue_retention, computed_at)
+                SELECT $1, $2, $3, $4, r.cohort_start, r.offset_value,
+                       r.cohort_size, r.eligible_users, r.active_users, r.deposit_amount, r.bet_amount,
+                       r.activity_retention, r.revenue_retention, NOW()
+                FROM jsonb_to_recordset($5::jsonb) AS r(
+                    cohort_start TIMESTAMP, offset_value INTEGER, cohort_size INTEGER,
+                    eligible_users INTEGER, active_users INTEGER, deposit_amount DECIMAL,
+                    bet_amount DECIMAL, activity_retention DECIMAL, revenue_retention DECIMAL
+                )
+            `, [affiliateId || 0, basis, period, unit, JSON.stringify(cells.map(cell => ({
+                ...cell,
+                cohort_start: this.toLocalTimestamp(cell.cohort_start)
+            })))]);
+
+            await client.query('COMMIT');
+            return result.rowCount;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            logger.error('Erro ao materializar matriz de coortes:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Data em horário local, sem fuso, para colunas TIMESTAMP recebidas via JSON
+    // (o JSON.stringify de um Date usa UTC; o driver envia parâmetros em horário local)
+    toLocalTimestamp(value) {
+        return value ? moment(value).format('YYYY-MM-DDTHH:mm:ss.SSS') : null;
+    }
+
+    // Instante do último cálculo materializado do escopo (null se nunca calculado)
+    async getCohortRetentionComputedAt({ affiliateId, basis, period, unit }) {
+        const client = await this.pool.connect();
+        try {
+            const result = await client.query(`
+                SELECT MAX(computed_at) AS computed_at
+                FROM cohort_retention
+                WHERE affiliate_id = $1 AND cohort_basis = $2 AND cohort_period = $3 AND offset_unit = $4
+            `, [affiliateId || 0, basis, period, unit]);
+
+            return result.rows[0].computed_at;
+        } finally {
+            client.release();
+        }
+    }
+
+    async getCohortRetention({ affiliateId, basis, period, unit, from = null, to = null, maxOffset = null }) {
+        const client = await this.pool.connect();
+        try {
+            let query = `
+                SELECT * FROM cohort_retention
+                WHERE affiliate_id = $1 AND cohort_basis = $2 AND cohort_period = $3 AND offset_unit = $4
+            `;
+            const params = [affiliateId || 0, basis, period, unit];
+
+            if (from) {
+                params.push(from);
+                query += ` AND cohort_start >= $${params.length}`;
+            }
+
+            if (to) {
+                params.push(to);
+                query += ` AND cohort_start <= $${params.length}`;
+            }
+
+            if (maxOffset !== null) {
+                params.push(maxOffset);
+                query += ` AND offset_value <= $${params.length}`;
+            }
+
+            query += ' ORDER BY cohort_start, offset_value';
+
+            const result = await client.query(query, params);
+            return result.rows;
+        } catch (error) {
+            logger.error('Erro ao buscar matriz de coortes:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // ===== PRIMEIRO DEPÓSITO (BANCO DO AFFILIATE SERVICE) =====
+
+    // Primeiro depósito confirmado (FTD) de cada usuário, marcado pelo ETL em deposit_activities
+    // Retorna Map user_id (texto) -> FTD, ou null quando a tabela ainda não existe
+    // (depósitos nunca sincronizados)
+    async getFirstDeposits(userIds) {
+        if (!userIds.length) return new Map();
+
+        const client = await this.affiliatePool.connect();
+        try {
+            const result = await client.query(`
+                SELECT user_id, external_deposit_id, deposit_amount, currency, payment_method, deposit_date
+                FROM deposit_activities
+                WHERE is_ftd AND user_id = ANY($1::text[])
+            `, [userIds.map(String)]);
+
+            return new Map(result.rows.map(row => [String(row.user_id), {
+                deposit_id: row.external_deposit_id,
+                amount: parseFloat(row.deposit_amount),
+                currency: row.currency,
+                payment_method: row.payment_method,
+                deposited_at: row.deposit_date
+            }]));
+        } catch (error) {
+            if (error.code === '42P01') {
+                return null;
+            }
+            logger.error('Erro ao buscar primeiros depósitos:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Depósitos confirmados e apostas do usuário até `until`, em ordem cronológica (avaliação das regras CPA)
+    async getUserCpaActivity(userId, until = new Date()) {
+        const client = await this.externalPool.connect();
+        try {
+            const deposits = await client.query(
+                'SELECT amount, created_at FROM deposits WHERE user_id = $1 AND created_at <= $2 AND LOWER(status) = ANY($3) ORDER BY created_at',
+                [userId, until, CONFIRMED_DEPOSIT_STATUSES]
+            );
+            const bets = await client.query(
+                'SELECT amount, created_at FROM bets WHERE user_id = $1 AND created_at <= $2 ORDER BY created_at',
+                [userId, until]
+            );
+
+            return { deposits: deposits.rows, bets: bets.rows };
+        } catch (error) {
+            logger.error(`Erro ao buscar atividade CPA do usuário ${userId}:`, error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // ===== CACHE =====
+
+    async setCache(key, data, ttlSeconds = 3600) {
+        const client = await this.pool.connect();
+        try {
+            const expiresAt = new Date();
+            expiresAt.setSeconds(expiresAt.getSeconds() + ttlSeconds);
+
+            const query = `
+                INSERT INTO data_cache (cache_key, cache_data, cache_type, ttl_seconds, expires_at)
+                VALUES ($1, $2, $3, $4, $5)
+                ON CONFLICT (cache_key)
+                DO UPDATE SET
+                    cache_data = EXCLUDED.cache_data,
+                    ttl_seconds = EXCLUDED.ttl_seconds,
+                    expires_at = EXCLUDED.expires_at,
+                    access_count = data_cache.access_count + 1,
+                    last_accessed_at = CURRENT_TIMESTAMP
+                RETURNING *
+            `;
+
+            const values = [
                 key,
                 JSON.stringify(data),
                 'general',
@@ -603,8 +2184,11 @@ class DataModel {
     async close() {
         await this.pool.end();
         await this.externalPool.end();
+        await this.affiliatePool.end();
     }
 }
 
+DataModel.CONFIRMED_DEPOSIT_STATUSES = CONFIRMED_DEPOSIT_STATUSES;
+
 module.exports = DataModel;
 
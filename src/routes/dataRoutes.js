@@ -75,6 +75,92 @@ router.get('/analytics/affiliate/:affiliateId',
     dataController.getAffiliateAnalytics.bind(dataController)
 );
 
+// Funil de conversão do afiliado: cadastro -> FTD -> qualificação CPA
+// Período: periodType (padrão MONTHLY) + specificDate, ou periodStart/periodEnd
+router.get('/analytics/affiliate/:affiliateId/funnel', 
+    rateLimits.read,
+    cacheResponse(300), // Cache por 5 minutos
+    validateParams.affiliateId,
+    validateQuery.periodType,
+    validateQuery.dateRange,
+    dataController.getAffiliateFunnel.bind(dataController)
+);
+
+// Retenção por coorte de cadastro ou FTD (basis, period, unit, affiliateId, from, to, maxOffset)
+router.get('/analytics/cohorts', 
+    rateLimits.read,
+    cacheResponse(300), // Cache por 5 minutos
+    validate(schemas.getCohorts, 'query'),
+    dataController.getCohorts.bind(dataController)
+);
+
+// Recalcular em background a matriz de um escopo de coorte
+router.post('/analytics/cohorts/refresh', 
+    rateLimits.analytics,
+    validate(schemas.refreshCohorts),
+    dataController.refreshCohorts.bind(dataController)
+);
+
+// Simular qualificação CPA do usuário (dry-run, não grava analytics)
+router.post('/analytics/user/:userId/cpa/evaluate', 
+    rateLimits.analytics,
+    validateParams.userId,
+    validate(schemas.evaluateCpaRules),
+    dataController.evaluateUserCpa.bind(dataController)
+);
+
+// Rede de indicações do afiliado (até 5 níveis)
+router.get('/affiliates/:affiliateId/network', 
+    rateLimits.read,
+    cacheResponse(300), // Cache por 5 minutos
+    validateParams.affiliateId,
+    dataController.getAffiliateNetwork.bind(dataController)
+);
+
+// ===== ROTAS DE JOBS DE ANALYTICS =====
+
+// Enfileirar geração de analytics em lote (todos os usuários/afiliados ou só os tocados)
+router.post('/analytics/jobs', 
+    rateLimits.analytics,
+    validate(schemas.createAnalyticsJob),
+    dataController.createAnalyticsJob.bind(dataController)
+);
+
+// Buscar jobs de analytics
+router.get('/analytics/jobs', 
+    rateLimits.read,
+    validateQuery.periodType,
+    dataController.getAnalyticsJobs.bind(dataController)
+);
+
+// Buscar job específico (status e progresso)
+router.get('/analytics/jobs/:jobId', 
+    rateLimits.read,
+    validateParams.jobId,
+    dataController.getAnalyticsJob.bind(dataController)
+);
+
+// Cancelar job pendente ou em processamento
+router.post('/analytics/jobs/:jobId/cancel', 
+    rateLimits.analytics,
+    validateParams.jobId,
+    dataController.cancelAnalyticsJob.bind(dataController)
+);
+
+// Retomar job falho ou cancelado a partir do checkpoint
+router.post('/analytics/jobs/:jobId/resume', 
+    rateLimits.analytics,
+    validateParams.jobId,
+    dataController.resumeAnalyticsJob.bind(dataController)
+);
+
+// Reconstruir analytics WEEKLY/MONTHLY/YEARLY a partir dos registros DAILY
+router.post('/analytics/rollups', 
+    rateLimits.analytics,
+    validate(schemas.rollupAnalytics),
+    dataController.rollupAnalytics.bind(dataController)
+);
+
 // ===== ROTAS DE DADOS EXTERNOS =====
 
 // Buscar dados externos de uma tabela
@@ -108,6 +194,13 @@ router.get('/export/:exportId',
     dataController.getDataExport.bind(dataController)
 );
 
+// Download do arquivo da exportação (suporta Range)
+router.get('/export/:exportId/download', 
+    rateLimits.read,
+    validateParams.exportId,
+    dataController.downloadDataExport.bind(dataController)
+);
+
 // ===== ROTAS DE CONFIGURAÇÃO =====
 
 // Buscar configurações atuais
@@ -125,6 +218,12 @@ router.delete('/cache/expired',
     dataController.clearExpiredCache.bind(dataController)
 );
 
+// Remover arquivos de exportações expiradas
+router.delete('/export/expired', 
+    rateLimits.read,
+    dataController.clearExpiredExports.bind(dataController)
+);
+
 // Estatísticas do serviço
 router.get('/stats', 
     rateLimits.read,
@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { etlManager } = require('../etl');
+const { etlManager, ETLConfig, JobRegistry, RejectionStore, ReconciliationStore, BackfillStore, BackfillRunner } = require('../etl');
 const logger = require('../utils/logger');
 
 // Middleware de validação para ETL
@@ -15,6 +15,25 @@ const validateETLEnabled = (req, res, next) => {
   next();
 };
 
+const isUuid = (value) => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value);
+
+// Validar parâmetro de rota com ID UUID (jobId, rejectionId)
+const validateUuidParam = (paramName) => (req, res, next) => {
+  if (!isUuid(req.params[paramName])) {
+    return res.status(400).json({
+      success: false,
+      error: 'ID inválido',
+      message: `${paramName} deve ser um UUID válido`
+    });
+  }
+  next();
+};
+
+const validateJobId = validateUuidParam('jobId');
+const validateRejectionId = validateUuidParam('rejectionId');
+const validateReportId = validateUuidParam('reportId');
+const validateBackfillId = validateUuidParam('backfillId');
+
 // GET /api/v1/etl/status - Status do sistema ETL
 router.get('/status', (req, res) => {
   try {
@@ -63,10 +82,58 @@ router.get('/metrics', validateETLEnabled, (req, res) => {
   }
 });
 
+// GET /api/v1/etl/cdc/status - Estado do consumo CDC (slot, checkpoint e atraso)
+router.get('/cdc/status', validateETLEnabled, async (req, res) => {
+  try {
+    const status = await etlManager.cdcConsumer.getStatus();
+
+    res.json({
+      success: true,
+      data: status,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('❌ ETL API: Erro ao obter status do CDC', {
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Erro interno',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/v1/etl/plan - Grafo de dependências entre mapeamentos e plano de execução
+router.get('/plan', validateETLEnabled, (req, res) => {
+  try {
+    const plan = etlManager.getExecutionPlan();
+
+    res.json({
+      success: true,
+      data: plan,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('❌ ETL API: Erro ao montar plano de execução', {
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Erro interno',
+      message: error.message
+    });
+  }
+});
+
 // GET /api/v1/etl/tables - Informações das tabelas configuradas
-router.get('/tables', validateETLEnabled, (req, res) => {
+router.get('/tables', validateETLEnabled, async (req, res) => {
   try {
-    const tables = etlManager.getTablesInfo();
+    const tables = await etlManager.getTablesInfoWithWatermarks();
     
     res.json({
       success: true,
@@ -92,6 +159,157 @@ router.get('/tables', validateETLEnabled, (req, res) => {
   }
 });
 
+// GET /api/v1/etl/tables/:tableName/schema - Drift entre a tabela de origem e o mapeamento
+router.get('/tables/:tableName/schema', validateETLEnabled, async (req, res) => {
+  const { tableName } = req.params;
+
+  if (!ETLConfig.mappings[tableName]) {
+    return res.status(404).json({
+      success: false,
+      error: 'Tabela não encontrada',
+      message: `A tabela '${tableName}' não está configurada`
+    });
+  }
+
+  try {
+    const report = await etlManager.schemaDrift.checkTable(tableName);
+
+    res.json({
+      success: true,
+      data: report,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error(`❌ ETL API: Erro ao verificar schema de ${tableName}`, {
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Erro interno',
+      message: 'Não foi possível verificar o schema da tabela'
+    });
+  }
+});
+
+// POST /api/v1/etl/tables/:tableName/schema/accept - Aceitar a estrutura atual da origem como base
+router.post('/tables/:tableName/schema/accept', validateETLEnabled, async (req, res) => {
+  const { tableName } = req.params;
+
+  if (!ETLConfig.mappings[tableName]) {
+    return res.status(404).json({
+      success: false,
+      error: 'Tabela não encontrada',
+      message: `A tabela '${tableName}' não está configurada`
+    });
+  }
+
+  try {
+    const report = await etlManager.schemaDrift.acceptSchema(tableName);
+
+    res.json({
+      success: true,
+      message: 'Estrutura atual aceita como base',
+      data: report,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error(`❌ ETL API: Erro ao aceitar schema de ${tableName}`, {
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Erro interno',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/v1/etl/tables/:tableName/history/:key - Histórico (SCD tipo 2) de um registro
+// Com asOf, retorna apenas a versão vigente naquele instante
+router.get('/tables/:tableName/history/:key', validateETLEnabled, async (req, res) => {
+  const { tableName, key } = req.params;
+  const { asOf } = req.query;
+  const mapping = ETLConfig.mappings[tableName];
+
+  if (!mapping) {
+    return res.status(404).json({
+      success: false,
+      error: 'Tabela não encontrada',
+      message: `A tabela '${tableName}' não está configurada`
+    });
+  }
+
+  if (!etlManager.loader.history.isEnabled(mapping)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Histórico desabilitado',
+      message: `O mapeamento '${tableName}' não define historyColumns`
+    });
+  }
+
+  const asOfDate = asOf ? new Date(asOf) : null;
+  if (asOf && isNaN(asOfDate.getTime())) {
+    return res.status(400).json({
+      success: false,
+      error: 'asOf inválido',
+      message: 'asOf deve ser uma data ISO válida'
+    });
+  }
+
+  try {
+    if (!await etlManager.loader.history.tableExists(mapping)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Histórico não encontrado',
+        message: `A tabela de histórico de '${tableName}' ainda não foi criada (nenhuma carga desde a ativação)`
+      });
+    }
+
+    const data = {
+      tableName,
+      key,
+      trackedColumns: mapping.historyColumns
+    };
+
+    if (asOfDate) {
+      data.asOf = asOfDate.toISOString();
+      data.version = await etlManager.loader.history.getAsOf(mapping, key, asOfDate);
+
+      if (!data.version) {
+        return res.status(404).json({
+          success: false,
+          error: 'Versão não encontrada',
+          message: `Nenhuma versão de '${key}' vigente em ${data.asOf}`
+        });
+      }
+    } else {
+      data.versions = await etlManager.loader.history.listVersions(mapping, key);
+    }
+
+    res.json({
+      success: true,
+      data,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error(`❌ ETL API: Erro ao consultar histórico de ${tableName}`, {
+      key,
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Erro interno',
+      message: 'Não foi possível consultar o histórico'
+    });
+  }
+});
+
 // POST /api/v1/etl/sync/full - Executar sincronização completa
 router.post('/sync/full', validateETLEnabled, async (req, res) => {
   try {
@@ -103,24 +321,36 @@ router.post('/sync/full', validateETLEnabled, async (req, res) => {
       requestedBy: req.ip
     });
 
+    // Registrar job antes de responder, para que o ID retornado possa ser consultado
+    const job = await etlManager.jobRegistry.createJob(
+      'FULL',
+      { tables: tables || null, skipValidation },
+      req.user?.username || req.ip
+    );
+    const jobId = job.id;
+
     // Executar sincronização de forma assíncrona
     const syncPromise = etlManager.runFullSync({
       tables,
       skipValidation,
+      job,
       onProgress: (progress) => {
-        logger.info('📊 ETL API: Progresso da sincronização', progress);
+        logger.info('📊 ETL API: Progresso da sincronização', {
+          jobId,
+          table: progress.table,
+          progress: progress.progress
+        });
       }
     });
 
     // Responder imediatamente com ID do job
-    const jobId = `full_sync_${Date.now()}`;
-    
     res.status(202).json({
       success: true,
       message: 'Sincronização completa iniciada',
       jobId,
       estimatedTime: '5-30 minutos',
-      checkStatusAt: `/api/v1/etl/status`,
+      checkStatusAt: `/api/v1/etl/jobs/${jobId}`,
+      cancelAt: `/api/v1/etl/jobs/${jobId}/cancel`,
       timestamp: new Date().toISOString()
     });
 
@@ -166,7 +396,8 @@ router.post('/sync/incremental', validateETLEnabled, async (req, res) => {
     // Executar sincronização
     const result = await etlManager.runIncrementalSync({
       tables,
-      since
+      since,
+      requestedBy: req.user?.username || req.ip
     });
 
     if (result.success) {
@@ -241,9 +472,10 @@ router.post('/sync/table/:tableName', validateETLEnabled, async (req, res) => {
     });
 
     // Executar sincronização da tabela
-    const result = await etlManager.syncTable(tableName, syncType, {
+    const result = await etlManager.runTableSync(tableName, syncType, {
       skipValidation,
-      since
+      since,
+      requestedBy: req.user?.username || req.ip
     });
 
     if (result.success) {
@@ -313,6 +545,56 @@ router.post('/cleanup', validateETLEnabled, async (req, res) => {
   }
 });
 
+// POST /api/v1/etl/deletions/detect - Detectar exclusões na origem (job DELETION)
+router.post('/deletions/detect', validateETLEnabled, async (req, res) => {
+  try {
+    const { tables } = req.body;
+    const detectable = etlManager.scheduler.deletions.getDetectableTables();
+
+    const invalidTables = (tables || []).filter(table => !detectable.includes(table));
+    if (tables !== undefined && (!Array.isArray(tables) || invalidTables.length > 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Tabelas inválidas',
+        message: `tables deve ser uma lista de mapeamentos com deleteMode soft ou hard: ${detectable.join(', ') || 'nenhum'}`
+      });
+    }
+
+    const job = await etlManager.jobRegistry.createJob(
+      'DELETION',
+      { tables: tables || detectable },
+      req.user?.username || req.ip
+    );
+
+    // Executar em background: a resposta já foi enviada, erros só vão para o log
+    etlManager.scheduler.executeDeletionSync(job, tables || null).catch(error => {
+      logger.error('❌ ETL API: Erro na detecção de exclusões', {
+        jobId: job.id,
+        error: error.message
+      });
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Detecção de exclusões iniciada',
+      jobId: job.id,
+      checkStatusAt: `/api/v1/etl/jobs/${job.id}`,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('❌ ETL API: Erro ao iniciar detecção de exclusões', {
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Erro interno',
+      message: 'Não foi possível iniciar a detecção de exclusões'
+    });
+  }
+});
+
 // GET /api/v1/etl/scheduler/status - Status do agendador
 router.get('/scheduler/status', validateETLEnabled, (req, res) => {
   try {
@@ -348,7 +630,7 @@ router.post('/scheduler/manual', validateETLEnabled, async (req, res) => {
       requestedBy: req.ip
     });
 
-    const result = await etlManager.scheduler.runManualSync(tableName, syncType);
+    const result = await etlManager.scheduler.runManualSync(tableName, syncType, req.user?.username || req.ip);
 
     if (result.success) {
       res.json({
@@ -379,92 +661,1400 @@ router.post('/scheduler/manual', validateETLEnabled, async (req, res) => {
   }
 });
 
-// GET /api/v1/etl/docs - Documentação da API ETL
-router.get('/docs', (req, res) => {
-  res.json({
-    title: 'Fature ETL API Documentation',
-    version: '1.0.0',
-    description: 'API para controle do sistema ETL de sincronização de dados',
-    baseUrl: `${req.protocol}://${req.get('host')}/api/v1/etl`,
-    
-    endpoints: {
-      'GET /status': {
-        description: 'Obter status geral do sistema ETL',
-        response: 'Status, configurações e estatísticas'
-      },
-      'GET /metrics': {
-        description: 'Obter métricas detalhadas do ETL',
-        response: 'Métricas de performance e estatísticas'
-      },
-      'GET /tables': {
-        description: 'Listar tabelas configuradas',
-        response: 'Lista de tabelas com configurações'
-      },
-      'POST /sync/full': {
-        description: 'Executar sincronização completa',
-        body: {
-          tables: 'Array de nomes de tabelas (opcional)',
-          skipValidation: 'Boolean para pular validações (opcional)'
-        },
-        response: 'Job ID e status da sincronização'
-      },
-      'POST /sync/incremental': {
-        description: 'Executar sincronização incremental',
-        body: {
-          tables: 'Array de nomes de tabelas (opcional)',
-          since: 'Timestamp para sincronização desde (opcional)'
-        },
-        response: 'Resultado da sincronização'
-      },
-      'POST /sync/table/:tableName': {
-        description: 'Sincronizar tabela específica',
-        params: {
-          tableName: 'Nome da tabela a sincronizar'
-        },
-        body: {
-          syncType: 'Tipo de sincronização (full|incremental)',
-          skipValidation: 'Boolean para pular validações (opcional)',
-          since: 'Timestamp para sincronização desde (opcional)'
-        },
-        response: 'Resultado da sincronização da tabela'
-      },
-      'POST /cleanup': {
-        description: 'Executar limpeza do sistema',
-        response: 'Status da limpeza'
-      },
-      'GET /scheduler/status': {
-        description: 'Obter status do agendador',
-        response: 'Status e configurações do agendador'
-      },
-      'POST /scheduler/manual': {
-        description: 'Executar sincronização manual via agendador',
-        body: {
-          tableName: 'Nome da tabela (opcional)',
-          syncType: 'Tipo de sincronização (full|incremental)'
-        },
-        response: 'Resultado da sincronização manual'
-      }
-    },
+// GET /api/v1/etl/jobs - Listar jobs de sincronização
+router.get('/jobs', validateETLEnabled, async (req, res) => {
+  try {
+    const { status, type, since, limit, offset } = req.query;
 
-    authentication: {
-      type: 'API Key',
-      header: 'X-API-Key',
-      description: 'Incluir API Key no header da requisição'
-    },
+    if (status && !['PENDING', 'RUNNING', 'COMPLETED', 'FAILED', 'CANCELLED'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Status inválido',
+        message: 'status deve ser PENDING, RUNNING, COMPLETED, FAILED ou CANCELLED'
+      });
+    }
 
-    errorCodes: {
-      400: 'Requisição inválida',
-      404: 'Recurso não encontrado',
-      500: 'Erro interno do servidor',
-      503: 'Serviço indisponível (ETL não inicializado)'
-    },
+    if (type && !JobRegistry.JOB_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Tipo inválido',
+        message: `type deve ser um dos seguintes: ${JobRegistry.JOB_TYPES.join(', ')}`
+      });
+    }
 
-    examples: {
-      fullSync: {
-        url: 'POST /api/v1/etl/sync/full',
-        body: {
-          tables: ['users', 'transactions'],
-          skipValidation: false
+    const sinceDate = since ? new Date(since) : null;
+    if (since && isNaN(sinceDate.getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'since inválido',
+        message: 'since deve ser uma data ISO válida'
+      });
+    }
+
+    const jobs = await etlManager.jobRegistry.listJobs({
+      status,
+      jobType: type,
+      since: sinceDate,
+      limit: Math.min(parseInt(limit) || 50, 500),
+      offset: parseInt(offset) || 0
+    });
+
+    res.json({
+      success: true,
+      data: {
+        jobs,
+        totalJobs: jobs.length
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('❌ ETL API: Erro ao listar jobs', {
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Erro interno',
+      message: 'Não foi possível listar os jobs'
+    });
+  }
+});
+
+// GET /api/v1/etl/jobs/:jobId - Status e progresso de um job
+router.get('/jobs/:jobId', validateETLEnabled, validateJobId, async (req, res) => {
+  try {
+    const job = await etlManager.jobRegistry.getJob(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job não encontrado',
+        message: `O job '${req.params.jobId}' não existe`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: job,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error(`❌ ETL API: Erro ao obter job ${req.params.jobId}`, {
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Erro interno',
+      message: 'Não foi possível obter o job'
+    });
+  }
+});
+
+// POST /api/v1/etl/jobs/:jobId/cancel - Cancelar job em execução
+router.post('/jobs/:jobId/cancel', validateETLEnabled, validateJobId, async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const existingJob = await etlManager.jobRegistry.getJob(jobId);
+
+    if (!existingJob) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job não encontrado',
+        message: `O job '${jobId}' não existe`
+      });
+    }
+
+    const job = await etlManager.jobRegistry.requestCancel(jobId);
+
+    if (!job) {
+      return res.status(409).json({
+        success: false,
+        error: 'Job já finalizado',
+        message: `O job '${jobId}' está com status ${existingJob.status} e não pode ser cancelado`
+      });
+    }
+
+    logger.info(`🛑 ETL API: Cancelamento do job ${jobId} solicitado`, {
+      requestedBy: req.ip
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Cancelamento solicitado; o job será interrompido ao final do lote atual',
+      data: job,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error(`❌ ETL API: Erro ao cancelar job ${req.params.jobId}`, {
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Erro interno',
+      message: 'Não foi possível cancelar o job'
+    });
+  }
+});
+
+// GET /api/v1/etl/rejections - Listar registros em quarentena (rejeitados na transformação)
+router.get('/rejections', validateETLEnabled, async (req, res) => {
+  try {
+    const { table, status, jobId, sourcePk, error, since, limit, offset } = req.query;
+
+    if (table && !ETLConfig.mappings[table]) {
+      return res.status(400).json({
+        success: false,
+        error: 'Tabela inválida',
+        message: `table deve ser uma das seguintes: ${Object.keys(ETLConfig.mappings).join(', ')}`
+      });
+    }
+
+    if (status && !RejectionStore.REJECTION_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Status inválido',
+        message: `status deve ser um dos seguintes: ${RejectionStore.REJECTION_STATUSES.join(', ')}`
+      });
+    }
+
+    if (jobId && !isUuid(jobId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'ID inválido',
+        message: 'jobId deve ser um UUID válido'
+      });
+    }
+
+    const sinceDate = since ? new Date(since) : null;
+    if (since && isNaN(sinceDate.getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'since inválido',
+        message: 'since deve ser uma data ISO válida'
+      });
+    }
+
+    const filters = {
+      tableName: table,
+      status,
+      jobId,
+      sourcePk,
+      error,
+      since: sinceDate
+    };
+
+    const [rejections, summary] = await Promise.all([
+      etlManager.rejections.listRejections({
+        ...filters,
+        limit: Math.min(parseInt(limit) || 50, 500),
+        offset: parseInt(offset) || 0
+      }),
+      etlManager.rejections.summarize(filters)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        rejections,
+        totalRejections: rejections.length,
+        summary
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('❌ ETL API: Erro ao listar registros em quarentena', {
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Erro interno',
+      message: 'Não foi possível listar os registros em quarentena'
+    });
+  }
+});
+
+// POST /api/v1/etl/rejections/replay - Reprocessar registros da quarentena
+router.post('/rejections/replay', validateETLEnabled, async (req, res) => {
+  try {
+    const { ids = null, table = null, limit = 100, refetch = true } = req.body;
+
+    if ((!ids || ids.length === 0) && !table) {
+      return res.status(400).json({
+        success: false,
+        error: 'Parâmetros inválidos',
+        message: 'Informe ids ou table para selecionar os registros a reprocessar'
+      });
+    }
+
+    if (ids && (!Array.isArray(ids) || ids.length > 1000 || !ids.every(isUuid))) {
+      return res.status(400).json({
+        success: false,
+        error: 'IDs inválidos',
+        message: 'ids deve ser uma lista de até 1000 UUIDs'
+      });
+    }
+
+    if (table && !ETLConfig.mappings[table]) {
+      return res.status(400).json({
+        success: false,
+        error: 'Tabela inválida',
+        message: `table deve ser uma das seguintes: ${Object.keys(ETLConfig.mappings).join(', ')}`
+      });
+    }
+
+    logger.info('🔁 ETL API: Reprocessamento da quarentena solicitado', {
+      ids: ids ? ids.length : null,
+      table,
+      refetch,
+      requestedBy: req.ip
+    });
+
+    const result = await etlManager.replayRejections({
+      ids,
+      tableName: table,
+      limit: Math.min(parseInt(limit) || 100, 1000),
+      refetch: refetch !== false
+    });
+
+    res.json({
+      success: true,
+      message: 'Reprocessamento concluído',
+      data: result,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('❌ ETL API: Erro ao reprocessar quarentena', {
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Erro interno',
+      message: 'Não foi possível reprocessar os registros em quarentena'
+    });
+  }
+});
+
+// GET /api/v1/etl/rejections/:rejectionId - Detalhes de um registro em quarentena
+router.get('/rejections/:rejectionId', validateETLEnabled, validateRejectionId, async (req, res) => {
+  try {
+    const rejection = await etlManager.rejections.getRejection(req.params.rejectionId);
+
+    if (!rejection) {
+      return res.status(404).json({
+        success: false,
+        error: 'Registro não encontrado',
+        message: `O registro '${req.params.rejectionId}' não está na quarentena`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: rejection,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error(`❌ ETL API: Erro ao obter registro em quarentena ${req.params.rejectionId}`, {
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Erro interno',
+      message: 'Não foi possível obter o registro em quarentena'
+    });
+  }
+});
+
+// POST /api/v1/etl/reconciliations - Reconciliar origem x destino (job RECONCILE)
+router.post('/reconciliations', validateETLEnabled, async (req, res) => {
+  try {
+    const { tables, chunkSize, resync = false } = req.body;
+
+    const unknownTables = (tables || []).filter(table => !ETLConfig.mappings[table]);
+    if (tables !== undefined && (!Array.isArray(tables) || unknownTables.length > 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Tabelas inválidas',
+        message: `tables deve ser uma lista com: ${Object.keys(ETLConfig.mappings).join(', ')}`
+      });
+    }
+
+    if (chunkSize !== undefined && (!Number.isInteger(chunkSize) || chunkSize < 100 || chunkSize > 100000)) {
+      return res.status(400).json({
+        success: false,
+        error: 'chunkSize inválido',
+        message: 'chunkSize deve ser um inteiro entre 100 e 100000'
+      });
+    }
+
+    const job = await etlManager.jobRegistry.createJob(
+      'RECONCILE',
+      { tables: tables || null, chunkSize: chunkSize || ETLConfig.reconciliation.chunkSize, resync },
+      req.user?.username || req.ip
+    );
+
+    const reconciliationPromise = etlManager.runReconciliation({
+      tables,
+      chunkSize: chunkSize || ETLConfig.reconciliation.chunkSize,
+      resync: resync === true,
+      job
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Reconciliação iniciada',
+      jobId: job.id,
+      checkStatusAt: `/api/v1/etl/jobs/${job.id}`,
+      reportsAt: `/api/v1/etl/reconciliations?jobId=${job.id}`,
+      timestamp: new Date().toISOString()
+    });
+
+    const result = await reconciliationPromise;
+    if (!result.success) {
+      logger.error('❌ ETL API: Erro na reconciliação', {
+        jobId: job.id,
+        error: result.error
+      });
+    }
+
+  } catch (error) {
+    logger.error('❌ ETL API: Erro ao iniciar reconciliação', {
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Erro interno',
+      message: 'Não foi possível iniciar a reconciliação'
+    });
+  }
+});
+
+// GET /api/v1/etl/reconciliations - Listar relatórios de reconciliação
+router.get('/reconciliations', validateETLEnabled, async (req, res) => {
+  try {
+    const { table, status, jobId, limit, offset } = req.query;
+
+    if (status && !ReconciliationStore.REPORT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Status inválido',
+        message: `status deve ser um dos seguintes: ${ReconciliationStore.REPORT_STATUSES.join(', ')}`
+      });
+    }
+
+    if (jobId && !isUuid(jobId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'ID inválido',
+        message: 'jobId deve ser um UUID válido'
+      });
+    }
+
+    const reports = await etlManager.reconciliations.listReports({
+      tableName: table,
+      status,
+      jobId,
+      limit: Math.min(parseInt(limit) || 50, 500),
+      offset: parseInt(offset) || 0
+    });
+
+    res.json({
+      success: true,
+      data: {
+        reports,
+        totalReports: reports.length
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('❌ ETL API: Erro ao listar relatórios de reconciliação', {
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Erro interno',
+      message: 'Não foi possível listar os relatórios de reconciliação'
+    });
+  }
+});
+
+// GET /api/v1/etl/reconciliations/:reportId - Relatório com as faixas divergentes
+router.get('/reconciliations/:reportId', validateETLEnabled, validateReportId, async (req, res) => {
+  try {
+    const report = await etlManager.reconciliations.getReport(req.params.reportId);
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        error: 'Relatório não encontrado',
+        message: `O relatório '${req.params.reportId}' não existe`
+      });
+    }
+
+    const divergentChunks = await etlManager.reconciliations.listChunks(report.id, {
+      status: 'DIVERGENT',
+      limit: 100
+    });
+
+    res.json({
+      success: true,
+      data: {
+        ...report,
+        divergentChunks
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error(`❌ ETL API: Erro ao obter relatório de reconciliação ${req.params.reportId}`, {
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Erro interno',
+      message: 'Não foi possível obter o relatório de reconciliação'
+    });
+  }
+});
+
+// GET /api/v1/etl/reconciliations/:reportId/chunks - Faixas de chave comparadas
+router.get('/reconciliations/:reportId/chunks', validateETLEnabled, validateReportId, async (req, res) => {
+  try {
+    const { status, limit, offset } = req.query;
+
+    if (status && !ReconciliationStore.CHUNK_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Status inválido',
+        message: `status deve ser um dos seguintes: ${ReconciliationStore.CHUNK_STATUSES.join(', ')}`
+      });
+    }
+
+    const chunks = await etlManager.reconciliations.listChunks(req.params.reportId, {
+      status,
+      limit: Math.min(parseInt(limit) || 100, 1000),
+      offset: parseInt(offset) || 0
+    });
+
+    res.json({
+      success: true,
+      data: {
+        chunks,
+        totalChunks: chunks.length
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error(`❌ ETL API: Erro ao listar faixas do relatório ${req.params.reportId}`, {
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Erro interno',
+      message: 'Não foi possível listar as faixas do relatório'
+    });
+  }
+});
+
+// GET /api/v1/etl/reconciliations/:reportId/chunks/:chunkIndex - Detalhamento chave a chave de uma faixa
+router.get('/reconciliations/:reportId/chunks/:chunkIndex', validateETLEnabled, validateReportId, async (req, res) => {
+  try {
+    const chunkIndex = parseInt(req.params.chunkIndex);
+    const report = await etlManager.reconciliations.getReport(req.params.reportId);
+    const chunk = report && Number.isInteger(chunkIndex)
+      ? await etlManager.reconciliations.getChunk(report.id, chunkIndex)
+      : null;
+
+    if (!chunk) {
+      return res.status(404).json({
+        success: false,
+        error: 'Faixa não encontrada',
+        message: `A faixa '${req.params.chunkIndex}' não existe no relatório '${req.params.reportId}'`
+      });
+    }
+
+    if (!ETLConfig.mappings[report.tableName]) {
+      return res.status(409).json({
+        success: false,
+        error: 'Mapeamento não encontrado',
+        message: `A tabela '${report.tableName}' não está mais configurada`
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || ETLConfig.reconciliation.drillDownLimit, 1000);
+    const detail = await etlManager.reconciler.drillDown(report, chunk, limit);
+
+    res.json({
+      success: true,
+      data: detail,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error(`❌ ETL API: Erro ao detalhar faixa do relatório ${req.params.reportId}`, {
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Erro interno',
+      message: 'Não foi possível detalhar a faixa'
+    });
+  }
+});
+
+// POST /api/v1/etl/reconciliations/:reportId/resync - Ressincronizar apenas as faixas divergentes
+router.post('/reconciliations/:reportId/resync', validateETLEnabled, validateReportId, async (req, res) => {
+  try {
+    const report = await etlManager.reconciliations.getReport(req.params.reportId);
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        error: 'Relatório não encontrado',
+        message: `O relatório '${req.params.reportId}' não existe`
+      });
+    }
+
+    if (report.status !== 'DIVERGENT') {
+      return res.status(409).json({
+        success: false,
+        error: 'Relatório sem faixas divergentes',
+        message: `O relatório está com status ${report.status}; apenas relatórios DIVERGENT podem ser ressincronizados`
+      });
+    }
+
+    if (!ETLConfig.mappings[report.tableName]) {
+      return res.status(409).json({
+        success: false,
+        error: 'Mapeamento não encontrado',
+        message: `A tabela '${report.tableName}' não está mais configurada`
+      });
+    }
+
+    const job = await etlManager.jobRegistry.createJob(
+      'RECONCILE',
+      { reportId: report.id, resync: true },
+      req.user?.username || req.ip
+    );
+
+    const resyncPromise = etlManager.runReconciliationResync(report.id, { job });
+
+    res.status(202).json({
+      success: true,
+      message: 'Ressincronização das faixas divergentes iniciada',
+      jobId: job.id,
+      checkStatusAt: `/api/v1/etl/jobs/${job.id}`,
+      reportAt: `/api/v1/etl/reconciliations/${report.id}`,
+      timestamp: new Date().toISOString()
+    });
+
+    const result = await resyncPromise;
+    if (!result.success) {
+      logger.error('❌ ETL API: Erro na ressincronização das faixas divergentes', {
+        jobId: job.id,
+        reportId: report.id,
+        error: result.error
+      });
+    }
+
+  } catch (error) {
+    logger.error(`❌ ETL API: Erro ao iniciar ressincronização do relatório ${req.params.reportId}`, {
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Erro interno',
+      message: 'Não foi possível iniciar a ressincronização'
+    });
+  }
+});
+
+// POST /api/v1/etl/backfills - Backfill histórico de uma tabela por janelas de data (job BACKFILL)
+router.post('/backfills', validateETLEnabled, async (req, res) => {
+  try {
+    const {
+      tableName,
+      from,
+      to,
+      dateField,
+      chunkSize = ETLConfig.backfill.chunkSize,
+      throttleMs = ETLConfig.backfill.throttleMs
+    } = req.body;
+
+    const mapping = ETLConfig.mappings[tableName];
+    if (!mapping) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tabela não encontrada',
+        message: `A tabela '${tableName}' não está configurada`,
+        availableTables: Object.keys(ETLConfig.mappings)
+      });
+    }
+
+    if (!mapping.enabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Tabela desabilitada',
+        message: `A tabela '${tableName}' está desabilitada`
+      });
+    }
+
+    if (dateField !== undefined ? !mapping.fieldMapping[dateField] : !mapping.incrementalField) {
+      return res.status(400).json({
+        success: false,
+        error: 'Campo de data inválido',
+        message: dateField !== undefined
+          ? `dateField deve ser uma coluna de origem mapeada de '${tableName}'`
+          : `A tabela '${tableName}' não possui campo incremental; informe dateField`
+      });
+    }
+
+    const fromDate = new Date(from);
+    const toDate = new Date(to);
+    if (!from || !to || isNaN(fromDate.getTime()) || isNaN(toDate.getTime()) || fromDate >= toDate) {
+      return res.status(400).json({
+        success: false,
+        error: 'Intervalo inválido',
+        message: 'from e to devem ser datas ISO 8601 válidas, com from anterior a to'
+      });
+    }
+
+    const chunkDuration = BackfillRunner.parseChunkSize(chunkSize);
+    if (!chunkDuration) {
+      return res.status(400).json({
+        success: false,
+        error: 'chunkSize inválido',
+        message: "chunkSize deve estar no formato <n>h ou <n>d (ex.: '6h', '1d', '7d')"
+      });
+    }
+
+    const chunksTotal = Math.ceil((toDate - fromDate) / chunkDuration);
+    if (chunksTotal > ETLConfig.backfill.maxChunks) {
+      return res.status(400).json({
+        success: false,
+        error: 'Intervalo muito longo',
+        message: `O intervalo geraria ${chunksTotal} janelas (máximo ${ETLConfig.backfill.maxChunks}); aumente chunkSize`
+      });
+    }
+
+    if (!Number.isInteger(throttleMs) || throttleMs < 0 || throttleMs > 60000) {
+      return res.status(400).json({
+        success: false,
+        error: 'throttleMs inválido',
+        message: 'throttleMs deve ser um inteiro entre 0 e 60000'
+      });
+    }
+
+    const requestedBy = req.user?.username || req.ip;
+    const backfill = await etlManager.createBackfill({
+      tableName,
+      from: fromDate,
+      to: toDate,
+      dateField,
+      chunkSize,
+      throttleMs,
+      requestedBy
+    });
+
+    const job = await etlManager.jobRegistry.createJob(
+      'BACKFILL',
+      { backfillId: backfill.id, tableName, from: backfill.from, to: backfill.to, chunkSize, throttleMs },
+      requestedBy
+    );
+
+    const backfillPromise = etlManager.runBackfill(backfill.id, { job });
+
+    res.status(202).json({
+      success: true,
+      message: `Backfill de ${tableName} iniciado`,
+      jobId: job.id,
+      backfillId: backfill.id,
+      chunksTotal: backfill.chunksTotal,
+      checkStatusAt: `/api/v1/etl/jobs/${job.id}`,
+      progressAt: `/api/v1/etl/backfills/${backfill.id}`,
+      timestamp: new Date().toISOString()
+    });
+
+    const result = await backfillPromise;
+    if (!result.success) {
+      logger.error('❌ ETL API: Erro no backfill', {
+        jobId: job.id,
+        backfillId: backfill.id,
+        error: result.error
+      });
+    }
+
+  } catch (error) {
+    logger.error('❌ ETL API: Erro ao iniciar backfill', {
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Erro interno',
+      message: 'Não foi possível iniciar o backfill'
+    });
+  }
+});
+
+// GET /api/v1/etl/backfills - Listar backfills
+router.get('/backfills', validateETLEnabled, async (req, res) => {
+  try {
+    const { table, status, limit, offset } = req.query;
+
+    if (status && !BackfillStore.BACKFILL_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Status inválido',
+        message: `status deve ser um dos seguintes: ${BackfillStore.BACKFILL_STATUSES.join(', ')}`
+      });
+    }
+
+    const backfills = await etlManager.backfills.listBackfills({
+      tableName: table,
+      status,
+      limit: Math.min(parseInt(limit) || 50, 500),
+      offset: parseInt(offset) || 0
+    });
+
+    res.json({
+      success: true,
+      data: {
+        backfills,
+        totalBackfills: backfills.length
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('❌ ETL API: Erro ao listar backfills', {
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Erro interno',
+      message: 'Não foi possível listar os backfills'
+    });
+  }
+});
+
+// GET /api/v1/etl/backfills/:backfillId - Progresso do backfill e janelas não concluídas
+router.get('/backfills/:backfillId', validateETLEnabled, validateBackfillId, async (req, res) => {
+  try {
+    const backfill = await etlManager.backfills.getBackfill(req.params.backfillId);
+
+    if (!backfill) {
+      return res.status(404).json({
+        success: false,
+        error: 'Backfill não encontrado',
+        message: `O backfill '${req.params.backfillId}' não existe`
+      });
+    }
+
+    const [runningChunks, failedChunks] = await Promise.all([
+      etlManager.backfills.listChunks(backfill.id, { status: 'RUNNING' }),
+      etlManager.backfills.listChunks(backfill.id, { status: 'FAILED', limit: 100 })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        ...backfill,
+        runningChunks,
+        failedChunks
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error(`❌ ETL API: Erro ao obter backfill ${req.params.backfillId}`, {
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Erro interno',
+      message: 'Não foi possível obter o backfill'
+    });
+  }
+});
+
+// GET /api/v1/etl/backfills/:backfillId/chunks - Janelas de um backfill com o resultado de cada uma
+router.get('/backfills/:backfillId/chunks', validateETLEnabled, validateBackfillId, async (req, res) => {
+  try {
+    const { status, limit, offset } = req.query;
+
+    if (status && !BackfillStore.CHUNK_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Status inválido',
+        message: `status deve ser um dos seguintes: ${BackfillStore.CHUNK_STATUSES.join(', ')}`
+      });
+    }
+
+    const chunks = await etlManager.backfills.listChunks(req.params.backfillId, {
+      status,
+      limit: Math.min(parseInt(limit) || 100, 1000),
+      offset: parseInt(offset) || 0
+    });
+
+    res.json({
+      success: true,
+      data: {
+        chunks,
+        totalChunks: chunks.length
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error(`❌ ETL API: Erro ao listar janelas do backfill ${req.params.backfillId}`, {
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Erro interno',
+      message: 'Não foi possível listar as janelas do backfill'
+    });
+  }
+});
+
+// POST /api/v1/etl/backfills/:backfillId/resume - Retomar backfill cancelado ou falho
+router.post('/backfills/:backfillId/resume', validateETLEnabled, validateBackfillId, async (req, res) => {
+  try {
+    const backfill = await etlManager.backfills.getBackfill(req.params.backfillId);
+
+    if (!backfill) {
+      return res.status(404).json({
+        success: false,
+        error: 'Backfill não encontrado',
+        message: `O backfill '${req.params.backfillId}' não existe`
+      });
+    }
+
+    if (!['FAILED', 'CANCELLED'].includes(backfill.status)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Backfill não pode ser retomado',
+        message: `O backfill está com status ${backfill.status}; apenas backfills FAILED ou CANCELLED podem ser retomados`
+      });
+    }
+
+    if (!ETLConfig.mappings[backfill.tableName]) {
+      return res.status(409).json({
+        success: false,
+        error: 'Mapeamento não encontrado',
+        message: `A tabela '${backfill.tableName}' não está mais configurada`
+      });
+    }
+
+    const job = await etlManager.jobRegistry.createJob(
+      'BACKFILL',
+      { backfillId: backfill.id, tableName: backfill.tableName, resume: true },
+      req.user?.username || req.ip
+    );
+
+    const backfillPromise = etlManager.runBackfill(backfill.id, { job });
+
+    res.status(202).json({
+      success: true,
+      message: `Backfill de ${backfill.tableName} retomado`,
+      jobId: job.id,
+      backfillId: backfill.id,
+      chunksRemaining: backfill.chunksTotal - backfill.chunksCompleted,
+      checkStatusAt: `/api/v1/etl/jobs/${job.id}`,
+      progressAt: `/api/v1/etl/backfills/${backfill.id}`,
+      timestamp: new Date().toISOString()
+    });
+
+    const result = await backfillPromise;
+    if (!result.success) {
+      logger.error('❌ ETL API: Erro no backfill retomado', {
+        jobId: job.id,
+        backfillId: backfill.id,
+        error: result.error
+      });
+    }
+
+  } catch (error) {
+    logger.error(`❌ ETL API: Erro ao retomar backfill ${req.params.backfillId}`, {
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Erro interno',
+      message: 'Não foi possível retomar o backfill'
+    });
+  }
+});
+
+// GET /api/v1/etl/mappings - Mapeamentos de tabelas (sync_configurations)
+router.get('/mappings', validateETLEnabled, async (req, res) => {
+  try {
+    const mappings = await etlManager.mappingStore.listConfigurations();
+
+    res.json({
+      success: true,
+      data: {
+        mappings,
+        totalMappings: mappings.length,
+        activeMappings: Object.keys(ETLConfig.mappings).length
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('❌ ETL API: Erro ao listar mapeamentos', {
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Erro interno',
+      message: 'Não foi possível listar os mapeamentos'
+    });
+  }
+});
+
+// POST /api/v1/etl/mappings/validate - Validar documento de mapeamento sem gravar
+router.post('/mappings/validate', validateETLEnabled, (req, res) => {
+  const { tableName, mapping } = req.body;
+  const errors = etlManager.mappingStore.validateMapping(tableName, mapping);
+
+  res.json({
+    success: true,
+    data: {
+      valid: errors.length === 0,
+      errors
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
+// GET /api/v1/etl/mappings/:tableName - Mapeamento de uma tabela
+router.get('/mappings/:tableName', validateETLEnabled, async (req, res) => {
+  try {
+    const mapping = await etlManager.mappingStore.getConfiguration(req.params.tableName);
+
+    if (!mapping) {
+      return res.status(404).json({
+        success: false,
+        error: 'Mapeamento não encontrado',
+        message: `A tabela '${req.params.tableName}' não possui mapeamento`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: mapping,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error(`❌ ETL API: Erro ao obter mapeamento de ${req.params.tableName}`, {
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Erro interno',
+      message: 'Não foi possível obter o mapeamento'
+    });
+  }
+});
+
+// PUT /api/v1/etl/mappings/:tableName - Criar ou substituir mapeamento de uma tabela
+router.put('/mappings/:tableName', validateETLEnabled, async (req, res) => {
+  try {
+    const { tableName } = req.params;
+    const errors = etlManager.mappingStore.validateMapping(tableName, req.body);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Mapeamento inválido',
+        message: 'O documento de mapeamento possui erros',
+        errors
+      });
+    }
+
+    logger.info(`🗂️ ETL API: Gravando mapeamento de ${tableName}`, {
+      requestedBy: req.ip
+    });
+
+    const result = await etlManager.mappingStore.saveConfiguration(tableName, req.body);
+
+    res.status(result.created ? 201 : 200).json({
+      success: true,
+      message: `Mapeamento de ${tableName} ${result.created ? 'criado' : 'atualizado'}`,
+      data: result.configuration,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error(`❌ ETL API: Erro ao gravar mapeamento de ${req.params.tableName}`, {
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Erro interno',
+      message: 'Não foi possível gravar o mapeamento'
+    });
+  }
+});
+
+// DELETE /api/v1/etl/mappings/:tableName - Remover mapeamento de uma tabela
+router.delete('/mappings/:tableName', validateETLEnabled, async (req, res) => {
+  try {
+    const { tableName } = req.params;
+    const deleted = await etlManager.mappingStore.deleteConfiguration(tableName);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Mapeamento não encontrado',
+        message: `A tabela '${tableName}' não possui mapeamento`
+      });
+    }
+
+    logger.info(`🗂️ ETL API: Mapeamento de ${tableName} removido`, {
+      requestedBy: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: `Mapeamento de ${tableName} removido`,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error(`❌ ETL API: Erro ao remover mapeamento de ${req.params.tableName}`, {
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Erro interno',
+      message: 'Não foi possível remover o mapeamento'
+    });
+  }
+});
+
+// GET /api/v1/etl/docs - Documentação da API ETL
+router.get('/docs', (req, res) => {
+  res.json({
+    title: 'Fature ETL API Documentation',
+    version: '1.0.0',
+    description: 'API para controle do sistema ETL de sincronização de dados',
+    baseUrl: `${req.protocol}://${req.get('host')}/api/v1/etl`,
+    
+    endpoints: {
+      'GET /status': {
+        description: 'Obter status geral do sistema ETL',
+        response: 'Status, configurações e estatísticas'
+      },
+      'GET /metrics': {
+        description: 'Obter métricas detalhadas do ETL',
+        response: 'Métricas de performance e estatísticas'
+      },
+      'GET /cdc/status': {
+        description: 'Estado do consumo CDC (replicação lógica) das tabelas com syncMode cdc',
+        response: 'Slot (LSN confirmado e atraso em bytes), checkpoint gravado no destino e contadores de eventos'
+      },
+      'GET /plan': {
+        description: 'Grafo de dependências entre mapeamentos (dependsOn) e plano de execução das sincronizações',
+        response: 'Nós e arestas do grafo, níveis topológicos (tabelas do mesmo nível rodam em paralelo até parallelJobs) e ordem das sincronizações completa e incremental'
+      },
+      'GET /tables': {
+        description: 'Listar tabelas configuradas',
+        response: 'Lista de tabelas com configurações e watermark da última sincronização'
+      },
+      'GET /tables/:tableName/schema': {
+        description: 'Verificar drift de schema entre a tabela de origem e o mapeamento (também executado antes de cada sincronização)',
+        response: 'Colunas mapeadas ausentes na origem, colunas novas não mapeadas, mudanças de tipo e se a política da tabela (driftPolicy) bloqueia a sincronização'
+      },
+      'POST /tables/:tableName/schema/accept': {
+        description: 'Aceitar a estrutura atual da origem como base para detecção de mudanças de tipo (libera tabela bloqueada por mudança de tipo)',
+        response: 'Relatório de drift após a atualização da base'
+      },
+      'GET /tables/:tableName/history/:key': {
+        description: 'Versões (SCD tipo 2) das colunas rastreadas de um registro, pela chave natural do destino',
+        query: {
+          asOf: 'Instante (ISO) para obter apenas a versão vigente (opcional)'
+        },
+        response: 'Lista de versões com attributes, validFrom e validTo, ou a versão vigente em asOf'
+      },
+      'POST /sync/full': {
+        description: 'Executar sincronização completa',
+        body: {
+          tables: 'Array de nomes de tabelas (opcional)',
+          skipValidation: 'Boolean para pular validações (opcional)'
+        },
+        response: 'Job ID (consultável em /jobs/:jobId) e status da sincronização'
+      },
+      'POST /sync/incremental': {
+        description: 'Executar sincronização incremental',
+        body: {
+          tables: 'Array de nomes de tabelas (opcional)',
+          since: 'Timestamp para sincronização desde (opcional)'
+        },
+        response: 'Resultado da sincronização'
+      },
+      'POST /sync/table/:tableName': {
+        description: 'Sincronizar tabela específica',
+        params: {
+          tableName: 'Nome da tabela a sincronizar'
+        },
+        body: {
+          syncType: 'Tipo de sincronização (full|incremental)',
+          skipValidation: 'Boolean para pular validações (opcional)',
+          since: 'Timestamp para sincronização desde (opcional)'
+        },
+        response: 'Resultado da sincronização da tabela'
+      },
+      'POST /cleanup': {
+        description: 'Executar limpeza do sistema',
+        response: 'Status da limpeza'
+      },
+      'POST /deletions/detect': {
+        description: 'Comparar as chaves do destino com a origem em faixas e propagar as exclusões (deleteMode soft ou hard do mapeamento)',
+        body: {
+          tables: 'Array de nomes de tabelas (opcional, padrão todos os mapeamentos com deleteMode soft/hard fora do CDC)'
+        },
+        response: 'Job ID (consultável em /jobs/:jobId) com chaves verificadas e registros removidos por tabela'
+      },
+      'GET /scheduler/status': {
+        description: 'Obter status do agendador',
+        response: 'Status e configurações do agendador'
+      },
+      'POST /scheduler/manual': {
+        description: 'Executar sincronização manual via agendador',
+        body: {
+          tableName: 'Nome da tabela (opcional)',
+          syncType: 'Tipo de sincronização (full|incremental)'
+        },
+        response: 'Resultado da sincronização manual'
+      },
+      'GET /jobs': {
+        description: 'Listar jobs de sincronização registrados',
+        query: {
+          status: 'PENDING|RUNNING|COMPLETED|FAILED|CANCELLED (opcional)',
+          type: 'FULL|INCREMENTAL|TABLE|MANUAL|RECONCILE|DELETION|BACKFILL (opcional)',
+          since: 'Data mínima de criação (opcional)',
+          limit: 'Máximo de registros (padrão 50, máximo 500)',
+          offset: 'Deslocamento para paginação (opcional)'
+        },
+        response: 'Lista de jobs com parâmetros, progresso e resumo'
+      },
+      'GET /jobs/:jobId': {
+        description: 'Obter status e progresso por tabela de um job',
+        response: 'Job com parâmetros, progresso, horários, resumo e erros'
+      },
+      'POST /jobs/:jobId/cancel': {
+        description: 'Cancelar job pendente ou em execução (interrompe ao final do lote atual)',
+        response: 'Job com cancelamento solicitado'
+      },
+      'GET /rejections': {
+        description: 'Listar registros rejeitados na transformação (quarentena)',
+        query: {
+          table: 'Filtrar por mapeamento (users, transactions, bets, deposits)',
+          status: 'Filtrar por status (PENDING, REPLAYED, RESOLVED)',
+          jobId: 'Filtrar pelo job que gerou a rejeição',
+          sourcePk: 'Filtrar pela chave primária na origem',
+          error: 'Filtrar por trecho da mensagem de erro',
+          since: 'Rejeitados a partir desta data (ISO string)',
+          limit: 'Quantidade máxima (padrão 50, máximo 500)',
+          offset: 'Deslocamento para paginação'
+        },
+        response: 'Registros em quarentena e contagem por tabela/status'
+      },
+      'GET /rejections/:rejectionId': {
+        description: 'Detalhes de um registro em quarentena (registro de origem e erros)',
+        response: 'Registro em quarentena'
+      },
+      'POST /rejections/replay': {
+        description: 'Reprocessar registros pendentes da quarentena (transformação + carga)',
+        body: {
+          ids: 'IDs dos registros em quarentena (opcional)',
+          table: 'Reprocessar pendentes deste mapeamento (quando ids não informado)',
+          limit: 'Máximo de registros por tabela (padrão 100, máximo 1000)',
+          refetch: 'Reler o registro da origem (padrão true) ou usar a cópia gravada na rejeição'
+        },
+        response: 'Quantidade reprocessada, rejeitada novamente e não encontrada por tabela'
+      },
+      'POST /reconciliations': {
+        description: 'Reconciliar origem x destino por faixas de chave primária (contagem, soma de amountFields e hash)',
+        body: {
+          tables: 'Array de nomes de tabelas (opcional, padrão todas habilitadas)',
+          chunkSize: 'Registros de origem por faixa (padrão ETL_RECONCILIATION_CHUNK_SIZE ou 10000)',
+          resync: 'Boolean para ressincronizar as faixas divergentes ao final (opcional)'
+        },
+        response: 'Job ID (consultável em /jobs/:jobId); um relatório por tabela'
+      },
+      'GET /reconciliations': {
+        description: 'Listar relatórios de reconciliação',
+        query: {
+          table: 'Filtrar por mapeamento',
+          status: 'RUNNING|MATCHED|DIVERGENT|FAILED|CANCELLED (opcional)',
+          jobId: 'Filtrar pelo job de reconciliação',
+          limit: 'Máximo de registros (padrão 50, máximo 500)',
+          offset: 'Deslocamento para paginação (opcional)'
+        },
+        response: 'Relatórios com contagens e somas da origem e do destino'
+      },
+      'GET /reconciliations/:reportId': {
+        description: 'Obter relatório de reconciliação',
+        response: 'Relatório com totais e as faixas divergentes'
+      },
+      'GET /reconciliations/:reportId/chunks': {
+        description: 'Listar faixas de chave comparadas',
+        query: {
+          status: 'MATCHED|DIVERGENT|RESOLVED (opcional)',
+          limit: 'Máximo de faixas (padrão 100, máximo 1000)',
+          offset: 'Deslocamento para paginação (opcional)'
+        },
+        response: 'Faixas com contagens, somas e hashes dos dois lados'
+      },
+      'GET /reconciliations/:reportId/chunks/:chunkIndex': {
+        description: 'Detalhar uma faixa chave a chave (comparação feita no momento da consulta)',
+        query: {
+          limit: 'Máximo de chaves listadas por categoria (padrão 100, máximo 1000)'
+        },
+        response: 'Chaves ausentes no destino (e quais estão em quarentena), chaves só no destino e valores diferentes'
+      },
+      'POST /reconciliations/:reportId/resync': {
+        description: 'Reextrair e recarregar apenas as faixas divergentes do relatório; cada faixa é comparada de novo (linhas só no destino não são removidas)',
+        response: 'Job ID (consultável em /jobs/:jobId)'
+      },
+      'POST /backfills': {
+        description: 'Recarregar um intervalo histórico de uma tabela em janelas de data, com checkpoint por janela (a watermark incremental não é alterada)',
+        body: {
+          tableName: 'Nome do mapeamento',
+          from: 'Início do intervalo, inclusivo (ISO 8601)',
+          to: 'Fim do intervalo, exclusivo (ISO 8601)',
+          dateField: 'Coluna de origem usada no intervalo (opcional, padrão incrementalField)',
+          chunkSize: "Tamanho da janela: <n>h ou <n>d (padrão ETL_BACKFILL_CHUNK_SIZE ou '1d')",
+          throttleMs: 'Pausa entre consultas à origem em ms (padrão ETL_BACKFILL_THROTTLE_MS ou 500, máximo 60000)'
+        },
+        response: 'Job ID (consultável em /jobs/:jobId) e ID do backfill'
+      },
+      'GET /backfills': {
+        description: 'Listar backfills',
+        query: {
+          table: 'Filtrar por mapeamento',
+          status: 'PENDING|RUNNING|COMPLETED|FAILED|CANCELLED (opcional)',
+          limit: 'Máximo de registros (padrão 50, máximo 500)',
+          offset: 'Deslocamento para paginação (opcional)'
+        },
+        response: 'Backfills com intervalo, janelas concluídas e registros carregados'
+      },
+      'GET /backfills/:backfillId': {
+        description: 'Progresso de um backfill',
+        response: 'Backfill com percentual concluído, janela em andamento e janelas com falha'
+      },
+      'GET /backfills/:backfillId/chunks': {
+        description: 'Listar janelas de um backfill',
+        query: {
+          status: 'PENDING|RUNNING|COMPLETED|FAILED (opcional)',
+          limit: 'Máximo de janelas (padrão 100, máximo 1000)',
+          offset: 'Deslocamento para paginação (opcional)'
+        },
+        response: 'Janelas com lotes, registros extraídos/carregados, duração e erro'
+      },
+      'POST /backfills/:backfillId/resume': {
+        description: 'Retomar um backfill cancelado ou falho (inclusive por reinício do serviço) a partir da primeira janela não concluída',
+        response: 'Job ID (consultável em /jobs/:jobId)'
+      },
+      'GET /mappings': {
+        description: 'Listar mapeamentos de tabelas (sync_configurations)',
+        response: 'Mapeamentos com intervalo, próxima sincronização e último erro'
+      },
+      'GET /mappings/:tableName': {
+        description: 'Obter mapeamento de uma tabela',
+        response: 'Mapeamento com agendamento e contadores de erro'
+      },
+      'PUT /mappings/:tableName': {
+        description: 'Criar ou substituir o mapeamento de uma tabela (aplicado sem reiniciar o serviço)',
+        body: {
+          sourceTable: 'Tabela no banco de origem',
+          targetTable: 'Tabela no banco de destino',
+          primaryKey: 'Chave primária na origem (padrão id, deve estar em fieldMapping)',
+          naturalKey: 'Coluna de destino usada no upsert (opcional)',
+          incrementalField: 'Campo para sincronização incremental (opcional)',
+          fieldMapping: 'Objeto { coluna_origem: coluna_destino }',
+          transforms: 'Objeto { coluna_destino: passo | [passos] } na DSL declarativa (map, digitsOnly, lowercase, uppercase, trim, toNumber, toDate, coalesce, concat, if) (opcional)',
+          filters: 'Objeto { coluna: valor | [valores] | { operador: valor } } (opcional)',
+          validations: 'Objeto { required, numeric, positive, unique: [colunas], email: coluna } (opcional)',
+          amountFields: 'Colunas de origem (mapeadas) somadas na reconciliação origem x destino (opcional)',
+          enabled: 'Boolean (padrão true)',
+          syncIntervalMinutes: 'Intervalo entre sincronizações agendadas',
+          batchSize: 'Registros por lote de extração',
+          maxRetries: 'Tentativas (opcional)',
+          timeoutSeconds: 'Timeout em segundos (opcional)',
+          driftPolicy: "Drift de schema na origem: 'warn' (apenas registra) ou 'block' (interrompe a sincronização) (padrão ETL_DRIFT_POLICY ou warn)",
+          syncMode: "'polling' (sincronização incremental agendada, padrão) ou 'cdc' (alterações lidas do slot de replicação quando ETL_CDC_ENABLED=true)",
+          historyColumns: 'Colunas de destino com histórico de versões (SCD tipo 2) em <targetTable>_history (opcional)',
+          dependsOn: 'Mapeamentos carregados antes deste; se um deles falhar, a tabela é ignorada na execução (opcional, sem ciclos)',
+          deleteMode: "Exclusões na origem: 'ignore', 'soft' (marca deleted_at) ou 'hard' (remove do destino) (padrão soft em CDC, ignore nos demais)"
+        },
+        response: 'Mapeamento gravado (201 quando criado) ou lista de erros de validação (400)'
+      },
+      'DELETE /mappings/:tableName': {
+        description: 'Remover o mapeamento de uma tabela',
+        response: 'Confirmação da remoção'
+      },
+      'POST /mappings/validate': {
+        description: 'Validar um documento de mapeamento sem gravar',
+        body: {
+          tableName: 'Nome do mapeamento',
+          mapping: 'Documento no mesmo formato de PUT /mappings/:tableName'
+        },
+        response: 'valid e lista de erros'
+      }
+    },
+
+    authentication: {
+      type: 'API Key',
+      header: 'X-API-Key',
+      description: 'Incluir API Key no header da requisição'
+    },
+
+    errorCodes: {
+      400: 'Requisição inválida',
+      404: 'Recurso não encontrado',
+      409: 'Conflito de estado (ex.: cancelar job já finalizado)',
+      500: 'Erro interno do servidor',
+      503: 'Serviço indisponível (ETL não inicializado)'
+    },
+
+    examples: {
+      fullSync: {
+        url: 'POST /api/v1/etl/sync/full',
+        body: {
+          tables: ['users', 'transactions'],
+          skipValidation: false
         }
       },
       incrementalSync: {
@@ -479,6 +2069,40 @@ router.get('/docs', (req, res) => {
           syncType: 'incremental',
           skipValidation: false
         }
+      },
+      saveMapping: {
+        url: 'PUT /api/v1/etl/mappings/bets',
+        body: {
+          sourceTable: 'bets',
+          targetTable: 'bet_activities',
+          primaryKey: 'id',
+          naturalKey: 'external_bet_id',
+          incrementalField: 'created_at',
+          fieldMapping: { id: 'external_bet_id', user_id: 'user_id', amount: 'bet_amount', status: 'bet_status' },
+          transforms: {
+            bet_status: { map: { won: 'WON', lost: 'LOST' }, default: 'PENDING' },
+            bet_amount: 'toNumber'
+          },
+          filters: { amount: { '>': 0 } },
+          validations: { required: ['external_bet_id', 'user_id'] },
+          syncIntervalMinutes: 10,
+          driftPolicy: 'block'
+        }
+      },
+      reconciliation: {
+        url: 'POST /api/v1/etl/reconciliations',
+        body: {
+          tables: ['transactions', 'bets'],
+          chunkSize: 10000,
+          resync: false
+        }
+      },
+      replayRejections: {
+        url: 'POST /api/v1/etl/rejections/replay',
+        body: {
+          table: 'users',
+          refetch: true
+        }
       }
     }
   });
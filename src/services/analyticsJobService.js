@@ -0,0 +1,386 @@
+const cron = require('node-cron');
+const moment = require('moment-timezone');
+const DataService = require('./dataService');
+const logger = require('../utils/logger');
+
+const ENTITY_TYPES = ['USER', 'AFFILIATE'];
+const PERIOD_TYPES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const JOB_SCOPES = ['ALL', 'TOUCHED'];
+
+// Fuso da operação: define o dia corrente dos agendamentos, independente do fuso do servidor
+const OPERATION_TIMEZONE = 'America/Sao_Paulo';
+
+// Geração de analytics em lote para todos os usuários e afiliados de um período
+//
+// Cada job (entidade x período x escopo) é processado em lotes por id, com uma consulta
+// agregada por lote (usuários e redes de afiliados). Entidades que falham no cálculo são
+// contadas em entities_failed e o último motivo fica em error_message.
+// Após cada lote o checkpoint (last_entity_id) e o progresso são gravados, então um job
+// interrompido, falho ou cancelado continua de onde parou ao ser retomado
+//
+// Escopo TOUCHED: apenas as entidades com atividade ou cadastro alterado desde o início do
+// último job concluído do mesmo período (sem job anterior, equivale a ALL)
+//
+// O agendamento closePeriods consolida, a partir dos registros DAILY, as semanas/meses/anos
+// encerrados no dia anterior (DataService.rollupAnalytics)
+class AnalyticsJobService {
+    constructor() {
+        this.dataService = new DataService();
+        this.dataModel = this.dataService.dataModel;
+        this.batchSize = parseInt(process.env.ANALYTICS_JOB_BATCH_SIZE) || 500;
+        this.pollInterval = parseInt(process.env.ANALYTICS_JOB_POLL_INTERVAL_MS) || 10000;
+        this.staleMinutes = parseInt(process.env.ANALYTICS_JOB_STALE_MINUTES) || 15;
+        this.throttleMs = parseInt(process.env.ANALYTICS_JOB_THROTTLE_MS) || 0;
+
+        // Agendamentos (ENABLE_CRON_JOBS=true): recálculo do dia corrente só para as entidades
+        // tocadas, fechamento completo do dia anterior e, depois dele, rollup dos períodos
+        // encerrados no dia anterior
+        this.schedules = [
+            {
+                name: 'touchedDaily',
+                cron: process.env.ANALYTICS_TOUCHED_CRON || '0 * * * *',
+                jobs: () => [{ periodType: 'DAILY', specificDate: this.operationDay(), scope: 'TOUCHED' }]
+            },
+            {
+                name: 'closeDaily',
+                cron: process.env.ANALYTICS_DAILY_CRON || '30 0 * * *',
+                jobs: () => [{ periodType: 'DAILY', specificDate: this.operationDay(-1), scope: 'ALL' }]
+            },
+            {
+                name: 'closePeriods',
+                cron: process.env.ANALYTICS_ROLLUP_CRON || '0 3 * * *',
+                run: () => this.rollupClosedPeriods(this.operationDay(-1))
+            }
+        ];
+
+        this.timer = null;
+        this.cronJobs = new Map();
+        this.isProcessing = false;
+        this.isRunning = false;
+    }
+
+    // Iniciar worker: processa jobs PENDING em ordem de criação e, com ENABLE_CRON_JOBS,
+    // agenda os jobs periódicos
+    async start() {
+        if (this.isRunning) {
+            return;
+        }
+
+        const requeued = await this.dataModel.requeueStaleAnalyticsJobs(this.staleMinutes);
+        if (requeued > 0) {
+            logger.warn('Jobs de analytics interrompidos devolvidos para a fila', { count: requeued });
+        }
+
+        this.isRunning = true;
+        this.timer = setInterval(() => this.processPending(), this.pollInterval);
+
+        if (process.env.ENABLE_CRON_JOBS === 'true') {
+            this.schedules.forEach(schedule => this.scheduleJobs(schedule));
+        }
+
+        logger.info('Worker de jobs de analytics iniciado', {
+            batchSize: this.batchSize,
+            pollInterval: this.pollInterval,
+            schedules: Array.from(this.cronJobs.keys())
+        });
+
+        this.processPending();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        this.cronJobs.forEach(job => job.stop());
+        this.cronJobs.clear();
+        this.isRunning = false;
+        logger.info('Worker de jobs de analytics parado');
+    }
+
+    // Agendamento com `jobs` enfileira jobs de analytics; com `run`, executa a tarefa diretamente
+    scheduleJobs(schedule) {
+        const job = cron.schedule(schedule.cron, async () => {
+            try {
+                if (schedule.run) {
+                    await schedule.run();
+                    return;
+                }
+
+                for (const options of schedule.jobs()) {
+                    await this.createJobs({ ...options, entityType: 'ALL', triggerType: 'SCHEDULE', requestedBy: 'scheduler' });
+                }
+            } catch (error) {
+                logger.error(`Erro ao agendar jobs de analytics (${schedule.name}):`, error);
+            }
+        }, {
+            scheduled: false,
+            timezone: OPERATION_TIMEZONE
+        });
+
+        this.cronJobs.set(schedule.name, job);
+        job.start();
+    }
+
+    // Enfileirar jobs de um período (entityType ALL = usuários e afiliados)
+    // Um job igual ainda pendente ou em processamento é reaproveitado em vez de duplicado
+    async createJobs({
+        entityType = 'ALL',
+        periodType = 'DAILY',
+        specificDate = null,
+        scope = 'ALL',
+        batchSize = null,
+        requestedBy = null,
+        triggerType = 'MANUAL'
+    } = {}) {
+        const date = specificDate ? moment(specificDate) : moment();
+        const { periodStart, periodEnd } = this.dataService.getPeriodRange(date, periodType);
+        const entityTypes = entityType === 'ALL' ? ENTITY_TYPES : [entityType];
+
+        const jobs = [];
+        for (const type of entityTypes) {
+            const key = {
+                entity_type: type,
+                period_type: periodType,
+                period_start: periodStart.toDate(),
+                scope
+            };
+
+            const active = await this.dataModel.findActiveAnalyticsJob(key);
+            if (active) {
+                jobs.push(active);
+                continue;
+            }
+
+            const touchedSince = scope === 'TOUCHED' ? await this.dataModel.getLastAnalyticsJobStart(key) : null;
+
+            const job = await this.dataModel.createAnalyticsJob({
+                ...key,
+                period_end: periodEnd.toDate(),
+                touched_since: touchedSince,
+                trigger_type: triggerType,
+                batch_size: batchSize || this.batchSize,
+                requested_by: requestedBy
+            });
+
+            logger.info(`Job de analytics ${job.id} criado`, {
+                entityType: type,
+                periodType,
+                periodStart: job.period_start,
+                scope,
+                touchedSince
+            });
+            jobs.push(job);
+        }
+
+        this.processPending();
+        return jobs;
+    }
+
+    // Cancelar job (null quando não existe ou já terminou)
+    async cancelJob(jobId) {
+        const job = await this.dataModel.cancelAnalyticsJob(jobId);
+        if (job) {
+            logger.info(`Job de analytics ${jobId} cancelado`, { lastEntityId: job.last_entity_id });
+        }
+        return job;
+    }
+
+    // Retomar job falho ou cancelado a partir do checkpoint (null quando não pode ser retomado)
+    async resumeJob(jobId) {
+        const job = await this.dataModel.resumeAnalyticsJob(jobId);
+        if (job) {
+            logger.info(`Job de analytics ${jobId} retomado`, { lastEntityId: job.last_entity_id });
+            this.processPending();
+        }
+        return job;
+    }
+
+    // Processar todos os jobs pendentes (um por vez; chamadas concorrentes são ignoradas)
+    async processPending() {
+        if (!this.isRunning || this.isProcessing) {
+            return;
+        }
+
+        this.isProcessing = true;
+        try {
+            let job = await this.dataModel.claimNextAnalyticsJob();
+            while (job && this.isRunning) {
+                await this.processJob(job);
+                job = await this.dataModel.claimNextAnalyticsJob();
+            }
+        } catch (error) {
+            logger.error('Erro no worker de jobs de analytics:', error);
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    // Processar um job já reservado (status PROCESSING) a partir do seu checkpoint
+    async processJob(job) {
+        const startTime = Date.now();
+        const periodStart = moment(job.period_start);
+        const periodEnd = moment(job.period_end);
+        const criteria = {
+            periodStart: periodStart.toDate(),
+            periodEnd: periodEnd.toDate(),
+            touchedSince: job.touched_since
+        };
+        let current = job;
+
+        logger.info(`Processando job de analytics ${job.id}`, {
+            entityType: job.entity_type,
+            periodType: job.period_type,
+            periodStart: job.period_start,
+            scope: job.scope,
+            lastEntityId: job.last_entity_id
+        });
+
+        try {
+            // Total contado só na primeira execução; um job retomado mantém o total original
+            if (current.last_entity_id === null) {
+                const total = job.entity_type === 'USER'
+                    ? await this.dataModel.countUserAnalyticsCandidates(criteria)
+                    : await this.dataModel.countAffiliateAnalyticsCandidates(criteria);
+                current = await this.dataModel.updateAnalyticsJobProgress(job.id, { entities_total: total });
+            }
+
+            let hasMore = true;
+            while (current && hasMore && this.isRunning) {
+                const batch = await this.processBatch(current, periodStart, periodEnd);
+                hasMore = batch.processed === current.batch_size;
+
+                if (batch.processed === 0) {
+                    break;
+                }
+
+                const processed = current.entities_processed + batch.processed;
+                const lastError = batch.errors?.length ? batch.errors[batch.errors.length - 1] : null;
+
+                if (lastError) {
+                    logger.warn(`Job de analytics ${job.id}: ${batch.errors.length} entidade(s) com falha no lote`, {
+                        errors: batch.errors
+                    });
+                }
+
+                // 100% apenas quando o job terminar
+                current = await this.dataModel.updateAnalyticsJobProgress(job.id, {
+                    last_entity_id: batch.lastId,
+                    entities_processed: processed,
+                    entities_failed: current.entities_failed + (batch.failed || 0),
+                    progress_percentage: current.entities_total > 0
+                        ? Math.min(99, Math.floor((processed / current.entities_total) * 100))
+                        : 0,
+                    error_message: lastError ? `${job.entity_type} ${lastError.entityId}: ${lastError.error}` : undefined
+                });
+
+                if (hasMore && this.throttleMs > 0) {
+                    await new Promise(resolve => setTimeout(resolve, this.throttleMs));
+                }
+            }
+
+            if (!current) {
+                logger.info(`Job de analytics ${job.id} interrompido por cancelamento`);
+                return null;
+            }
+
+            // Worker parado no meio do job: devolver para a fila mantendo o checkpoint
+            if (!this.isRunning) {
+                logger.info(`Job de analytics ${job.id} devolvido para a fila`, { lastEntityId: current.last_entity_id });
+                return await this.dataModel.updateAnalyticsJobProgress(job.id, { status: 'PENDING' });
+            }
+
+            current = await this.dataModel.updateAnalyticsJobProgress(job.id, {
+                status: 'COMPLETED',
+                progress_percentage: 100,
+                entities_total: Math.max(current.entities_total, current.entities_processed),
+                completed_at: new Date()
+            });
+
+            logger.info(`Job de analytics ${job.id} concluído`, {
+                entitiesProcessed: current?.entities_processed,
+                entitiesFailed: current?.entities_failed,
+                duration: `${Date.now() - startTime}ms`
+            });
+
+            return current;
+
+        } catch (error) {
+            logger.error(`Erro ao processar job de analytics ${job.id}:`, error);
+
+            return await this.dataModel.updateAnalyticsJobProgress(job.id, {
+                status: 'FAILED',
+                completed_at: new Date(),
+                error_message: error.message
+            });
+        }
+    }
+
+    // Dia (data local, sem hora) no fuso da operação; offsetDays -1 = dia anterior
+    operationDay(offsetDays = 0) {
+        return moment(moment.tz(OPERATION_TIMEZONE).add(offsetDays, 'days').format('YYYY-MM-DD'));
+    }
+
+    // Dia completo que fecha uma semana, mês ou ano: consolidar esses períodos a partir dos
+    // registros DAILY. Com o job DAILY ALL do dia ainda na fila ou em processamento o rollup
+    // é adiado (pode ser refeito por POST /analytics/rollups)
+    async rollupClosedPeriods(date) {
+        const periodTypes = this.dataService.getClosingPeriods(date);
+        if (!periodTypes.length) {
+            return [];
+        }
+
+        const periodStart = moment(date).startOf('day').toDate();
+        for (const entityType of ENTITY_TYPES) {
+            const active = await this.dataModel.findActiveAnalyticsJob({
+                entity_type: entityType,
+                period_type: 'DAILY',
+                period_start: periodStart,
+                scope: 'ALL'
+            });
+
+            if (active) {
+                logger.warn(`Rollup ${periodTypes.join(', ')} adiado: job DAILY ${active.id} ainda não concluído`, {
+                    day: moment(date).format('YYYY-MM-DD'),
+                    status: active.status
+                });
+                return [];
+            }
+        }
+
+        const results = [];
+        for (const periodType of periodTypes) {
+            try {
+                results.push(await this.dataService.rollupAnalytics(periodType, date, 'ALL'));
+            } catch (error) {
+                logger.error(`Erro no rollup ${periodType} do dia ${moment(date).format('YYYY-MM-DD')}:`, error);
+            }
+        }
+
+        return results;
+    }
+
+    // Próximo lote do job a partir do checkpoint
+    async processBatch(job, periodStart, periodEnd) {
+        const options = {
+            afterId: job.last_entity_id || 0,
+            limit: job.batch_size,
+            touchedSince: job.touched_since
+        };
+
+        return job.entity_type === 'USER'
+            ? await this.dataService.generateUserAnalyticsBatch(job.period_type, periodStart, periodEnd, options)
+            : await this.dataService.generateAffiliateAnalyticsBatch(job.period_type, periodStart, periodEnd, options);
+    }
+}
+
+// Singleton instance
+const analyticsJobService = new AnalyticsJobService();
+
+module.exports = {
+    AnalyticsJobService,
+    analyticsJobService,
+    ENTITY_TYPES,
+    PERIOD_TYPES,
+    JOB_SCOPES
+};
@@ -0,0 +1,196 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../models/dataModel');
+jest.mock('../utils/configClient');
+
+const { AnalyticsJobService } = require('./analyticsJobService');
+
+// dataModel em memória: updateAnalyticsJobProgress aplica sobre o job gravado as alterações
+// definidas (undefined mantém o valor, como no UPDATE do DataModel)
+const createService = (job, batches) => {
+    const service = new AnalyticsJobService();
+    let stored = { ...job };
+
+    service.isRunning = true;
+    service.dataModel = {
+        countUserAnalyticsCandidates: jest.fn().mockResolvedValue(5),
+        countAffiliateAnalyticsCandidates: jest.fn(),
+        updateAnalyticsJobProgress: jest.fn(async (id, updates) => {
+            Object.entries(updates)
+                .filter(([, value]) => value !== undefined)
+                .forEach(([field, value]) => { stored[field] = value; });
+            return { ...stored };
+        })
+    };
+    service.dataService = {
+        generateUserAnalyticsBatch: jest.fn(),
+        generateAffiliateAnalyticsBatch: jest.fn(),
+        getClosingPeriods: jest.fn().mockReturnValue([])
+    };
+    batches.forEach(batch => {
+        if (batch instanceof Error) {
+            service.dataService.generateUserAnalyticsBatch.mockRejectedValueOnce(batch);
+        } else {
+            service.dataService.generateUserAnalyticsBatch.mockResolvedValueOnce(batch);
+        }
+    });
+
+    return service;
+};
+
+const userJob = (overrides = {}) => ({
+    id: 1,
+    entity_type: 'USER',
+    period_type: 'DAILY',
+    period_start: new Date('2024-03-10T00:00:00Z'),
+    period_end: new Date('2024-03-10T23:59:59.999Z'),
+    scope: 'ALL',
+    touched_since: null,
+    batch_size: 2,
+    last_entity_id: null,
+    entities_total: 0,
+    entities_processed: 0,
+    entities_failed: 0,
+    ...overrides
+});
+
+describe('AnalyticsJobService', () => {
+    describe('processJob', () => {
+        test('conta o total na primeira execução e grava o checkpoint após cada lote', async () => {
+            const service = createService(userJob(), [
+                { processed: 2, lastId: 11 },
+                { processed: 2, lastId: 14 },
+                { processed: 1, lastId: 20 }
+            ]);
+
+            const result = await service.processJob(userJob());
+
+            expect(service.dataModel.countUserAnalyticsCandidates).toHaveBeenCalledTimes(1);
+            expect(service.dataService.generateUserAnalyticsBatch.mock.calls.map(call => call[3].afterId)).toEqual([0, 11, 14]);
+
+            const progress = service.dataModel.updateAnalyticsJobProgress.mock.calls.map(call => call[1]);
+            expect(progress.slice(1, 4).map(update => [update.last_entity_id, update.entities_processed, update.progress_percentage]))
+                .toEqual([[11, 2, 40], [14, 4, 80], [20, 5, 99]]);
+
+            expect(result).toEqual(expect.objectContaining({
+                status: 'COMPLETED',
+                progress_percentage: 100,
+                entities_total: 5,
+                entities_processed: 5,
+                last_entity_id: 20
+            }));
+        });
+
+        test('job retomado continua do checkpoint sem recontar o total', async () => {
+            const resumed = userJob({ last_entity_id: 14, entities_total: 5, entities_processed: 4 });
+            const service = createService(resumed, [{ processed: 1, lastId: 20 }]);
+
+            const result = await service.processJob(resumed);
+
+            expect(service.dataModel.countUserAnalyticsCandidates).not.toHaveBeenCalled();
+            expect(service.dataService.generateUserAnalyticsBatch).toHaveBeenCalledTimes(1);
+            expect(service.dataService.generateUserAnalyticsBatch.mock.calls[0][3]).toEqual({ afterId: 14, limit: 2, touchedSince: null });
+            expect(result).toEqual(expect.objectContaining({ status: 'COMPLETED', entities_processed: 5 }));
+        });
+
+        test('worker parado no meio do job devolve o job para a fila mantendo o checkpoint', async () => {
+            const service = createService(userJob(), []);
+            service.dataService.generateUserAnalyticsBatch.mockImplementationOnce(async () => {
+                service.isRunning = false;
+                return { processed: 2, lastId: 11 };
+            });
+
+            const result = await service.processJob(userJob());
+
+            expect(service.dataService.generateUserAnalyticsBatch).toHaveBeenCalledTimes(1);
+            expect(result).toEqual(expect.objectContaining({ status: 'PENDING', last_entity_id: 11, entities_processed: 2 }));
+        });
+
+        test('entidades com falha no lote são contadas e o último motivo vai para error_message', async () => {
+            const service = createService(userJob(), [
+                { processed: 2, failed: 1, lastId: 11, errors: [{ entityId: 10, error: 'valor inválido' }] },
+                { processed: 1, failed: 0, lastId: 20 }
+            ]);
+
+            const result = await service.processJob(userJob());
+
+            const progress = service.dataModel.updateAnalyticsJobProgress.mock.calls.map(call => call[1]);
+            expect(progress[1]).toEqual(expect.objectContaining({ entities_failed: 1, error_message: 'USER 10: valor inválido' }));
+            expect(progress[2].error_message).toBeUndefined();
+            expect(result).toEqual(expect.objectContaining({
+                status: 'COMPLETED',
+                entities_failed: 1,
+                error_message: 'USER 10: valor inválido'
+            }));
+        });
+
+        test('erro no lote marca o job como FAILED com a mensagem e preserva o último checkpoint', async () => {
+            const service = createService(userJob(), [
+                { processed: 2, lastId: 11 },
+                new Error('timeout na consulta')
+            ]);
+
+            const result = await service.processJob(userJob());
+
+            expect(result).toEqual(expect.objectContaining({
+                status: 'FAILED',
+                error_message: 'timeout na consulta',
+                last_entity_id: 11
+            }));
+        });
+    });
+
+    describe('rollupClosedPeriods', () => {
+        const createRollupService = (activeJob = null) => {
+            const service = new AnalyticsJobService();
+            service.dataModel = { findActiveAnalyticsJob: jest.fn().mockResolvedValue(activeJob) };
+            service.dataService = {
+                getClosingPeriods: jest.fn().mockReturnValue(['WEEKLY', 'MONTHLY']),
+                rollupAnalytics: jest.fn()
+                    .mockRejectedValueOnce(new Error('deadlock'))
+                    .mockResolvedValueOnce({ period_type: 'MONTHLY' })
+            };
+            return service;
+        };
+
+        test('consolida os períodos encerrados no dia; a falha de um período não impede os demais', async () => {
+            const service = createRollupService();
+            const day = new Date('2024-11-30T00:00:00');
+
+            const results = await service.rollupClosedPeriods(day);
+
+            expect(service.dataModel.findActiveAnalyticsJob.mock.calls.map(call => call[0].entity_type)).toEqual(['USER', 'AFFILIATE']);
+            expect(service.dataService.rollupAnalytics.mock.calls).toEqual([
+                ['WEEKLY', day, 'ALL'],
+                ['MONTHLY', day, 'ALL']
+            ]);
+            expect(results).toEqual([{ period_type: 'MONTHLY' }]);
+        });
+
+        test('job DAILY ALL do dia ainda ativo adia o rollup', async () => {
+            const service = createRollupService({ id: 9, status: 'PROCESSING' });
+
+            expect(await service.rollupClosedPeriods(new Date('2024-11-30T00:00:00'))).toEqual([]);
+            expect(service.dataModel.findActiveAnalyticsJob).toHaveBeenCalledWith(expect.objectContaining({ period_type: 'DAILY', scope: 'ALL' }));
+            expect(service.dataService.rollupAnalytics).not.toHaveBeenCalled();
+        });
+
+        test('dia que não encerra período não consulta os jobs', async () => {
+            const service = createRollupService();
+            service.dataService.getClosingPeriods.mockReturnValue([]);
+
+            expect(await service.rollupClosedPeriods(new Date('2024-11-28T00:00:00'))).toEqual([]);
+            expect(service.dataModel.findActiveAnalyticsJob).not.toHaveBeenCalled();
+        });
+
+        test('processJob não dispara rollup', async () => {
+            const service = createService(userJob({ batch_size: 500 }), [{ processed: 5, lastId: 20 }]);
+            service.dataService.getClosingPeriods.mockReturnValue(['MONTHLY']);
+            service.dataService.rollupAnalytics = jest.fn();
+
+            const result = await service.processJob(userJob({ batch_size: 500 }));
+
+            expect(result.status).toBe('COMPLETED');
+            expect(service.dataService.rollupAnalytics).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,173 @@
+const moment = require('moment');
+const logger = require('../utils/logger');
+
+const COHORT_BASES = ['REGISTRATION', 'FTD'];
+const COHORT_PERIODS = ['WEEK', 'MONTH'];
+
+// Maior deslocamento calculado por unidade (dia 0..30, semana 0..12, mês 0..12)
+const MAX_OFFSETS = { DAY: 30, WEEK: 12, MONTH: 12 };
+
+// Retenção por coorte (cadastro ou primeiro depósito), por afiliado ou global
+//
+// As matrizes são calculadas no banco da operação e materializadas em cohort_retention, um
+// escopo (afiliado, base, período, unidade) por vez, cobrindo as coortes dos últimos
+// COHORT_LOOKBACK_MONTHS meses. A leitura sempre usa a matriz materializada; quando ela não
+// existe ou tem mais de COHORT_MAX_AGE_HOURS horas, o recálculo é disparado em background
+//
+// Retenção de atividade: ativos (aposta ou depósito) no deslocamento / elegíveis
+// Retenção de receita: depósito por elegível no deslocamento / depósito por elegível no deslocamento 0
+class CohortService {
+    constructor(dataModel) {
+        this.dataModel = dataModel;
+        this.lookbackMonths = parseInt(process.env.COHORT_LOOKBACK_MONTHS) || 24;
+        this.maxAgeHours = parseInt(process.env.COHORT_MAX_AGE_HOURS) || 24;
+        this.refreshing = new Map();
+    }
+
+    // Escopo normalizado; a unidade padrão acompanha o período da coorte
+    normalizeScope({ affiliateId = null, basis = 'REGISTRATION', period = 'MONTH', unit = null } = {}) {
+        return {
+            affiliateId: affiliateId ? parseInt(affiliateId) : null,
+            basis,
+            period,
+            unit: unit || period
+        };
+    }
+
+    // Matriz materializada do escopo; ausente ou vencida, o recálculo é disparado em background
+    // e a resposta traz a matriz atual (vazia na primeira vez) com stale = true
+    async getCohorts(options = {}) {
+        const scope = this.normalizeScope(options);
+        const { from = null, to = null } = options;
+        const maxOffset = options.maxOffset !== undefined && options.maxOffset !== null
+            ? Math.min(parseInt(options.maxOffset), MAX_OFFSETS[scope.unit])
+            : MAX_OFFSETS[scope.unit];
+
+        const computedAt = await this.dataModel.getCohortRetentionComputedAt(scope);
+        const stale = !computedAt || moment().diff(moment(computedAt), 'hours', true) >= this.maxAgeHours;
+
+        if (stale) {
+            this.scheduleRefresh(scope);
+        }
+
+        const rows = await this.dataModel.getCohortRetention({ ...scope, from, to, maxOffset });
+        return {
+            ...this.buildMatrix(scope, rows, computedAt, maxOffset),
+            stale,
+            refreshing: this.refreshing.has(this.scopeKey(scope))
+        };
+    }
+
+    // Disparar o recálculo de um escopo sem aguardar; um recálculo do mesmo escopo já em
+    // andamento é reaproveitado
+    scheduleRefresh(options = {}) {
+        const scope = this.normalizeScope(options);
+        const key = this.scopeKey(scope);
+
+        if (!this.refreshing.has(key)) {
+            const refresh = this.refreshCohorts(scope)
+                .catch(error => logger.error(`Erro ao recalcular matriz de coortes (${key}):`, error))
+                .finally(() => this.refreshing.delete(key));
+            this.refreshing.set(key, refresh);
+        }
+
+        return scope;
+    }
+
+    scopeKey(scope) {
+        return [scope.affiliateId, scope.basis, scope.period, scope.unit].join(':');
+    }
+
+    // Recalcular e materializar a matriz de um escopo
+    async refreshCohorts(options = {}) {
+        const scope = this.normalizeScope(options);
+        const startTime = Date.now();
+        const from = moment().subtract(this.lookbackMonths, 'months').startOf(scope.period === 'WEEK' ? 'week' : 'month');
+
+        const stats = await this.dataModel.getCohortRetentionStats({
+            ...scope,
+            maxOffset: MAX_OFFSETS[scope.unit],
+            from: from.toDate(),
+            to: new Date()
+        });
+
+        const cells = this.calculateRetention(stats);
+        await this.dataModel.replaceCohortRetention(scope, cells);
+
+        const cohorts = new Set(cells.map(cell => moment(cell.cohort_start).valueOf())).size;
+        logger.info('Matriz de coortes materializada', {
+            ...scope,
+            cohorts,
+            cells: cells.length,
+            duration: Date.now() - startTime
+        });
+
+        return { ...scope, cohorts, cells: cells.length, computedAt: new Date() };
+    }
+
+    // Taxas de retenção de cada célula (linhas de DataModel.getCohortRetentionStats)
+    calculateRetention(stats) {
+        const baseByCohort = new Map();
+        stats
+            .filter(cell => cell.offset_value === 0)
+            .forEach(cell => baseByCohort.set(moment(cell.cohort_start).valueOf(), cell));
+
+        return stats.map(cell => {
+            const base = baseByCohort.get(moment(cell.cohort_start).valueOf());
+            const baseRevenue = base && base.eligible_users > 0 ? base.deposit_amount / base.eligible_users : 0;
+            const revenue = cell.eligible_users > 0 ? cell.deposit_amount / cell.eligible_users : 0;
+
+            return {
+                ...cell,
+                activity_retention: cell.eligible_users > 0 ? this.roundRate(cell.active_users / cell.eligible_users) : null,
+                revenue_retention: baseRevenue > 0 ? this.roundRate(revenue / baseRevenue) : null
+            };
+        });
+    }
+
+    // Agrupar as células materializadas em linhas por coorte
+    buildMatrix(scope, rows, computedAt, maxOffset) {
+        const cohorts = new Map();
+
+        rows.forEach(row => {
+            const key = moment(row.cohort_start).valueOf();
+            if (!cohorts.has(key)) {
+                cohorts.set(key, {
+                    cohort_start: row.cohort_start,
+                    cohort_size: row.cohort_size,
+                    cells: []
+                });
+            }
+
+            cohorts.get(key).cells.push({
+                offset: row.offset_value,
+                eligible_users: row.eligible_users,
+                active_users: row.active_users,
+                activity_retention: row.activity_retention !== null ? parseFloat(row.activity_retention) : null,
+                deposit_amount: parseFloat(row.deposit_amount),
+                bet_amount: parseFloat(row.bet_amount),
+                revenue_retention: row.revenue_retention !== null ? parseFloat(row.revenue_retention) : null
+            });
+        });
+
+        return {
+            affiliate_id: scope.affiliateId,
+            basis: scope.basis,
+            period: scope.period,
+            unit: scope.unit,
+            max_offset: maxOffset,
+            computed_at: computedAt,
+            cohorts: Array.from(cohorts.values())
+        };
+    }
+
+    roundRate(value) {
+        return Math.round(value * 10000) / 10000;
+    }
+}
+
+CohortService.COHORT_BASES = COHORT_BASES;
+CohortService.COHORT_PERIODS = COHORT_PERIODS;
+CohortService.MAX_OFFSETS = MAX_OFFSETS;
+
+module.exports = CohortService;
@@ -0,0 +1,118 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const CohortService = require('./cohortService');
+
+const march = new Date('2024-03-01T00:00:00.000Z');
+const april = new Date('2024-04-01T00:00:00.000Z');
+
+const stat = (cohortStart, offset, eligible, active, depositAmount) => ({
+    cohort_start: cohortStart,
+    cohort_size: 10,
+    offset_value: offset,
+    eligible_users: eligible,
+    active_users: active,
+    deposit_amount: depositAmount,
+    bet_amount: 0
+});
+
+describe('CohortService', () => {
+    describe('normalizeScope', () => {
+        test('unidade padrão acompanha o período e o afiliado vira número', () => {
+            const cohortService = new CohortService({});
+
+            expect(cohortService.normalizeScope()).toEqual({ affiliateId: null, basis: 'REGISTRATION', period: 'MONTH', unit: 'MONTH' });
+            expect(cohortService.normalizeScope({ affiliateId: '7', basis: 'FTD', period: 'WEEK', unit: 'DAY' }))
+                .toEqual({ affiliateId: 7, basis: 'FTD', period: 'WEEK', unit: 'DAY' });
+        });
+    });
+
+    describe('calculateRetention', () => {
+        test('atividade sobre elegíveis e receita por elegível relativa ao deslocamento 0', () => {
+            const cohortService = new CohortService({});
+
+            const cells = cohortService.calculateRetention([
+                stat(march, 0, 10, 10, 1000),
+                stat(march, 1, 9, 3, 450),
+                stat(april, 1, 0, 0, 0),
+                stat(april, 0, 4, 4, 0)
+            ]);
+
+            expect(cells.map(cell => [cell.activity_retention, cell.revenue_retention])).toEqual([
+                [1, 1],
+                [0.3333, 0.5],
+                [null, null],
+                [1, null]
+            ]);
+        });
+    });
+
+    describe('buildMatrix', () => {
+        test('agrupa as células por coorte e converte os valores numéricos', () => {
+            const cohortService = new CohortService({});
+            const scope = cohortService.normalizeScope({ affiliateId: 7 });
+            const computedAt = new Date('2024-05-01T00:00:00Z');
+
+            const matrix = cohortService.buildMatrix(scope, [
+                { ...stat(march, 0, 10, 10, '1000.00'), activity_retention: '1.0000', revenue_retention: '1.0000', bet_amount: '50.5' },
+                { ...stat(march, 1, 9, 3, '450.00'), activity_retention: '0.3333', revenue_retention: null, bet_amount: '0' },
+                { ...stat(april, 0, 4, 4, '0'), activity_retention: null, revenue_retention: null, bet_amount: '0' }
+            ], computedAt, 12);
+
+            expect(matrix).toEqual(expect.objectContaining({
+                affiliate_id: 7,
+                basis: 'REGISTRATION',
+                period: 'MONTH',
+                unit: 'MONTH',
+                max_offset: 12,
+                computed_at: computedAt
+            }));
+            expect(matrix.cohorts).toHaveLength(2);
+            expect(matrix.cohorts[0].cells).toEqual([
+                { offset: 0, eligible_users: 10, active_users: 10, activity_retention: 1, deposit_amount: 1000, bet_amount: 50.5, revenue_retention: 1 },
+                { offset: 1, eligible_users: 9, active_users: 3, activity_retention: 0.3333, deposit_amount: 450, bet_amount: 0, revenue_retention: null }
+            ]);
+            expect(matrix.cohorts[1]).toEqual(expect.objectContaining({ cohort_start: april, cohort_size: 10 }));
+        });
+    });
+
+    describe('getCohorts', () => {
+        test('matriz recente é lida sem recálculo e maxOffset respeita o limite da unidade', async () => {
+            const dataModel = {
+                getCohortRetentionComputedAt: jest.fn().mockResolvedValue(new Date()),
+                getCohortRetention: jest.fn().mockResolvedValue([]),
+                getCohortRetentionStats: jest.fn()
+            };
+            const cohortService = new CohortService(dataModel);
+
+            const matrix = await cohortService.getCohorts({ period: 'WEEK', maxOffset: '40' });
+
+            expect(dataModel.getCohortRetentionStats).not.toHaveBeenCalled();
+            expect(dataModel.getCohortRetention).toHaveBeenCalledWith(expect.objectContaining({ unit: 'WEEK', maxOffset: 12 }));
+            expect(matrix.cohorts).toEqual([]);
+        });
+
+        test('matriz vencida é devolvida na hora e um único recálculo roda em segundo plano', async () => {
+            let finishRefresh;
+            const dataModel = {
+                getCohortRetentionComputedAt: jest.fn().mockResolvedValue(null),
+                getCohortRetention: jest.fn().mockResolvedValue([]),
+                getCohortRetentionStats: jest.fn(() => new Promise(resolve => { finishRefresh = resolve; })),
+                replaceCohortRetention: jest.fn().mockResolvedValue()
+            };
+            const cohortService = new CohortService(dataModel);
+
+            const first = await cohortService.getCohorts({ affiliateId: 7 });
+            const second = await cohortService.getCohorts({ affiliateId: '7' });
+
+            expect(first).toEqual(expect.objectContaining({ stale: true, refreshing: true }));
+            expect(second.refreshing).toBe(true);
+            expect(dataModel.getCohortRetentionStats).toHaveBeenCalledTimes(1);
+
+            finishRefresh([]);
+            await cohortService.refreshing.get('7:REGISTRATION:MONTH:MONTH');
+
+            expect(dataModel.replaceCohortRetention).toHaveBeenCalledTimes(1);
+            expect(cohortService.refreshing.size).toBe(0);
+        });
+    });
+});
@@ -0,0 +1,180 @@
+const moment = require('moment');
+
+const CRITERION_TYPES = ['deposit', 'bets', 'bet_amount', 'days_active'];
+const OPERATORS = ['AND', 'OR'];
+
+// Regras usadas quando o Config Service não retorna nenhum critério habilitado
+const DEFAULT_CPA_RULES = {
+    group_operator: 'OR',
+    groups: [{
+        operator: 'AND',
+        criteria: [
+            { type: 'deposit', value: 30.00, enabled: true },
+            { type: 'bets', value: 10, enabled: true },
+            { type: 'bet_amount', value: 100.00, enabled: true }
+        ]
+    }]
+};
+
+// Avaliador das regras de qualificação CPA (cpa_validation_rules)
+// Estrutura: { group_operator: 'AND'|'OR', groups: [{ operator: 'AND'|'OR', criteria: [{ type, value, enabled }] }] }
+// Todos os critérios são acumulativos (só aumentam com o tempo), por isso o instante de
+// qualificação é calculado a partir do instante em que cada critério foi atingido
+class CpaRulesEngine {
+    // Regras efetivas: grupos e critérios desabilitados são descartados
+    resolveRules(rules) {
+        const groups = (rules?.groups || [])
+            .map(group => ({
+                operator: (group.operator || 'AND').toUpperCase(),
+                criteria: (group.criteria || []).filter(criterion => criterion.enabled !== false)
+            }))
+            .filter(group => group.criteria.length > 0);
+
+        if (groups.length === 0) {
+            return this.resolveRules(DEFAULT_CPA_RULES);
+        }
+
+        return {
+            group_operator: (rules.group_operator || 'OR').toUpperCase(),
+            groups
+        };
+    }
+
+    // Avaliar a partir dos eventos do usuário (depósitos e apostas com amount e created_at)
+    // Retorna critérios atingidos/não atingidos e o instante real da qualificação
+    evaluate(rules, { deposits = [], bets = [] }) {
+        const timelines = this.buildTimelines(deposits, bets);
+
+        return this.combine(this.resolveRules(rules), criterion => {
+            const timeline = timelines[criterion.type];
+            const required = parseFloat(criterion.value) || 0;
+            const reached = timeline.find(point => point.value >= required);
+
+            return {
+                actual: timeline.length > 0 ? timeline[timeline.length - 1].value : 0,
+                metAt: required <= 0 ? null : reached ? reached.at : undefined
+            };
+        });
+    }
+
+    // Avaliar a partir de totais já agregados ({ deposit, bets, bet_amount, days_active })
+    // Não informa o instante de qualificação
+    evaluateTotals(rules, totals) {
+        return this.combine(this.resolveRules(rules), criterion => {
+            const actual = totals[criterion.type] || 0;
+            return {
+                actual,
+                metAt: actual >= (parseFloat(criterion.value) || 0) ? null : undefined
+            };
+        });
+    }
+
+    // Combinar critérios em grupos e grupos no resultado final
+    // metAt: Date = atingido nesse instante, null = atingido sem instante definido
+    // (critério sem exigência ou avaliação por totais), undefined = não atingido
+    combine(rules, measure) {
+        const passedCriteria = [];
+        const failedCriteria = [];
+
+        const groups = rules.groups.map((group, groupIndex) => {
+            const criteria = group.criteria.map(criterion => {
+                if (!CRITERION_TYPES.includes(criterion.type)) {
+                    throw new Error(`Tipo de critério CPA inválido: ${criterion.type}`);
+                }
+
+                const { actual, metAt } = measure(criterion);
+                const result = {
+                    group: groupIndex,
+                    type: criterion.type,
+                    required: parseFloat(criterion.value) || 0,
+                    actual: Math.round(actual * 100) / 100,
+                    passed: metAt !== undefined,
+                    metAt: metAt || null
+                };
+
+                (result.passed ? passedCriteria : failedCriteria).push(result);
+                return { ...result, rawMetAt: metAt };
+            });
+
+            const combined = this.combineTimes(group.operator, criteria.map(c => c.rawMetAt));
+
+            return {
+                operator: group.operator,
+                passed: combined !== undefined,
+                qualifiedAt: combined || null,
+                criteria: criteria.map(({ rawMetAt, ...criterion }) => criterion),
+                rawQualifiedAt: combined
+            };
+        });
+
+        const qualifiedAt = this.combineTimes(rules.group_operator, groups.map(g => g.rawQualifiedAt));
+
+        return {
+            qualified: qualifiedAt !== undefined,
+            qualifiedAt: qualifiedAt || null,
+            groupOperator: rules.group_operator,
+            groups: groups.map(({ rawQualifiedAt, ...group }) => group),
+            passedCriteria,
+            failedCriteria
+        };
+    }
+
+    // AND: atingido quando o último item for atingido; OR: quando o primeiro for atingido
+    // Itens com null (atingidos sem instante definido) não restringem o AND e antecipam o OR
+    combineTimes(operator, times) {
+        if (!OPERATORS.includes(operator)) {
+            throw new Error(`Operador CPA inválido: ${operator}`);
+        }
+
+        const reached = times.filter(time => time !== undefined);
+        const known = reached.filter(time => time !== null);
+
+        if (operator === 'AND') {
+            if (reached.length < times.length) return undefined;
+            return known.length > 0 ? new Date(Math.max(...known.map(time => time.getTime()))) : null;
+        }
+
+        if (reached.length === 0) return undefined;
+        if (known.length < reached.length) return null;
+        return new Date(Math.min(...known.map(time => time.getTime())));
+    }
+
+    // Séries acumuladas por tipo de critério: [{ at, value }] em ordem cronológica
+    buildTimelines(deposits, bets) {
+        const byDate = (a, b) => new Date(a.created_at) - new Date(b.created_at);
+        const sortedDeposits = [...deposits].sort(byDate);
+        const sortedBets = [...bets].sort(byDate);
+
+        const cumulative = (events, increment) => {
+            let total = 0;
+            return events.map(event => {
+                total += increment(event);
+                return { at: new Date(event.created_at), value: total };
+            });
+        };
+
+        // Dias ativos: cada novo dia com depósito ou aposta incrementa a contagem
+        const activeDays = new Set();
+        const daysTimeline = [];
+        [...sortedDeposits, ...sortedBets].sort(byDate).forEach(event => {
+            const day = moment(event.created_at).format('YYYY-MM-DD');
+            if (!activeDays.has(day)) {
+                activeDays.add(day);
+                daysTimeline.push({ at: new Date(event.created_at), value: activeDays.size });
+            }
+        });
+
+        return {
+            deposit: cumulative(sortedDeposits, event => parseFloat(event.amount || 0)),
+            bets: cumulative(sortedBets, () => 1),
+            bet_amount: cumulative(sortedBets, event => parseFloat(event.amount || 0)),
+            days_active: daysTimeline
+        };
+    }
+}
+
+CpaRulesEngine.CRITERION_TYPES = CRITERION_TYPES;
+CpaRulesEngine.OPERATORS = OPERATORS;
+CpaRulesEngine.DEFAULT_CPA_RULES = DEFAULT_CPA_RULES;
+
+module.exports = CpaRulesEngine;
@@ -0,0 +1,128 @@
+const CpaRulesEngine = require('./cpaRulesEngine');
+
+const event = (createdAt, amount) => ({ created_at: createdAt, amount });
+
+describe('CpaRulesEngine', () => {
+    const engine = new CpaRulesEngine();
+
+    describe('resolveRules', () => {
+        test('descarta critérios e grupos desabilitados e normaliza operadores', () => {
+            expect(engine.resolveRules({
+                group_operator: 'and',
+                groups: [
+                    { operator: 'or', criteria: [{ type: 'deposit', value: 10 }, { type: 'bets', value: 5, enabled: false }] },
+                    { criteria: [{ type: 'bets', value: 1, enabled: false }] }
+                ]
+            })).toEqual({
+                group_operator: 'AND',
+                groups: [{ operator: 'OR', criteria: [{ type: 'deposit', value: 10 }] }]
+            });
+        });
+
+        test('sem critérios habilitados usa as regras padrão', () => {
+            expect(engine.resolveRules(null)).toEqual(engine.resolveRules(CpaRulesEngine.DEFAULT_CPA_RULES));
+            expect(engine.resolveRules({ groups: [{ criteria: [] }] }).groups[0].criteria).toHaveLength(3);
+        });
+    });
+
+    describe('evaluate', () => {
+        const rules = {
+            group_operator: 'OR',
+            groups: [
+                { operator: 'AND', criteria: [{ type: 'deposit', value: 30 }, { type: 'bets', value: 2 }] },
+                { operator: 'AND', criteria: [{ type: 'days_active', value: 3 }] }
+            ]
+        };
+
+        test('AND qualifica no instante em que o último critério do grupo é atingido', () => {
+            const result = engine.evaluate(rules, {
+                deposits: [event('2024-03-02T10:00:00Z', '20.00'), event('2024-03-01T10:00:00Z', '15.00')],
+                bets: [event('2024-03-01T12:00:00Z', 5), event('2024-03-01T13:00:00Z', 5)]
+            });
+
+            expect(result.qualified).toBe(true);
+            expect(result.qualifiedAt).toEqual(new Date('2024-03-02T10:00:00Z'));
+            expect(result.groups[0]).toEqual(expect.objectContaining({ passed: true, qualifiedAt: new Date('2024-03-02T10:00:00Z') }));
+            expect(result.groups[1].passed).toBe(false);
+            expect(result.failedCriteria).toEqual([
+                { group: 1, type: 'days_active', required: 3, actual: 2, passed: false, metAt: null }
+            ]);
+        });
+
+        test('OR qualifica pelo primeiro grupo atingido', () => {
+            const result = engine.evaluate(rules, {
+                deposits: [event('2024-03-05T10:00:00Z', 50)],
+                bets: [
+                    event('2024-03-01T10:00:00Z', 1),
+                    event('2024-03-02T10:00:00Z', 1),
+                    event('2024-03-03T10:00:00Z', 1)
+                ]
+            });
+
+            expect(result.qualifiedAt).toEqual(new Date('2024-03-03T10:00:00Z'));
+            expect(result.groups.map(group => group.qualifiedAt)).toEqual([
+                new Date('2024-03-05T10:00:00Z'),
+                new Date('2024-03-03T10:00:00Z')
+            ]);
+        });
+
+        test('sem eventos não qualifica e o valor atual é zero', () => {
+            const result = engine.evaluate(rules, {});
+
+            expect(result.qualified).toBe(false);
+            expect(result.qualifiedAt).toBeNull();
+            expect(result.passedCriteria).toEqual([]);
+            expect(result.failedCriteria.map(criterion => criterion.actual)).toEqual([0, 0, 0]);
+        });
+
+        test('critério com exigência zero é atingido sem instante definido', () => {
+            const result = engine.evaluate({
+                groups: [{ operator: 'AND', criteria: [{ type: 'deposit', value: 0 }, { type: 'bets', value: 1 }] }]
+            }, { bets: [event('2024-03-01T10:00:00Z', 1)] });
+
+            expect(result.groups[0].criteria[0]).toEqual(expect.objectContaining({ passed: true, metAt: null }));
+            expect(result.qualifiedAt).toEqual(new Date('2024-03-01T10:00:00Z'));
+        });
+
+        test('tipo de critério desconhecido gera erro', () => {
+            expect(() => engine.evaluate({ groups: [{ criteria: [{ type: 'withdrawal', value: 1 }] }] }, {}))
+                .toThrow('Tipo de critério CPA inválido: withdrawal');
+        });
+    });
+
+    describe('evaluateTotals', () => {
+        test('avalia totais agregados sem instante de qualificação', () => {
+            const rules = {
+                groups: [{ operator: 'OR', criteria: [{ type: 'bet_amount', value: 100 }, { type: 'days_active', value: 7 }] }]
+            };
+
+            expect(engine.evaluateTotals(rules, { bet_amount: 120.456 })).toEqual(expect.objectContaining({
+                qualified: true,
+                qualifiedAt: null,
+                passedCriteria: [{ group: 0, type: 'bet_amount', required: 100, actual: 120.46, passed: true, metAt: null }]
+            }));
+            expect(engine.evaluateTotals(rules, { bet_amount: 99, days_active: 6 }).qualified).toBe(false);
+        });
+    });
+
+    describe('combineTimes', () => {
+        const early = new Date('2024-03-01T00:00:00Z');
+        const late = new Date('2024-03-02T00:00:00Z');
+
+        test('AND exige todos os itens e usa o mais tardio', () => {
+            expect(engine.combineTimes('AND', [early, late, null])).toEqual(late);
+            expect(engine.combineTimes('AND', [null, null])).toBeNull();
+            expect(engine.combineTimes('AND', [early, undefined])).toBeUndefined();
+        });
+
+        test('OR usa o primeiro item atingido; null antecipa a qualificação', () => {
+            expect(engine.combineTimes('OR', [late, undefined, early])).toEqual(early);
+            expect(engine.combineTimes('OR', [late, null])).toBeNull();
+            expect(engine.combineTimes('OR', [undefined])).toBeUndefined();
+        });
+
+        test('operador desconhecido gera erro', () => {
+            expect(() => engine.combineTimes('XOR', [])).toThrow('Operador CPA inválido: XOR');
+        });
+    });
+});
@@ -1,13 +1,24 @@
 const DataModel = require('../models/dataModel');
 const ConfigClient = require('../utils/configClient');
+const ReferralService = require('./referralService');
+const FunnelService = require('./funnelService');
+const CohortService = require('./cohortService');
+const CpaRulesEngine = require('./cpaRulesEngine');
 const logger = require('../utils/logger');
 const moment = require('moment');
 const _ = require('lodash');
 
+// Períodos consolidados a partir dos analytics DAILY já gravados
+const ROLLUP_PERIOD_TYPES = ['WEEKLY', 'MONTHLY', 'YEARLY'];
+
 class DataService {
     constructor() {
         this.dataModel = new DataModel();
         this.configClient = new ConfigClient();
+        this.referralService = new ReferralService(this.dataModel);
+        this.funnelService = new FunnelService();
+        this.cohortService = new CohortService(this.dataModel);
+        this.cpaRulesEngine = new CpaRulesEngine();
         this.cache = new Map();
         this.cacheTTL = new Map();
     }
@@ -214,42 +225,7 @@ class DataService {
             }
 
             // Calcular métricas
-            const analytics = {
-                user_id: userId,
-                affiliate_id: userData.affiliate_id,
-                period_type: periodType,
-                period_start: periodStart.toDate(),
-                period_end: periodEnd.toDate(),
-                
-                // Métricas de depósito
-                total_deposits: userData.deposits?.total || 0,
-                deposit_count: userData.deposits?.count || 0,
-                first_deposit_date: userData.deposits?.first_date,
-                last_deposit_date: userData.deposits?.last_date,
-                avg_deposit_amount: userData.deposits?.avg || 0,
-                
-                // Métricas de apostas
-                total_bets: userData.bets?.total || 0,
-                bet_count: userData.bets?.count || 0,
-                first_bet_date: userData.bets?.first_date,
-                last_bet_date: userData.bets?.last_date,
-                avg_bet_amount: userData.bets?.avg || 0,
-                
-                // Métricas de atividade
-                days_active: userData.activity?.days_active || 0,
-                sessions_count: userData.activity?.sessions || 0,
-                total_session_time_minutes: userData.activity?.total_time || 0,
-                
-                // Métricas de resultado
-                total_wins: userData.results?.wins || 0,
-                total_losses: userData.results?.losses || 0,
-                net_result: (userData.results?.wins || 0) - (userData.results?.losses || 0),
-                
-                // Métricas CPA
-                cpa_qualified: userData.cpa?.qualified || false,
-                cpa_qualification_date: userData.cpa?.qualification_date,
-                cpa_amount: userData.cpa?.amount || 0
-            };
+            const analytics = this.buildUserAnalytics(userId, userData, periodType, periodStart, periodEnd);
 
             // Salvar analytics
             const result = await this.dataModel.upsertUserAnalytics(analytics);
@@ -277,42 +253,7 @@ class DataService {
             }
 
             // Calcular métricas
-            const analytics = {
-                affiliate_id: affiliateId,
-                period_type: periodType,
-                period_start: periodStart.toDate(),
-                period_end: periodEnd.toDate(),
-                
-                // Métricas de usuários
-                total_users: affiliateData.users?.total || 0,
-                new_users: affiliateData.users?.new || 0,
-                active_users: affiliateData.users?.active || 0,
-                cpa_qualified_users: affiliateData.users?.cpa_qualified || 0,
-                
-                // Métricas financeiras
-                total_user_deposits: affiliateData.financial?.deposits || 0,
-                total_user_bets: affiliateData.financial?.bets || 0,
-                total_commissions: affiliateData.financial?.commissions || 0,
-                total_cpa_amount: affiliateData.financial?.cpa_amount || 0,
-                
-                // Métricas MLM
-                level_1_users: affiliateData.mlm?.level_1?.users || 0,
-                level_2_users: affiliateData.mlm?.level_2?.users || 0,
-                level_3_users: affiliateData.mlm?.level_3?.users || 0,
-                level_4_users: affiliateData.mlm?.level_4?.users || 0,
-                level_5_users: affiliateData.mlm?.level_5?.users || 0,
-                
-                level_1_commissions: affiliateData.mlm?.level_1?.commissions || 0,
-                level_2_commissions: affiliateData.mlm?.level_2?.commissions || 0,
-                level_3_commissions: affiliateData.mlm?.level_3?.commissions || 0,
-                level_4_commissions: affiliateData.mlm?.level_4?.commissions || 0,
-                level_5_commissions: affiliateData.mlm?.level_5?.commissions || 0,
-                
-                // Métricas de performance
-                conversion_rate: affiliateData.performance?.conversion_rate || 0,
-                avg_user_value: affiliateData.performance?.avg_user_value || 0,
-                retention_rate: affiliateData.performance?.retention_rate || 0
-            };
+            const analytics = this.buildAffiliateAnalytics(affiliateId, affiliateData, periodType, periodStart, periodEnd);
 
             // Salvar analytics
             const result = await this.dataModel.upsertAffiliateAnalytics(analytics);
@@ -326,6 +267,266 @@ class DataService {
         }
     }
 
+    // Registro de affiliate_analytics a partir dos dados da rede do afiliado no período
+    buildAffiliateAnalytics(affiliateId, affiliateData, periodType, periodStart, periodEnd) {
+        return {
+            affiliate_id: affiliateId,
+            period_type: periodType,
+            period_start: periodStart.toDate(),
+            period_end: periodEnd.toDate(),
+            
+            // Métricas de usuários
+            total_users: affiliateData.users?.total || 0,
+            new_users: affiliateData.users?.new || 0,
+            active_users: affiliateData.users?.active || 0,
+            cpa_qualified_users: affiliateData.users?.cpa_qualified || 0,
+            
+            // Métricas financeiras
+            total_user_deposits: affiliateData.financial?.deposits || 0,
+            total_user_bets: affiliateData.financial?.bets || 0,
+            total_commissions: affiliateData.financial?.commissions || 0,
+            total_cpa_amount: affiliateData.financial?.cpa_amount || 0,
+            
+            // Métricas MLM
+            level_1_users: affiliateData.mlm?.level_1?.users || 0,
+            level_2_users: affiliateData.mlm?.level_2?.users || 0,
+            level_3_users: affiliateData.mlm?.level_3?.users || 0,
+            level_4_users: affiliateData.mlm?.level_4?.users || 0,
+            level_5_users: affiliateData.mlm?.level_5?.users || 0,
+            
+            level_1_commissions: affiliateData.mlm?.level_1?.commissions || 0,
+            level_2_commissions: affiliateData.mlm?.level_2?.commissions || 0,
+            level_3_commissions: affiliateData.mlm?.level_3?.commissions || 0,
+            level_4_commissions: affiliateData.mlm?.level_4?.commissions || 0,
+            level_5_commissions: affiliateData.mlm?.level_5?.commissions || 0,
+            
+            // Métricas de performance
+            conversion_rate: affiliateData.performance?.conversion_rate || 0,
+            avg_user_value: affiliateData.performance?.avg_user_value || 0,
+            retention_rate: affiliateData.performance?.retention_rate || 0
+        };
+    }
+
+    // Registro de user_analytics a partir dos dados do usuário no período
+    buildUserAnalytics(userId, userData, periodType, periodStart, periodEnd) {
+        return {
+            user_id: userId,
+            affiliate_id: userData.affiliate_id,
+            period_type: periodType,
+            period_start: periodStart.toDate(),
+            period_end: periodEnd.toDate(),
+
+            // Métricas de depósito
+            total_deposits: userData.deposits?.total || 0,
+            deposit_count: userData.deposits?.count || 0,
+            first_deposit_date: userData.deposits?.first_date,
+            last_deposit_date: userData.deposits?.last_date,
+            avg_deposit_amount: userData.deposits?.avg || 0,
+
+            // Métricas de apostas
+            total_bets: userData.bets?.total || 0,
+            bet_count: userData.bets?.count || 0,
+            first_bet_date: userData.bets?.first_date,
+            last_bet_date: userData.bets?.last_date,
+            avg_bet_amount: userData.bets?.avg || 0,
+
+            // Métricas de atividade
+            days_active: userData.activity?.days_active || 0,
+            sessions_count: userData.activity?.sessions || 0,
+            total_session_time_minutes: userData.activity?.total_time || 0,
+
+            // Métricas de resultado
+            total_wins: userData.results?.wins || 0,
+            total_losses: userData.results?.losses || 0,
+            net_result: (userData.results?.wins || 0) - (userData.results?.losses || 0),
+
+            // Métricas CPA
+            cpa_qualified: userData.cpa?.qualified || false,
+            cpa_qualification_date: userData.cpa?.qualification_date,
+            cpa_amount: userData.cpa?.amount || 0
+        };
+    }
+
+    // ===== ANALYTICS EM LOTE =====
+
+    // Gerar analytics de um lote de usuários (jobs de analytics)
+    // As métricas vêm agregadas do banco em uma consulta por lote; a atividade completa só é
+    // buscada para quem já cumpre as regras CPA pelos totais (instante exato da qualificação)
+    async generateUserAnalyticsBatch(periodType, periodStart, periodEnd, { afterId = 0, limit = 500, touchedSince = null } = {}) {
+        const users = await this.dataModel.getUserAnalyticsBatch({
+            periodStart: periodStart.toDate(),
+            periodEnd: periodEnd.toDate(),
+            touchedSince,
+            afterId,
+            limit
+        });
+
+        if (!users.length) {
+            return { processed: 0, lastId: afterId };
+        }
+
+        const cpaRules = await this.configClient.getCpaValidationRules();
+        const qualifiedIds = users
+            .filter(user => this.cpaRulesEngine.evaluateTotals(cpaRules, {
+                deposit: user.deposits_until_end,
+                bets: user.bet_count_until_end,
+                bet_amount: user.bets_until_end,
+                days_active: user.days_active_until_end
+            }).qualified)
+            .map(user => user.user_id);
+
+        const cpaActivity = await this.dataModel.getUsersCpaActivity(qualifiedIds, periodEnd.toDate());
+        const cpaAmounts = qualifiedIds.length > 0 ? await this.configClient.getCpaLevelAmounts() : null;
+        const firstDeposits = await this.getFirstDeposits(users.map(user => user.user_id));
+
+        const analytics = users.map(user => {
+            const depositMetrics = this.calculateAmountMetrics(user.period_deposits, user.period_deposit_count, user.first_deposit_date, user.last_deposit_date);
+
+            // Primeiro depósito vem do FTD do ETL, como em getUserDataForPeriod
+            if (firstDeposits) {
+                depositMetrics.first_date = firstDeposits.get(String(user.user_id))?.deposited_at || null;
+            }
+
+            let cpaMetrics = { qualified: false, qualification_date: null, amount: 0 };
+            if (cpaActivity.has(String(user.user_id))) {
+                const evaluation = this.cpaRulesEngine.evaluate(cpaRules, cpaActivity.get(String(user.user_id)));
+                if (evaluation.qualified) {
+                    cpaMetrics = {
+                        qualified: true,
+                        qualification_date: evaluation.qualifiedAt,
+                        amount: cpaAmounts.level_1 // Assumindo nível 1
+                    };
+                }
+            }
+
+            return this.buildUserAnalytics(user.user_id, {
+                affiliate_id: user.affiliate_id,
+                deposits: depositMetrics,
+                bets: this.calculateAmountMetrics(user.period_bets, user.period_bet_count, user.first_bet_date, user.last_bet_date),
+                activity: {
+                    days_active: user.days_active,
+                    sessions: Math.ceil(user.activity_count / 10), // Estimativa
+                    total_time: user.activity_count * 5 // Estimativa em minutos
+                },
+                results: { wins: user.total_wins, losses: user.total_losses },
+                cpa: cpaMetrics
+            }, periodType, periodStart, periodEnd);
+        });
+
+        await this.dataModel.upsertUserAnalyticsBatch(analytics);
+
+        return { processed: users.length, lastId: users[users.length - 1].user_id };
+    }
+
+    // Gerar analytics de um lote de afiliados (jobs de analytics)
+    // As redes do lote vêm agregadas do banco em uma consulta (getReferralNetworkStatsBatch) e são
+    // gravadas com um único upsert; a falha no cálculo de um afiliado não interrompe o lote e o
+    // motivo é devolvido em `errors`
+    async generateAffiliateAnalyticsBatch(periodType, periodStart, periodEnd, { afterId = 0, limit = 500, touchedSince = null } = {}) {
+        const affiliateIds = await this.dataModel.getAffiliateAnalyticsBatch({
+            periodStart: periodStart.toDate(),
+            periodEnd: periodEnd.toDate(),
+            touchedSince,
+            afterId,
+            limit
+        });
+
+        if (!affiliateIds.length) {
+            return { processed: 0, failed: 0, errors: [], lastId: afterId };
+        }
+
+        const networkUsers = await this.dataModel.getReferralNetworkStatsBatch(
+            affiliateIds,
+            periodStart.toDate(),
+            periodEnd.toDate(),
+            this.getPreviousPeriodStart(periodStart, periodEnd).toDate(),
+            ReferralService.MAX_NETWORK_DEPTH
+        );
+
+        await this.applyFirstDeposits(networkUsers, periodEnd);
+
+        const cpaRules = await this.configClient.getCpaValidationRules();
+        const cpaAmounts = await this.configClient.getCpaLevelAmounts();
+        networkUsers.forEach(user => {
+            user.cpa_qualified_in_period = this.isCpaQualifiedInPeriod(user, cpaRules);
+        });
+
+        const networks = _.groupBy(networkUsers, 'affiliate_id');
+        const analytics = [];
+        const errors = [];
+
+        for (const affiliateId of affiliateIds) {
+            if (!networks[affiliateId]) continue;
+
+            try {
+                const affiliateData = await this.calculateAffiliateData(affiliateId, networks[affiliateId], periodStart, periodEnd, cpaAmounts);
+                analytics.push(this.buildAffiliateAnalytics(affiliateId, affiliateData, periodType, periodStart, periodEnd));
+            } catch (error) {
+                logger.error(`Erro ao calcular analytics do afiliado ${affiliateId} no lote:`, error);
+                errors.push({ entityId: affiliateId, error: error.message });
+            }
+        }
+
+        await this.dataModel.upsertAffiliateAnalyticsBatch(analytics);
+
+        return {
+            processed: affiliateIds.length,
+            failed: errors.length,
+            errors,
+            lastId: affiliateIds[affiliateIds.length - 1]
+        };
+    }
+
+    // ===== ROLLUPS =====
+
+    // Gerar analytics WEEKLY/MONTHLY/YEARLY a partir dos registros DAILY já gravados, sem reler
+    // os eventos da operação (entityType ALL = usuários e afiliados)
+    // Dias sem registro DAILY não entram na consolidação
+    async rollupAnalytics(periodType, specificDate = null, entityType = 'ALL') {
+        if (!ROLLUP_PERIOD_TYPES.includes(periodType)) {
+            throw new Error(`Tipo de período inválido para rollup: ${periodType}`);
+        }
+
+        const startTime = Date.now();
+        const date = specificDate ? moment(specificDate) : moment();
+        const { periodStart, periodEnd } = this.getPeriodRange(date, periodType);
+
+        const result = {
+            period_type: periodType,
+            period_start: periodStart.toDate(),
+            period_end: periodEnd.toDate(),
+            users: null,
+            affiliates: null
+        };
+
+        if (entityType !== 'AFFILIATE') {
+            result.users = await this.dataModel.rollupUserAnalytics(periodType, result.period_start, result.period_end);
+        }
+
+        if (entityType !== 'USER') {
+            // Período anterior do mesmo tipo, base da retenção
+            const previousStart = this.getPeriodRange(periodStart.clone().subtract(1, 'day'), periodType).periodStart;
+            result.affiliates = await this.dataModel.rollupAffiliateAnalytics(
+                periodType, result.period_start, result.period_end, previousStart.toDate()
+            );
+        }
+
+        logger.info(`Rollup ${periodType} gerado a partir dos analytics diários`, {
+            periodStart: result.period_start,
+            users: result.users,
+            affiliates: result.affiliates,
+            duration: Date.now() - startTime
+        });
+
+        return result;
+    }
+
+    // Períodos de rollup que se encerram no dia informado (ex.: último dia do mês -> MONTHLY)
+    getClosingPeriods(date) {
+        const dayEnd = moment(date).endOf('day');
+        return ROLLUP_PERIOD_TYPES.filter(periodType => this.getPeriodRange(date, periodType).periodEnd.isSame(dayEnd));
+    }
+
     // ===== UTILITÁRIOS =====
 
     getPeriodRange(date, periodType) {
@@ -391,10 +592,16 @@ class DataService {
 
             // Calcular métricas
             const depositMetrics = this.calculateDepositMetrics(deposits);
+
+            // Primeiro depósito vem do FTD do ETL, não do primeiro depósito do período
+            const firstDeposits = await this.getFirstDeposits([userId]);
+            if (firstDeposits) {
+                depositMetrics.first_date = firstDeposits.get(String(userId))?.deposited_at || null;
+            }
             const betMetrics = this.calculateBetMetrics(bets);
             const activityMetrics = this.calculateActivityMetrics(transactions, bets);
             const resultMetrics = this.calculateResultMetrics(bets);
-            const cpaMetrics = await this.calculateCpaMetrics(userId, deposits, bets);
+            const cpaMetrics = await this.calculateCpaMetrics(userId, periodEnd);
 
             return {
                 affiliate_id: user.affiliate_id,
@@ -412,26 +619,12 @@ class DataService {
     }
 
     async getAffiliateDataForPeriod(affiliateId, periodStart, periodEnd) {
-        // Implementação simplificada - em produção, agregaria dados de todos os usuários do afiliado
-        
         try {
-            // Buscar usuários do afiliado
-            const users = await this.dataModel.getExternalData('users', { affiliateId });
-            
-            if (!users.length) return null;
+            const networkUsers = await this.getNetworkUsersForPeriod(affiliateId, periodStart, periodEnd);
+            if (!networkUsers.length) return null;
 
-            // Calcular métricas agregadas
-            const userMetrics = await this.calculateAffiliateUserMetrics(affiliateId, users, periodStart, periodEnd);
-            const financialMetrics = await this.calculateAffiliateFinancialMetrics(affiliateId, users, periodStart, periodEnd);
-            const mlmMetrics = await this.calculateAffiliateMlmMetrics(affiliateId, periodStart, periodEnd);
-            const performanceMetrics = await this.calculateAffiliatePerformanceMetrics(affiliateId, users, periodStart, periodEnd);
-
-            return {
-                users: userMetrics,
-                financial: financialMetrics,
-                mlm: mlmMetrics,
-                performance: performanceMetrics
-            };
+            const cpaAmounts = await this.configClient.getCpaLevelAmounts();
+            return await this.calculateAffiliateData(affiliateId, networkUsers, periodStart, periodEnd, cpaAmounts);
 
         } catch (error) {
             logger.error(`Erro ao buscar dados do afiliado ${affiliateId}:`, error);
@@ -439,6 +632,99 @@ class DataService {
         }
     }
 
+    // Métricas do afiliado a partir dos agregados por usuário da sua rede
+    async calculateAffiliateData(affiliateId, networkUsers, periodStart, periodEnd, cpaAmounts) {
+        // Métricas de usuários, financeiras e de performance consideram os indicados diretos (nível 1)
+        const users = networkUsers.filter(user => user.level === 1);
+        const funnel = this.funnelService.calculateFunnel(users, periodStart, periodEnd);
+
+        // Calcular métricas agregadas
+        const userMetrics = await this.calculateAffiliateUserMetrics(affiliateId, users, periodStart, periodEnd);
+        const mlmMetrics = await this.calculateAffiliateMlmMetrics(affiliateId, periodStart, periodEnd, networkUsers, cpaAmounts);
+        const financialMetrics = await this.calculateAffiliateFinancialMetrics(affiliateId, users, periodStart, periodEnd, mlmMetrics);
+        const performanceMetrics = await this.calculateAffiliatePerformanceMetrics(affiliateId, users, periodStart, periodEnd, funnel);
+
+        return {
+            users: userMetrics,
+            financial: financialMetrics,
+            mlm: mlmMetrics,
+            performance: performanceMetrics,
+            funnel
+        };
+    }
+
+    // Agregados por usuário da rede (até 5 níveis), calculados no banco da operação, com o FTD
+    // do ETL e a qualificação CPA no período
+    async getNetworkUsersForPeriod(affiliateId, periodStart, periodEnd) {
+        const networkUsers = await this.dataModel.getReferralNetworkStats(
+            affiliateId,
+            moment(periodStart).toDate(),
+            moment(periodEnd).toDate(),
+            this.getPreviousPeriodStart(periodStart, periodEnd).toDate(),
+            ReferralService.MAX_NETWORK_DEPTH
+        );
+
+        if (!networkUsers.length) return networkUsers;
+
+        await this.applyFirstDeposits(networkUsers, periodEnd);
+
+        const cpaRules = await this.configClient.getCpaValidationRules();
+        networkUsers.forEach(user => {
+            user.cpa_qualified_in_period = this.isCpaQualifiedInPeriod(user, cpaRules);
+        });
+
+        return networkUsers;
+    }
+
+    // Início do período anterior de mesma duração, usado no cálculo de retenção
+    getPreviousPeriodStart(periodStart, periodEnd) {
+        return moment(periodStart).subtract(moment(periodEnd).diff(periodStart) + 1, 'ms');
+    }
+
+    // Funil cadastro -> FTD -> CPA dos indicados diretos do afiliado
+    // Sem periodStart/periodEnd, o período é o periodType que contém specificDate (ou hoje)
+    async getAffiliateFunnel(affiliateId, { periodType = 'MONTHLY', specificDate = null, periodStart = null, periodEnd = null } = {}) {
+        const range = periodStart && periodEnd
+            ? { periodStart: moment(periodStart), periodEnd: moment(periodEnd) }
+            : this.getPeriodRange(specificDate ? moment(specificDate) : moment(), periodType);
+
+        const networkUsers = await this.getNetworkUsersForPeriod(affiliateId, range.periodStart, range.periodEnd);
+        const users = networkUsers.filter(user => user.level === 1);
+
+        return {
+            affiliate_id: affiliateId,
+            period_type: periodStart && periodEnd ? 'CUSTOM' : periodType,
+            ...this.funnelService.calculateFunnel(users, range.periodStart, range.periodEnd)
+        };
+    }
+
+    // FTD detectado pelo ETL (deposit_activities.is_ftd); null quando indisponível
+    async getFirstDeposits(userIds) {
+        try {
+            return await this.dataModel.getFirstDeposits(userIds);
+        } catch (error) {
+            logger.warn('Primeiros depósitos indisponíveis, usando depósitos da operação:', error.message);
+            return null;
+        }
+    }
+
+    // first_deposit_at/first_deposit_amount de getReferralNetworkStats vêm do depósito mais antigo
+    // de qualquer status; com o FTD do ETL passam a ser do primeiro depósito confirmado (até o fim do período)
+    async applyFirstDeposits(users, periodEnd) {
+        const firstDeposits = await this.getFirstDeposits(users.map(user => user.user_id));
+        if (!firstDeposits) return users;
+
+        const end = moment(periodEnd);
+        users.forEach(user => {
+            const ftd = firstDeposits.get(String(user.user_id));
+            const hasFtd = ftd && !moment(ftd.deposited_at).isAfter(end);
+            user.first_deposit_at = hasFtd ? ftd.deposited_at : null;
+            user.first_deposit_amount = hasFtd ? ftd.amount : null;
+        });
+
+        return users;
+    }
+
     calculateDepositMetrics(deposits) {
         if (!deposits.length) return { total: 0, count: 0, avg: 0 };
 
@@ -451,6 +737,13 @@ class DataService {
         return { total, count, avg, first_date: firstDate, last_date: lastDate };
     }
 
+    // Métricas de valor a partir de totais já agregados (mesmo formato de calculateDepositMetrics)
+    calculateAmountMetrics(total, count, firstDate, lastDate) {
+        if (!count) return { total: 0, count: 0, avg: 0 };
+
+        return { total, count, avg: total / count, first_date: firstDate, last_date: lastDate };
+    }
+
     calculateBetMetrics(bets) {
         if (!bets.length) return { total: 0, count: 0, avg: 0 };
 
@@ -493,36 +786,20 @@ class DataService {
         return { wins, losses };
     }
 
-    async calculateCpaMetrics(userId, deposits, bets) {
+    async calculateCpaMetrics(userId, periodEnd) {
         // Buscar regras de validação CPA
-        const cpaRules = await this.getConfig('cpa_validation_rules', {
-            groups: [{
-                operator: 'AND',
-                criteria: [
-                    { type: 'deposit', value: 30.00, enabled: true },
-                    { type: 'bets', value: 10, enabled: true },
-                    { type: 'bet_amount', value: 100.00, enabled: true },
-                    { type: 'days_active', value: 3, enabled: true }
-                ]
-            }]
-        });
-
-        // Calcular se qualifica para CPA
-        const totalDeposits = deposits.reduce((sum, dep) => sum + parseFloat(dep.amount || 0), 0);
-        const totalBets = bets.reduce((sum, bet) => sum + parseFloat(bet.amount || 0), 0);
-        const betCount = bets.length;
+        const cpaRules = await this.configClient.getCpaValidationRules();
 
-        // Verificar critérios (simplificado)
-        const qualified = totalDeposits >= 30 && betCount >= 10 && totalBets >= 100;
+        // Avaliar sobre todo o histórico do usuário até o fim do período
+        const activity = await this.dataModel.getUserCpaActivity(userId, moment(periodEnd).toDate());
+        const evaluation = this.cpaRulesEngine.evaluate(cpaRules, activity);
 
-        if (qualified) {
-            const cpaAmounts = await this.getConfig('cpa_level_amounts', {
-                level_1: 50.00, level_2: 20.00, level_3: 5.00, level_4: 5.00, level_5: 5.00
-            });
+        if (evaluation.qualified) {
+            const cpaAmounts = await this.configClient.getCpaLevelAmounts();
 
             return {
                 qualified: true,
-                qualification_date: new Date(),
+                qualification_date: evaluation.qualifiedAt,
                 amount: cpaAmounts.level_1 // Assumindo nível 1
             };
         }
@@ -530,43 +807,96 @@ class DataService {
         return { qualified: false, qualification_date: null, amount: 0 };
     }
 
-    // Métodos auxiliares para métricas de afiliado (implementação simplificada)
-    async calculateAffiliateUserMetrics(affiliateId, users, periodStart, periodEnd) {
+    // Simular a qualificação CPA de um usuário com um conjunto de regras candidato (sem persistir nada)
+    // Sem `rules`, usa as regras atuais do Config Service
+    async evaluateCpaRules(userId, rules = null, until = null) {
+        const cpaRules = rules || await this.configClient.getCpaValidationRules();
+        const activity = await this.dataModel.getUserCpaActivity(userId, until ? moment(until).toDate() : new Date());
+        const evaluation = this.cpaRulesEngine.evaluate(cpaRules, activity);
+
         return {
-            total: users.length,
-            new: users.filter(u => moment(u.created_at).isBetween(periodStart, periodEnd)).length,
-            active: Math.floor(users.length * 0.7), // Estimativa
-            cpa_qualified: Math.floor(users.length * 0.3) // Estimativa
+            userId,
+            until: until || null,
+            rulesSource: rules ? 'candidate' : 'config',
+            deposits: activity.deposits.length,
+            bets: activity.bets.length,
+            ...evaluation
         };
     }
 
-    async calculateAffiliateFinancialMetrics(affiliateId, users, periodStart, periodEnd) {
+    // Usuário que passou a cumprir as regras CPA dentro do período
+    // (não cumpria com os valores acumulados antes do início, cumpre com os acumulados até o fim)
+    isCpaQualifiedInPeriod(user, cpaRules) {
+        const qualifiedBefore = this.cpaRulesEngine.evaluateTotals(cpaRules, {
+            deposit: user.deposits_before,
+            bets: user.bet_count_before,
+            bet_amount: user.bets_before,
+            days_active: user.days_active_before
+        }).qualified;
+
+        const qualifiedUntilEnd = this.cpaRulesEngine.evaluateTotals(cpaRules, {
+            deposit: user.deposits_until_end,
+            bets: user.bet_count_until_end,
+            bet_amount: user.bets_until_end,
+            days_active: user.days_active_until_end
+        }).qualified;
+
+        return qualifiedUntilEnd && !qualifiedBefore;
+    }
+
+    // Métodos auxiliares para métricas de afiliado
+    // `users` são os agregados por usuário de DataModel.getReferralNetworkStats
+    async calculateAffiliateUserMetrics(affiliateId, users, periodStart, periodEnd) {
         return {
-            deposits: users.length * 100, // Estimativa
-            bets: users.length * 500, // Estimativa
-            commissions: users.length * 50, // Estimativa
-            cpa_amount: users.length * 15 // Estimativa
+            total: users.length,
+            new: users.filter(u => moment(u.created_at).isSameOrAfter(periodStart)).length,
+            active: users.filter(u => u.active_in_period).length,
+            cpa_qualified: users.filter(u => u.cpa_qualified_in_period).length
         };
     }
 
-    async calculateAffiliateMlmMetrics(affiliateId, periodStart, periodEnd) {
+    async calculateAffiliateFinancialMetrics(affiliateId, users, periodStart, periodEnd, mlmMetrics) {
+        const cpaAmount = mlmMetrics.level_1.commissions;
+        const networkCommissions = ['level_2', 'level_3', 'level_4', 'level_5']
+            .reduce((sum, level) => sum + mlmMetrics[level].commissions, 0);
+
         return {
-            level_1: { users: 10, commissions: 500 },
-            level_2: { users: 5, commissions: 100 },
-            level_3: { users: 2, commissions: 10 },
-            level_4: { users: 1, commissions: 5 },
-            level_5: { users: 0, commissions: 0 }
+            deposits: this.roundAmount(_.sumBy(users, 'period_deposits')),
+            bets: this.roundAmount(_.sumBy(users, 'period_bets')),
+            commissions: this.roundAmount(cpaAmount + networkCommissions),
+            cpa_amount: this.roundAmount(cpaAmount)
         };
     }
 
-    async calculateAffiliatePerformanceMetrics(affiliateId, users, periodStart, periodEnd) {
+    // Usuários e comissões por nível da rede; nível 1 = indicados diretos
+    async calculateAffiliateMlmMetrics(affiliateId, periodStart, periodEnd, networkUsers, cpaAmounts) {
+        return this.referralService.calculateLevelMetrics(networkUsers, cpaAmounts);
+    }
+
+    // Conversão: etapa cadastro -> FTD do funil (novos usuários do período com FTD até o fim dele)
+    async calculateAffiliatePerformanceMetrics(affiliateId, users, periodStart, periodEnd, funnel) {
+        // Retenção: ativos no período anterior que continuaram ativos neste período
+        const previouslyActive = users.filter(u => u.active_in_previous);
+        const retained = previouslyActive.filter(u => u.active_in_period).length;
+
+        const activeUsers = users.filter(u => u.active_in_period).length;
+        const periodDeposits = _.sumBy(users, 'period_deposits');
+
         return {
-            conversion_rate: 0.15, // 15%
-            avg_user_value: 250.00,
-            retention_rate: 0.65 // 65%
+            conversion_rate: funnel.rates.registration_to_ftd,
+            avg_user_value: this.roundAmount(activeUsers > 0 ? periodDeposits / activeUsers : 0),
+            retention_rate: this.roundRate(previouslyActive.length > 0 ? retained / previouslyActive.length : 0)
         };
     }
 
+    roundAmount(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    roundRate(value) {
+        return Math.round(value * 10000) / 10000;
+    }
+
     // ===== HEALTH CHECK =====
 
     async healthCheck() {
@@ -600,5 +930,7 @@ class DataService {
     }
 }
 
+DataService.ROLLUP_PERIOD_TYPES = ROLLUP_PERIOD_TYPES;
+
 module.exports = DataService;
 
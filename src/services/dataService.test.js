@@ -0,0 +1,166 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../models/dataModel');
+jest.mock('../utils/configClient');
+
+const moment = require('moment');
+const DataService = require('./dataService');
+
+const periodStart = new Date('2024-03-01T00:00:00.000Z');
+const periodEnd = new Date('2024-03-31T23:59:59.999Z');
+
+// Agregados por usuário no formato de DataModel.getAffiliateUserStats
+const stats = (overrides = {}) => ({
+    created_at: new Date('2024-02-10T00:00:00Z'),
+    first_deposit_at: null,
+    period_deposits: 0,
+    period_bets: 0,
+    active_in_period: false,
+    active_in_previous: false,
+    ...overrides
+});
+
+describe('DataService - métricas de afiliado', () => {
+    const dataService = new DataService();
+
+    const users = [
+        stats({ created_at: new Date('2024-03-05T00:00:00Z'), first_deposit_at: new Date('2024-03-06T00:00:00Z'), period_deposits: 100.5, period_bets: 300, active_in_period: true, cpa_qualified_in_period: true }),
+        stats({ created_at: new Date('2024-03-20T00:00:00Z') }),
+        stats({ period_deposits: 49.5, period_bets: 80, active_in_period: true, active_in_previous: true }),
+        stats({ active_in_previous: true })
+    ];
+
+    test('usuários: total, novos no período, ativos e qualificados CPA', async () => {
+        await expect(dataService.calculateAffiliateUserMetrics(1, users, periodStart, periodEnd)).resolves.toEqual({
+            total: 4,
+            new: 2,
+            active: 2,
+            cpa_qualified: 1
+        });
+    });
+
+    test('financeiro soma depósitos e apostas do período e comissões de todos os níveis', async () => {
+        const mlmMetrics = {
+            level_1: { users: 4, commissions: 50 },
+            level_2: { users: 2, commissions: 10.1 },
+            level_3: { users: 1, commissions: 5.2 },
+            level_4: { users: 0, commissions: 0 },
+            level_5: { users: 0, commissions: 0 }
+        };
+
+        await expect(dataService.calculateAffiliateFinancialMetrics(1, users, periodStart, periodEnd, mlmMetrics)).resolves.toEqual({
+            deposits: 150,
+            bets: 380,
+            commissions: 65.3,
+            cpa_amount: 50
+        });
+    });
+
+    test('desempenho: conversão do funil, valor médio por ativo e retenção do período anterior', async () => {
+        const funnel = { rates: { registration_to_ftd: 0.5 } };
+
+        await expect(dataService.calculateAffiliatePerformanceMetrics(1, users, periodStart, periodEnd, funnel)).resolves.toEqual({
+            conversion_rate: 0.5,
+            avg_user_value: 75,
+            retention_rate: 0.5
+        });
+    });
+
+    test('qualificação CPA conta apenas quem passou a cumprir as regras dentro do período', () => {
+        const before = { deposits_before: 0, bet_count_before: 0, bets_before: 0, days_active_before: 0 };
+        const untilEnd = { deposits_until_end: 30, bet_count_until_end: 10, bets_until_end: 100, days_active_until_end: 2 };
+
+        // Sem regras configuradas valem as regras padrão
+        expect(dataService.isCpaQualifiedInPeriod({ ...before, ...untilEnd }, null)).toBe(true);
+        expect(dataService.isCpaQualifiedInPeriod({ ...untilEnd, deposits_before: 30, bet_count_before: 10, bets_before: 100 }, null)).toBe(false);
+        expect(dataService.isCpaQualifiedInPeriod({ ...before, ...untilEnd, bet_count_until_end: 9 }, null)).toBe(false);
+
+        const daysActiveRules = { groups: [{ operator: 'AND', criteria: [{ type: 'days_active', value: 3 }] }] };
+        expect(dataService.isCpaQualifiedInPeriod({ ...before, ...untilEnd }, daysActiveRules)).toBe(false);
+        expect(dataService.isCpaQualifiedInPeriod({ ...before, ...untilEnd, days_active_until_end: 3 }, daysActiveRules)).toBe(true);
+    });
+
+    test('arredondamentos de valores e taxas', () => {
+        expect(dataService.roundAmount(10.005 + 0.001)).toBe(10.01);
+        expect(dataService.roundRate(2 / 3)).toBe(0.6667);
+    });
+});
+
+describe('DataService - analytics em lote', () => {
+    const dataService = new DataService();
+
+    test('métricas de valor a partir de totais agregados', () => {
+        const first = new Date('2024-03-02T00:00:00Z');
+        const last = new Date('2024-03-09T00:00:00Z');
+
+        expect(dataService.calculateAmountMetrics(150, 3, first, last)).toEqual({ total: 150, count: 3, avg: 50, first_date: first, last_date: last });
+        expect(dataService.calculateAmountMetrics(0, 0, null, null)).toEqual({ total: 0, count: 0, avg: 0 });
+    });
+
+    test('registro de user_analytics usa zero para métricas ausentes', () => {
+        const analytics = dataService.buildUserAnalytics(7, {
+            affiliate_id: 3,
+            deposits: { total: 100, count: 2, avg: 50 },
+            results: { wins: 30, losses: 80 }
+        }, 'DAILY', moment(periodStart), moment(periodEnd));
+
+        expect(analytics).toEqual(expect.objectContaining({
+            user_id: 7,
+            affiliate_id: 3,
+            period_type: 'DAILY',
+            period_start: periodStart,
+            total_deposits: 100,
+            deposit_count: 2,
+            total_bets: 0,
+            days_active: 0,
+            net_result: -50,
+            cpa_qualified: false,
+            cpa_amount: 0
+        }));
+    });
+});
+
+describe('DataService - rollups', () => {
+    const dataService = new DataService();
+
+    beforeEach(() => {
+        dataService.dataModel.rollupUserAnalytics = jest.fn().mockResolvedValue(120);
+        dataService.dataModel.rollupAffiliateAnalytics = jest.fn().mockResolvedValue(8);
+    });
+
+    test('períodos encerrados no dia: semana termina no sábado, mês e ano no último dia', () => {
+        expect(dataService.getClosingPeriods('2024-03-15')).toEqual([]);
+        expect(dataService.getClosingPeriods('2024-03-16')).toEqual(['WEEKLY']);
+        expect(dataService.getClosingPeriods('2024-03-31')).toEqual(['MONTHLY']);
+        expect(dataService.getClosingPeriods('2024-11-30')).toEqual(['WEEKLY', 'MONTHLY']);
+        expect(dataService.getClosingPeriods('2024-12-31')).toEqual(['MONTHLY', 'YEARLY']);
+        expect(dataService.getClosingPeriods(moment('2024-02-29T18:45:00'))).toEqual(['MONTHLY']);
+    });
+
+    test('intervalo do período a partir de qualquer dia dele', () => {
+        const format = ({ periodStart, periodEnd }) => [periodStart.format('YYYY-MM-DD HH:mm'), periodEnd.format('YYYY-MM-DD HH:mm:ss.SSS')];
+
+        expect(format(dataService.getPeriodRange('2024-03-13', 'WEEKLY'))).toEqual(['2024-03-10 00:00', '2024-03-16 23:59:59.999']);
+        expect(format(dataService.getPeriodRange('2024-02-10', 'MONTHLY'))).toEqual(['2024-02-01 00:00', '2024-02-29 23:59:59.999']);
+        expect(format(dataService.getPeriodRange('2024-07-01', 'YEARLY'))).toEqual(['2024-01-01 00:00', '2024-12-31 23:59:59.999']);
+        expect(() => dataService.getPeriodRange('2024-07-01', 'HOURLY')).toThrow('Tipo de período inválido: HOURLY');
+    });
+
+    test('rollup consolida o período do dia informado para usuários e afiliados', async () => {
+        const result = await dataService.rollupAnalytics('MONTHLY', '2024-03-31');
+
+        const start = moment('2024-03-01').toDate();
+        const end = moment('2024-03-31').endOf('day').toDate();
+        expect(dataService.dataModel.rollupUserAnalytics).toHaveBeenCalledWith('MONTHLY', start, end);
+        // Retenção dos afiliados tem como base o mês anterior
+        expect(dataService.dataModel.rollupAffiliateAnalytics).toHaveBeenCalledWith('MONTHLY', start, end, moment('2024-02-01').toDate());
+        expect(result).toEqual({ period_type: 'MONTHLY', period_start: start, period_end: end, users: 120, affiliates: 8 });
+    });
+
+    test('rollup de uma entidade só consolida essa entidade e DAILY é recusado', async () => {
+        const result = await dataService.rollupAnalytics('WEEKLY', '2024-03-16', 'USER');
+
+        expect(dataService.dataModel.rollupAffiliateAnalytics).not.toHaveBeenCalled();
+        expect(result.affiliates).toBeNull();
+        await expect(dataService.rollupAnalytics('DAILY', '2024-03-16')).rejects.toThrow('Tipo de período inválido para rollup: DAILY');
+    });
+});
@@ -0,0 +1,285 @@
+const fs = require('fs');
+const path = require('path');
+const DataModel = require('../models/dataModel');
+const { createExportWriter } = require('./exportWriters');
+const logger = require('../utils/logger');
+
+// Origem dos dados de cada tipo de exportação
+// filterFields mapeia as chaves aceitas em `filters` para colunas da tabela
+const EXPORT_SOURCES = {
+    users: {
+        database: 'external',
+        table: 'users',
+        dateField: 'created_at',
+        filterFields: { userId: 'id', affiliateId: 'affiliate_id', status: 'status' }
+    },
+    transactions: {
+        database: 'external',
+        table: 'transactions',
+        dateField: 'created_at',
+        filterFields: { userId: 'user_id', affiliateId: 'affiliate_id', status: 'status', type: 'type' }
+    },
+    bets: {
+        database: 'external',
+        table: 'bets',
+        dateField: 'created_at',
+        filterFields: { userId: 'user_id', affiliateId: 'affiliate_id', status: 'status' }
+    },
+    deposits: {
+        database: 'external',
+        table: 'deposits',
+        dateField: 'created_at',
+        filterFields: { userId: 'user_id', affiliateId: 'affiliate_id', status: 'status' }
+    },
+    analytics: {
+        database: 'local',
+        table: 'user_analytics',
+        dateField: 'period_start',
+        filterFields: { userId: 'user_id', affiliateId: 'affiliate_id', periodType: 'period_type' }
+    },
+    affiliate_analytics: {
+        database: 'local',
+        table: 'affiliate_analytics',
+        dateField: 'period_start',
+        filterFields: { affiliateId: 'affiliate_id', periodType: 'period_type' }
+    },
+    commissions: {
+        database: 'local',
+        table: 'affiliate_analytics',
+        dateField: 'period_start',
+        filterFields: { affiliateId: 'affiliate_id', periodType: 'period_type' },
+        columns: [
+            'id', 'affiliate_id', 'period_type', 'period_start', 'period_end',
+            'total_commissions', 'total_cpa_amount',
+            'level_1_commissions', 'level_2_commissions', 'level_3_commissions',
+            'level_4_commissions', 'level_5_commissions'
+        ]
+    }
+};
+
+class ExportService {
+    constructor() {
+        this.dataModel = new DataModel();
+        this.exportDir = process.env.EXPORT_DIR || path.join(__dirname, '../../exports');
+        this.batchSize = parseInt(process.env.EXPORT_BATCH_SIZE) || 1000;
+        this.pollInterval = parseInt(process.env.EXPORT_POLL_INTERVAL_MS) || 10000;
+        this.staleMinutes = parseInt(process.env.EXPORT_STALE_MINUTES) || 30;
+        this.sweepInterval = parseInt(process.env.EXPORT_SWEEP_INTERVAL_MS) || 3600000;
+
+        this.timer = null;
+        this.sweepTimer = null;
+        this.isProcessing = false;
+        this.isRunning = false;
+    }
+
+    // Iniciar worker: processa exportações PENDING em ordem de criação
+    // e remove periodicamente os arquivos de exportações vencidas
+    async start() {
+        if (this.isRunning) {
+            return;
+        }
+
+        fs.mkdirSync(this.exportDir, { recursive: true });
+
+        const requeued = await this.dataModel.requeueStaleExports(this.staleMinutes);
+        if (requeued > 0) {
+            logger.warn('Exportações interrompidas devolvidas para a fila', { count: requeued });
+        }
+
+        this.isRunning = true;
+        this.timer = setInterval(() => this.processPending(), this.pollInterval);
+        this.sweepTimer = setInterval(() => {
+            this.sweepExpiredExports().catch(error => {
+                logger.error('Erro na limpeza de exportações expiradas:', error);
+            });
+        }, this.sweepInterval);
+
+        logger.info('Worker de exportação iniciado', {
+            exportDir: this.exportDir,
+            pollInterval: this.pollInterval
+        });
+
+        this.processPending();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        if (this.sweepTimer) {
+            clearInterval(this.sweepTimer);
+            this.sweepTimer = null;
+        }
+        this.isRunning = false;
+        logger.info('Worker de exportação parado');
+    }
+
+    // Processar todas as exportações pendentes (uma por vez; chamadas concorrentes são ignoradas)
+    async processPending() {
+        if (!this.isRunning || this.isProcessing) {
+            return;
+        }
+
+        this.isProcessing = true;
+        try {
+            let exportRecord = await this.dataModel.claimNextPendingExport();
+            while (exportRecord && this.isRunning) {
+                await this.processExport(exportRecord);
+                exportRecord = await this.dataModel.claimNextPendingExport();
+            }
+        } catch (error) {
+            logger.error('Erro no worker de exportação:', error);
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    // Gerar o arquivo de uma exportação já reservada (status PROCESSING)
+    async processExport(exportRecord) {
+        const startTime = Date.now();
+        const filePath = path.join(this.exportDir, `${exportRecord.id}_${exportRecord.filename}`);
+        let current = exportRecord;
+
+        logger.info(`Processando exportação ${exportRecord.id}`, {
+            exportType: exportRecord.export_type,
+            format: exportRecord.format
+        });
+
+        try {
+            const source = this.getExportSource(exportRecord);
+            const criteria = {
+                filters: exportRecord.filters || {},
+                dateFrom: exportRecord.date_range_start,
+                dateTo: exportRecord.date_range_end
+            };
+
+            const recordsTotal = await this.dataModel.countExportRows(source, criteria);
+            current = await this.updateExport(current, { records_total: recordsTotal });
+
+            const writer = createExportWriter(exportRecord.format, filePath, {
+                title: `Exportação ${exportRecord.export_type}`
+            });
+
+            let recordsExported = 0;
+            let afterId = null;
+            let hasMore = true;
+
+            try {
+                while (hasMore) {
+                    const rows = await this.dataModel.getExportRows(source, criteria, afterId, this.batchSize);
+
+                    if (rows.length > 0) {
+                        await writer.writeRows(rows);
+                        recordsExported += rows.length;
+                        afterId = rows[rows.length - 1].id;
+                    }
+
+                    hasMore = rows.length === this.batchSize;
+
+                    // 100% apenas quando o arquivo estiver finalizado
+                    current = await this.updateExport(current, {
+                        records_exported: recordsExported,
+                        progress_percentage: recordsTotal > 0
+                            ? Math.min(99, Math.floor((recordsExported / recordsTotal) * 100))
+                            : 0
+                    });
+                }
+            } finally {
+                await writer.close();
+            }
+
+            const { size } = await fs.promises.stat(filePath);
+
+            current = await this.updateExport(current, {
+                status: 'COMPLETED',
+                progress_percentage: 100,
+                records_total: Math.max(recordsTotal, recordsExported),
+                records_exported: recordsExported,
+                file_path: filePath,
+                file_size_bytes: size,
+                completed_at: new Date()
+            });
+
+            logger.info(`Exportação ${exportRecord.id} concluída`, {
+                recordsExported,
+                fileSize: size,
+                duration: `${Date.now() - startTime}ms`
+            });
+
+            return current;
+
+        } catch (error) {
+            logger.error(`Erro ao processar exportação ${exportRecord.id}:`, error);
+
+            // Arquivo parcial não deve ficar disponível
+            await fs.promises.unlink(filePath).catch(() => {});
+
+            return await this.updateExport(current, {
+                status: 'FAILED',
+                file_path: null,
+                file_size_bytes: 0,
+                completed_at: new Date(),
+                error_message: error.message
+            });
+        }
+    }
+
+    // Remover arquivos de exportações vencidas e marcá-las como EXPIRED
+    // expires_at é definido na criação a partir de retentionDays ou export_settings.retention_days
+    async sweepExpiredExports() {
+        const expiredExports = await this.dataModel.getExpiredDataExports();
+        let expired = 0;
+        let filesDeleted = 0;
+
+        for (const exportRecord of expiredExports) {
+            try {
+                if (exportRecord.file_path) {
+                    await fs.promises.unlink(exportRecord.file_path);
+                    filesDeleted++;
+                }
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    logger.error(`Erro ao remover arquivo da exportação ${exportRecord.id}:`, error);
+                    continue;
+                }
+            }
+
+            await this.dataModel.markDataExportExpired(exportRecord.id);
+            expired++;
+        }
+
+        if (expired > 0) {
+            logger.info('Exportações expiradas removidas', { expired, filesDeleted });
+        }
+
+        return { expired, filesDeleted };
+    }
+
+    getExportSource(exportRecord) {
+        // analytics de afiliados: filters.entity = 'affiliate'
+        const sourceKey = exportRecord.export_type === 'analytics' && exportRecord.filters?.entity === 'affiliate'
+            ? 'affiliate_analytics'
+            : exportRecord.export_type;
+
+        const source = EXPORT_SOURCES[sourceKey];
+        if (!source) {
+            throw new Error(`Tipo de exportação não suportado: ${exportRecord.export_type}`);
+        }
+        return source;
+    }
+
+    // updateDataExport grava todos os campos; mesclar com o estado atual para não sobrescrever nada
+    async updateExport(current, changes) {
+        return await this.dataModel.updateDataExport(current.id, { ...current, ...changes });
+    }
+}
+
+// Singleton instance
+const exportService = new ExportService();
+
+module.exports = {
+    ExportService,
+    exportService,
+    EXPORT_SOURCES
+};
@@ -0,0 +1,53 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../models/dataModel');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ExportService } = require('./exportService');
+
+describe('ExportService', () => {
+    describe('sweepExpiredExports', () => {
+        let dir;
+        let service;
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'export-sweep-'));
+            service = new ExportService();
+            service.dataModel = {
+                getExpiredDataExports: jest.fn(),
+                markDataExportExpired: jest.fn()
+            };
+        });
+
+        afterEach(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        test('remove os arquivos e marca as exportações como EXPIRED', async () => {
+            const filePath = path.join(dir, 'export_users.csv');
+            fs.writeFileSync(filePath, 'id\n1\n');
+            service.dataModel.getExpiredDataExports.mockResolvedValue([
+                { id: 'e1', file_path: filePath },
+                { id: 'e2', file_path: path.join(dir, 'ja_removido.csv') },
+                { id: 'e3', file_path: null }
+            ]);
+
+            const result = await service.sweepExpiredExports();
+
+            expect(result).toEqual({ expired: 3, filesDeleted: 1 });
+            expect(fs.existsSync(filePath)).toBe(false);
+            expect(service.dataModel.markDataExportExpired.mock.calls.map(call => call[0])).toEqual(['e1', 'e2', 'e3']);
+        });
+
+        test('falha ao remover o arquivo mantém a exportação para a próxima varredura', async () => {
+            // Remover um diretório com unlink falha com erro diferente de ENOENT
+            service.dataModel.getExpiredDataExports.mockResolvedValue([{ id: 'e1', file_path: dir }]);
+
+            const result = await service.sweepExpiredExports();
+
+            expect(result).toEqual({ expired: 0, filesDeleted: 0 });
+            expect(service.dataModel.markDataExportExpired).not.toHaveBeenCalled();
+        });
+    });
+});
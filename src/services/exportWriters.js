@@ -0,0 +1,218 @@
+const fs = require('fs');
+const { format: formatCsv } = require('fast-csv');
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const moment = require('moment');
+
+// Escritores de arquivo para exportação, todos com a mesma interface:
+//   await writer.writeRows(rows)  - grava um lote (respeitando back-pressure do stream)
+//   await writer.close()          - finaliza o arquivo
+// As colunas são definidas pelo primeiro lote recebido
+
+// Converter valores para representação plana (datas em ISO, objetos em JSON)
+const serializeValue = (value) => {
+    if (value === null || value === undefined) {
+        return null;
+    }
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    if (typeof value === 'object') {
+        return JSON.stringify(value);
+    }
+    return value;
+};
+
+const serializeRow = (row, columns) => {
+    const serialized = {};
+    columns.forEach(column => {
+        serialized[column] = serializeValue(row[column]);
+    });
+    return serialized;
+};
+
+// Gravar no stream aguardando 'drain' quando o buffer interno estiver cheio
+const writeToStream = (stream, chunk) => {
+    if (stream.write(chunk)) {
+        return Promise.resolve();
+    }
+    return new Promise(resolve => stream.once('drain', resolve));
+};
+
+const waitForFinish = (stream) => new Promise((resolve, reject) => {
+    stream.once('finish', resolve);
+    stream.once('error', reject);
+});
+
+class CsvExportWriter {
+    constructor(filePath) {
+        this.fileStream = fs.createWriteStream(filePath);
+        this.csvStream = formatCsv({ headers: true });
+        this.csvStream.pipe(this.fileStream);
+        this.finished = waitForFinish(this.fileStream);
+        this.columns = null;
+    }
+
+    async writeRows(rows) {
+        if (!this.columns && rows.length > 0) {
+            this.columns = Object.keys(rows[0]);
+        }
+
+        for (const row of rows) {
+            await writeToStream(this.csvStream, serializeRow(row, this.columns));
+        }
+    }
+
+    async close() {
+        this.csvStream.end();
+        await this.finished;
+    }
+}
+
+class JsonExportWriter {
+    constructor(filePath) {
+        this.fileStream = fs.createWriteStream(filePath);
+        this.finished = waitForFinish(this.fileStream);
+        this.rowsWritten = 0;
+        this.fileStream.write('[\n');
+    }
+
+    async writeRows(rows) {
+        for (const row of rows) {
+            const prefix = this.rowsWritten > 0 ? ',\n' : '';
+            await writeToStream(this.fileStream, prefix + JSON.stringify(row));
+            this.rowsWritten++;
+        }
+    }
+
+    async close() {
+        this.fileStream.end('\n]\n');
+        await this.finished;
+    }
+}
+
+class XlsxExportWriter {
+    constructor(filePath, options = {}) {
+        // WorkbookWriter grava linha a linha sem manter a planilha inteira em memória
+        this.workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+            filename: filePath,
+            useStyles: true
+        });
+        this.worksheet = this.workbook.addWorksheet(options.title || 'Export');
+        this.columns = null;
+    }
+
+    async writeRows(rows) {
+        if (!this.columns && rows.length > 0) {
+            this.columns = Object.keys(rows[0]);
+            this.worksheet.columns = this.columns.map(column => ({
+                header: column,
+                key: column,
+                width: Math.max(12, column.length + 2)
+            }));
+            this.worksheet.getRow(1).font = { bold: true };
+        }
+
+        rows.forEach(row => {
+            const values = {};
+            this.columns.forEach(column => {
+                const value = row[column];
+                // Datas permanecem como Date para o Excel formatar; demais objetos viram JSON
+                values[column] = value instanceof Date ? value : serializeValue(value);
+            });
+            this.worksheet.addRow(values).commit();
+        });
+    }
+
+    async close() {
+        this.worksheet.commit();
+        await this.workbook.commit();
+    }
+}
+
+class PdfExportWriter {
+    constructor(filePath, options = {}) {
+        this.doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 30 });
+        this.fileStream = fs.createWriteStream(filePath);
+        this.finished = waitForFinish(this.fileStream);
+        this.doc.pipe(this.fileStream);
+
+        this.columns = null;
+        this.fontSize = 7;
+        this.rowHeight = 11;
+
+        this.doc.fontSize(12).text(options.title || 'Exportação de dados');
+        this.doc.fontSize(8).fillColor('gray')
+            .text(`Gerado em ${moment().format('YYYY-MM-DD HH:mm:ss')}`);
+        this.doc.fillColor('black').moveDown();
+    }
+
+    async writeRows(rows) {
+        if (!this.columns && rows.length > 0) {
+            this.columns = Object.keys(rows[0]);
+            this.columnWidth = (this.doc.page.width - this.doc.page.margins.left - this.doc.page.margins.right) / this.columns.length;
+            this.writeHeader();
+        }
+
+        for (const row of rows) {
+            if (this.doc.y + this.rowHeight > this.doc.page.height - this.doc.page.margins.bottom) {
+                this.doc.addPage();
+                this.writeHeader();
+            }
+
+            this.writeLine(this.columns.map(column => serializeValue(row[column])), 'Helvetica');
+        }
+    }
+
+    writeHeader() {
+        this.writeLine(this.columns, 'Helvetica-Bold');
+    }
+
+    // Uma linha da tabela; células longas são truncadas para manter a altura fixa
+    writeLine(values, font) {
+        const y = this.doc.y;
+        const x = this.doc.page.margins.left;
+
+        this.doc.font(font).fontSize(this.fontSize);
+        values.forEach((value, index) => {
+            this.doc.text(value === null ? '' : String(value), x + index * this.columnWidth, y, {
+                width: this.columnWidth - 4,
+                height: this.rowHeight,
+                lineBreak: false,
+                ellipsis: true
+            });
+        });
+
+        this.doc.x = x;
+        this.doc.y = y + this.rowHeight;
+    }
+
+    async close() {
+        if (!this.columns) {
+            this.doc.fontSize(10).text('Nenhum registro encontrado para os filtros informados.');
+        }
+
+        this.doc.end();
+        await this.finished;
+    }
+}
+
+const WRITERS = {
+    CSV: CsvExportWriter,
+    JSON: JsonExportWriter,
+    XLSX: XlsxExportWriter,
+    PDF: PdfExportWriter
+};
+
+const createExportWriter = (format, filePath, options = {}) => {
+    const Writer = WRITERS[format];
+    if (!Writer) {
+        throw new Error(`Formato de exportação não suportado: ${format}`);
+    }
+    return new Writer(filePath, options);
+};
+
+module.exports = {
+    createExportWriter,
+    SUPPORTED_FORMATS: Object.keys(WRITERS)
+};
@@ -0,0 +1,66 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createExportWriter, SUPPORTED_FORMATS } = require('./exportWriters');
+
+describe('exportWriters', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'export-writers-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('formatos suportados', () => {
+        expect(SUPPORTED_FORMATS).toEqual(['CSV', 'JSON', 'XLSX', 'PDF']);
+        expect(() => createExportWriter('XML', path.join(dir, 'out.xml')))
+            .toThrow('Formato de exportação não suportado: XML');
+    });
+
+    test('CSV usa as colunas do primeiro lote e serializa datas e objetos', async () => {
+        const filePath = path.join(dir, 'out.csv');
+        const writer = createExportWriter('CSV', filePath);
+
+        await writer.writeRows([
+            { id: 1, created_at: new Date('2024-03-01T10:00:00Z'), meta: { source: 'pix' } }
+        ]);
+        await writer.writeRows([{ id: 2, created_at: null, meta: null, extra: 'ignorada' }]);
+        await writer.close();
+
+        expect(fs.readFileSync(filePath, 'utf8').split('\n')).toEqual([
+            'id,created_at,meta',
+            '1,2024-03-01T10:00:00.000Z,"{""source"":""pix""}"',
+            '2,,'
+        ]);
+    });
+
+    test('JSON grava um array válido mesmo sem registros', async () => {
+        const filePath = path.join(dir, 'out.json');
+        const writer = createExportWriter('JSON', filePath);
+
+        await writer.writeRows([{ id: 1 }, { id: 2 }]);
+        await writer.close();
+
+        const emptyPath = path.join(dir, 'empty.json');
+        const emptyWriter = createExportWriter('JSON', emptyPath);
+        await emptyWriter.close();
+
+        expect(JSON.parse(fs.readFileSync(filePath, 'utf8'))).toEqual([{ id: 1 }, { id: 2 }]);
+        expect(JSON.parse(fs.readFileSync(emptyPath, 'utf8'))).toEqual([]);
+    });
+
+    test('XLSX e PDF geram arquivos não vazios', async () => {
+        for (const format of ['XLSX', 'PDF']) {
+            const filePath = path.join(dir, `out.${format.toLowerCase()}`);
+            const writer = createExportWriter(format, filePath, { title: 'Usuários' });
+
+            await writer.writeRows([{ id: 1, name: 'Fulano' }]);
+            await writer.close();
+
+            expect(fs.statSync(filePath).size).toBeGreaterThan(0);
+        }
+    });
+});
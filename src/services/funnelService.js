@@ -0,0 +1,104 @@
+const moment = require('moment');
+
+// Faixas da distribuição do tempo entre cadastro e primeiro depósito (limite superior em horas)
+const TIME_TO_FTD_BUCKETS = [
+    { bucket: 'under_1h', maxHours: 1 },
+    { bucket: '1h_24h', maxHours: 24 },
+    { bucket: '1d_3d', maxHours: 72 },
+    { bucket: '3d_7d', maxHours: 168 },
+    { bucket: '7d_30d', maxHours: 720 },
+    { bucket: 'over_30d', maxHours: Infinity }
+];
+
+// Funil de conversão do afiliado: cadastro -> primeiro depósito (FTD) -> qualificação CPA
+// A coorte são os indicados diretos (nível 1) cadastrados no período; FTD e CPA contam até o
+// fim do período. Os usuários são os agregados de DataModel.getReferralNetworkStats, com
+// first_deposit_at/first_deposit_amount do FTD do ETL e cpa_qualified_in_period já avaliado
+class FunnelService {
+    calculateFunnel(users, periodStart, periodEnd) {
+        const start = moment(periodStart);
+        const end = moment(periodEnd);
+
+        const registrations = users.filter(user => moment(user.created_at).isBetween(start, end, null, '[]'));
+        const ftdUsers = registrations.filter(user => this.hasFtdUntil(user, end));
+        const cpaUsers = registrations.filter(user => user.cpa_qualified_in_period);
+        const ftdCpaUsers = ftdUsers.filter(user => user.cpa_qualified_in_period);
+
+        // FTDs ocorridos no período, de qualquer indicado (inclusive cadastrados antes)
+        const periodFtds = users.filter(user => this.hasFtdUntil(user, end) && !moment(user.first_deposit_at).isBefore(start));
+
+        const ftdValue = ftdUsers.reduce((sum, user) => sum + (user.first_deposit_amount || 0), 0);
+
+        return {
+            period_start: start.toDate(),
+            period_end: end.toDate(),
+            registrations: registrations.length,
+            ftd: {
+                count: ftdUsers.length,
+                value: this.roundAmount(ftdValue),
+                avg_value: this.roundAmount(ftdUsers.length > 0 ? ftdValue / ftdUsers.length : 0),
+                period_total: {
+                    count: periodFtds.length,
+                    value: this.roundAmount(periodFtds.reduce((sum, user) => sum + (user.first_deposit_amount || 0), 0))
+                }
+            },
+            time_to_ftd: this.calculateTimeToFtd(ftdUsers),
+            cpa_qualified: {
+                count: cpaUsers.length,
+                with_ftd: ftdCpaUsers.length
+            },
+            rates: {
+                registration_to_ftd: this.rate(ftdUsers.length, registrations.length),
+                ftd_to_cpa: this.rate(ftdCpaUsers.length, ftdUsers.length),
+                registration_to_cpa: this.rate(cpaUsers.length, registrations.length)
+            }
+        };
+    }
+
+    hasFtdUntil(user, end) {
+        return Boolean(user.first_deposit_at) && !moment(user.first_deposit_at).isAfter(end);
+    }
+
+    // Distribuição (faixas e percentis, em horas) do tempo entre cadastro e FTD
+    calculateTimeToFtd(ftdUsers) {
+        const hours = ftdUsers
+            .map(user => Math.max(0, moment(user.first_deposit_at).diff(moment(user.created_at), 'minutes') / 60))
+            .sort((a, b) => a - b);
+
+        const buckets = {};
+        TIME_TO_FTD_BUCKETS.forEach(({ bucket }) => { buckets[bucket] = 0; });
+        hours.forEach(value => {
+            const { bucket } = TIME_TO_FTD_BUCKETS.find(({ maxHours }) => value < maxHours);
+            buckets[bucket]++;
+        });
+
+        return {
+            avg_hours: this.roundAmount(hours.length > 0 ? hours.reduce((sum, value) => sum + value, 0) / hours.length : 0),
+            median_hours: this.roundAmount(this.percentile(hours, 0.5)),
+            p90_hours: this.roundAmount(this.percentile(hours, 0.9)),
+            buckets
+        };
+    }
+
+    // Percentil por interpolação linear (valores já ordenados)
+    percentile(sorted, fraction) {
+        if (sorted.length === 0) return 0;
+
+        const position = (sorted.length - 1) * fraction;
+        const lower = Math.floor(position);
+        const upper = Math.ceil(position);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+    }
+
+    rate(count, total) {
+        return total > 0 ? Math.round((count / total) * 10000) / 10000 : 0;
+    }
+
+    roundAmount(value) {
+        return Math.round(value * 100) / 100;
+    }
+}
+
+FunnelService.TIME_TO_FTD_BUCKETS = TIME_TO_FTD_BUCKETS;
+
+module.exports = FunnelService;
@@ -0,0 +1,93 @@
+const FunnelService = require('./funnelService');
+
+const periodStart = new Date('2024-03-01T00:00:00.000Z');
+const periodEnd = new Date('2024-03-31T23:59:59.999Z');
+
+const user = (createdAt, firstDepositAt = null, firstDepositAmount = null, cpaQualified = false) => ({
+    created_at: new Date(createdAt),
+    first_deposit_at: firstDepositAt ? new Date(firstDepositAt) : null,
+    first_deposit_amount: firstDepositAmount,
+    cpa_qualified_in_period: cpaQualified
+});
+
+describe('FunnelService', () => {
+    const funnelService = new FunnelService();
+
+    describe('calculateFunnel', () => {
+        const users = [
+            user('2024-03-02T00:00:00Z', '2024-03-02T00:30:00Z', 100, true),
+            user('2024-03-03T00:00:00Z', '2024-03-04T00:00:00Z', 50),
+            user('2024-03-05T00:00:00Z', null, null, true),
+            // FTD depois do fim do período
+            user('2024-03-10T00:00:00Z', '2024-04-02T00:00:00Z', 80),
+            // Cadastrado antes do período, FTD dentro dele
+            user('2024-02-20T00:00:00Z', '2024-03-01T12:00:00Z', 30)
+        ];
+
+        test('coorte são os cadastrados no período; FTD e CPA contam até o fim dele', () => {
+            const funnel = funnelService.calculateFunnel(users, periodStart, periodEnd);
+
+            expect(funnel.registrations).toBe(4);
+            expect(funnel.ftd).toEqual({
+                count: 2,
+                value: 150,
+                avg_value: 75,
+                period_total: { count: 3, value: 180 }
+            });
+            expect(funnel.cpa_qualified).toEqual({ count: 2, with_ftd: 1 });
+            expect(funnel.rates).toEqual({
+                registration_to_ftd: 0.5,
+                ftd_to_cpa: 0.5,
+                registration_to_cpa: 0.5
+            });
+        });
+
+        test('distribui o tempo até o FTD em faixas e percentis', () => {
+            const { time_to_ftd: timeToFtd } = funnelService.calculateFunnel(users, periodStart, periodEnd);
+
+            expect(timeToFtd.avg_hours).toBe(12.25);
+            expect(timeToFtd.median_hours).toBe(12.25);
+            expect(timeToFtd.p90_hours).toBe(21.65);
+            expect(timeToFtd.buckets).toEqual({
+                under_1h: 1,
+                '1h_24h': 0,
+                '1d_3d': 1,
+                '3d_7d': 0,
+                '7d_30d': 0,
+                over_30d: 0
+            });
+        });
+
+        test('sem cadastros no período as taxas são zero', () => {
+            const funnel = funnelService.calculateFunnel([users[4]], periodStart, periodEnd);
+
+            expect(funnel.registrations).toBe(0);
+            expect(funnel.ftd.count).toBe(0);
+            expect(funnel.ftd.avg_value).toBe(0);
+            expect(funnel.ftd.period_total).toEqual({ count: 1, value: 30 });
+            expect(funnel.rates).toEqual({ registration_to_ftd: 0, ftd_to_cpa: 0, registration_to_cpa: 0 });
+            expect(funnel.time_to_ftd.median_hours).toBe(0);
+        });
+    });
+
+    describe('percentile', () => {
+        test('interpola linearmente entre os valores ordenados', () => {
+            expect(funnelService.percentile([1, 2, 3, 4], 0.5)).toBe(2.5);
+            expect(funnelService.percentile([1, 2, 3, 4], 0.9)).toBeCloseTo(3.7);
+            expect(funnelService.percentile([1, 2, 3, 4], 0)).toBe(1);
+            expect(funnelService.percentile([1, 2, 3, 4], 1)).toBe(4);
+        });
+
+        test('lista com um valor ou vazia', () => {
+            expect(funnelService.percentile([5], 0.9)).toBe(5);
+            expect(funnelService.percentile([], 0.5)).toBe(0);
+        });
+    });
+
+    describe('rate', () => {
+        test('arredonda em 4 casas e evita divisão por zero', () => {
+            expect(funnelService.rate(1, 3)).toBe(0.3333);
+            expect(funnelService.rate(2, 0)).toBe(0);
+        });
+    });
+});
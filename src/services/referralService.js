@@ -0,0 +1,92 @@
+const logger = require('../utils/logger');
+
+// Profundidade máxima da rede MLM (colunas level_1..level_5 em affiliate_analytics)
+const MAX_NETWORK_DEPTH = 5;
+
+// Rede de indicações (MLM) de um afiliado
+// A árvore é resolvida no banco da operação por DataModel (CTE recursiva com proteção contra ciclos)
+class ReferralService {
+    constructor(dataModel) {
+        this.dataModel = dataModel;
+    }
+
+    normalizeDepth(depth) {
+        const parsed = parseInt(depth);
+        if (isNaN(parsed) || parsed < 1) {
+            return MAX_NETWORK_DEPTH;
+        }
+        return Math.min(parsed, MAX_NETWORK_DEPTH);
+    }
+
+    // Árvore de indicações do afiliado até `depth` níveis
+    async getNetworkTree(affiliateId, depth = MAX_NETWORK_DEPTH) {
+        const maxDepth = this.normalizeDepth(depth);
+        const rows = await this.dataModel.getReferralNetwork(affiliateId, maxDepth);
+
+        const nodes = new Map();
+        rows.forEach(row => {
+            nodes.set(String(row.user_id), {
+                userId: row.user_id,
+                username: row.username,
+                status: row.status,
+                level: row.level,
+                createdAt: row.created_at,
+                children: []
+            });
+        });
+
+        const tree = [];
+        rows.forEach(row => {
+            const node = nodes.get(String(row.user_id));
+            const parent = row.level > 1 ? nodes.get(String(row.parent_id)) : null;
+
+            if (parent) {
+                parent.children.push(node);
+            } else {
+                tree.push(node);
+            }
+        });
+
+        const levels = {};
+        for (let level = 1; level <= maxDepth; level++) {
+            levels[`level_${level}`] = rows.filter(row => row.level === level).length;
+        }
+
+        logger.info(`Rede de indicações do afiliado ${affiliateId} resolvida`, {
+            depth: maxDepth,
+            totalUsers: rows.length
+        });
+
+        return {
+            affiliateId,
+            depth: maxDepth,
+            totalUsers: rows.length,
+            levels,
+            tree
+        };
+    }
+
+    // Usuários e comissões por nível a partir dos agregados da rede (DataModel.getReferralNetworkStats)
+    // A comissão de cada nível é o CPA do nível para cada usuário que qualificou no período
+    calculateLevelMetrics(networkUsers, cpaAmounts) {
+        const metrics = {};
+
+        for (let level = 1; level <= MAX_NETWORK_DEPTH; level++) {
+            const levelUsers = networkUsers.filter(user => user.level === level);
+            const qualified = levelUsers.filter(user => user.cpa_qualified_in_period).length;
+            const amount = parseFloat(cpaAmounts[`level_${level}`] || 0);
+
+            metrics[`level_${level}`] = {
+                users: levelUsers.length,
+                cpa_qualified: qualified,
+                commissions: Math.round(qualified * amount * 100) / 100
+            };
+        }
+
+        return metrics;
+    }
+}
+
+ReferralService.MAX_NETWORK_DEPTH = MAX_NETWORK_DEPTH;
+
+module.exports = ReferralService;
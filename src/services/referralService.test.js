@@ -0,0 +1,67 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const ReferralService = require('./referralService');
+
+describe('ReferralService', () => {
+    describe('normalizeDepth', () => {
+        test('limita a profundidade entre 1 e o máximo da rede', () => {
+            const referralService = new ReferralService({});
+
+            expect(referralService.normalizeDepth('3')).toBe(3);
+            expect(referralService.normalizeDepth(9)).toBe(ReferralService.MAX_NETWORK_DEPTH);
+            expect(referralService.normalizeDepth(0)).toBe(ReferralService.MAX_NETWORK_DEPTH);
+            expect(referralService.normalizeDepth('abc')).toBe(ReferralService.MAX_NETWORK_DEPTH);
+        });
+    });
+
+    describe('getNetworkTree', () => {
+        test('monta a árvore pelos pais e conta usuários por nível', async () => {
+            const dataModel = {
+                getReferralNetwork: jest.fn().mockResolvedValue([
+                    { user_id: 10, parent_id: 1, level: 1, username: 'a' },
+                    { user_id: 11, parent_id: 1, level: 1, username: 'b' },
+                    { user_id: 20, parent_id: 10, level: 2, username: 'c' },
+                    { user_id: 30, parent_id: 20, level: 3, username: 'd' }
+                ])
+            };
+            const referralService = new ReferralService(dataModel);
+
+            const network = await referralService.getNetworkTree(1, 3);
+
+            expect(dataModel.getReferralNetwork).toHaveBeenCalledWith(1, 3);
+            expect(network.levels).toEqual({ level_1: 2, level_2: 1, level_3: 1 });
+            expect(network.totalUsers).toBe(4);
+            expect(network.tree.map(node => node.userId)).toEqual([10, 11]);
+            expect(network.tree[0].children[0].userId).toBe(20);
+            expect(network.tree[0].children[0].children[0].userId).toBe(30);
+            expect(network.tree[1].children).toEqual([]);
+        });
+    });
+
+    describe('calculateLevelMetrics', () => {
+        test('comissão de cada nível é o CPA do nível por usuário qualificado', () => {
+            const referralService = new ReferralService({});
+            const networkUsers = [
+                { level: 1, cpa_qualified_in_period: true },
+                { level: 1, cpa_qualified_in_period: true },
+                { level: 1, cpa_qualified_in_period: false },
+                { level: 2, cpa_qualified_in_period: true },
+                { level: 4, cpa_qualified_in_period: true }
+            ];
+
+            const metrics = referralService.calculateLevelMetrics(networkUsers, {
+                level_1: '50.00',
+                level_2: 20.5,
+                level_3: 5
+            });
+
+            expect(metrics).toEqual({
+                level_1: { users: 3, cpa_qualified: 2, commissions: 100 },
+                level_2: { users: 1, cpa_qualified: 1, commissions: 20.5 },
+                level_3: { users: 0, cpa_qualified: 0, commissions: 0 },
+                level_4: { users: 1, cpa_qualified: 1, commissions: 0 },
+                level_5: { users: 0, cpa_qualified: 0, commissions: 0 }
+            });
+        });
+    });
+});